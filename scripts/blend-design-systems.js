@@ -18,42 +18,24 @@
 
 const fs = require('fs');
 const path = require('path');
+const colorLib = require('./color');
 
 // =============================================================================
 // COLOR UTILITIES
 // =============================================================================
 
-function hexToRgb(hex) {
-  if (!hex) return null;
-  const result = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(hex);
-  if (!result) return null;
-  return {
-    r: parseInt(result[1], 16),
-    g: parseInt(result[2], 16),
-    b: parseInt(result[3], 16)
-  };
-}
-
-function rgbToHex(r, g, b) {
-  return '#' + [r, g, b].map(x => Math.round(x).toString(16).padStart(2, '0')).join('');
-}
-
+// Weighted mix in sRGB; unparseable values fall back to whichever side parses
 function blendColors(color1, color2, weight1 = 0.5) {
-  const rgb1 = hexToRgb(color1);
-  const rgb2 = hexToRgb(color2);
-  if (!rgb1 || !rgb2) return color1 || color2;
-
-  const weight2 = 1 - weight1;
-  return rgbToHex(
-    rgb1.r * weight1 + rgb2.r * weight2,
-    rgb1.g * weight1 + rgb2.g * weight2,
-    rgb1.b * weight1 + rgb2.b * weight2
-  );
+  const parsed1 = colorLib.parse(color1);
+  const parsed2 = colorLib.parse(color2);
+  if (!parsed1 || !parsed2) return color1 || color2;
+  return colorLib.normalize(colorLib.mix(parsed1, parsed2, 1 - weight1, 'srgb'));
 }
 
+// Euclidean distance between 8-bit sRGB channels (0–441)
 function colorDistance(color1, color2) {
-  const rgb1 = hexToRgb(color1);
-  const rgb2 = hexToRgb(color2);
+  const rgb1 = colorLib.toRgb(color1);
+  const rgb2 = colorLib.toRgb(color2);
   if (!rgb1 || !rgb2) return Infinity;
 
   return Math.sqrt(
@@ -67,38 +49,49 @@ function colorDistance(color1, color2) {
 // BLENDING STRATEGIES
 // =============================================================================
 
+function itemKey(item) {
+  if (item && typeof item === 'object') {
+    // Font entries carry family/weight instead of a value
+    const value = item.value ?? [item.family, item.weight].filter(Boolean).join(' ');
+    return value?.toLowerCase?.() || String(value);
+  }
+  return item?.toLowerCase?.() || String(item);
+}
+
 function mergeArrays(arrays, weights, options = {}) {
-  const { dedupe = true, maxItems = 30, sortBy = 'count' } = options;
+  const { dedupe = true, maxItems = 30, sortBy = 'count', provenance = false, key: keyOf = itemKey } = options;
   const combined = [];
-  const seen = new Set();
+  const seen = new Map();
 
   arrays.forEach((arr, i) => {
     if (!Array.isArray(arr)) return;
     const weight = weights[i] || 1;
 
     arr.forEach(item => {
-      const value = typeof item === 'object' ? item.value : item;
-      const key = value?.toLowerCase?.() || String(value);
+      const key = keyOf(item);
 
       if (dedupe && seen.has(key)) {
         // Merge counts for duplicates
-        const existing = combined.find(c => (c.value?.toLowerCase?.() || c) === key);
-        if (existing && existing.count && item.count) {
+        const existing = seen.get(key);
+        if (existing.count && item.count) {
           existing.count += Math.round(item.count * weight);
         }
+        if (provenance && existing.sources && !existing.sources.includes(i)) {
+          existing.sources.push(i);
+        }
         return;
       }
 
-      seen.add(key);
-      if (typeof item === 'object') {
-        combined.push({
-          ...item,
-          count: item.count ? Math.round(item.count * weight) : undefined,
-          source: i
-        });
-      } else {
-        combined.push(item);
-      }
+      const merged = typeof item === 'object'
+        ? {
+            ...item,
+            count: item.count ? Math.round(item.count * weight) : undefined,
+            source: i,
+            ...(provenance ? { sources: [i] } : {})
+          }
+        : item;
+      seen.set(key, merged);
+      combined.push(merged);
     });
   });
 
@@ -159,13 +152,18 @@ function dedupeColors(palette, threshold = 15) {
 
   palette.forEach(color => {
     const value = color.value || color;
-    const isDuplicate = result.some(existing => {
+    const duplicate = result.find(existing => {
       const existingValue = existing.value || existing;
       return colorDistance(value, existingValue) < threshold;
     });
 
-    if (!isDuplicate) {
+    if (!duplicate) {
       result.push(color);
+    } else if (duplicate.sources && color.sources) {
+      // Keep provenance of the near-duplicate that was folded away
+      color.sources.forEach(s => {
+        if (!duplicate.sources.includes(s)) duplicate.sources.push(s);
+      });
     }
   });
 
@@ -180,12 +178,14 @@ function blendDesignSystems(systems, options = {}) {
   const {
     weights = systems.map(() => 1),
     strategy = 'merge',
-    dedupeThreshold = 15
+    dedupeThreshold = 15,
+    normalize = true,     // false keeps raw weights, so counts add up across sources
+    provenance = false    // Record every source index an item appeared in as `sources`
   } = options;
 
   // Normalize weights
   const totalWeight = weights.reduce((a, b) => a + b, 0);
-  const normalizedWeights = weights.map(w => w / totalWeight);
+  const normalizedWeights = normalize ? weights.map(w => w / totalWeight) : weights;
 
   const result = {
     meta: {
@@ -266,7 +266,8 @@ function blendDesignSystems(systems, options = {}) {
     const allPalettes = systems.map(s => s.colors?.palette || []);
     result.colors.palette = mergeArrays(allPalettes, normalizedWeights, {
       dedupe: true,
-      maxItems: 30
+      maxItems: 30,
+      provenance
     });
 
     // Dedupe similar colors
@@ -277,7 +278,8 @@ function blendDesignSystems(systems, options = {}) {
       const arrays = systems.map(s => s.colors?.semantic?.[category] || []);
       result.colors.semantic[category] = mergeArrays(arrays, normalizedWeights, {
         dedupe: true,
-        maxItems: 10
+        maxItems: 10,
+        provenance
       });
     });
 
@@ -285,7 +287,8 @@ function blendDesignSystems(systems, options = {}) {
     const fontArrays = systems.map(s => s.typography?.fontFamilies || []);
     result.typography.fontFamilies = mergeArrays(fontArrays, normalizedWeights, {
       dedupe: true,
-      maxItems: 10
+      maxItems: 10,
+      provenance
     });
 
     result.typography.scale = blendTypographyScales(
@@ -297,7 +300,7 @@ function blendDesignSystems(systems, options = {}) {
     result.typography.fontWeights = [...new Set(weightArrays.flat())].sort((a, b) => parseInt(a) - parseInt(b));
 
     const lineHeightArrays = systems.map(s => s.typography?.lineHeights || []);
-    result.typography.lineHeights = mergeArrays(lineHeightArrays, normalizedWeights, { maxItems: 8 });
+    result.typography.lineHeights = mergeArrays(lineHeightArrays, normalizedWeights, { maxItems: 8, provenance });
 
     // Spacing
     result.spacing.scale = blendSpacingScales(
@@ -321,22 +324,26 @@ function blendDesignSystems(systems, options = {}) {
     const easingArrays = systems.map(s => s.animations?.easings || []);
     result.animations.easings = [...new Set(easingArrays.flat())].slice(0, 6);
 
-    // Components
-    ['buttons', 'inputs', 'cards'].forEach(component => {
+    // Components: only exact duplicates collapse, matching dedupeComponents in the extractor
+    const componentTypes = new Set(['buttons', 'inputs', 'cards']);
+    systems.forEach(s => Object.keys(s.components || {}).forEach(type => componentTypes.add(type)));
+    componentTypes.forEach(component => {
       const arrays = systems.map(s => s.components?.[component] || []);
       result.components[component] = mergeArrays(arrays, normalizedWeights, {
-        dedupe: false,
-        maxItems: 10
+        key: item => JSON.stringify(item),
+        sortBy: null,
+        maxItems: 10,
+        provenance
       });
     });
 
     // Shadows
     const shadowArrays = systems.map(s => s.shadows || []);
-    result.shadows = mergeArrays(shadowArrays, normalizedWeights, { maxItems: 8 });
+    result.shadows = mergeArrays(shadowArrays, normalizedWeights, { maxItems: 8, provenance });
 
     // Border radius
     const radiusArrays = systems.map(s => s.borderRadius || []);
-    result.borderRadius = mergeArrays(radiusArrays, normalizedWeights, { maxItems: 10 });
+    result.borderRadius = mergeArrays(radiusArrays, normalizedWeights, { maxItems: 10, provenance });
 
     // Breakpoints
     const bpArrays = systems.map(s => s.breakpoints?.detected || []);
@@ -377,6 +384,7 @@ module.exports = {
   dedupeColors,
   mergeArrays,
   mergeObjects,
+  itemKey,
   blendSpacingScales,
   blendTypographyScales
 };
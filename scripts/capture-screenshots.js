@@ -10,12 +10,18 @@
  *   node capture-screenshots.js <url> [output-dir]
  *   node capture-screenshots.js https://example.com ./screenshots
  *   node capture-screenshots.js --compare before/ after/ --output report.html
+ *   node capture-screenshots.js --compare before/ after/ --reference=design-system.json
+ *
+ * With --reference, the comparison report also shows the design system's
+ * status colors as seen with protanopia, deuteranopia, tritanopia and
+ * achromatopsia, and flags the pairs that become hard to tell apart
  *
  * @version 1.0.0
  */
 
 const fs = require('fs');
 const path = require('path');
+const { auditColorVision } = require('./compare-design-systems');
 
 // =============================================================================
 // CONFIGURATION
@@ -202,12 +208,68 @@ function generatePlaywrightCommands(manifest, outputDir = './screenshots') {
 // COMPARISON UTILITIES
 // =============================================================================
 
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"]/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[ch]);
+}
+
+const swatch = (value) => `<span class="swatch" style="background: ${value}" title="${value}"></span><code>${value}</code>`;
+
+// Status colors under each simulated deficiency, then the pairs that merge
+function colorVisionSection(audit) {
+  if (!audit || audit.colors.length === 0) return '';
+  const typeName = (type) => type[0].toUpperCase() + type.slice(1);
+  const label = (entry) => `${escapeHtml(entry.name)}${entry.theme ? ` <small>(${entry.theme})</small>` : ''}`;
+
+  return `
+  <section class="color-vision">
+    <h2>Color Vision</h2>
+    <p>Status colors as seen with each color vision deficiency. Pairs of different statuses closer than ΔE ${audit.threshold} are flagged.</p>
+    <table class="cvd-table">
+      <thead>
+        <tr><th>Color</th><th>Normal</th>${audit.types.map(type => `<th>${typeName(type)}</th>`).join('')}</tr>
+      </thead>
+      <tbody>
+        ${audit.colors.map(entry => `<tr>
+          <td>${label(entry)}</td>
+          <td>${swatch(entry.value)}</td>
+          ${audit.types.map(type => `<td>${swatch(entry.simulated[type])}</td>`).join('')}
+        </tr>`).join('\n        ')}
+      </tbody>
+    </table>
+    ${audit.issues.length === 0
+      ? `<p class="cvd-pass">✅ All status colors stay distinguishable.</p>`
+      : audit.issues.map(issue => `
+    <div class="cvd-issue">
+      <h3>⚠️ ${escapeHtml(issue.first.name)} / ${escapeHtml(issue.second.name)}${issue.theme ? ` (${issue.theme})` : ''}</h3>
+      <div class="cvd-pairs">
+        <div class="cvd-pair">
+          <h4>Normal (ΔE ${issue.deltaE})</h4>
+          <div class="cvd-swatches">${swatch(issue.first.value)}${swatch(issue.second.value)}</div>
+        </div>
+        ${issue.confused.map(type => `<div class="cvd-pair">
+          <h4>${typeName(type)} (ΔE ${issue.deltas[type]})</h4>
+          <div class="cvd-swatches">${swatch(issue.first.simulated[type])}${swatch(issue.second.simulated[type])}</div>
+        </div>`).join('\n        ')}
+      </div>
+    </div>`).join('\n')}
+  </section>`;
+}
+
+/**
+ * Before/after report of matching screenshots. `reference` is a design system
+ * (extract.js output) whose status colors get a color vision section;
+ * `thresholds.cvdDelta` sets how far apart they must stay (ΔE 2000, default 10).
+ */
 function generateComparisonReport(beforeDir, afterDir, options = {}) {
   const {
     title = 'Design System Comparison',
-    outputPath = 'comparison-report.html'
+    outputPath = 'comparison-report.html',
+    reference = null,
+    thresholds = {}
   } = options;
 
+  const colorVision = reference ? auditColorVision(reference, thresholds) : null;
+
   // Find matching screenshots
   const beforeFiles = fs.existsSync(beforeDir)
     ? fs.readdirSync(beforeDir).filter(f => f.endsWith('.png'))
@@ -357,6 +419,50 @@ function generateComparisonReport(beforeDir, afterDir, options = {}) {
       color: white;
       border-color: #1a1a1a;
     }
+    .color-vision {
+      background: white;
+      padding: 1rem 2rem;
+      border-radius: 8px;
+      margin-bottom: 2rem;
+      box-shadow: 0 1px 3px rgba(0,0,0,0.1);
+    }
+    .color-vision h2 { margin-bottom: 0.5rem; color: #1a1a1a; }
+    .color-vision p { color: #666; margin-bottom: 1rem; }
+    .cvd-table {
+      width: 100%;
+      border-collapse: collapse;
+      margin-bottom: 1rem;
+      font-size: 0.875rem;
+    }
+    .cvd-table th, .cvd-table td {
+      text-align: left;
+      padding: 0.5rem;
+      border-bottom: 1px solid #e5e5e5;
+    }
+    .swatch {
+      display: inline-block;
+      width: 1.5rem;
+      height: 1.5rem;
+      border-radius: 4px;
+      border: 1px solid rgba(0,0,0,0.1);
+      vertical-align: middle;
+      margin-right: 0.375rem;
+    }
+    .cvd-issue {
+      border-top: 1px solid #e5e5e5;
+      padding: 1rem 0;
+    }
+    .cvd-issue h3 { font-size: 1rem; margin-bottom: 0.75rem; }
+    .cvd-pairs { display: flex; flex-wrap: wrap; gap: 1.5rem; }
+    .cvd-pair h4 {
+      font-size: 0.75rem;
+      color: #666;
+      text-transform: uppercase;
+      letter-spacing: 0.05em;
+      margin-bottom: 0.5rem;
+    }
+    .cvd-swatches { display: flex; gap: 0.75rem; align-items: center; }
+    .cvd-swatches .swatch { width: 3rem; height: 3rem; }
     .view-side-by-side .slider-container { display: none; }
     .view-slider .comparison-body > .image-container { display: none; }
     @media (max-width: 768px) {
@@ -374,6 +480,7 @@ function generateComparisonReport(beforeDir, afterDir, options = {}) {
     <p><strong>After:</strong> ${afterDir}</p>
     <p><strong>Generated:</strong> ${new Date().toLocaleString()}</p>
   </div>
+${colorVisionSection(colorVision)}
 
   <div class="comparison-grid">
     ${pairs.map(pair => `
@@ -440,6 +547,7 @@ function generateComparisonReport(beforeDir, afterDir, options = {}) {
   return {
     html,
     pairs,
+    colorVision,
     stats: {
       total: pairs.length,
       beforeOnly: beforeFiles.filter(f => !afterFiles.includes(f)),
@@ -513,6 +621,7 @@ if (require.main === module) {
   const outputFlag = args.find(a => a.startsWith('--output='));
   const labelFlag = args.find(a => a.startsWith('--label='));
   const pagesFlag = args.find(a => a.startsWith('--pages='));
+  const referenceFlag = args.find(a => a.startsWith('--reference='));
 
   if (compareFlag) {
     // Comparison mode
@@ -529,7 +638,17 @@ if (require.main === module) {
     console.log(`Before: ${beforeDir}`);
     console.log(`After: ${afterDir}`);
 
-    const result = generateComparisonReport(beforeDir, afterDir, { outputPath });
+    let reference = null;
+    if (referenceFlag) {
+      const referencePath = path.resolve(referenceFlag.split('=')[1]);
+      if (!fs.existsSync(referencePath)) {
+        console.error(`Error: Reference file not found: ${referencePath}`);
+        process.exit(1);
+      }
+      reference = JSON.parse(fs.readFileSync(referencePath, 'utf-8'));
+    }
+
+    const result = generateComparisonReport(beforeDir, afterDir, { outputPath, reference });
 
     fs.writeFileSync(path.resolve(outputPath), result.html);
     console.log(`\nReport saved to: ${outputPath}`);
@@ -541,6 +660,9 @@ if (require.main === module) {
     if (result.stats.afterOnly.length > 0) {
       console.log(`After only: ${result.stats.afterOnly.join(', ')}`);
     }
+    if (result.colorVision?.issues.length > 0) {
+      console.log(`Color vision: ${result.colorVision.issues.length} status color pairs hard to tell apart`);
+    }
 
   } else {
     // Capture plan mode
@@ -559,12 +681,14 @@ Usage:
   node capture-screenshots.js <url> [output-dir]
 
   # Compare before/after screenshots
-  node capture-screenshots.js --compare <before-dir> <after-dir> [--output=report.html]
+  node capture-screenshots.js --compare <before-dir> <after-dir> [--output=report.html] [--reference=FILE]
 
 Options:
   --label=NAME        Label for this capture session
   --pages=home,about  Pages to capture (comma-separated paths)
   --output=FILE       Output file for comparison report
+  --reference=FILE    Design system whose status colors are simulated for
+                      color vision deficiencies in the comparison report
 
 Examples:
   # Generate capture plan
@@ -10,6 +10,17 @@
  *   node ci-compare.js <project-path> <reference.json> [options]
  *   node ci-compare.js ./my-project ./design-system.json --threshold=80
  *   node ci-compare.js . ./linear.json --format=github --fail-on=warning
+ *   node ci-compare.js . ./linear.json --config=ci/impression.config.json
+ *
+ * Weights, thresholds and ignore lists are read from the project's
+ * .impressionrc or impression.config.json (see impression-config.js);
+ * --threshold overrides its overallScore.
+ *
+ * A Tailwind config is read for its literal values, without executing it: the
+ * project is often a pull request, and running its config would run its code
+ * with the pipeline's secrets in reach. --evaluate-config executes it the way
+ * Tailwind does, resolving presets, imports and theme functions, for projects
+ * whose code is trusted.
  *
  * Exit codes:
  *   0 - All checks passed
@@ -21,6 +32,8 @@
 
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const { loadConfig, describeConfig } = require('./impression-config');
 
 // Import comparison module
 let compareDesignSystems;
@@ -141,6 +154,21 @@ function simpleCompare(projectPath, reference) {
 // CI REPORT GENERATORS
 // =============================================================================
 
+// `file:line:column` as far as the issue knows it
+function formatLocation(issue) {
+  if (!issue.file) return '';
+  return [issue.file, issue.line, issue.line && issue.column].filter(Boolean).join(':');
+}
+
+// Workflow commands end a message at a newline and a property at , or :
+function escapeAnnotationData(value) {
+  return String(value).replace(/%/g, '%25').replace(/\r/g, '%0D').replace(/\n/g, '%0A');
+}
+
+function escapeAnnotationProperty(value) {
+  return escapeAnnotationData(value).replace(/:/g, '%3A').replace(/,/g, '%2C');
+}
+
 function generateJSONReport(result, options = {}) {
   return {
     version: '1.0.0',
@@ -155,9 +183,16 @@ function generateJSONReport(result, options = {}) {
       category: issue.category,
       message: issue.message,
       file: issue.file || null,
-      line: issue.line || null
+      line: issue.line || null,
+      column: issue.column || null,
+      expected: issue.expected || null,
+      actual: issue.actual || null,
+      suggestion: issue.suggestion || null
     })),
-    thresholds: options.thresholds || DEFAULT_THRESHOLDS
+    offSystem: result.offSystem || [],
+    thresholds: options.thresholds || DEFAULT_THRESHOLDS,
+    weights: options.config?.weights || null,
+    config: options.config?.source || null
   };
 }
 
@@ -166,12 +201,13 @@ function generateGitHubAnnotations(result, options = {}) {
 
   for (const issue of result.issues) {
     const level = SEVERITY_LEVELS[issue.severity]?.github || 'notice';
-    const file = issue.file || 'design-system';
+    const properties = [`title=${escapeAnnotationProperty(`Design system: ${issue.category}`)}`];
+    if (issue.file) properties.push(`file=${escapeAnnotationProperty(issue.file)}`);
+    if (issue.file && issue.line) properties.push(`line=${issue.line}`);
+    if (issue.file && issue.line && issue.column) properties.push(`col=${issue.column}`);
 
     // GitHub Actions workflow command format
-    annotations.push(
-      `::${level} file=${file}${issue.line ? `,line=${issue.line}` : ''}::${issue.message}`
-    );
+    annotations.push(`::${level} ${properties.join(',')}::${escapeAnnotationData(issue.message)}`);
   }
 
   // Summary annotation
@@ -188,17 +224,26 @@ function generateGitLabReport(result, options = {}) {
   const report = [];
 
   for (const issue of result.issues) {
+    // Issues about the reference as a whole sit on the reference file
+    const reference = options.referencePath && path.relative(process.cwd(), options.referencePath);
+    const location = { path: issue.file || reference || 'design-system.json' };
+    if (issue.line && issue.column) {
+      location.positions = { begin: { line: issue.line, column: issue.column } };
+    } else {
+      location.lines = { begin: issue.line || 1 };
+    }
+
     report.push({
       description: issue.message,
       check_name: `design-system/${issue.category}`,
-      fingerprint: Buffer.from(`${issue.category}:${issue.message}`).toString('base64').slice(0, 32),
+      // Unique per issue and stable across runs, so GitLab can track it between pipelines
+      fingerprint: crypto.createHash('md5')
+        .update(`${issue.category}:${issue.message}:${formatLocation(issue)}`)
+        .digest('hex'),
       severity: issue.severity === 'critical' ? 'blocker' :
                 issue.severity === 'major' ? 'critical' :
                 issue.severity === 'minor' ? 'major' : 'minor',
-      location: {
-        path: issue.file || 'design-system.json',
-        lines: { begin: issue.line || 1 }
-      }
+      location
     });
   }
 
@@ -242,7 +287,7 @@ function generateMarkdownReport(result, options = {}) {
 
         for (const issue of grouped[severity]) {
           md += `- **${issue.category}**: ${issue.message}`;
-          if (issue.file) md += ` (\`${issue.file}\`)`;
+          if (issue.file) md += ` (\`${formatLocation(issue)}\`)`;
           md += `\n`;
         }
         md += `\n`;
@@ -252,6 +297,25 @@ function generateMarkdownReport(result, options = {}) {
     md += `\n## ✨ No issues found!\n`;
   }
 
+  // Hardcoded values off the reference, by file
+  if (result.offSystem?.length > 0) {
+    md += `\n## Off-System Literals\n\n`;
+    md += `| File | Count | Most used |\n`;
+    md += `|------|-------|-----------|\n`;
+    for (const entry of result.offSystem.slice(0, 10)) {
+      const literals = entry.literals.slice(0, 3).map(literal => `\`${literal.value}\` ×${literal.count}`);
+      md += `| \`${entry.file}\` | ${entry.count} | ${literals.join(', ')} |\n`;
+    }
+    if (result.offSystem.length > 10) {
+      md += `\n... and ${result.offSystem.length - 10} more files\n`;
+    }
+  }
+
+  if (options.config) {
+    md += `\n## Score Settings\n\n`;
+    for (const line of describeConfig(options.config)) md += `- ${line}\n`;
+  }
+
   md += `\n---\n*Generated by Impression CI Compare*\n`;
 
   return md;
@@ -266,7 +330,11 @@ function generateTextReport(result, options = {}) {
   text += `════════════════════════════════════════════════════════════════\n\n`;
 
   text += `  Score: ${result.score}/100 ${passed ? '[PASS]' : '[FAIL]'}\n`;
-  text += `  Threshold: ${options.threshold || 70}\n\n`;
+  text += `  Threshold: ${options.threshold || 70}\n`;
+  if (options.config) {
+    for (const line of describeConfig(options.config)) text += `  ${line}\n`;
+  }
+  text += `\n`;
 
   text += `  Summary:\n`;
   for (const [category, stats] of Object.entries(result.summary || {})) {
@@ -278,6 +346,15 @@ function generateTextReport(result, options = {}) {
     for (const issue of result.issues) {
       const { emoji } = SEVERITY_LEVELS[issue.severity] || { emoji: '•' };
       text += `    ${emoji} [${issue.severity.toUpperCase()}] ${issue.category}: ${issue.message}\n`;
+      if (issue.file) text += `       at ${formatLocation(issue)}\n`;
+    }
+  }
+
+  if (result.offSystem?.length > 0) {
+    text += `\n  Off-system literals (${result.offSystem.length} files):\n`;
+    for (const entry of result.offSystem.slice(0, 10)) {
+      const literals = entry.literals.slice(0, 3).map(literal => `${literal.value} ×${literal.count}`);
+      text += `    ${entry.file}: ${entry.count} (${literals.join(', ')})\n`;
     }
   }
 
@@ -290,13 +367,17 @@ function generateTextReport(result, options = {}) {
 // MAIN CI COMPARISON
 // =============================================================================
 
+// `options.config` is a loaded config; by default the project's own is read,
+// or `options.configPath`'s. `options.evaluateConfig` executes a Tailwind config
+// instead of reading its literal values.
 function runCIComparison(projectPath, referencePath, options = {}) {
+  const config = options.config || loadConfig(projectPath, options.configPath);
   const {
-    threshold = 70,
+    threshold = config.thresholds.overallScore,
     format = 'text',
-    failOn = 'critical',
-    thresholds = DEFAULT_THRESHOLDS
+    failOn = 'critical'
   } = options;
+  const thresholds = { ...DEFAULT_THRESHOLDS, ...config.thresholds, ...options.thresholds };
 
   // Load reference
   if (!fs.existsSync(referencePath)) {
@@ -308,13 +389,26 @@ function runCIComparison(projectPath, referencePath, options = {}) {
   // Run comparison
   let result;
   if (compareDesignSystems?.runComparison) {
-    result = compareDesignSystems.runComparison(projectPath, reference, thresholds);
+    result = compareDesignSystems.runComparison(projectPath, reference, thresholds, config, { evaluateConfig: Boolean(options.evaluateConfig) });
   } else {
     result = simpleCompare(projectPath, reference);
   }
 
+  // Annotations and Code Quality entries want paths relative to the repository
+  // root, which is where CI runs this from
+  result.issues = result.issues.map(issue => ({
+    ...issue,
+    file: issue.file && path.isAbsolute(issue.file) ? path.relative(process.cwd(), issue.file) || '.' : issue.file
+  }));
+  if (result.offSystem) {
+    result.offSystem = result.offSystem.map(entry => ({
+      ...entry,
+      file: path.isAbsolute(entry.file) ? path.relative(process.cwd(), entry.file) : entry.file
+    }));
+  }
+
   // Generate report based on format
-  const reportOptions = { projectPath, referencePath, threshold, thresholds };
+  const reportOptions = { projectPath, referencePath, threshold, thresholds, config };
   let report;
 
   switch (format.toLowerCase()) {
@@ -386,9 +480,13 @@ if (require.main === module) {
   const formatFlag = args.find(a => a.startsWith('--format='));
   const failOnFlag = args.find(a => a.startsWith('--fail-on='));
   const outputFlag = args.find(a => a.startsWith('--output='));
+  const configFlag = args.find(a => a.startsWith('--config='));
   const quietFlag = args.includes('--quiet') || args.includes('-q');
+  const evaluateConfig = args.includes('--evaluate-config');
 
-  const threshold = thresholdFlag ? parseInt(thresholdFlag.split('=')[1]) : 70;
+  // Without --threshold the config's overallScore (70 by default) applies
+  const threshold = thresholdFlag ? parseInt(thresholdFlag.split('=')[1]) : undefined;
+  const configPath = configFlag ? configFlag.split('=')[1] : null;
   const format = formatFlag ? formatFlag.split('=')[1] : 'text';
   const failOn = failOnFlag ? failOnFlag.split('=')[1] : 'critical';
   const outputPath = outputFlag ? outputFlag.split('=')[1] : null;
@@ -408,10 +506,14 @@ Usage:
   node ci-compare.js <project-path> <reference.json> [options]
 
 Options:
-  --threshold=N      Minimum passing score (default: 70)
+  --threshold=N      Minimum passing score (default: config's overallScore, 70)
   --format=FORMAT    Output format: text, json, github, gitlab, markdown
   --fail-on=LEVEL    Fail threshold: critical, major, warning (default: critical)
   --output=FILE      Write report to file instead of stdout
+  --config=FILE      Settings file (default: .impressionrc or impression.config.json
+                     in the project)
+  --evaluate-config  Execute the Tailwind config instead of reading its literal
+                     values (only for trusted code: it runs with CI's environment)
   --quiet, -q        Suppress output (exit code only)
 
 Exit Codes:
@@ -469,7 +571,7 @@ CI Integration:
     const { result, report, exitCode, passed } = runCIComparison(
       fullProjectPath,
       fullReferencePath,
-      { threshold, format, failOn }
+      { threshold, format, failOn, configPath, evaluateConfig }
     );
 
     // Output report
@@ -0,0 +1,987 @@
+#!/usr/bin/env node
+/**
+ * Color
+ * Color science shared by every script: CSS Color 4/5 parsing, conversion,
+ * gamut mapping, ΔE (76, 94, 2000, OK), contrast (WCAG 2 ratio, APCA Lc) and
+ * color vision deficiency simulation
+ *
+ * Reads hex (3/4/6/8 digits), named colors, rgb(), hsl(), hwb(), lab(), lch(),
+ * oklab(), oklch(), color() in any predefined space (srgb, srgb-linear,
+ * display-p3, a98-rgb, prophoto-rgb, rec2020, xyz, xyz-d50, xyz-d65) and
+ * color-mix(). Parsed colors keep their alpha and the space they were written
+ * in; conversion to sRGB for hex output is gamut mapped per CSS Color 4, so a
+ * P3 brand red becomes the closest sRGB red instead of a clipped wrong hue.
+ *
+ * The library lives entirely inside createColorLib() so that extract.js can
+ * inject its source into the page next to extract-design-system.js, where it
+ * is available as `ImpressionColor`.
+ *
+ * Usage:
+ *   const color = require('./color');
+ *   color.parse('oklch(62% 0.19 260 / 50%)')  // { space: 'oklch', coords: [...], alpha: 0.5 }
+ *   color.toHex('color(display-p3 1 0 0)')     // '#ff0b0c' (gamut mapped)
+ *   color.normalize('rgb(0 0 0 / 0.5)')        // '#00000080'
+ *   color.deltaE('#5e6ad2', '#5f6bd0')         // ΔE 2000; also '76', '94', 'ok'
+ *   color.contrastRatio('#777', '#fff')        // 4.48
+ *   color.apcaContrast('#888', '#fff')         // 63.1 (Lc)
+ *   color.simulateCVD('#e5484d', 'deuteranopia') // as seen without green cones
+ *   color.findFocusRingColor(designSystem.components) // first button/input focus ring color
+ *   node color.js "color-mix(in oklch, red 40%, blue)"
+ *
+ * @version 1.0.0
+ */
+
+const createColorLib = () => {
+  // ============ MATRICES ============
+
+  const multiply = (m, v) => m.map(row => row[0] * v[0] + row[1] * v[1] + row[2] * v[2]);
+
+  const invert = (m) => {
+    const [[a, b, c], [d, e, f], [g, h, i]] = m;
+    const A = e * i - f * h, B = -(d * i - f * g), C = d * h - e * g;
+    const det = a * A + b * B + c * C;
+    return [
+      [A / det, -(b * i - c * h) / det, (b * f - c * e) / det],
+      [B / det, (a * i - c * g) / det, -(a * f - c * d) / det],
+      [C / det, -(a * h - b * g) / det, (a * e - b * d) / det]
+    ];
+  };
+
+  // Linear RGB → XYZ, from the CSS Color 4 sample code; inverses are derived
+  const LIN_SRGB_TO_XYZ = [
+    [506752 / 1228815, 87881 / 245763, 12673 / 70218],
+    [87098 / 409605, 175762 / 245763, 12673 / 175545],
+    [7918 / 409605, 87881 / 737289, 1001167 / 1053270]
+  ];
+  const LIN_P3_TO_XYZ = [
+    [608311 / 1250200, 189793 / 714400, 198249 / 1000160],
+    [35783 / 156275, 247089 / 357200, 198249 / 2500400],
+    [0, 32229 / 714400, 5220557 / 5000800]
+  ];
+  const LIN_A98_TO_XYZ = [
+    [573536 / 994567, 263643 / 1420810, 187206 / 994567],
+    [591459 / 1989134, 6239551 / 9945670, 374412 / 4972835],
+    [53769 / 1989134, 351524 / 4972835, 4929758 / 4972835]
+  ];
+  const LIN_REC2020_TO_XYZ = [
+    [63426534 / 99577255, 20160776 / 139408157, 47086771 / 278816314],
+    [26158966 / 99577255, 472592308 / 697040785, 8267143 / 139408157],
+    [0, 19567812 / 697040785, 295819943 / 278816314]
+  ];
+  const LIN_PROPHOTO_TO_XYZ_D50 = [
+    [0.7977666449006423, 0.13518129740053308, 0.0313477341283922858],
+    [0.2880748288194013, 0.711835234241873, 0.00008993693872564],
+    [0.0, 0.0, 0.8251046025104602]
+  ];
+  // Bradford chromatic adaptation
+  const D50_TO_D65 = [
+    [0.955473421488075, -0.02309845494876471, 0.06325924320057072],
+    [-0.0283697093338637, 1.0099953980813041, 0.021041441191917323],
+    [0.012314014864481998, -0.020507649298898964, 1.330365926242124]
+  ];
+  const XYZ_TO_LMS = [
+    [0.8190224379967030, 0.3619062600528904, -0.1288737815209879],
+    [0.0329836539323885, 0.9292868615863434, 0.0361446663506424],
+    [0.0481771893596242, 0.2642395317527308, 0.6335478284694309]
+  ];
+  const LMS_TO_OKLAB = [
+    [0.2104542683093140, 0.7936177747023054, -0.0040720430116193],
+    [1.9779985324311684, -2.4285922420485799, 0.4505937096174110],
+    [0.0259040424655478, 0.7827717124575296, -0.8086757549230774]
+  ];
+
+  const XYZ_TO_LIN_SRGB = invert(LIN_SRGB_TO_XYZ);
+  const XYZ_TO_LIN_P3 = invert(LIN_P3_TO_XYZ);
+  const XYZ_TO_LIN_A98 = invert(LIN_A98_TO_XYZ);
+  const XYZ_TO_LIN_REC2020 = invert(LIN_REC2020_TO_XYZ);
+  const XYZ_D50_TO_LIN_PROPHOTO = invert(LIN_PROPHOTO_TO_XYZ_D50);
+  const D65_TO_D50 = invert(D50_TO_D65);
+  const LMS_TO_XYZ = invert(XYZ_TO_LMS);
+  const OKLAB_TO_LMS = invert(LMS_TO_OKLAB);
+
+  const D50_WHITE = [0.3457 / 0.3585, 1, (1 - 0.3457 - 0.3585) / 0.3585];
+
+  // ============ TRANSFER FUNCTIONS ============
+
+  const signed = (fn) => (c) => Math.sign(c) * fn(Math.abs(c));
+
+  const srgbToLinear = signed(c => c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4));
+  const linearToSrgb = signed(c => c <= 0.0031308 ? c * 12.92 : 1.055 * Math.pow(c, 1 / 2.4) - 0.055);
+  const a98ToLinear = signed(c => Math.pow(c, 563 / 256));
+  const linearToA98 = signed(c => Math.pow(c, 256 / 563));
+  const prophotoToLinear = signed(c => c <= 16 / 512 ? c / 16 : Math.pow(c, 1.8));
+  const linearToProphoto = signed(c => c >= 1 / 512 ? Math.pow(c, 1 / 1.8) : 16 * c);
+
+  const REC_ALPHA = 1.09929682680944;
+  const REC_BETA = 0.018053968510807;
+  const rec2020ToLinear = signed(c => c < REC_BETA * 4.5 ? c / 4.5 : Math.pow((c + REC_ALPHA - 1) / REC_ALPHA, 1 / 0.45));
+  const linearToRec2020 = signed(c => c < REC_BETA ? 4.5 * c : REC_ALPHA * Math.pow(c, 0.45) - (REC_ALPHA - 1));
+
+  // ============ SPACES ============
+
+  const hslToSrgb = ([h, s, l]) => {
+    s /= 100;
+    l /= 100;
+    const f = (n) => {
+      const k = (n + h / 30) % 12;
+      return l - s * Math.min(l, 1 - l) * Math.max(-1, Math.min(k - 3, 9 - k, 1));
+    };
+    return [f(0), f(8), f(4)];
+  };
+
+  const srgbToHsl = ([r, g, b]) => {
+    const max = Math.max(r, g, b);
+    const min = Math.min(r, g, b);
+    const l = (max + min) / 2;
+    const d = max - min;
+    let h = 0;
+    let s = 0;
+    if (d !== 0) {
+      s = l === 0 || l === 1 ? 0 : (max - l) / Math.min(l, 1 - l);
+      switch (max) {
+        case r: h = (g - b) / d + (g < b ? 6 : 0); break;
+        case g: h = (b - r) / d + 2; break;
+        default: h = (r - g) / d + 4;
+      }
+      h *= 60;
+    }
+    return [h, s * 100, l * 100];
+  };
+
+  const hwbToSrgb = ([h, w, b]) => {
+    w /= 100;
+    b /= 100;
+    if (w + b >= 1) {
+      const gray = w / (w + b);
+      return [gray, gray, gray];
+    }
+    return hslToSrgb([h, 100, 50]).map(c => c * (1 - w - b) + w);
+  };
+
+  const srgbToHwb = (rgb) => {
+    const [h] = srgbToHsl(rgb);
+    return [h, Math.min(...rgb) * 100, (1 - Math.max(...rgb)) * 100];
+  };
+
+  const labToXyzD50 = ([L, a, b]) => {
+    const kappa = 24389 / 27;
+    const epsilon = 216 / 24389;
+    const fy = (L + 16) / 116;
+    const fx = a / 500 + fy;
+    const fz = fy - b / 200;
+    const xyz = [
+      Math.pow(fx, 3) > epsilon ? Math.pow(fx, 3) : (116 * fx - 16) / kappa,
+      L > kappa * epsilon ? Math.pow(fy, 3) : L / kappa,
+      Math.pow(fz, 3) > epsilon ? Math.pow(fz, 3) : (116 * fz - 16) / kappa
+    ];
+    return xyz.map((v, i) => v * D50_WHITE[i]);
+  };
+
+  const xyzD50ToLab = (xyz) => {
+    const kappa = 24389 / 27;
+    const epsilon = 216 / 24389;
+    const [fx, fy, fz] = xyz.map((v, i) => v / D50_WHITE[i])
+      .map(v => v > epsilon ? Math.cbrt(v) : (kappa * v + 16) / 116);
+    return [116 * fy - 16, 500 * (fx - fy), 200 * (fy - fz)];
+  };
+
+  const toPolar = ([L, a, b]) => {
+    const h = Math.atan2(b, a) * 180 / Math.PI;
+    return [L, Math.sqrt(a * a + b * b), h < 0 ? h + 360 : h];
+  };
+
+  const fromPolar = ([L, C, h]) => [
+    L,
+    C * Math.cos(h * Math.PI / 180),
+    C * Math.sin(h * Math.PI / 180)
+  ];
+
+  const xyzToOklab = (xyz) => multiply(LMS_TO_OKLAB, multiply(XYZ_TO_LMS, xyz).map(Math.cbrt));
+  const oklabToXyz = (lab) => multiply(LMS_TO_XYZ, multiply(OKLAB_TO_LMS, lab).map(v => v * v * v));
+
+  // Every space converts through XYZ (D65)
+  const SPACES = {
+    'srgb': {
+      toXyz: c => multiply(LIN_SRGB_TO_XYZ, c.map(srgbToLinear)),
+      fromXyz: xyz => multiply(XYZ_TO_LIN_SRGB, xyz).map(linearToSrgb),
+      range: [1, 1, 1]
+    },
+    'srgb-linear': {
+      toXyz: c => multiply(LIN_SRGB_TO_XYZ, c),
+      fromXyz: xyz => multiply(XYZ_TO_LIN_SRGB, xyz),
+      range: [1, 1, 1]
+    },
+    'display-p3': {
+      toXyz: c => multiply(LIN_P3_TO_XYZ, c.map(srgbToLinear)),
+      fromXyz: xyz => multiply(XYZ_TO_LIN_P3, xyz).map(linearToSrgb),
+      range: [1, 1, 1]
+    },
+    'a98-rgb': {
+      toXyz: c => multiply(LIN_A98_TO_XYZ, c.map(a98ToLinear)),
+      fromXyz: xyz => multiply(XYZ_TO_LIN_A98, xyz).map(linearToA98),
+      range: [1, 1, 1]
+    },
+    'prophoto-rgb': {
+      toXyz: c => multiply(D50_TO_D65, multiply(LIN_PROPHOTO_TO_XYZ_D50, c.map(prophotoToLinear))),
+      fromXyz: xyz => multiply(XYZ_D50_TO_LIN_PROPHOTO, multiply(D65_TO_D50, xyz)).map(linearToProphoto),
+      range: [1, 1, 1]
+    },
+    'rec2020': {
+      toXyz: c => multiply(LIN_REC2020_TO_XYZ, c.map(rec2020ToLinear)),
+      fromXyz: xyz => multiply(XYZ_TO_LIN_REC2020, xyz).map(linearToRec2020),
+      range: [1, 1, 1]
+    },
+    'xyz-d65': {
+      toXyz: c => c,
+      fromXyz: xyz => xyz,
+      range: [1, 1, 1]
+    },
+    'xyz-d50': {
+      toXyz: c => multiply(D50_TO_D65, c),
+      fromXyz: xyz => multiply(D65_TO_D50, xyz),
+      range: [1, 1, 1]
+    },
+    'hsl': {
+      toXyz: c => SPACES.srgb.toXyz(hslToSrgb(c)),
+      fromXyz: xyz => srgbToHsl(SPACES.srgb.fromXyz(xyz)),
+      range: [360, 100, 100],
+      hue: 0
+    },
+    'hwb': {
+      toXyz: c => SPACES.srgb.toXyz(hwbToSrgb(c)),
+      fromXyz: xyz => srgbToHwb(SPACES.srgb.fromXyz(xyz)),
+      range: [360, 100, 100],
+      hue: 0
+    },
+    'lab': {
+      toXyz: c => multiply(D50_TO_D65, labToXyzD50(c)),
+      fromXyz: xyz => xyzD50ToLab(multiply(D65_TO_D50, xyz)),
+      range: [100, 125, 125]
+    },
+    'lch': {
+      toXyz: c => SPACES.lab.toXyz(fromPolar(c)),
+      fromXyz: xyz => toPolar(SPACES.lab.fromXyz(xyz)),
+      range: [100, 150, 360],
+      hue: 2
+    },
+    'oklab': {
+      toXyz: c => oklabToXyz(c),
+      fromXyz: xyz => xyzToOklab(xyz),
+      range: [1, 0.4, 0.4]
+    },
+    'oklch': {
+      toXyz: c => oklabToXyz(fromPolar(c)),
+      fromXyz: xyz => toPolar(xyzToOklab(xyz)),
+      range: [1, 0.4, 360],
+      hue: 2
+    }
+  };
+
+  // Spaces whose colors have exact hex equivalents when in gamut
+  const SRGB_FAMILY = ['srgb', 'hsl', 'hwb'];
+
+  // Within the family the XYZ round trip only adds float error (hsl(0 0% 50%) -> #7f807f)
+  const FROM_SRGB = { srgb: c => c, hsl: srgbToHsl, hwb: srgbToHwb };
+  const TO_SRGB = { srgb: c => c, hsl: hslToSrgb, hwb: hwbToSrgb };
+
+  const convert = (color, space) => {
+    if (color.space === space) return { ...color, coords: [...color.coords] };
+    let coords = SRGB_FAMILY.includes(color.space) && SRGB_FAMILY.includes(space)
+      ? FROM_SRGB[space](TO_SRGB[color.space](color.coords))
+      : SPACES[space].fromXyz(SPACES[color.space].toXyz(color.coords));
+    // Achromatic colors have no meaningful hue
+    const hueIndex = SPACES[space].hue;
+    if (hueIndex !== undefined) {
+      const chroma = space === 'hsl' || space === 'hwb' ? null : coords[1];
+      if (Number.isNaN(coords[hueIndex]) || (chroma !== null && chroma < 1e-7)) {
+        coords = coords.map((c, i) => i === hueIndex ? 0 : c);
+      }
+    }
+    return { space, coords, alpha: color.alpha };
+  };
+
+  // ============ GAMUT MAPPING ============
+
+  const GAMUT_EPSILON = 1e-5;
+
+  const inGamut = (color, space = 'srgb') => {
+    const target = SRGB_FAMILY.includes(space) ? 'srgb' : space;
+    if (!['srgb', 'srgb-linear', 'display-p3', 'a98-rgb', 'prophoto-rgb', 'rec2020'].includes(target)) return true;
+    return convert(color, target).coords.every(c => c >= -GAMUT_EPSILON && c <= 1 + GAMUT_EPSILON);
+  };
+
+  const clip = (color) => ({ ...color, coords: color.coords.map(c => Math.min(1, Math.max(0, c))) });
+
+  // Euclidean distance in OKLab; ~0.02 is a just-noticeable difference
+  const deltaEOK = (c1, c2) => {
+    const [L1, a1, b1] = convert(c1, 'oklab').coords;
+    const [L2, a2, b2] = convert(c2, 'oklab').coords;
+    return Math.sqrt((L1 - L2) ** 2 + (a1 - a2) ** 2 + (b1 - b2) ** 2);
+  };
+
+  /**
+   * CSS Color 4 gamut mapping: lower OKLCH chroma until the clipped color is
+   * within a just-noticeable difference of the unclipped one. Legacy sRGB
+   * input such as rgb(300 0 0) is clipped per channel, as browsers do.
+   */
+  const toGamut = (color, space = 'srgb') => {
+    if (SRGB_FAMILY.includes(color.space) && SRGB_FAMILY.includes(space)) {
+      return convert(clip(convert(color, 'srgb')), space);
+    }
+    const target = convert(color, space);
+    if (inGamut(color, space)) return clip(target);
+
+    const origin = convert(color, 'oklch');
+    if (origin.coords[0] >= 1) return { space, coords: SPACES[space].fromXyz(SPACES.srgb.toXyz([1, 1, 1])), alpha: color.alpha };
+    if (origin.coords[0] <= 0) return { space, coords: [0, 0, 0], alpha: color.alpha };
+
+    const JND = 0.02;
+    const EPSILON = 0.0001;
+    let min = 0;
+    let max = origin.coords[1];
+    let minInGamut = true;
+    const current = { ...origin, coords: [...origin.coords] };
+    let clipped = clip(convert(current, space));
+    if (deltaEOK(clipped, current) < JND) return clipped;
+
+    while (max - min > EPSILON) {
+      const chroma = (min + max) / 2;
+      current.coords[1] = chroma;
+      if (minInGamut && inGamut(current, space)) {
+        min = chroma;
+        continue;
+      }
+      clipped = clip(convert(current, space));
+      const E = deltaEOK(clipped, current);
+      if (E < JND) {
+        if (JND - E < EPSILON) return clipped;
+        minInGamut = false;
+        min = chroma;
+      } else {
+        max = chroma;
+      }
+    }
+    return clipped;
+  };
+
+  // ============ PARSING ============
+
+  const NAMED = {};
+  ('aliceblue:f0f8ff,antiquewhite:faebd7,aqua:00ffff,aquamarine:7fffd4,azure:f0ffff,beige:f5f5dc,' +
+   'bisque:ffe4c4,black:000000,blanchedalmond:ffebcd,blue:0000ff,blueviolet:8a2be2,brown:a52a2a,' +
+   'burlywood:deb887,cadetblue:5f9ea0,chartreuse:7fff00,chocolate:d2691e,coral:ff7f50,' +
+   'cornflowerblue:6495ed,cornsilk:fff8dc,crimson:dc143c,cyan:00ffff,darkblue:00008b,darkcyan:008b8b,' +
+   'darkgoldenrod:b8860b,darkgray:a9a9a9,darkgreen:006400,darkgrey:a9a9a9,darkkhaki:bdb76b,' +
+   'darkmagenta:8b008b,darkolivegreen:556b2f,darkorange:ff8c00,darkorchid:9932cc,darkred:8b0000,' +
+   'darksalmon:e9967a,darkseagreen:8fbc8f,darkslateblue:483d8b,darkslategray:2f4f4f,' +
+   'darkslategrey:2f4f4f,darkturquoise:00ced1,darkviolet:9400d3,deeppink:ff1493,deepskyblue:00bfff,' +
+   'dimgray:696969,dimgrey:696969,dodgerblue:1e90ff,firebrick:b22222,floralwhite:fffaf0,' +
+   'forestgreen:228b22,fuchsia:ff00ff,gainsboro:dcdcdc,ghostwhite:f8f8ff,gold:ffd700,' +
+   'goldenrod:daa520,gray:808080,green:008000,greenyellow:adff2f,grey:808080,honeydew:f0fff0,' +
+   'hotpink:ff69b4,indianred:cd5c5c,indigo:4b0082,ivory:fffff0,khaki:f0e68c,lavender:e6e6fa,' +
+   'lavenderblush:fff0f5,lawngreen:7cfc00,lemonchiffon:fffacd,lightblue:add8e6,lightcoral:f08080,' +
+   'lightcyan:e0ffff,lightgoldenrodyellow:fafad2,lightgray:d3d3d3,lightgreen:90ee90,lightgrey:d3d3d3,' +
+   'lightpink:ffb6c1,lightsalmon:ffa07a,lightseagreen:20b2aa,lightskyblue:87cefa,' +
+   'lightslategray:778899,lightslategrey:778899,lightsteelblue:b0c4de,lightyellow:ffffe0,lime:00ff00,' +
+   'limegreen:32cd32,linen:faf0e6,magenta:ff00ff,maroon:800000,mediumaquamarine:66cdaa,' +
+   'mediumblue:0000cd,mediumorchid:ba55d3,mediumpurple:9370db,mediumseagreen:3cb371,' +
+   'mediumslateblue:7b68ee,mediumspringgreen:00fa9a,mediumturquoise:48d1cc,mediumvioletred:c71585,' +
+   'midnightblue:191970,mintcream:f5fffa,mistyrose:ffe4e1,moccasin:ffe4b5,navajowhite:ffdead,' +
+   'navy:000080,oldlace:fdf5e6,olive:808000,olivedrab:6b8e23,orange:ffa500,orangered:ff4500,' +
+   'orchid:da70d6,palegoldenrod:eee8aa,palegreen:98fb98,paleturquoise:afeeee,palevioletred:db7093,' +
+   'papayawhip:ffefd5,peachpuff:ffdab9,peru:cd853f,pink:ffc0cb,plum:dda0dd,powderblue:b0e0e6,' +
+   'purple:800080,rebeccapurple:663399,red:ff0000,rosybrown:bc8f8f,royalblue:4169e1,' +
+   'saddlebrown:8b4513,salmon:fa8072,sandybrown:f4a460,seagreen:2e8b57,seashell:fff5ee,' +
+   'sienna:a0522d,silver:c0c0c0,skyblue:87ceeb,slateblue:6a5acd,slategray:708090,slategrey:708090,' +
+   'snow:fffafa,springgreen:00ff7f,steelblue:4682b4,tan:d2b48c,teal:008080,thistle:d8bfd8,' +
+   'tomato:ff6347,turquoise:40e0d0,violet:ee82ee,wheat:f5deb3,white:ffffff,whitesmoke:f5f5f5,' +
+   'yellow:ffff00,yellowgreen:9acd32')
+    .split(',').forEach(entry => {
+      const [name, hex] = entry.split(':');
+      NAMED[name] = hex;
+    });
+
+  const parseHex = (value) => {
+    const hex = value.slice(1);
+    if (!/^[0-9a-f]+$/i.test(hex) || ![3, 4, 6, 8].includes(hex.length)) return null;
+    const full = hex.length <= 4 ? [...hex].map(ch => ch + ch).join('') : hex;
+    const channels = full.match(/../g).map(pair => parseInt(pair, 16) / 255);
+    return { space: 'srgb', coords: channels.slice(0, 3), alpha: channels[3] ?? 1 };
+  };
+
+  // Split function arguments on whitespace, commas and "/", keeping nested parentheses intact
+  const splitArgs = (inner) => {
+    const parts = [];
+    let depth = 0;
+    let token = '';
+    let alphaIndex = -1;
+    const flush = () => {
+      if (token) parts.push(token);
+      token = '';
+    };
+    for (const ch of inner) {
+      if (ch === '(') depth++;
+      if (ch === ')') depth--;
+      if (depth === 0 && (ch === ' ' || ch === ',' || ch === '/' || ch === '\n' || ch === '\t')) {
+        flush();
+        if (ch === '/') alphaIndex = parts.length;
+        continue;
+      }
+      token += ch;
+    }
+    flush();
+    return { parts, alphaIndex, legacy: depth === 0 && /,/.test(inner.replace(/\([^()]*\)/g, '')) };
+  };
+
+  const ANGLE_UNITS = { deg: 1, grad: 0.9, rad: 180 / Math.PI, turn: 360 };
+
+  // Parse one component; `percentScale` is what 100% maps to
+  const parseComponent = (token, percentScale, isHue = false) => {
+    if (token === 'none') return 0;
+    const match = /^([+-]?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?)(%|deg|grad|rad|turn)?$/i.exec(token);
+    if (!match) return NaN;
+    const num = parseFloat(match[1]);
+    const unit = match[2]?.toLowerCase();
+    if (unit === '%') return num / 100 * percentScale;
+    if (unit) return isHue ? num * ANGLE_UNITS[unit] : NaN;
+    return num;
+  };
+
+  const parseAlpha = (token) => {
+    if (token === undefined) return 1;
+    const alpha = parseComponent(token, 1);
+    return Number.isNaN(alpha) ? NaN : Math.min(1, Math.max(0, alpha));
+  };
+
+  const normalizeHue = (h) => ((h % 360) + 360) % 360;
+
+  const parseFunction = (name, inner) => {
+    if (name === 'color-mix') return parseColorMix(inner);
+
+    const { parts, alphaIndex, legacy } = splitArgs(inner);
+    let channels = parts;
+    let alphaToken;
+    if (alphaIndex !== -1) {
+      channels = parts.slice(0, alphaIndex);
+      alphaToken = parts[alphaIndex];
+    } else if (legacy && parts.length === 4) {
+      channels = parts.slice(0, 3);
+      alphaToken = parts[3];
+    }
+
+    let space;
+    let coords;
+
+    if (name === 'color') {
+      space = channels[0] === 'xyz' ? 'xyz-d65' : channels[0];
+      if (!SPACES[space] || SPACES[space].hue !== undefined || ['lab', 'oklab'].includes(space)) return null;
+      coords = channels.slice(1).map(t => parseComponent(t, 1));
+    } else if (name === 'rgb' || name === 'rgba') {
+      space = 'srgb';
+      coords = channels.map(t => parseComponent(t, 255) / 255);
+    } else if (name === 'hsl' || name === 'hsla') {
+      space = 'hsl';
+      coords = [parseComponent(channels[0], 360, true), parseComponent(channels[1], 100), parseComponent(channels[2], 100)];
+    } else if (name === 'hwb') {
+      space = 'hwb';
+      coords = [parseComponent(channels[0], 360, true), parseComponent(channels[1], 100), parseComponent(channels[2], 100)];
+    } else if (SPACES[name] && ['lab', 'lch', 'oklab', 'oklch'].includes(name)) {
+      space = name;
+      const { range, hue } = SPACES[name];
+      coords = channels.map((t, i) => parseComponent(t, range[i], i === hue));
+    } else {
+      return null;
+    }
+
+    const alpha = parseAlpha(alphaToken);
+    if (coords.length !== 3 || coords.some(Number.isNaN) || Number.isNaN(alpha)) return null;
+
+    const hue = SPACES[space].hue;
+    if (hue !== undefined) coords[hue] = normalizeHue(coords[hue]);
+    if (space === 'lab' || space === 'lch') coords[0] = Math.min(100, Math.max(0, coords[0]));
+    if (space === 'oklab' || space === 'oklch') coords[0] = Math.min(1, Math.max(0, coords[0]));
+    if ((space === 'lch' || space === 'oklch') && coords[1] < 0) coords[1] = 0;
+
+    return { space, coords, alpha };
+  };
+
+  // ============ COLOR-MIX ============
+
+  const interpolateHue = (h1, h2, t, method) => {
+    let diff = h2 - h1;
+    if (method === 'shorter') {
+      if (diff > 180) h1 += 360;
+      else if (diff < -180) h2 += 360;
+    } else if (method === 'longer') {
+      if (diff > 0 && diff < 180) h1 += 360;
+      else if (diff > -180 && diff <= 0) h2 += 360;
+    } else if (method === 'increasing') {
+      if (diff < 0) h2 += 360;
+    } else if (method === 'decreasing') {
+      if (diff > 0) h1 += 360;
+    }
+    diff = h2 - h1;
+    return normalizeHue(h1 + diff * t);
+  };
+
+  /**
+   * Mix two colors the way color-mix() does: premultiplied alpha, hue
+   * interpolation by `hueMethod`, `weight` being the share of the second color.
+   */
+  const mix = (color1, color2, weight = 0.5, space = 'oklab', hueMethod = 'shorter') => {
+    const a = convert(color1, space);
+    const b = convert(color2, space);
+    const hue = SPACES[space].hue;
+    const alpha = a.alpha * (1 - weight) + b.alpha * weight;
+
+    const coords = a.coords.map((c, i) => {
+      if (i === hue) return interpolateHue(c, b.coords[i], weight, hueMethod);
+      const premixed = c * a.alpha * (1 - weight) + b.coords[i] * b.alpha * weight;
+      return alpha === 0 ? 0 : premixed / alpha;
+    });
+
+    return { space, coords, alpha };
+  };
+
+  const parseColorMix = (inner) => {
+    const args = [];
+    let depth = 0;
+    let current = '';
+    for (const ch of inner) {
+      if (ch === '(') depth++;
+      if (ch === ')') depth--;
+      if (ch === ',' && depth === 0) {
+        args.push(current.trim());
+        current = '';
+      } else {
+        current += ch;
+      }
+    }
+    args.push(current.trim());
+    if (args.length !== 3) return null;
+
+    const method = /^in\s+([a-z0-9-]+)(?:\s+(shorter|longer|increasing|decreasing)\s+hue)?$/i.exec(args[0]);
+    if (!method) return null;
+    const space = method[1].toLowerCase() === 'xyz' ? 'xyz-d65' : method[1].toLowerCase();
+    if (!SPACES[space]) return null;
+
+    const stops = args.slice(1).map(arg => {
+      const pct = /\s([+-]?[\d.]+)%$|^([+-]?[\d.]+)%\s/.exec(arg);
+      const text = pct ? arg.replace(pct[0], ' ').trim() : arg;
+      return { color: parse(text), pct: pct ? parseFloat(pct[1] ?? pct[2]) : null };
+    });
+    if (stops.some(s => !s.color)) return null;
+
+    let [p1, p2] = stops.map(s => s.pct);
+    if (p1 === null && p2 === null) { p1 = 50; p2 = 50; }
+    else if (p1 === null) p1 = 100 - p2;
+    else if (p2 === null) p2 = 100 - p1;
+    const sum = p1 + p2;
+    if (sum <= 0) return null;
+
+    const mixed = mix(stops[0].color, stops[1].color, p2 / sum, space, (method[2] || 'shorter').toLowerCase());
+    // Percentages summing below 100% make the result more transparent
+    if (sum < 100) mixed.alpha *= sum / 100;
+    return mixed;
+  };
+
+  /**
+   * Parse any CSS color string into { space, coords, alpha }.
+   * Returns null for keywords that aren't concrete colors (currentcolor,
+   * inherit, system colors) and anything malformed.
+   */
+  const parse = (value) => {
+    if (value && typeof value === 'object' && value.space) return value;
+    if (typeof value !== 'string') return null;
+    const str = value.trim().toLowerCase();
+    if (!str) return null;
+
+    if (str.startsWith('#')) return parseHex(str);
+    if (str === 'transparent') return { space: 'srgb', coords: [0, 0, 0], alpha: 0 };
+    if (NAMED[str]) return parseHex(`#${NAMED[str]}`);
+
+    const fn = /^([a-z-]+)\((.*)\)$/s.exec(str);
+    if (!fn) return null;
+    return parseFunction(fn[1], fn[2].trim());
+  };
+
+  // ============ SERIALIZATION ============
+
+  const round = (n, digits) => {
+    const factor = Math.pow(10, digits);
+    const rounded = Math.round(n * factor) / factor;
+    return Object.is(rounded, -0) ? 0 : rounded;
+  };
+
+  const toRgb = (input) => {
+    const color = parse(input);
+    if (!color) return null;
+    const [r, g, b] = toGamut(color, 'srgb').coords.map(c => Math.round(c * 255));
+    return { r, g, b, a: color.alpha };
+  };
+
+  /**
+   * Hex in sRGB, gamut mapped; 8 digits when translucent unless `alpha` is false
+   */
+  const toHex = (input, { alpha = true } = {}) => {
+    const rgb = toRgb(input);
+    if (!rgb) return null;
+    const channels = [rgb.r, rgb.g, rgb.b];
+    if (alpha && rgb.a < 1) channels.push(Math.round(rgb.a * 255));
+    return '#' + channels.map(c => c.toString(16).padStart(2, '0')).join('');
+  };
+
+  const serialize = (input, { precision = 4 } = {}) => {
+    const color = parse(input);
+    if (!color) return null;
+    const { space, coords, alpha } = color;
+    const alphaPart = alpha < 1 ? ` / ${round(alpha, 3)}` : '';
+
+    if (SRGB_FAMILY.includes(space)) {
+      const srgb = convert(color, 'srgb');
+      if (inGamut(srgb, 'srgb')) return toHex(srgb);
+      return `color(srgb ${srgb.coords.map(c => round(c, precision)).join(' ')}${alphaPart})`;
+    }
+    if (['lab', 'lch', 'oklab', 'oklch'].includes(space)) {
+      const digits = space.startsWith('ok') ? precision : precision - 2;
+      const parts = coords.map((c, i) => round(c, i === SPACES[space].hue ? 2 : digits));
+      return `${space}(${parts.join(' ')}${alphaPart})`;
+    }
+    const name = space === 'xyz-d65' ? 'xyz-d65' : space;
+    return `color(${name} ${coords.map(c => round(c, precision)).join(' ')}${alphaPart})`;
+  };
+
+  /**
+   * Canonical token value for any CSS color: hex (8 digits when translucent)
+   * when the color is sRGB-based or fits in sRGB exactly, otherwise the
+   * color serialized in the space it was written in. Fully transparent → null.
+   */
+  const normalize = (input) => {
+    const color = parse(input);
+    if (!color || color.alpha === 0) return null;
+    if (SRGB_FAMILY.includes(color.space)) return serialize(color);
+    if (color.space === 'srgb-linear' && inGamut(color, 'srgb')) return toHex(color);
+    return serialize(color);
+  };
+
+  const isWideGamut = (input) => {
+    const color = parse(input);
+    return Boolean(color) && !inGamut(color, 'srgb');
+  };
+
+  const toHsl = (input) => {
+    const color = parse(input);
+    if (!color) return null;
+    // Trim float noise so integer rounding of e.g. 217.5° is stable
+    const [h, s, l] = srgbToHsl(toGamut(color, 'srgb').coords).map(c => round(c, 9));
+    return { h, s, l };
+  };
+
+  // ============ COLOR DIFFERENCE ============
+
+  // All ΔE variants take any color input and return Infinity when either side doesn't parse
+  const withLab = (fn) => (c1, c2) => {
+    const color1 = parse(c1);
+    const color2 = parse(c2);
+    if (!color1 || !color2) return Infinity;
+    return fn(convert(color1, 'lab').coords, convert(color2, 'lab').coords);
+  };
+
+  const deltaE76 = withLab(([L1, a1, b1], [L2, a2, b2]) =>
+    Math.sqrt((L1 - L2) ** 2 + (a1 - a2) ** 2 + (b1 - b2) ** 2));
+
+  // CIE94, graphic arts weights
+  const deltaE94 = withLab(([L1, a1, b1], [L2, a2, b2]) => {
+    const C1 = Math.sqrt(a1 * a1 + b1 * b1);
+    const C2 = Math.sqrt(a2 * a2 + b2 * b2);
+    const dL = L1 - L2;
+    const dC = C1 - C2;
+    const dH2 = Math.max(0, (a1 - a2) ** 2 + (b1 - b2) ** 2 - dC * dC);
+    const SC = 1 + 0.045 * C1;
+    const SH = 1 + 0.015 * C1;
+    return Math.sqrt(dL * dL + (dC / SC) ** 2 + dH2 / (SH * SH));
+  });
+
+  // CIEDE2000, after Sharma, Wu & Dalal (2005)
+  const deltaE2000 = withLab(([L1, a1, b1], [L2, a2, b2]) => {
+    const rad = Math.PI / 180;
+    const C1 = Math.sqrt(a1 * a1 + b1 * b1);
+    const C2 = Math.sqrt(a2 * a2 + b2 * b2);
+    const Cab7 = Math.pow((C1 + C2) / 2, 7);
+    const G = 0.5 * (1 - Math.sqrt(Cab7 / (Cab7 + Math.pow(25, 7))));
+
+    const a1p = a1 * (1 + G);
+    const a2p = a2 * (1 + G);
+    const C1p = Math.sqrt(a1p * a1p + b1 * b1);
+    const C2p = Math.sqrt(a2p * a2p + b2 * b2);
+    const h1p = C1p === 0 ? 0 : normalizeHue(Math.atan2(b1, a1p) / rad);
+    const h2p = C2p === 0 ? 0 : normalizeHue(Math.atan2(b2, a2p) / rad);
+
+    const dLp = L2 - L1;
+    const dCp = C2p - C1p;
+    let dhp = 0;
+    if (C1p * C2p !== 0) {
+      dhp = h2p - h1p;
+      if (dhp > 180) dhp -= 360;
+      else if (dhp < -180) dhp += 360;
+    }
+    const dHp = 2 * Math.sqrt(C1p * C2p) * Math.sin(dhp * rad / 2);
+
+    const Lp = (L1 + L2) / 2;
+    const Cp = (C1p + C2p) / 2;
+    let Hp = h1p + h2p;
+    if (C1p * C2p !== 0) {
+      if (Math.abs(h1p - h2p) <= 180) Hp = (h1p + h2p) / 2;
+      else Hp = h1p + h2p < 360 ? (h1p + h2p + 360) / 2 : (h1p + h2p - 360) / 2;
+    }
+
+    const T = 1
+      - 0.17 * Math.cos((Hp - 30) * rad)
+      + 0.24 * Math.cos(2 * Hp * rad)
+      + 0.32 * Math.cos((3 * Hp + 6) * rad)
+      - 0.20 * Math.cos((4 * Hp - 63) * rad);
+    const dTheta = 30 * Math.exp(-(((Hp - 275) / 25) ** 2));
+    const Cp7 = Math.pow(Cp, 7);
+    const RC = 2 * Math.sqrt(Cp7 / (Cp7 + Math.pow(25, 7)));
+    const SL = 1 + (0.015 * (Lp - 50) ** 2) / Math.sqrt(20 + (Lp - 50) ** 2);
+    const SC = 1 + 0.045 * Cp;
+    const SH = 1 + 0.015 * Cp * T;
+    const RT = -Math.sin(2 * dTheta * rad) * RC;
+
+    return Math.sqrt(
+      (dLp / SL) ** 2 +
+      (dCp / SC) ** 2 +
+      (dHp / SH) ** 2 +
+      RT * (dCp / SC) * (dHp / SH)
+    );
+  });
+
+  const DELTA_E = {
+    '76': deltaE76,
+    '94': deltaE94,
+    '2000': deltaE2000,
+    'ok': (c1, c2) => {
+      const color1 = parse(c1);
+      const color2 = parse(c2);
+      return color1 && color2 ? deltaEOK(color1, color2) : Infinity;
+    }
+  };
+
+  const deltaE = (c1, c2, method = '2000') => {
+    const fn = DELTA_E[String(method).toLowerCase()];
+    if (!fn) throw new Error(`Unknown ΔE method: ${method}`);
+    return fn(c1, c2);
+  };
+
+  // ============ CONTRAST ============
+
+  // Source-over compositing in sRGB, so translucent text is judged as rendered
+  const composite = (top, bottom) => {
+    const fg = parse(top);
+    const bg = parse(bottom);
+    if (!fg || !bg) return null;
+    const front = toGamut(fg, 'srgb');
+    const back = toGamut(bg, 'srgb');
+    const alpha = front.alpha + back.alpha * (1 - front.alpha);
+    if (alpha === 0) return { space: 'srgb', coords: [0, 0, 0], alpha: 0 };
+    const coords = front.coords.map((c, i) =>
+      (c * front.alpha + back.coords[i] * back.alpha * (1 - front.alpha)) / alpha);
+    return { space: 'srgb', coords, alpha };
+  };
+
+  // Translucent backgrounds are assumed to sit on white
+  const opaqueBackground = (bg) => {
+    const color = parse(bg);
+    if (!color || color.alpha >= 1) return color;
+    return composite(color, { space: 'srgb', coords: [1, 1, 1], alpha: 1 });
+  };
+
+  // WCAG 2 relative luminance
+  const luminance = (input) => {
+    const color = parse(input);
+    if (!color) return null;
+    const [r, g, b] = toGamut(color, 'srgb').coords.map(srgbToLinear);
+    return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+  };
+
+  // WCAG 2 contrast ratio (1–21) of a foreground drawn over a background
+  const contrastRatio = (fg, bg) => {
+    const back = opaqueBackground(bg);
+    const front = back && composite(fg, back);
+    if (!front) return null;
+    const l1 = luminance(front);
+    const l2 = luminance(back);
+    return (Math.max(l1, l2) + 0.05) / (Math.min(l1, l2) + 0.05);
+  };
+
+  /**
+   * APCA lightness contrast (Lc), APCA-W3 0.0.98G-4g constants.
+   * Positive for dark text on light backgrounds, negative for light on dark;
+   * roughly |Lc| 75 for body text, 60 for content text, 45 for large text.
+   */
+  const apcaContrast = (text, background) => {
+    const back = opaqueBackground(background);
+    const front = back && composite(text, back);
+    if (!front) return null;
+
+    const screenY = (color) => {
+      const [r, g, b] = toGamut(color, 'srgb').coords.map(c => Math.pow(Math.max(0, c), 2.4));
+      const Y = 0.2126729 * r + 0.7151522 * g + 0.0721750 * b;
+      // Soft clamp near black
+      return Y > 0.022 ? Y : Y + Math.pow(0.022 - Y, 1.414);
+    };
+
+    const Ytext = screenY(front);
+    const Ybg = screenY(back);
+    if (Math.abs(Ybg - Ytext) < 0.0005) return 0;
+
+    let Lc;
+    if (Ybg > Ytext) {
+      const SAPC = (Math.pow(Ybg, 0.56) - Math.pow(Ytext, 0.57)) * 1.14;
+      Lc = SAPC < 0.1 ? 0 : SAPC - 0.027;
+    } else {
+      const SAPC = (Math.pow(Ybg, 0.65) - Math.pow(Ytext, 0.62)) * 1.14;
+      Lc = SAPC > -0.1 ? 0 : SAPC + 0.027;
+    }
+    return Lc * 100;
+  };
+
+  // ============ FOCUS RINGS ============
+
+  // Color of the first focus ring (outline or box-shadow) among extracted component states
+  const findFocusRingColor = (components = {}) => {
+    for (const component of [...(components.buttons || []), ...(components.inputs || [])]) {
+      const focus = component.states?.focus;
+      if (!focus) continue;
+      // "<width> <style> <color>", where the color may itself contain spaces
+      const outlineColor = focus.outline?.split(' ').slice(2).join(' ');
+      if (outlineColor && parse(outlineColor)) return outlineColor;
+      const shadowColor = focus.boxShadow?.match(/(?:rgba?|hsla?|hwb|lab|lch|oklab|oklch|color)\([^)]+\)|#[0-9a-f]{3,8}/i)?.[0];
+      if (shadowColor) return shadowColor;
+    }
+    return null;
+  };
+
+  // ============ COLOR VISION DEFICIENCY ============
+
+  // Machado, Oliveira & Fernandes (2009) at full severity, on linear sRGB
+  const CVD_MATRICES = {
+    protanopia: [
+      [0.152286, 1.052583, -0.204868],
+      [0.114503, 0.786281, 0.099216],
+      [-0.003882, -0.048116, 1.051998]
+    ],
+    deuteranopia: [
+      [0.367322, 0.860646, -0.227968],
+      [0.280085, 0.672501, 0.047413],
+      [-0.011820, 0.042940, 0.968881]
+    ],
+    tritanopia: [
+      [1.255528, -0.076749, -0.178779],
+      [-0.078411, 0.930809, 0.147602],
+      [0.004733, 0.691367, 0.303900]
+    ]
+  };
+  const CVD_TYPES = [...Object.keys(CVD_MATRICES), 'achromatopsia'];
+
+  /**
+   * How a color looks with protanopia, deuteranopia, tritanopia or
+   * achromatopsia (no color at all: the gray of the same luminance).
+   * Returns an sRGB color with the input's alpha.
+   */
+  const simulateCVD = (input, type) => {
+    const color = parse(input);
+    if (!color) return null;
+    const linear = toGamut(color, 'srgb').coords.map(srgbToLinear);
+    let simulated;
+    if (type === 'achromatopsia') {
+      const Y = 0.2126 * linear[0] + 0.7152 * linear[1] + 0.0722 * linear[2];
+      simulated = [Y, Y, Y];
+    } else if (CVD_MATRICES[type]) {
+      simulated = multiply(CVD_MATRICES[type], linear);
+    } else {
+      throw new Error(`Unknown color vision deficiency: ${type} (expected ${CVD_TYPES.join(', ')})`);
+    }
+    const coords = simulated.map(c => Math.min(1, Math.max(0, linearToSrgb(c))));
+    return { space: 'srgb', coords, alpha: color.alpha };
+  };
+
+  return {
+    parse,
+    convert,
+    mix,
+    inGamut,
+    toGamut,
+    toRgb,
+    toHex,
+    toHsl,
+    serialize,
+    normalize,
+    isWideGamut,
+    deltaE,
+    deltaE76,
+    deltaE94,
+    deltaE2000,
+    deltaEOK: DELTA_E.ok,
+    composite,
+    luminance,
+    contrastRatio,
+    apcaContrast,
+    simulateCVD,
+    CVD_TYPES,
+    findFocusRingColor,
+    SPACES: Object.keys(SPACES)
+  };
+};
+
+const color = createColorLib();
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { ...color, createColorLib };
+} else {
+  window.ImpressionColor = color;
+}
+
+// =============================================================================
+// CLI
+// =============================================================================
+
+if (typeof require !== 'undefined' && require.main === module) {
+  const inputs = process.argv.slice(2);
+
+  if (inputs.length === 0) {
+    console.log(`
+Impression: Color
+=================
+
+Usage:
+  node color.js <css-color> [...]
+
+Examples:
+  node color.js "oklch(62% 0.19 260 / 50%)"
+  node color.js "color(display-p3 1 0 0)" "#5e6ad2cc"
+  node color.js "color-mix(in oklch, red 40%, blue)"
+`);
+    process.exit(1);
+  }
+
+  for (const input of inputs) {
+    const parsed = color.parse(input);
+    if (!parsed) {
+      console.error(`Error: Not a color: ${input}`);
+      process.exitCode = 1;
+      continue;
+    }
+    console.log(`${input}`);
+    console.log(`  space:      ${parsed.space}${color.isWideGamut(parsed) ? ' (outside sRGB)' : ''}`);
+    console.log(`  alpha:      ${parsed.alpha}`);
+    console.log(`  normalized: ${color.normalize(parsed)}`);
+    console.log(`  hex:        ${color.toHex(parsed)}`);
+    console.log(`  oklch:      ${color.serialize(color.convert(parsed, 'oklch'))}`);
+    console.log(`  contrast:   ${color.contrastRatio(parsed, '#ffffff').toFixed(2)}:1 on white, ${color.contrastRatio(parsed, '#000000').toFixed(2)}:1 on black`);
+  }
+}
@@ -3,242 +3,75 @@
  * Compare Project Styles Against Reference Design System
  *
  * Features:
- * - CIE ΔE 2000 perceptually accurate color comparison
- * - WCAG 2.1 contrast ratio accessibility audit
+ * - CIE ΔE 2000 perceptually accurate color comparison, paired by semantic role
+ * - WCAG 2.2 and APCA contrast audit of the text/background pairs the reference renders
+ * - Color vision deficiency check that status colors stay distinguishable
  * - Typography, spacing, and border-radius matching
  *
  * Usage:
- *   node compare-design-systems.js <project-path> <reference.json> [output.md]
+ *   node compare-design-systems.js <project-path> <reference.json> [output.md] [--config=FILE]
  *   node compare-design-systems.js /path/to/project references/duchateau.json
  *
  * Auto-detects: Tailwind config, CSS variables, CSS files
+ * Settings: category weights, thresholds and ignore lists from the project's
+ * .impressionrc or impression.config.json (see impression-config.js)
  * Outputs: Markdown comparison report with similarity scores and accessibility audit
+ *
+ * runComparison() returns the same comparison as a score plus issues, each
+ * pointing at the file, line and column of the offending declaration with the
+ * reference token to use instead (ci-compare.js builds its reports from it)
  */
 
 const fs = require('fs');
 const path = require('path');
+const colorLib = require('./color');
+const { sanitizeName, parseDuration } = require('./generate-w3c-tokens');
+const { detectTailwind, findTailwindConfig, loadTailwindConfig, loadThemeStylesheets, flattenTheme, requireFromProject } = require('./tailwind-config');
+const { parseProjectStylesheets, splitTopLevel, findReferences } = require('./css-parser');
+const { detectCSSInJS, extractCSSInJS } = require('./css-in-js');
+const { scanProjectUsages } = require('./usage-scanner');
+const { findFontSources, isSystemFont, parseWeights } = require('./font-sources');
+const { loadConfig, createIgnore, describeConfig } = require('./impression-config');
 
 // ============ COLOR UTILITIES ============
+// Parsing, ΔE and contrast come from color.js so every script agrees on them
+
+const { deltaE2000, deltaE76 } = colorLib;
+
+// Default to ΔE 2000
+const deltaE = deltaE2000;
 
+// Any CSS color → 8-bit sRGB, gamut mapped
 function hexToRgb(hex) {
-  if (!hex) return null;
-  hex = hex.replace('#', '');
-  if (hex.length === 3) {
-    hex = hex[0] + hex[0] + hex[1] + hex[1] + hex[2] + hex[2];
-  }
-  const result = /^([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(hex);
-  return result ? {
-    r: parseInt(result[1], 16),
-    g: parseInt(result[2], 16),
-    b: parseInt(result[3], 16)
-  } : null;
+  const rgb = colorLib.toRgb(hex);
+  return rgb ? { r: rgb.r, g: rgb.g, b: rgb.b } : null;
 }
 
 function rgbToLab(rgb) {
   if (!rgb) return null;
-
-  // Convert RGB to XYZ (sRGB with D65 illuminant)
-  let r = rgb.r / 255;
-  let g = rgb.g / 255;
-  let b = rgb.b / 255;
-
-  r = r > 0.04045 ? Math.pow((r + 0.055) / 1.055, 2.4) : r / 12.92;
-  g = g > 0.04045 ? Math.pow((g + 0.055) / 1.055, 2.4) : g / 12.92;
-  b = b > 0.04045 ? Math.pow((b + 0.055) / 1.055, 2.4) : b / 12.92;
-
-  r *= 100; g *= 100; b *= 100;
-
-  // D65 reference white
-  const refX = 95.047;
-  const refY = 100.000;
-  const refZ = 108.883;
-
-  let x = (r * 0.4124564 + g * 0.3575761 + b * 0.1804375) / refX;
-  let y = (r * 0.2126729 + g * 0.7151522 + b * 0.0721750) / refY;
-  let z = (r * 0.0193339 + g * 0.1191920 + b * 0.9503041) / refZ;
-
-  const epsilon = 0.008856;
-  const kappa = 903.3;
-
-  x = x > epsilon ? Math.pow(x, 1/3) : (kappa * x + 16) / 116;
-  y = y > epsilon ? Math.pow(y, 1/3) : (kappa * y + 16) / 116;
-  z = z > epsilon ? Math.pow(z, 1/3) : (kappa * z + 16) / 116;
-
-  return {
-    L: 116 * y - 16,
-    a: 500 * (x - y),
-    b: 200 * (y - z)
-  };
+  const srgb = { space: 'srgb', coords: [rgb.r / 255, rgb.g / 255, rgb.b / 255], alpha: 1 };
+  const [L, a, b] = colorLib.convert(srgb, 'lab').coords;
+  return { L, a, b };
 }
 
 /**
- * CIE ΔE 2000 - Perceptually uniform color difference
- * Reference: http://www.ece.rochester.edu/~gsharma/ciede2000/
+ * Any CSS color → token value: hex (#rrggbbaa when translucent), or the color
+ * in its own space when it lies outside sRGB. Unparseable or transparent → null.
  */
-function deltaE2000(hex1, hex2) {
-  const rgb1 = hexToRgb(hex1);
-  const rgb2 = hexToRgb(hex2);
-  if (!rgb1 || !rgb2) return Infinity;
-
-  const lab1 = rgbToLab(rgb1);
-  const lab2 = rgbToLab(rgb2);
-  if (!lab1 || !lab2) return Infinity;
-
-  const { L: L1, a: a1, b: b1 } = lab1;
-  const { L: L2, a: a2, b: b2 } = lab2;
-
-  // Weighting factors
-  const kL = 1, kC = 1, kH = 1;
-
-  // Calculate C' and h'
-  const C1 = Math.sqrt(a1 * a1 + b1 * b1);
-  const C2 = Math.sqrt(a2 * a2 + b2 * b2);
-  const Cab = (C1 + C2) / 2;
-
-  const G = 0.5 * (1 - Math.sqrt(Math.pow(Cab, 7) / (Math.pow(Cab, 7) + Math.pow(25, 7))));
-
-  const a1p = a1 * (1 + G);
-  const a2p = a2 * (1 + G);
-
-  const C1p = Math.sqrt(a1p * a1p + b1 * b1);
-  const C2p = Math.sqrt(a2p * a2p + b2 * b2);
-
-  const h1p = Math.atan2(b1, a1p) * 180 / Math.PI;
-  const h2p = Math.atan2(b2, a2p) * 180 / Math.PI;
-  const h1pAdj = h1p < 0 ? h1p + 360 : h1p;
-  const h2pAdj = h2p < 0 ? h2p + 360 : h2p;
-
-  // Calculate ΔL', ΔC', ΔH'
-  const dLp = L2 - L1;
-  const dCp = C2p - C1p;
-
-  let dhp;
-  if (C1p * C2p === 0) {
-    dhp = 0;
-  } else if (Math.abs(h2pAdj - h1pAdj) <= 180) {
-    dhp = h2pAdj - h1pAdj;
-  } else if (h2pAdj - h1pAdj > 180) {
-    dhp = h2pAdj - h1pAdj - 360;
-  } else {
-    dhp = h2pAdj - h1pAdj + 360;
-  }
-
-  const dHp = 2 * Math.sqrt(C1p * C2p) * Math.sin(dhp * Math.PI / 360);
-
-  // Calculate mean values
-  const Lp = (L1 + L2) / 2;
-  const Cp = (C1p + C2p) / 2;
-
-  let Hp;
-  if (C1p * C2p === 0) {
-    Hp = h1pAdj + h2pAdj;
-  } else if (Math.abs(h1pAdj - h2pAdj) <= 180) {
-    Hp = (h1pAdj + h2pAdj) / 2;
-  } else if (h1pAdj + h2pAdj < 360) {
-    Hp = (h1pAdj + h2pAdj + 360) / 2;
-  } else {
-    Hp = (h1pAdj + h2pAdj - 360) / 2;
-  }
-
-  // Calculate T
-  const T = 1 - 0.17 * Math.cos((Hp - 30) * Math.PI / 180)
-              + 0.24 * Math.cos(2 * Hp * Math.PI / 180)
-              + 0.32 * Math.cos((3 * Hp + 6) * Math.PI / 180)
-              - 0.20 * Math.cos((4 * Hp - 63) * Math.PI / 180);
-
-  // Calculate SL, SC, SH
-  const dTheta = 30 * Math.exp(-Math.pow((Hp - 275) / 25, 2));
-  const RC = 2 * Math.sqrt(Math.pow(Cp, 7) / (Math.pow(Cp, 7) + Math.pow(25, 7)));
-  const SL = 1 + (0.015 * Math.pow(Lp - 50, 2)) / Math.sqrt(20 + Math.pow(Lp - 50, 2));
-  const SC = 1 + 0.045 * Cp;
-  const SH = 1 + 0.015 * Cp * T;
-  const RT = -Math.sin(2 * dTheta * Math.PI / 180) * RC;
-
-  // Final calculation
-  const dE = Math.sqrt(
-    Math.pow(dLp / (kL * SL), 2) +
-    Math.pow(dCp / (kC * SC), 2) +
-    Math.pow(dHp / (kH * SH), 2) +
-    RT * (dCp / (kC * SC)) * (dHp / (kH * SH))
-  );
-
-  return dE;
-}
-
-// Legacy CIE76 for backward compatibility
-function deltaE76(hex1, hex2) {
-  const rgb1 = hexToRgb(hex1);
-  const rgb2 = hexToRgb(hex2);
-  if (!rgb1 || !rgb2) return Infinity;
-
-  const lab1 = rgbToLab(rgb1);
-  const lab2 = rgbToLab(rgb2);
-  if (!lab1 || !lab2) return Infinity;
-
-  return Math.sqrt(
-    Math.pow(lab2.L - lab1.L, 2) +
-    Math.pow(lab2.a - lab1.a, 2) +
-    Math.pow(lab2.b - lab1.b, 2)
-  );
-}
-
-// Default to ΔE 2000
-const deltaE = deltaE2000;
-
-function normalizeColor(color) {
-  if (!color) return null;
-  color = String(color).trim().toLowerCase();
-
-  // Handle rgb/rgba
-  const rgbMatch = color.match(/rgba?\((\d+),\s*(\d+),\s*(\d+)/);
-  if (rgbMatch) {
-    const r = parseInt(rgbMatch[1]).toString(16).padStart(2, '0');
-    const g = parseInt(rgbMatch[2]).toString(16).padStart(2, '0');
-    const b = parseInt(rgbMatch[3]).toString(16).padStart(2, '0');
-    return `#${r}${g}${b}`;
-  }
-
-  // Handle hex
-  if (color.startsWith('#')) {
-    if (color.length === 4) {
-      return `#${color[1]}${color[1]}${color[2]}${color[2]}${color[3]}${color[3]}`;
-    }
-    return color.slice(0, 7);
-  }
-
-  // Named colors (common ones)
-  const named = {
-    white: '#ffffff', black: '#000000', red: '#ff0000',
-    green: '#008000', blue: '#0000ff', transparent: null,
-    gray: '#808080', grey: '#808080', silver: '#c0c0c0',
-    navy: '#000080', teal: '#008080', purple: '#800080',
-    orange: '#ffa500', yellow: '#ffff00', lime: '#00ff00',
-    aqua: '#00ffff', cyan: '#00ffff', magenta: '#ff00ff',
-    fuchsia: '#ff00ff', maroon: '#800000', olive: '#808000'
-  };
-  return named[color] || null;
+function normalizeColor(value) {
+  if (!value) return null;
+  return colorLib.normalize(String(value));
 }
 
 // ============ WCAG ACCESSIBILITY ============
 
 function getLuminance(hex) {
-  const rgb = hexToRgb(hex);
-  if (!rgb) return 0;
-
-  const [r, g, b] = [rgb.r, rgb.g, rgb.b].map(c => {
-    c = c / 255;
-    return c <= 0.03928 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
-  });
-
-  return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+  return colorLib.luminance(hex) ?? 0;
 }
 
-function getContrastRatio(hex1, hex2) {
-  const l1 = getLuminance(hex1);
-  const l2 = getLuminance(hex2);
-  const lighter = Math.max(l1, l2);
-  const darker = Math.min(l1, l2);
-  return (lighter + 0.05) / (darker + 0.05);
+// Translucent foregrounds are composited over the background first
+function getContrastRatio(foreground, background) {
+  return colorLib.contrastRatio(foreground, background) ?? 1;
 }
 
 function checkWCAG(foreground, background) {
@@ -257,7 +90,147 @@ function checkWCAG(foreground, background) {
   };
 }
 
-function auditAccessibility(colors) {
+// WCAG 2.2 large text: 24px, or 18.66px (14pt) bold
+function isLargeText(fontSize, fontWeight) {
+  return fontSize >= 24 || (fontSize >= 18.66 && fontWeight >= 700);
+}
+
+// APCA Bronze minimums: Lc 75 for body text, 60 for content text, 45 for headlines
+function apcaMinimum(fontSize, fontWeight) {
+  if (fontSize >= 36 || (fontSize >= 24 && fontWeight >= 700)) return 45;
+  if (fontSize >= 24 || (fontSize >= 16 && fontWeight >= 700)) return 60;
+  return 75;
+}
+
+// WCAG 2.2 and APCA checks of one rendered pair; `contrastMinimum` is the
+// ratio normal text needs (large text needs 3:1)
+function checkTextPair(pair, contrastMinimum = 4.5) {
+  const large = isLargeText(pair.fontSize, pair.fontWeight);
+  const wcag = checkWCAG(pair.foreground, pair.background);
+  // WCAG thresholds apply to the exact ratio: 4.4988 fails 4.5 though it reads "4.50"
+  const exact = getContrastRatio(pair.foreground, pair.background);
+  const required = large ? 3 : contrastMinimum;
+  const lc = colorLib.apcaContrast(pair.foreground, pair.background) ?? 0;
+  const lcMinimum = apcaMinimum(pair.fontSize, pair.fontWeight);
+  return {
+    large,
+    ratio: wcag.ratio,
+    required,
+    lc: Math.round(lc * 10) / 10,
+    lcMinimum,
+    passesWCAG: exact >= required,
+    passesAPCA: Math.abs(lc) >= lcMinimum,
+    AAA: large ? wcag.AAA.largeText : wcag.AAA.normalText
+  };
+}
+
+// Palette values of a reference, or of one of its themes
+function paletteColors(colors) {
+  const entries = [
+    ...(colors?.palette || []),
+    ...Object.values(colors?.semantic || {}).flat()
+  ];
+  return [...new Set(entries.map(c => c?.value).filter(Boolean))].filter(value => colorLib.parse(value));
+}
+
+// Nearest palette color (ΔE 2000) to the pair's `side` that passes both checks in its place
+function nearestPassing(pair, side, palette, contrastMinimum) {
+  let best = null;
+  for (const candidate of palette) {
+    const check = checkTextPair({ ...pair, [side]: candidate }, contrastMinimum);
+    if (!check.passesWCAG || !check.passesAPCA) continue;
+    const distance = deltaE(pair[side], candidate);
+    if (!best || distance < best.deltaE) best = { value: candidate, deltaE: distance };
+  }
+  return best && { value: best.value, deltaE: Math.round(best.deltaE * 10) / 10 };
+}
+
+/**
+ * Contrast audit of the text/background pairs the extractor saw rendered
+ * (`colors.pairs`, or `themes.light/dark.pairs` when the page has themes, with
+ * component states forced in each; references extracted before that keep the
+ * states of one theme in `colors.pairs`). Pairs failing WCAG AA are errors, pairs passing it but
+ * short of the APCA minimum for their size are warnings; both suggest the
+ * nearest passing text and background colors from the same palette. Text over
+ * background images is skipped. References extracted before pairs were
+ * recorded fall back to the most common text and background colors.
+ * `colorVision` is the auditColorVision result for the same reference.
+ */
+function auditAccessibility(reference, thresholds = {}) {
+  const contrastMinimum = thresholds.contrastMinimum ?? 4.5;
+  const colors = reference.colors || {};
+  const themes = Object.entries(reference.themes || {}).filter(([, theme]) => theme?.pairs?.length > 0);
+
+  const themedStates = themes.some(([, theme]) => theme.pairs.some(pair => pair.state));
+  const sets = themes.length > 0
+    ? [
+        ...themes.map(([name, theme]) => ({ theme: name, pairs: theme.pairs, palette: paletteColors(theme) })),
+        { theme: null, pairs: themedStates ? [] : (colors.pairs || []).filter(pair => pair.state), palette: paletteColors(colors) }
+      ]
+    : [{ theme: null, pairs: colors.pairs || [], palette: paletteColors(colors) }];
+
+  const colorVision = auditColorVision(reference, thresholds);
+  if (!sets.some(set => set.pairs.length > 0)) return { ...auditPaletteCombinations(colors), colorVision };
+
+  const issues = [];
+  const passing = [];
+  let skipped = 0;
+
+  for (const { theme, pairs, palette } of sets) {
+    for (const pair of pairs) {
+      if (!pair.foreground || !pair.background) continue;
+      if (pair.overImage) {
+        skipped++;
+        continue;
+      }
+      const check = checkTextPair(pair, contrastMinimum);
+      const combo = {
+        foreground: pair.foreground,
+        background: pair.background,
+        fontSize: pair.fontSize,
+        fontWeight: pair.fontWeight,
+        theme,
+        state: pair.state || null,
+        selectors: pair.selectors || [],
+        count: pair.count || 1,
+        ratio: check.ratio,
+        required: check.required,
+        lc: check.lc,
+        lcMinimum: check.lcMinimum,
+        large: check.large,
+        AAA: check.AAA
+      };
+
+      if (check.passesWCAG && check.passesAPCA) {
+        passing.push(combo);
+        continue;
+      }
+
+      const text = check.large ? 'large text' : 'normal text';
+      issues.push({
+        type: 'contrast',
+        severity: check.passesWCAG ? 'warning' : 'error',
+        ...combo,
+        suggestion: {
+          foreground: nearestPassing(pair, 'foreground', palette, contrastMinimum),
+          background: nearestPassing(pair, 'background', palette, contrastMinimum)
+        },
+        message: check.passesWCAG
+          ? `Passes WCAG AA but APCA Lc ${Math.abs(check.lc)} is under ${check.lcMinimum} for ${text}`
+          : `Fails WCAG AA for ${text} (${check.ratio}:1, needs ${check.required}:1)`
+      });
+    }
+  }
+
+  // Most widespread failures first
+  issues.sort((a, b) => (a.severity === b.severity ? 0 : a.severity === 'error' ? -1 : 1) || b.count - a.count);
+  passing.sort((a, b) => b.count - a.count);
+  return { source: 'pairs', issues, passing, skipped, colorVision };
+}
+
+// The most common text and background colors checked against each other, for
+// references without recorded pairs; these may never appear together
+function auditPaletteCombinations(colors) {
   const issues = [];
   const passing = [];
 
@@ -311,241 +284,925 @@ function auditAccessibility(colors) {
     }
   }
 
-  return { issues, passing };
+  return { source: 'palette', issues, passing, skipped: 0 };
 }
 
-// ============ PROJECT STYLE EXTRACTION ============
+// ============ COLOR VISION ============
+
+// Status roles by token name, checked in order so invalid is an error
+const STATUS_ROLES = [
+  ['error', /error|danger|destructive|critical|negative|invalid/],
+  ['warning', /warning|\bwarn\b|caution|attention/],
+  ['success', /success|positive|\bvalid\b|\bok\b/],
+  ['info', /\binfo\b|informative|notice/]
+];
+
+function statusRole(name) {
+  const words = String(name).replace(/([a-z])([A-Z])/g, '$1-$2').toLowerCase().replace(/[^a-z0-9]+/g, '-');
+  // --destructive-foreground is the text on the status color, not the color
+  if (/foreground|\bfg\b|\bon-/.test(words)) return null;
+  return STATUS_ROLES.find(([, pattern]) => pattern.test(words))?.[0] || null;
+}
 
-function detectProjectType(projectPath) {
-  const files = fs.readdirSync(projectPath);
+// Success, warning, error and info colors of a reference or one of its themes:
+// palette roles, the inferred role map themes carry, and CSS variable names.
+// Up to three per status, unshaded names (--success) before shades (--success-600)
+function statusColors(colors) {
+  const found = new Map();
+  const add = (name, value) => {
+    const status = statusRole(name);
+    const normalized = status && normalizeColor(value);
+    if (!normalized || found.has(`${status}|${normalized}`)) return;
+    found.set(`${status}|${normalized}`, { name, status, value: normalized });
+  };
 
-  if (files.some(f => f.match(/tailwind\.config\.(js|ts|mjs|cjs)$/))) {
-    return 'tailwind';
-  }
+  (colors?.palette || []).forEach(c => c.role && add(c.role, c.value));
+  Object.entries(colors?.colors || {}).forEach(([role, value]) => add(role, value));
+  Object.entries(colors?.cssVariables || {}).forEach(([name, value]) => add(name, value));
 
-  const pkgPath = path.join(projectPath, 'package.json');
-  if (fs.existsSync(pkgPath)) {
-    try {
-      const pkg = JSON.parse(fs.readFileSync(pkgPath, 'utf-8'));
-      const deps = { ...pkg.dependencies, ...pkg.devDependencies };
-      if (deps['styled-components'] || deps['@emotion/react'] || deps['@emotion/styled']) {
-        return 'css-in-js';
+  const shaded = (entry) => /\d/.test(entry.name) ? 1 : 0;
+  return STATUS_ROLES.flatMap(([status]) =>
+    [...found.values()].filter(entry => entry.status === status).sort((a, b) => shaded(a) - shaded(b)).slice(0, 3)
+  );
+}
+
+/**
+ * Whether status colors stay distinguishable with color vision deficiencies.
+ * Every status color is simulated with protanopia, deuteranopia, tritanopia
+ * and achromatopsia; pairs of different statuses (success and error, not two
+ * successes) whose simulated ΔE 2000 falls under `cvdDelta` (default 10) are
+ * warnings. Themes are checked separately when the reference has them.
+ */
+function auditColorVision(reference, thresholds = {}) {
+  const cvdDelta = thresholds.cvdDelta ?? 10;
+  const themes = Object.entries(reference.themes || {}).filter(([, theme]) => theme);
+  const sets = themes.length > 0
+    ? themes.map(([name, theme]) => ({ theme: name, colors: statusColors(theme) }))
+    : [{ theme: null, colors: statusColors(reference.colors) }];
+  const round = (n) => Math.round(n * 10) / 10;
+
+  const colors = [];
+  const issues = [];
+  let pairs = 0;
+
+  for (const set of sets) {
+    const simulated = set.colors.map(entry => ({
+      ...entry,
+      theme: set.theme,
+      simulated: Object.fromEntries(colorLib.CVD_TYPES.map(type => [type, colorLib.toHex(colorLib.simulateCVD(entry.value, type))]))
+    }));
+    colors.push(...simulated);
+
+    for (let i = 0; i < simulated.length; i++) {
+      for (let j = i + 1; j < simulated.length; j++) {
+        const [a, b] = [simulated[i], simulated[j]];
+        if (a.status === b.status) continue;
+        pairs++;
+        const deltas = Object.fromEntries(colorLib.CVD_TYPES.map(type => [type, round(deltaE(a.simulated[type], b.simulated[type]))]));
+        const confused = colorLib.CVD_TYPES.filter(type => deltas[type] < cvdDelta);
+        if (confused.length === 0) continue;
+        issues.push({
+          type: 'color-vision',
+          severity: 'warning',
+          theme: set.theme,
+          first: { name: a.name, status: a.status, value: a.value, simulated: a.simulated },
+          second: { name: b.name, status: b.status, value: b.value, simulated: b.simulated },
+          deltaE: round(deltaE(a.value, b.value)),
+          deltas,
+          confused,
+          message: `${a.status} and ${b.status} are hard to tell apart with ${confused.join(', ')} (ΔE ${Math.min(...confused.map(type => deltas[type]))})`
+        });
       }
-    } catch (e) {}
+    }
   }
 
+  // Closest simulated pairs first
+  issues.sort((a, b) => Math.min(...a.confused.map(t => a.deltas[t])) - Math.min(...b.confused.map(t => b.deltas[t])));
+  return { threshold: cvdDelta, types: colorLib.CVD_TYPES, colors, issues, pairs };
+}
+
+// ============ PROJECT STYLE EXTRACTION ============
+// Besides the flat value lists, extractors record every value they read in
+// `declarations` ({ category, name, value, file, line, column }) so issues can
+// point back at the source
+
+// 1-based line and column of a character offset
+function locate(content, index) {
+  const before = content.slice(0, index);
+  return { line: before.split('\n').length, column: index - before.lastIndexOf('\n') };
+}
+
+function addDeclaration(extracted, category, name, value, file, content, index) {
+  extracted.declarations.push({ category, name, value, file, ...locate(content, index) });
+}
+
+function detectProjectType(projectPath) {
+  const tailwind = detectTailwind(projectPath);
+  if (tailwind) return tailwind.version === 4 ? 'tailwind-v4' : 'tailwind';
+
+  if (detectCSSInJS(projectPath)) return 'css-in-js';
+
   return 'css';
 }
 
-function extractTailwindConfig(projectPath) {
-  const configFiles = ['tailwind.config.js', 'tailwind.config.ts', 'tailwind.config.mjs', 'tailwind.config.cjs'];
-  let configPath = null;
+// Options of the extractors: the config's ignore predicates, which match nothing by default
+const NO_IGNORE = { file: () => false, token: () => false };
 
-  for (const file of configFiles) {
-    const fullPath = path.join(projectPath, file);
-    if (fs.existsSync(fullPath)) {
-      configPath = fullPath;
-      break;
-    }
-  }
+// Theme keys of the type scale
+const TYPE_KEYS = ['fontSize', 'fontWeight', 'lineHeight', 'letterSpacing'];
 
-  if (!configPath) return null;
+// One value of the type scale. Values sharing a `group` (a Tailwind fontSize
+// tuple, one CSS rule, MUI's typography.h1) are set together, which is how a
+// line height or letter spacing pairs with a size.
+function addTypeValue(extracted, property, value, group, at) {
+  extracted.typeScale.push({ property, value: String(value), group, file: at.file || null, line: at.line, column: at.column });
+}
 
-  const content = fs.readFileSync(configPath, 'utf-8');
-  const extracted = { colors: {}, fonts: [], spacing: [], borderRadius: [], shadows: [] };
+// Project style lists of the shadow, motion and breakpoint categories, by the
+// category their declarations (and issues) come under
+const SYSTEM_LISTS = { shadows: 'shadows', durations: 'motion', easings: 'motion', breakpoints: 'breakpoints', containerWidths: 'breakpoints' };
+
+// Tailwind theme keys filling those lists
+const SYSTEM_THEME_KEYS = {
+  boxShadow: 'shadows',
+  transitionDuration: 'durations',
+  transitionTimingFunction: 'easings',
+  screens: 'breakpoints',
+  maxWidth: 'containerWidths'
+};
 
-  // Extract colors (handles nested objects)
-  const colorMatches = content.matchAll(/['"]?([\w-]+)['"]?\s*:\s*['"]?(#[a-fA-F0-9]{3,8}|rgb[a]?\([^)]+\))['"]?/g);
-  for (const match of colorMatches) {
-    const normalized = normalizeColor(match[2]);
-    if (normalized) extracted.colors[match[1]] = normalized;
+// Theme keys whose Tailwind defaults (text-sm, shadow-md, duration-150, md:)
+// every project has unless theme.<key> replaces them
+const DEFAULT_THEME_KEYS = ['fontSize', ...Object.keys(SYSTEM_THEME_KEYS).filter(key => key !== 'maxWidth')];
+
+// One shadow, duration, easing, breakpoint or container width, declared at `at`
+// when it has a file. Breakpoints and container widths only count in pixels,
+// container widths between 200 and 2000 as the reference extractor counts them.
+function addSystemValue(extracted, list, name, value, at) {
+  value = String(value).trim();
+  const px = parsePixels(value);
+  if (list === 'breakpoints') {
+    if (!px) return;
+  } else if (list === 'containerWidths') {
+    if (px === null || px <= 200 || px >= 2000) return;
+  } else if (!value || value === 'none') {
+    return;
   }
+  if (!extracted[list].includes(value)) extracted[list].push(value);
+  if (at.file) extracted.declarations.push({ category: SYSTEM_LISTS[list], name, value, file: at.file, line: at.line, column: at.column });
+}
 
-  // Extract font families
-  const fontMatches = content.matchAll(/fontFamily\s*:\s*\{([^}]+)\}/gs);
-  for (const match of fontMatches) {
-    const fonts = match[1].matchAll(/['"]([^'"]+)['"]/g);
-    for (const font of fonts) {
-      if (!font[1].includes('system') && !font[1].includes('sans-serif')) {
-        extracted.fonts.push(font[1]);
-      }
-    }
+// Reads the resolved theme (presets, theme.extend, imported palettes) rather
+// than the config text, so values only count once and keep their source location.
+// v4 projects add the tokens of their @theme blocks.
+function extractTailwindConfig(projectPath, options = {}) {
+  const { ignore = NO_IGNORE, evaluateConfig = true } = options;
+  const tailwind = detectTailwind(projectPath);
+  if (!tailwind) return null;
+
+  const tokens = [];
+  const warnings = [];
+  const replaced = new Set();
+  const stylesheets = tailwind.stylesheets.filter(file => !ignore.file(file));
+  for (const loaded of [
+    tailwind.config && loadTailwindConfig(tailwind.config, { evaluate: evaluateConfig }),
+    stylesheets.length > 0 && loadThemeStylesheets(stylesheets)
+  ]) {
+    if (!loaded) continue;
+    DEFAULT_THEME_KEYS.filter(key => loaded.config?.theme?.[key]).forEach(key => replaced.add(key));
+    // A preset or palette module can be ignored without ignoring the config
+    tokens.push(...loaded.tokens.filter(token =>
+      !ignore.file(token.file) && !ignore.token(token.name, `${token.key}.${token.name}`)
+    ));
+    warnings.push(...loaded.warnings);
   }
 
-  // Extract spacing values
-  const spacingMatches = content.matchAll(/spacing\s*:\s*\{([^}]+)\}/gs);
-  for (const match of spacingMatches) {
-    const values = match[1].matchAll(/['"]?([\d.]+(?:px|rem|em)?)['"]/g);
-    for (const val of values) {
-      extracted.spacing.push(val[1]);
+  const extracted = { ...emptyStyles(), warnings };
+  const declare = (category, name, value, token) => {
+    extracted.declarations.push({ category, name, value, file: token.file, line: token.line, column: token.column });
+  };
+
+  for (const token of tokens) {
+    if (/colors?$/i.test(token.key)) {
+      // colors.brand-500 → brand-500, backgroundColor.card → backgroundColor-card
+      const name = token.key === 'colors' ? token.name : `${token.key}-${token.name}`;
+      const normalized = normalizeColor(token.value);
+      if (normalized) {
+        extracted.colors[name] = normalized;
+        declare('colors', name, token.value, token);
+      }
+    } else if (token.key === 'fontFamily') {
+      const fonts = token.value.split(',').map(font => font.trim().replace(/^['"]|['"]$/g, ''));
+      for (const font of fonts) {
+        if (font && !font.includes('system') && !font.includes('sans-serif')) {
+          extracted.fonts.push(font);
+          declare('typography', 'fontFamily', font, token);
+        }
+      }
+    } else if (token.key === 'spacing' || token.key === 'borderRadius') {
+      extracted[token.key].push(token.value);
+      declare(token.key, token.key, token.value, token);
+    } else if (SYSTEM_THEME_KEYS[token.key]) {
+      addSystemValue(extracted, SYSTEM_THEME_KEYS[token.key], token.key, token.value, token);
+    } else if (token.key === 'container' && token.path[1] === 'screens') {
+      // .container's max-width at each breakpoint
+      addSystemValue(extracted, 'containerWidths', 'container', token.value, token);
+    } else if (TYPE_KEYS.includes(token.key)) {
+      const group = `${token.key}.${token.name}`;
+      addTypeValue(extracted, token.key, token.value, group, token);
+      Object.entries(token.pairing || {}).forEach(([key, value]) => addTypeValue(extracted, key, value, group, token));
     }
   }
 
-  // Extract border radius
-  const radiusMatches = content.matchAll(/borderRadius\s*:\s*\{([^}]+)\}/gs);
-  for (const match of radiusMatches) {
-    const values = match[1].matchAll(/['"]?([\d.]+(?:px|rem|em)?)['"]/g);
-    for (const val of values) {
-      extracted.borderRadius.push(val[1]);
+  // Tailwind's own sizes (text-xs ... text-9xl), shadows, durations, easings
+  // and screens are there too, when tailwindcss is installed, unless the theme
+  // replaces them
+  const defaults = requireFromProject('tailwindcss/defaultTheme', projectPath) || {};
+  const declared = new Set(extracted.typeScale.map(entry => entry.group));
+  const defaultTheme = Object.fromEntries(DEFAULT_THEME_KEYS
+    .filter(key => !replaced.has(key) && defaults[key] && typeof defaults[key] === 'object')
+    .map(key => [key, defaults[key]]));
+  for (const token of flattenTheme(defaultTheme)) {
+    if (SYSTEM_THEME_KEYS[token.key]) {
+      addSystemValue(extracted, SYSTEM_THEME_KEYS[token.key], token.key, token.value, {});
+      continue;
     }
+    const group = `fontSize.${token.name}`;
+    if (declared.has(group)) continue;
+    addTypeValue(extracted, 'fontSize', token.value, group, {});
+    Object.entries(token.pairing || {}).forEach(([key, value]) => addTypeValue(extracted, key, value, group, {}));
   }
 
   return extracted;
 }
 
-function extractCSSVariables(projectPath) {
-  const extracted = { colors: {}, fonts: [], spacing: [], borderRadius: [], shadows: [] };
+// Category of a token definition, from its resolved value and its name
+function definitionCategory(name, value) {
+  const lower = name.toLowerCase();
+  if (normalizeColor(value)) return 'colors';
+  if (lower.includes('font') && !/size|weight|height|spacing|feature/.test(lower)) return 'typography';
+  if (/radius|rounded/.test(lower)) return 'borderRadius';
+  if (/spacing|space|gap|margin|padding|gutter/.test(lower) && parsePixels(value) !== null) return 'spacing';
+  if (lower.includes('shadow')) return 'shadows';
+  if (/duration/.test(lower)) return 'durations';
+  if (/(?:^|-)ease|easing|timing-function/.test(lower)) return 'easings';
+  if (/breakpoint|screen/.test(lower)) return 'breakpoints';
+  if (/container|max-width|content-width/.test(lower)) return 'containerWidths';
+  return null;
+}
 
-  // Find CSS files
-  const findCSS = (dir, files = []) => {
-    try {
-      const entries = fs.readdirSync(dir, { withFileTypes: true });
-      for (const entry of entries) {
-        if (entry.name === 'node_modules' || entry.name.startsWith('.')) continue;
-        const fullPath = path.join(dir, entry.name);
-        if (entry.isDirectory()) {
-          findCSS(fullPath, files);
-        } else if (entry.name.match(/\.(css|scss|sass)$/)) {
-          files.push(fullPath);
-        }
+// Type scale property of a token name: --font-size-lg, --text-lg, $line-height-base,
+// --leading-tight, --tracking-wide, --font-weight-bold
+function typeProperty(name) {
+  const lower = name.toLowerCase().replace(/^(?:--|\$)/, '');
+  if (/line-?height|leading/.test(lower)) return 'lineHeight';
+  if (/letter-?spacing|tracking/.test(lower)) return 'letterSpacing';
+  if (/font-?weight/.test(lower)) return 'fontWeight';
+  if (/font-?size|^text-(?:[2-9]?x[sl]|sm|base|md|lg|\d+)$/.test(lower)) return 'fontSize';
+  return null;
+}
+
+// font-size, font-weight, line-height and letter-spacing declarations, grouped by rule
+function addTypeDeclarations(extracted, typeDeclarations) {
+  for (const declaration of typeDeclarations) {
+    if (declaration.resolved === null) continue;
+    const group = `${declaration.file}|${declaration.scope}|${declaration.condition}`;
+    addTypeValue(extracted, declaration.property, declaration.resolved, group, declaration);
+  }
+}
+
+const DURATION = /(?:^|[\s,])(\d*\.?\d+m?s)(?=$|[\s,])/g;
+const EASING = /\b(?:cubic-bezier|steps|linear)\([^)]*\)|\b(?:ease(?:-in-out|-in|-out)?|linear|step-start|step-end)\b/g;
+
+// box-shadow, transition and animation declarations and @media widths: the
+// shadows, durations, easings, breakpoints and container widths rules use. A
+// value going through a token counts, but isn't located: its issue is the token's.
+function addSystemDeclarations(extracted, systemDeclarations) {
+  for (const systemDeclaration of systemDeclarations) {
+    const value = systemDeclaration.resolved;
+    if (value === null || /var\(|\$/.test(value)) continue;
+    const declaration = findReferences(systemDeclaration.value).length > 0 && systemDeclaration.property !== '@media'
+      ? { ...systemDeclaration, file: null }
+      : systemDeclaration;
+    if (declaration.category === 'shadows') {
+      addSystemValue(extracted, 'shadows', declaration.property, value, declaration);
+    } else if (declaration.category === 'motion') {
+      // In transition and animation shorthands the first time is the duration, the second the delay
+      for (const part of splitTopLevel(value, ',')) {
+        const [duration] = [...part.matchAll(DURATION)].map(match => match[1]);
+        if (duration && !/^0m?s$/.test(duration)) addSystemValue(extracted, 'durations', declaration.property, duration, declaration);
+        const [easing] = part.match(EASING) || [];
+        if (easing) addSystemValue(extracted, 'easings', declaration.property, easing, declaration);
       }
-    } catch (e) {}
-    return files;
-  };
+    } else if (declaration.property === '@media') {
+      for (const width of mediaWidths(value)) addSystemValue(extracted, 'breakpoints', '@media', `${width}px`, declaration);
+    } else {
+      addSystemValue(extracted, 'containerWidths', declaration.property, value, declaration);
+    }
+  }
+}
 
-  const cssFiles = findCSS(projectPath);
+// Widths a media query switches at: (min-width: 768px), (max-width: 48em), (width >= 1024px)
+function mediaWidths(query) {
+  const widths = [];
+  for (const match of query.matchAll(/\(\s*(?:min-|max-)?width\s*(?::|[<>]=?)\s*(\d*\.?\d+)(px|em|rem)\s*\)|(\d*\.?\d+)(px|em|rem)\s*[<>]=?\s*width/gi)) {
+    const value = parseFloat(match[1] || match[3]);
+    const unit = (match[2] || match[4]).toLowerCase();
+    widths.push(Math.round(unit === 'px' ? value : value * 16));
+  }
+  return widths;
+}
 
-  for (const file of cssFiles) {
-    try {
-      const content = fs.readFileSync(file, 'utf-8');
-
-      // Extract CSS variables from :root
-      const rootMatch = content.match(/:root\s*\{([^}]+)\}/s);
-      if (rootMatch) {
-        const vars = rootMatch[1].matchAll(/--([^:]+):\s*([^;]+);/g);
-        for (const v of vars) {
-          const name = v[1].trim();
-          const value = v[2].trim();
-
-          if (name.includes('color') || name.includes('bg') || name.includes('text') || name.includes('border')) {
-            const normalized = normalizeColor(value);
-            if (normalized) extracted.colors[name] = normalized;
-          } else if (name.includes('font') && !name.includes('size')) {
-            extracted.fonts.push(value.replace(/['"]/g, '').split(',')[0].trim());
-          } else if (name.includes('spacing') || name.includes('gap') || name.includes('margin') || name.includes('padding')) {
-            extracted.spacing.push(value);
-          } else if (name.includes('radius')) {
-            extracted.borderRadius.push(value);
-          } else if (name.includes('shadow')) {
-            extracted.shadows.push(value);
-          }
+// Every rule of every stylesheet, read by css-parser.js. Token definitions
+// (custom properties, SCSS variables) fill the value lists; the values ordinary
+// declarations hardcode are recorded too, so both can raise issues, and the
+// usages themselves are kept for scoring how the tokens are used.
+const emptyStyles = () => ({
+  colors: {}, fonts: [], spacing: [], borderRadius: [], shadows: [], typeScale: [],
+  durations: [], easings: [], breakpoints: [], containerWidths: [], declarations: [], usages: [], warnings: []
+});
+
+function declare(extracted, category, name, value, at) {
+  extracted.declarations.push({ category, name, value, file: at.file, line: at.line, column: at.column });
+}
+
+// The color a shadow is drawn in is part of the shadow, not a palette color
+const SHADOW_PROPERTIES = new Set(['box-shadow', 'text-shadow']);
+
+// Usages (stylesheet declarations, styled templates) and the values they hardcode
+function addUsages(extracted, usages) {
+  for (const usage of usages) {
+    extracted.usages.push(usage);
+    for (const literal of usage.literals) {
+      if (usage.category === 'colors') {
+        if (SHADOW_PROPERTIES.has(usage.property)) continue;
+        const normalized = normalizeColor(literal.value);
+        if (!normalized) continue;
+        if (!Object.values(extracted.colors).includes(normalized)) {
+          extracted.colors[`inline-${Object.keys(extracted.colors).length}`] = normalized;
         }
+      } else if (usage.category === 'typography' && !extracted.fonts.includes(literal.value)) {
+        extracted.fonts.push(literal.value);
       }
+      declare(extracted, usage.category, usage.property, literal.value, { ...usage, ...literal });
+    }
+  }
+}
 
-      // Extract inline colors
-      const colorMatches = content.matchAll(/(#[a-fA-F0-9]{3,8}|rgb[a]?\([^)]+\))/g);
-      for (const match of colorMatches) {
-        const normalized = normalizeColor(match[1]);
-        if (normalized && !Object.values(extracted.colors).includes(normalized)) {
-          extracted.colors[`inline-${Object.keys(extracted.colors).length}`] = normalized;
+function extractStylesheets(projectPath, extracted = emptyStyles(), options = {}) {
+  const { ignore = NO_IGNORE } = options;
+  const { definitions, usages, typeDeclarations, systemDeclarations, warnings } = parseProjectStylesheets(projectPath, { ignore: ignore.file });
+  extracted.warnings.push(...warnings);
+
+  for (const definition of definitions) {
+    if (ignore.token(definition.name)) continue;
+    const value = definition.resolved;
+    const category = value !== null ? definitionCategory(definition.name, value) : null;
+    if (!category) {
+      const property = value !== null && typeProperty(definition.name);
+      // --text-sm--line-height pairs with --text-sm
+      const group = definition.name.replace(/--(?:line-height|letter-spacing|font-weight)$/, '');
+      if (property) addTypeValue(extracted, property, value, group, definition);
+      continue;
+    }
+    // Overrides (.dark, @media) are kept apart from the :root value
+    const where = [definition.scope, definition.condition].filter(s => s && s !== ':root').join(' ');
+    const key = `${definition.name.replace(/^--/, '')}${where ? ` (${where})` : ''}`;
+    // An alias's value is reported at the definition it points to
+    const record = (recorded) => !definition.alias && declare(extracted, category, definition.name, recorded, definition);
+
+    if (category === 'colors') {
+      extracted.colors[key] = normalizeColor(value);
+      record(value);
+    } else if (category === 'typography') {
+      const family = value.replace(/['"]/g, '').split(',')[0].trim();
+      extracted.fonts.push(family);
+      record(family);
+    } else if (category === 'spacing' || category === 'borderRadius') {
+      extracted[category].push(value);
+      record(value);
+    } else {
+      addSystemValue(extracted, category, definition.name, value, definition.alias ? {} : definition);
+    }
+  }
+
+  addUsages(extracted, usages);
+  addTypeDeclarations(extracted, typeDeclarations);
+  addSystemDeclarations(extracted, systemDeclarations);
+  return extracted;
+}
+
+// css-in-js.js token categories filling the shadow, motion and breakpoint lists
+const CSS_IN_JS_LISTS = { shadows: 'shadows', duration: 'durations', easing: 'easings', breakpoints: 'breakpoints' };
+
+// Theme objects (MUI, Chakra, vanilla-extract, Stitches, Panda, ThemeProvider
+// themes) as tokens, and styled/css template declarations as usages, read by
+// css-in-js.js. Stylesheets the project also has are added when PostCSS is there.
+function extractCSSInJSStyles(projectPath, options = {}) {
+  const { ignore = NO_IGNORE } = options;
+  const extracted = emptyStyles();
+  const { tokens, usages, warnings } = extractCSSInJS(projectPath, { ignore: ignore.file });
+  extracted.warnings.push(...warnings);
+
+  for (const token of tokens) {
+    if (ignore.token(token.name, token.path)) continue;
+    if (token.category === 'colors') {
+      const normalized = normalizeColor(token.value);
+      if (!normalized) continue;
+      // A light and a dark theme both defining colors.background
+      const taken = extracted.colors[token.name] !== undefined && extracted.colors[token.name] !== normalized;
+      extracted.colors[taken ? `${token.name} (${token.scope || path.basename(token.file)})` : token.name] = normalized;
+    } else if (token.category === 'typography') {
+      const fonts = token.value.split(',').map(font => font.trim().replace(/^['"]|['"]$/g, ''));
+      for (const font of fonts) {
+        if (font && !font.includes('system') && !font.includes('sans-serif') && font !== 'serif' && font !== 'monospace') {
+          if (!extracted.fonts.includes(font)) extracted.fonts.push(font);
+          if (!token.alias) declare(extracted, 'typography', token.name, font, token);
         }
       }
-    } catch (e) {}
+      continue;
+    } else if (CSS_IN_JS_LISTS[token.category]) {
+      addSystemValue(extracted, CSS_IN_JS_LISTS[token.category], token.name, token.value, token.alias ? {} : token);
+      continue;
+    } else if (TYPE_KEYS.includes(token.category)) {
+      // typography.h1.fontSize and .lineHeight pair up; fontSizes.sm stands alone
+      const group = token.path.includes('.') ? token.path : token.scope;
+      addTypeValue(extracted, token.category, token.value, `${token.file}|${group}`, token);
+      continue;
+    } else {
+      extracted[token.category].push(token.value);
+    }
+    if (!token.alias) declare(extracted, token.category, token.name, token.value, token);
+  }
+
+  // A hardcoded box-shadow is a shadow value, as in a stylesheet
+  for (const usage of usages) {
+    if (usage.property === 'box-shadow' && usage.references.length === 0) addSystemValue(extracted, 'shadows', usage.property, usage.value, usage);
   }
+  addUsages(extracted, usages);
 
+  try {
+    extractStylesheets(projectPath, extracted, options);
+  } catch (err) {
+    extracted.warnings.push(err.message);
+  }
   return extracted;
 }
 
-function extractProjectStyles(projectPath) {
+// Utility classes, inline styles and <style> blocks of the project's components,
+// read by usage-scanner.js. They only count as usages: a hardcoded value in a
+// component is scored by how often it appears, not declared as a token. Tailwind
+// projects add the declarations of their stylesheets the same way.
+function addComponentUsages(projectPath, styles, options = {}, tailwind = false) {
+  const { ignore = NO_IGNORE } = options;
+  const scanned = scanProjectUsages(projectPath, { ignore: ignore.file, evaluateConfig: options.evaluateConfig });
+  styles.usages = styles.usages || [];
+  styles.usages.push(...scanned.usages);
+
+  const warnings = [...scanned.warnings];
+  if (tailwind) {
+    try {
+      const parsed = parseProjectStylesheets(projectPath, { ignore: ignore.file });
+      styles.usages.push(...parsed.usages);
+      addTypeDeclarations(styles, parsed.typeDeclarations);
+      addSystemDeclarations(styles, parsed.systemDeclarations);
+    } catch (err) {
+      warnings.push(err.message);
+    }
+  }
+  for (const warning of warnings) {
+    if (!styles.warnings.includes(warning)) styles.warnings.push(warning);
+  }
+  return styles;
+}
+
+// The fonts the project loads (@font-face, next/font, Google Fonts, Fontsource),
+// read by font-sources.js
+function addFontSources(projectPath, styles, options = {}) {
+  const { ignore = NO_IGNORE } = options;
+  const { fonts, warnings } = findFontSources(projectPath, { ignore: ignore.file });
+  styles.fontSources = fonts;
+  for (const warning of warnings) {
+    if (!styles.warnings.includes(warning)) styles.warnings.push(warning);
+  }
+  return styles;
+}
+
+/**
+ * The project's tokens, declarations, usages and loaded fonts, by project type.
+ * `options.ignore` holds the config's { file, token } predicates (createIgnore);
+ * `options.evaluateConfig: false` reads a Tailwind config without executing it.
+ */
+function extractProjectStyles(projectPath, options = {}) {
   const type = detectProjectType(projectPath);
+  let styles;
 
   switch (type) {
     case 'tailwind':
-      return { type, styles: extractTailwindConfig(projectPath) };
+    case 'tailwind-v4':
+      styles = extractTailwindConfig(projectPath, options);
+      styles = styles && addComponentUsages(projectPath, styles, options, true);
+      break;
     case 'css':
+      styles = addComponentUsages(projectPath, extractStylesheets(projectPath, emptyStyles(), options), options);
+      break;
     case 'css-in-js':
-      return { type, styles: extractCSSVariables(projectPath) };
+      styles = addComponentUsages(projectPath, extractCSSInJSStyles(projectPath, options), options);
+      break;
     default:
       return { type: 'unknown', styles: null };
   }
+
+  return { type, styles: styles && addFontSources(projectPath, styles, options) };
 }
 
 // ============ COMPARISON ALGORITHMS ============
 
-function compareColors(projectColors, referenceColors) {
-  const results = { exact: [], similar: [], missing: [], extra: [], score: 0 };
+// Semantic color roles, by token name: text-muted, --background, borderColor-card.
+// Checked in order, so text-primary is text and primary-foreground text on primary.
+const COLOR_ROLES = [
+  ['text', /foreground|\btext\b|\bfg\b|heading|\bink\b|\bon-/],
+  ['border', /border|outline|divider|separator|stroke|\binput\b|\bring\b/],
+  ['background', /background|\bbg\b|surface|canvas|\bcard\b|popover|\bmuted\b|backdrop|\bpaper\b|\bbase\b/],
+  ['accent', /accent|primary|brand|\blink\b|highlight|focus|\bcta\b|\bmain\b/]
+];
+
+// Reference semantic lists by role
+const SEMANTIC_ROLES = { backgrounds: 'background', text: 'text', borders: 'border', accents: 'accent' };
+
+function colorRole(name) {
+  const words = String(name).replace(/([a-z])([A-Z])/g, '$1-$2').toLowerCase().replace(/[^a-z0-9]+/g, '-');
+  const match = COLOR_ROLES.find(([, pattern]) => pattern.test(words));
+  if (!match) return null;
+  // brand-50, primary-900: a palette shade, not the accent itself
+  if (match[0] === 'accent' && /-\d{2,3}-?$/.test(words)) return null;
+  return match[0];
+}
 
-  const refPalette = referenceColors.palette?.map(c => c.value) || [];
-  const refSemantic = [
-    ...(referenceColors.semantic?.backgrounds?.map(c => c.value) || []),
-    ...(referenceColors.semantic?.text?.map(c => c.value) || []),
-    ...(referenceColors.semantic?.borders?.map(c => c.value) || []),
-    ...(referenceColors.semantic?.accents?.map(c => c.value) || [])
-  ];
-  const allRefColors = [...new Set([...refPalette, ...refSemantic])].filter(Boolean);
+/**
+ * Minimum-cost assignment of rows to columns (Hungarian algorithm, O(n²m)).
+ * Returns, for each row, the column it is assigned to, or -1 when there are
+ * more rows than columns and it is left out.
+ */
+function optimalAssignment(cost) {
+  const rows = cost.length;
+  const cols = rows ? cost[0].length : 0;
+  if (rows === 0 || cols === 0) return new Array(rows).fill(-1);
+  if (rows > cols) {
+    const transposed = optimalAssignment(cost[0].map((_, j) => cost.map(row => row[j])));
+    const assigned = new Array(rows).fill(-1);
+    transposed.forEach((row, j) => { if (row !== -1) assigned[row] = j; });
+    return assigned;
+  }
 
-  const projectColorValues = Object.values(projectColors).filter(Boolean);
-  const matchedRef = new Set();
+  // Potentials u (rows) and v (columns); p[j] is the row holding column j, 1-based
+  const u = new Array(rows + 1).fill(0);
+  const v = new Array(cols + 1).fill(0);
+  const p = new Array(cols + 1).fill(0);
+  const way = new Array(cols + 1).fill(0);
+  for (let i = 1; i <= rows; i++) {
+    p[0] = i;
+    let j0 = 0;
+    const minv = new Array(cols + 1).fill(Infinity);
+    const used = new Array(cols + 1).fill(false);
+    do {
+      used[j0] = true;
+      const i0 = p[j0];
+      let delta = Infinity;
+      let j1 = 0;
+      for (let j = 1; j <= cols; j++) {
+        if (used[j]) continue;
+        const cur = cost[i0 - 1][j - 1] - u[i0] - v[j];
+        if (cur < minv[j]) { minv[j] = cur; way[j] = j0; }
+        if (minv[j] < delta) { delta = minv[j]; j1 = j; }
+      }
+      for (let j = 0; j <= cols; j++) {
+        if (used[j]) { u[p[j]] += delta; v[j] -= delta; } else { minv[j] -= delta; }
+      }
+      j0 = j1;
+    } while (p[j0] !== 0);
+    do {
+      const j1 = way[j0];
+      p[j0] = p[j1];
+      j0 = j1;
+    } while (j0);
+  }
 
-  for (const projColor of projectColorValues) {
-    let found = false;
+  const assigned = new Array(rows).fill(-1);
+  for (let j = 1; j <= cols; j++) if (p[j]) assigned[p[j] - 1] = j - 1;
+  return assigned;
+}
 
-    // Check exact match
-    for (const refColor of allRefColors) {
-      if (projColor.toLowerCase() === refColor.toLowerCase()) {
-        results.exact.push({ project: projColor, reference: refColor });
-        matchedRef.add(refColor);
-        found = true;
-        break;
-      }
-    }
+// Reference colors, once each, with the roles the palette and semantic lists give them
+function referenceColorRoles(referenceColors) {
+  const byValue = new Map();
+  const add = (value, role, label) => {
+    const normalized = normalizeColor(value);
+    if (!normalized) return;
+    if (!byValue.has(normalized)) byValue.set(normalized, { value, roles: new Map() });
+    const roles = byValue.get(normalized).roles;
+    if (role && !roles.has(role)) roles.set(role, label);
+  };
 
-    if (!found) {
-      // Check similar (ΔE 2000 < 5)
-      for (const refColor of allRefColors) {
-        if (matchedRef.has(refColor)) continue;
-        const de = deltaE(projColor, refColor);
-        if (de < 5) {
-          results.similar.push({ project: projColor, reference: refColor, deltaE: de.toFixed(2) });
-          matchedRef.add(refColor);
-          found = true;
-          break;
-        }
-      }
+  (referenceColors.palette || []).forEach(c => add(c.value, c.role && colorRole(c.role), c.role));
+  for (const [category, role] of Object.entries(SEMANTIC_ROLES)) {
+    (referenceColors.semantic?.[category] || []).forEach((c, i) => {
+      add(c.value, role, `${i === 0 ? 'primary' : i === 1 ? 'secondary' : `level-${i + 1}`} ${role}`);
+    });
+  }
+  return [...byValue.values()];
+}
+
+/**
+ * Pair project colors ({ value, role }) with reference colors ({ value, roles }),
+ * a project color only with a reference color of its role (or one without
+ * roles, or any when it has none itself), by an optimal assignment minimising
+ * ΔE 2000 within each color's threshold (`deltaFor(role)`). Project colors left
+ * out still pair with an assigned reference color within their threshold.
+ * Returns, per project color, the reference color it pairs with or -1, and the
+ * project color each assigned reference color went to.
+ */
+function pairColors(projects, references, deltaFor) {
+  const compatible = (proj, ref) => !proj.role || ref.roles.size === 0 || ref.roles.has(proj.role);
+  const distances = projects.map(proj => references.map(ref => deltaE(proj.value, ref.value)));
+  const close = (i, j) => compatible(projects[i], references[j]) && distances[i][j] < deltaFor(projects[i].role);
+
+  // Pairs at or past a color's threshold cost the same as no pair, so the
+  // assignment maximises close matches
+  const assigned = optimalAssignment(projects.map((proj, i) => {
+    const limit = deltaFor(proj.role);
+    return references.map((ref, j) => (compatible(proj, ref) ? Math.min(distances[i][j], limit) : limit));
+  }));
+
+  const pairs = new Array(projects.length).fill(-1);
+  const owners = new Map();
+  projects.forEach((proj, i) => {
+    if (assigned[i] !== -1 && close(i, assigned[i])) {
+      pairs[i] = assigned[i];
+      owners.set(assigned[i], i);
     }
+  });
+  // brand and primary both #5e6ad2: the second still pairs with it
+  projects.forEach((proj, i) => {
+    if (pairs[i] !== -1) return;
+    owners.forEach((_, j) => {
+      if (close(i, j) && (pairs[i] === -1 || distances[i][j] < distances[i][pairs[i]])) pairs[i] = j;
+    });
+  });
+  return { pairs, owners, distances, compatible };
+}
 
-    if (!found) {
-      results.extra.push(projColor);
+/**
+ * Pair project colors with reference colors by role: a project token's role is
+ * inferred from its name, and it can only match a reference color with that
+ * role (or one without roles). Colors without a role match anything. The
+ * pairing is an optimal assignment minimising ΔE 2000 over all pairs, so an
+ * early near-miss can't take the reference color a later exact match needed.
+ *
+ * `roles` pairs each role's project colors with the reference colors of that
+ * role however far apart, so the report can say how far the project's accent
+ * is from the reference accent.
+ */
+function compareColors(projectColors, referenceColors, thresholds = {}) {
+  const { colorDelta = 5, roleDelta = {} } = thresholds;
+  const deltaFor = (role) => roleDelta[role] ?? colorDelta;
+  const results = { exact: [], similar: [], missing: [], extra: [], roles: {}, score: 0 };
+
+  const references = referenceColorRoles(referenceColors);
+  const projects = Object.entries(projectColors)
+    .filter(([, value]) => value)
+    .map(([name, value]) => ({ name, value, role: colorRole(name) }));
+
+  const { pairs, owners, distances } = pairColors(projects, references, deltaFor);
+
+  // Exact matches count fully toward the score, similar ones 0.8
+  const matchedRef = new Map();
+  const record = (proj, i, j) => {
+    const ref = references[j];
+    const match = { project: proj.value, reference: ref.value, name: proj.name, role: proj.role };
+    if (proj.value.toLowerCase() === ref.value.toLowerCase()) {
+      results.exact.push(match);
+      return 1;
     }
-  }
+    results.similar.push({ ...match, deltaE: distances[i][j].toFixed(2) });
+    return 0.8;
+  };
+
+  owners.forEach((i, j) => matchedRef.set(j, record(projects[i], i, j)));
 
-  // Find missing reference colors
-  for (const refColor of allRefColors) {
-    if (!matchedRef.has(refColor)) {
-      results.missing.push(refColor);
+  // Further project colors on a reference color already paired (brand and primary
+  // both #5e6ad2) still match it, but only the first pairing counts toward the score
+  projects.forEach((proj, i) => {
+    if (owners.get(pairs[i]) === i) return;
+    if (pairs[i] !== -1) {
+      record(proj, i, pairs[i]);
+    } else {
+      results.extra.push(proj.value);
     }
+  });
+
+  references.forEach((ref, j) => {
+    if (!matchedRef.has(j)) results.missing.push(ref.value);
+  });
+
+  for (const role of Object.values(SEMANTIC_ROLES)) {
+    const roleProjects = projects.map((proj, i) => ({ ...proj, i })).filter(proj => proj.role === role);
+    const roleRefs = references.map((ref, j) => ({ ...ref, j })).filter(ref => ref.roles.has(role));
+    if (roleProjects.length === 0 && roleRefs.length === 0) continue;
+
+    const pairing = optimalAssignment(roleProjects.map(proj => roleRefs.map(ref => distances[proj.i][ref.j])));
+    const pairs = [];
+    roleProjects.forEach((proj, k) => {
+      if (pairing[k] === -1) return;
+      const ref = roleRefs[pairing[k]];
+      pairs.push({
+        name: proj.name,
+        project: proj.value,
+        reference: ref.value,
+        referenceRole: ref.roles.get(role) || role,
+        deltaE: Number(distances[proj.i][ref.j].toFixed(2))
+      });
+    });
+    const pairedRefs = new Set(pairs.map(pair => pair.reference));
+    results.roles[role] = {
+      threshold: deltaFor(role),
+      pairs,
+      missing: roleRefs.filter(ref => !pairedRefs.has(ref.value)).map(ref => ref.value),
+      extra: roleProjects.filter((proj, k) => pairing[k] === -1).map(proj => proj.name)
+    };
   }
 
   // Calculate score
-  const total = allRefColors.length || 1;
-  results.score = Math.round(((results.exact.length + results.similar.length * 0.8) / total) * 100);
+  const total = references.length || 1;
+  const matched = [...matchedRef.values()].reduce((sum, weight) => sum + weight, 0);
+  results.score = Math.round((matched / total) * 100);
 
   return results;
 }
 
-function compareTypography(projectFonts, referenceTypography) {
+// Words a family's file or menu name adds to it: Suisse Intl Regular, GeistVF, Inter Variable
+const FONT_STYLE_WORDS = /^(?:variable|vf|regular|normal|roman|book|thin|hairline|extralight|ultralight|light|medium|semibold|demibold|bold|extrabold|ultrabold|black|heavy|italic|oblique|web|webfont)$/;
+
+// A family name without separators, case or style words: "Roboto_Mono" and
+// "roboto mono" are one family, "Inter Display" another than "Inter"
+function familyKey(name) {
+  const words = String(name).replace(/['"]/g, '').replace(/([a-z])([A-Z])/g, '$1 $2').toLowerCase().split(/[\s_-]+/);
+  const kept = words.filter(word => word && !FONT_STYLE_WORDS.test(word));
+  return (kept.length > 0 ? kept : words).join('').replace(/(?:variable|vf)$/, '');
+}
+
+// Whether two lowercase family names match: exact; the same family (the
+// default); one containing the other; or (loose) also sharing their first word
+function fontsMatch(proj, ref, fontMatching = 'family') {
+  if (proj === ref) return true;
+  if (fontMatching === 'exact') return false;
+  if (familyKey(proj) === familyKey(ref)) return true;
+  if (fontMatching === 'family') return false;
+  if (ref.includes(proj) || proj.includes(ref)) return true;
+  return fontMatching === 'loose' && ref.split(' ')[0] === proj.split(' ')[0];
+}
+
+// Classic modular scale ratios
+const TYPE_RATIOS = [
+  [1.067, 'minor second'], [1.125, 'major second'], [1.2, 'minor third'], [1.25, 'major third'],
+  [1.333, 'perfect fourth'], [1.414, 'augmented fourth'], [1.5, 'perfect fifth'], [1.618, 'golden ratio']
+];
+
+/**
+ * Modular ratio of a type scale: the median step between consecutive sizes,
+ * named after the classic ratio within 0.02 of it. Steps under 2% are one size
+ * written two ways and steps over 1.7 skip sizes the scale leaves out, so
+ * neither counts; null below two steps that do.
+ */
+function detectTypeRatio(sizes) {
+  const sorted = [...new Set(sizes.filter(size => size > 0))].sort((a, b) => a - b);
+  const steps = [];
+  for (let i = 1; i < sorted.length; i++) {
+    const step = sorted[i] / sorted[i - 1];
+    if (step >= 1.02 && step <= 1.7) steps.push(step);
+  }
+  if (steps.length < 2) return null;
+  steps.sort((a, b) => a - b);
+  const mid = Math.floor(steps.length / 2);
+  const ratio = steps.length % 2 ? steps[mid] : (steps[mid - 1] + steps[mid]) / 2;
+  const [named, name] = TYPE_RATIOS.reduce((best, entry) => (Math.abs(entry[0] - ratio) < Math.abs(best[0] - ratio) ? entry : best));
+  return { ratio: Math.round(ratio * 1000) / 1000, name: Math.abs(named - ratio) <= 0.02 ? name : null };
+}
+
+/**
+ * A type value in pixels: px, rem and em (of `fontSize`); line heights are also
+ * unitless or a percentage of `fontSize`. `normal` is 1.2 for line heights and
+ * 0 for letter spacing. Null for clamp(), var() and anything else that isn't
+ * one length.
+ */
+function typePixels(value, property = 'fontSize', fontSize = 16) {
+  const text = String(value).trim().toLowerCase();
+  if (text === 'normal') return property === 'lineHeight' ? 1.2 * fontSize : property === 'letterSpacing' ? 0 : null;
+  const match = text.match(/^(-?(?:\d+\.?\d*|\.\d+))(px|rem|em|%)?$/);
+  if (!match) return null;
+  const number = parseFloat(match[1]);
+  if (match[2] === 'px') return number;
+  if (match[2] === 'rem') return number * 16;
+  if (match[2] === 'em') return number * fontSize;
+  if (match[2] === '%') return (number / 100) * fontSize;
+  return property === 'lineHeight' ? number * fontSize : number;
+}
+
+const roundPx = (px) => `${Math.round(px * 100) / 100}px`;
+
+// A family as declared, with var(--font-inter) resolved to the family the
+// next/font loader declaring that variable loads; null when none does
+function loadedFamily(font, sources) {
+  const variable = String(font).match(/^var\(\s*(--[\w-]+)/);
+  if (!variable) return font;
+  return sources.find(source => source.variable === variable[1])?.family || null;
+}
+
+/**
+ * The project's type scale from its typeScale entries: distinct sizes, the
+ * weights it declares, its line heights and letter spacing in pixels, and the
+ * groups that pair a size with a line height or letter spacing.
+ */
+function projectTypeScale(entries) {
+  const groups = new Map();
+  for (const entry of entries) {
+    if (!groups.has(entry.group)) groups.set(entry.group, {});
+    groups.get(entry.group)[entry.property] = entry;
+  }
+
+  const scale = { sizes: [], weights: [], lineHeights: [], letterSpacing: [], pairings: [] };
+  for (const group of groups.values()) {
+    const size = group.fontSize ? typePixels(group.fontSize.value) : null;
+    const base = size && size > 0 ? size : 16;
+    if (size && size > 0) scale.sizes.push({ px: size, at: group.fontSize });
+    if (group.fontWeight) scale.weights.push(...parseWeights(group.fontWeight.value));
+    // A unitless line height means nothing in pixels without its size
+    const lineHeight = group.lineHeight && (size || /[a-z%]$/i.test(group.lineHeight.value.trim()))
+      ? typePixels(group.lineHeight.value, 'lineHeight', base)
+      : null;
+    const letterSpacing = group.letterSpacing ? typePixels(group.letterSpacing.value, 'letterSpacing', base) : null;
+    if (lineHeight !== null) scale.lineHeights.push(lineHeight);
+    if (letterSpacing !== null && letterSpacing !== 0) scale.letterSpacing.push(letterSpacing);
+    if (size && size > 0) scale.pairings.push({ size, lineHeight, letterSpacing, at: group.fontSize });
+  }
+  scale.weights = [...new Set(scale.weights)].sort((a, b) => a - b);
+  return scale;
+}
+
+/**
+ * Reference values matched one way to their nearest project value, when
+ * `close(reference, project)` accepts it. Project values nearest to no
+ * reference value are extra.
+ */
+function matchValues(projectValues, referenceValues, close) {
+  const results = { matched: [], missing: [], extra: [] };
+  const used = new Set();
+  for (const ref of referenceValues) {
+    let best = null;
+    for (const proj of projectValues) {
+      if (!best || Math.abs(proj - ref) < Math.abs(best - ref)) best = proj;
+    }
+    if (best !== null && close(ref, best)) {
+      results.matched.push({ reference: ref, project: best, diff: Math.round(Math.abs(best - ref) * 100) / 100 });
+      used.add(best);
+    } else {
+      results.missing.push(ref);
+    }
+  }
+  results.extra = projectValues.filter(value => !used.has(value));
+  return results;
+}
+
+const partScore = (matched, total) => (total > 0 ? matched / total : null);
+
+/**
+ * Typography beyond family names. The score is the mean of the parts the
+ * reference has data for:
+ * - families: reference families the project declares, as strictly as `fontMatching` says
+ * - sizes: reference sizes with a project size within `fontSizeTolerance`
+ * - weights: reference weights the project's fonts can render, from the fonts it
+ *   loads (or the weights it declares, when it loads none)
+ * - lineHeights and letterSpacing: reference values the project sets too
+ * - pairings: reference elements (h1, p...) whose size the project pairs with the
+ *   same line height (within 0.1 of the size) and letter spacing
+ * - loading: the project's own fonts that something actually loads
+ * The modular ratio of each scale is reported but not scored.
+ */
+function compareTypography(projectStyles, referenceTypography, thresholds = {}) {
+  const { fontMatching = 'family', fontSizeTolerance = 0.05 } = thresholds;
   const results = { matched: [], missing: [], extra: [], score: 0 };
+  const sources = projectStyles.fontSources || [];
 
   const refFonts = (referenceTypography.fontFamilies || []).map(f =>
     (typeof f === 'string' ? f : f.family).toLowerCase()
   );
-  const projFonts = projectFonts.map(f => f.toLowerCase());
+  const projFonts = [...new Set((projectStyles.fonts || [])
+    .map(font => loadedFamily(font, sources))
+    .filter(Boolean)
+    .map(f => f.toLowerCase()))];
 
   for (const proj of projFonts) {
-    const match = refFonts.find(ref =>
-      ref.includes(proj) || proj.includes(ref) ||
-      ref.split(' ')[0] === proj.split(' ')[0]
-    );
+    const match = refFonts.find(ref => fontsMatch(proj, ref, fontMatching));
     if (match) {
       results.matched.push({ project: proj, reference: match });
     } else {
@@ -559,8 +1216,119 @@ function compareTypography(projectFonts, referenceTypography) {
     }
   }
 
-  const total = refFonts.length || 1;
-  results.score = Math.round((results.matched.length / total) * 100);
+  const project = projectTypeScale(projectStyles.typeScale || []);
+  const refSizes = [...new Set((referenceTypography.scale || []).map(size => typePixels(size)).filter(px => px > 0))];
+  const valuesOf = (list) => (list || []).map(entry => (entry && typeof entry === 'object' ? entry.value : entry));
+
+  // Scale and ratio
+  const projSizes = [...new Set(project.sizes.map(size => size.px))];
+  const sizes = matchValues(projSizes, refSizes, (ref, proj) => Math.abs(proj - ref) <= ref * fontSizeTolerance);
+  results.ratio = { project: detectTypeRatio(projSizes), reference: detectTypeRatio(refSizes) };
+  results.sizes = {
+    matched: sizes.matched.map(m => ({ reference: roundPx(m.reference), project: roundPx(m.project), diff: roundPx(m.diff) })),
+    missing: sizes.missing.map(roundPx),
+    extra: sizes.extra.sort((a, b) => a - b).map(roundPx),
+    score: partScore(sizes.matched.length, refSizes.length)
+  };
+
+  // Weights, from the fonts loaded for the reference families (any loaded font when none are)
+  const refWeights = [...new Set(valuesOf(referenceTypography.fontWeights).flatMap(parseWeights))].sort((a, b) => a - b);
+  const forReference = sources.filter(source =>
+    results.matched.some(({ project: proj }) => fontsMatch(proj, source.family.toLowerCase(), 'family'))
+  );
+  const loadedFor = forReference.length > 0 ? forReference : sources;
+  let available = null;
+  let from = null;
+  if (loadedFor.length > 0) {
+    from = 'loaded fonts';
+    available = loadedFor.some(source => source.weights === null)
+      ? null
+      : [...new Set(loadedFor.flatMap(source => source.weights))].sort((a, b) => a - b);
+  } else if (project.weights.length > 0) {
+    from = 'declared weights';
+    available = project.weights;
+  }
+  const missingWeights = from && available ? refWeights.filter(weight => !available.includes(weight)) : [];
+  results.weights = {
+    reference: refWeights,
+    available,
+    from,
+    missing: missingWeights,
+    score: from ? partScore(refWeights.length - missingWeights.length, refWeights.length) : null
+  };
+
+  // Line heights and letter spacing
+  const refLineHeights = [...new Set(valuesOf(referenceTypography.lineHeights)
+    .filter(value => String(value).trim() !== 'normal')
+    .map(value => typePixels(value, 'lineHeight'))
+    .filter(px => px > 0))];
+  const lineHeights = matchValues([...new Set(project.lineHeights)], refLineHeights,
+    (ref, proj) => Math.abs(proj - ref) <= ref * fontSizeTolerance);
+  results.lineHeights = {
+    matched: lineHeights.matched.map(m => roundPx(m.reference)),
+    missing: lineHeights.missing.map(roundPx),
+    score: partScore(lineHeights.matched.length, refLineHeights.length)
+  };
+
+  const closeSpacing = (ref, proj) => Math.abs(proj - ref) <= Math.max(0.1, Math.abs(ref) * 0.1);
+  const refLetterSpacing = [...new Set(valuesOf(referenceTypography.letterSpacing)
+    .map(value => typePixels(value, 'letterSpacing'))
+    .filter(px => px !== null && px !== 0))];
+  const letterSpacing = matchValues([...new Set(project.letterSpacing)], refLetterSpacing, closeSpacing);
+  results.letterSpacing = {
+    matched: letterSpacing.matched.map(m => roundPx(m.reference)),
+    missing: letterSpacing.missing.map(roundPx),
+    score: partScore(letterSpacing.matched.length, refLetterSpacing.length)
+  };
+
+  // Pairings: each reference element's size, line height and letter spacing
+  // against the project's closest size
+  results.pairings = [];
+  for (const [element, style] of Object.entries(referenceTypography.elements || {})) {
+    const size = typePixels(style?.fontSize);
+    if (!size) continue;
+    const refLineHeight = typePixels(style.lineHeight || 'normal', 'lineHeight', size);
+    const refLetterSpacing = typePixels(style.letterSpacing || 'normal', 'letterSpacing', size);
+    const pairing = { element, reference: { fontSize: roundPx(size), lineHeight: style.lineHeight, letterSpacing: style.letterSpacing }, project: null, lineHeight: false, letterSpacing: false };
+
+    const closest = project.pairings
+      .filter(p => Math.abs(p.size - size) <= size * fontSizeTolerance)
+      .sort((a, b) => Math.abs(a.size - size) - Math.abs(b.size - size) || (b.lineHeight !== null) - (a.lineHeight !== null))[0];
+    if (closest) {
+      const lineHeight = closest.lineHeight ?? 1.2 * closest.size;
+      const spacing = closest.letterSpacing ?? 0;
+      pairing.project = { fontSize: roundPx(closest.size), lineHeight: roundPx(lineHeight), letterSpacing: roundPx(spacing), file: closest.at.file, line: closest.at.line };
+      pairing.lineHeight = refLineHeight !== null && Math.abs(lineHeight / closest.size - refLineHeight / size) <= 0.1;
+      pairing.letterSpacing = refLetterSpacing !== null && closeSpacing(refLetterSpacing, spacing);
+    }
+    results.pairings.push(pairing);
+  }
+  const pairingScore = results.pairings.length > 0
+    ? results.pairings.reduce((sum, p) => sum + (p.lineHeight + p.letterSpacing) / 2, 0) / results.pairings.length
+    : null;
+
+  // Loading: every family the project uses that the platform doesn't ship
+  const custom = projFonts.filter(font => !isSystemFont(font));
+  const loaded = [];
+  const notLoaded = [];
+  for (const font of custom) {
+    const source = sources.find(s => fontsMatch(font, s.family.toLowerCase(), 'family'));
+    if (source) loaded.push({ family: font, source: source.source, file: source.file, line: source.line });
+    else notLoaded.push(font);
+  }
+  results.loading = { loaded, notLoaded, score: partScore(loaded.length, custom.length) };
+
+  results.parts = {
+    families: partScore(results.matched.length, refFonts.length),
+    sizes: results.sizes.score,
+    weights: results.weights.score,
+    lineHeights: results.lineHeights.score,
+    letterSpacing: results.letterSpacing.score,
+    pairings: pairingScore,
+    loading: results.loading.score
+  };
+  const scored = Object.values(results.parts).filter(score => score !== null);
+  results.score = scored.length > 0 ? Math.round((scored.reduce((sum, score) => sum + score, 0) / scored.length) * 100) : 0;
 
   return results;
 }
@@ -622,46 +1390,372 @@ function compareSpacing(projectSpacing, referenceSpacing) {
   return results;
 }
 
-function compareBorderRadius(projectRadius, referenceRadius) {
-  const results = { matched: [], missing: [], extra: [], score: 0 };
+function compareBorderRadius(projectRadius, referenceRadius) {
+  const results = { matched: [], missing: [], extra: [], score: 0 };
+
+  const parseValue = (v) => {
+    if (typeof v === 'object') return parseFloat(v.value) || null;
+    const match = String(v).match(/([\d.]+)/);
+    return match ? parseFloat(match[1]) : null;
+  };
+
+  const refValues = (referenceRadius || []).map(parseValue).filter(v => v !== null);
+  const projValues = projectRadius.map(parseValue).filter(v => v !== null);
+
+  for (const proj of projValues) {
+    if (refValues.includes(proj)) {
+      results.matched.push(`${proj}px`);
+    } else {
+      results.extra.push(`${proj}px`);
+    }
+  }
+
+  for (const ref of refValues) {
+    if (!projValues.includes(ref)) {
+      results.missing.push(`${ref}px`);
+    }
+  }
+
+  const total = refValues.length || 1;
+  results.score = Math.round((results.matched.length / total) * 100);
+
+  return results;
+}
+
+// Pairs of project and reference values with the least total distance
+// (optimal assignment), keeping those within `limit`; the others are extra or missing
+function pairClosest(projectValues, referenceValues, distance, limit) {
+  const distances = projectValues.map(proj => referenceValues.map(ref => distance(proj, ref)));
+  const assigned = optimalAssignment(distances.map(row => row.map(d => Math.min(d, limit))));
+  const pairs = [];
+  const extra = [];
+  const paired = new Set();
+  projectValues.forEach((proj, i) => {
+    const j = assigned[i];
+    if (j !== -1 && distances[i][j] <= limit) {
+      pairs.push({ project: proj, reference: referenceValues[j], distance: distances[i][j] });
+      paired.add(j);
+    } else {
+      extra.push(proj);
+    }
+  });
+  return { pairs, missing: referenceValues.filter((ref, j) => !paired.has(j)), extra };
+}
+
+// Values with distinct `key`s, first one kept
+const uniqueBy = (values, key) => values.filter((value, i) => values.findIndex(other => key(other) === key(value)) === i);
+
+// Box-shadow layers as { inset, x, y, blur, spread, color, alpha }, in pixels
+function shadowLayers(value) {
+  if (!value || value === 'none') return [];
+  return splitTopLevel(String(value), ',').map(layer => {
+    const color = layer.match(/#[0-9a-f]{3,8}\b|\b(?:rgba?|hsla?|hwb|lab|lch|oklab|oklch|color)\([^()]*\)/i)?.[0]
+      || layer.split(/\s+/).find(word => /^[a-z]+$/i.test(word) && word.toLowerCase() !== 'inset' && colorLib.parse(word));
+    const rest = color ? layer.replace(color, ' ') : layer;
+    const lengths = [...rest.matchAll(/(?:^|\s)(-?\d*\.?\d+(?:px|rem|em)?)(?=\s|$)/g)].map(match => parsePixels(match[1]));
+    if (lengths.length < 2 || lengths.includes(null)) return null;
+    const [x, y, blur = 0, spread = 0] = lengths;
+    const parsed = color ? colorLib.parse(color) : null;
+    return { inset: /\binset\b/i.test(layer), x, y, blur, spread, color: color ? normalizeColor(color) : null, alpha: parsed ? parsed.alpha ?? 1 : 1 };
+  }).filter(Boolean);
+}
+
+/**
+ * What a shadow does: `drop` (offset or blurred), `ring` (spread only, a
+ * border drawn as a shadow) or `inset`, and its elevation: for drops how far
+ * the furthest layer reaches (y offset plus half the blur), for rings their
+ * width, for insets their depth.
+ */
+function shadowProfile(value) {
+  const layers = shadowLayers(value);
+  if (layers.length === 0) return null;
+  const outer = layers.filter(layer => !layer.inset);
+  const drops = outer.filter(layer => layer.x || layer.y || layer.blur);
+  const reach = (list, size) => Math.round(Math.max(0, ...list.map(size)) * 100) / 100;
+  if (drops.length > 0) return { kind: 'drop', elevation: reach(drops, layer => Math.abs(layer.y) + layer.blur / 2), layers };
+  if (outer.length > 0) return { kind: 'ring', elevation: reach(outer, layer => layer.spread), layers };
+  return { kind: 'inset', elevation: reach(layers, layer => Math.abs(layer.y) + layer.blur / 2 + layer.spread), layers };
+}
+
+/**
+ * Shadows matched by elevation: each reference shadow pairs with the project
+ * shadow of the same kind (drop, ring, inset) whose elevation is closest,
+ * within 25% (at least 1px). Same elevation is a match, within the tolerance
+ * close. Score is null when the reference has no shadows.
+ */
+function compareShadows(projectShadows, referenceShadows) {
+  const results = { matched: [], close: [], missing: [], extra: [], score: null };
+  const profile = (value, role) => {
+    const found = shadowProfile(value);
+    return found && { value, role, ...found };
+  };
+  const references = (referenceShadows || []).map(shadow => profile(shadow.value || shadow, shadow.role)).filter(Boolean);
+  const projects = uniqueBy(projectShadows.map(value => profile(value)).filter(Boolean), shadow => shadow.value.replace(/\s+/g, ' '));
+
+  const distance = (proj, ref) => (proj.kind === ref.kind ? Math.abs(proj.elevation - ref.elevation) / Math.max(4, ref.elevation) : Infinity);
+  const { pairs, missing, extra } = pairClosest(projects, references, distance, 0.25);
+
+  for (const { project, reference, distance: d } of pairs) {
+    const pair = { project: project.value, reference: reference.value, role: reference.role, kind: reference.kind, elevation: { project: project.elevation, reference: reference.elevation } };
+    (d === 0 ? results.matched : results.close).push(pair);
+  }
+  results.missing = missing.map(ref => ({ value: ref.value, role: ref.role, kind: ref.kind, elevation: ref.elevation }));
+  results.extra = extra.map(proj => proj.value);
+
+  if (references.length > 0) {
+    results.score = Math.round(((results.matched.length + results.close.length * 0.7) / references.length) * 100);
+  }
+  return results;
+}
+
+// How long a duration feels, by the ranges motion guidelines use
+const DURATION_BUCKETS = [[100, 'instant'], [200, 'fast'], [300, 'moderate'], [500, 'slow'], [Infinity, 'slower']];
+const durationBucket = (ms) => DURATION_BUCKETS.find(([limit]) => ms < limit)[1];
+
+// Control points of the CSS named easings
+const NAMED_EASINGS = {
+  linear: [0, 0, 1, 1],
+  ease: [0.25, 0.1, 0.25, 1],
+  'ease-in': [0.42, 0, 1, 1],
+  'ease-out': [0, 0, 0.58, 1],
+  'ease-in-out': [0.42, 0, 0.58, 1]
+};
+
+// cubic-bezier() or named easing → [x1, y1, x2, y2]; null for steps() and linear() with stops
+function easingCurve(value) {
+  const text = String(value).trim().toLowerCase();
+  if (NAMED_EASINGS[text]) return NAMED_EASINGS[text];
+  if (/^linear\(\s*\)$/.test(text)) return NAMED_EASINGS.linear;
+  const match = text.match(/^cubic-bezier\(([^)]*)\)$/);
+  if (!match) return null;
+  const points = match[1].split(',').map(Number);
+  return points.length === 4 && points.every(Number.isFinite) ? points : null;
+}
+
+// Progress of a cubic-bezier easing at time `x`, finding the curve's t by bisection
+function easingAt([x1, y1, x2, y2], x) {
+  const bezier = (t, a, b) => 3 * (1 - t) * (1 - t) * t * a + 3 * (1 - t) * t * t * b + t * t * t;
+  let low = 0;
+  let high = 1;
+  for (let i = 0; i < 30; i++) {
+    const mid = (low + high) / 2;
+    if (bezier(mid, x1, x2) < x) low = mid;
+    else high = mid;
+  }
+  return bezier((low + high) / 2, y1, y2);
+}
+
+// Largest difference in progress between two easings over the animation (0 to 1)
+function curveDistance(a, b) {
+  let max = 0;
+  for (let i = 0; i <= 20; i++) max = Math.max(max, Math.abs(easingAt(a, i / 20) - easingAt(b, i / 20)));
+  return Math.round(max * 1000) / 1000;
+}
+
+/**
+ * Durations and easing curves. A reference duration matches the same project
+ * duration, or is close to one in its bucket (instant < 100ms, fast < 200ms,
+ * moderate < 300ms, slow < 500ms, slower). Easings pair by curve distance, the
+ * largest gap in progress between the two curves: within 0.05 they match,
+ * within 0.15 they are close. Score is null when the reference has neither.
+ */
+function compareMotion(projectMotion, referenceAnimations) {
+  const toMs = (value) => parseDuration(String(value).trim());
+
+  const projDurations = uniqueBy(projectMotion.durations.map(value => ({ value, ms: toMs(value) })).filter(d => d.ms !== null), d => d.ms);
+  const refDurations = uniqueBy((referenceAnimations?.durations || []).map(value => ({ value, ms: toMs(value) })).filter(d => d.ms !== null), d => d.ms);
+  const durationDistance = (proj, ref) => (durationBucket(proj.ms) === durationBucket(ref.ms) ? Math.abs(proj.ms - ref.ms) / ref.ms : Infinity);
+  const durations = pairClosest(projDurations, refDurations, durationDistance, 10);
+  const durationResults = { matched: [], close: [], missing: durations.missing.map(d => d.value), extra: durations.extra.map(d => d.value), score: null };
+  for (const { project, reference, distance } of durations.pairs) {
+    if (distance === 0) durationResults.matched.push({ project: project.value, reference: reference.value });
+    else durationResults.close.push({ project: project.value, reference: reference.value, bucket: durationBucket(reference.ms) });
+  }
+
+  const projEasings = uniqueBy(projectMotion.easings.map(value => ({ value, curve: easingCurve(value) })).filter(e => e.curve), e => e.curve.join());
+  const refEasings = uniqueBy((referenceAnimations?.easings || []).map(value => ({ value, curve: easingCurve(value) })).filter(e => e.curve), e => e.curve.join());
+  const easings = pairClosest(projEasings, refEasings, (proj, ref) => curveDistance(proj.curve, ref.curve), 0.15);
+  const easingResults = { matched: [], close: [], missing: easings.missing.map(e => e.value), extra: easings.extra.map(e => e.value), score: null };
+  for (const { project, reference, distance } of easings.pairs) {
+    (distance <= 0.05 ? easingResults.matched : easingResults.close).push({ project: project.value, reference: reference.value, distance });
+  }
+
+  const score = (part, total) => (total > 0 ? (part.matched.length + part.close.length * 0.7) / total : null);
+  durationResults.score = score(durationResults, refDurations.length);
+  easingResults.score = score(easingResults, refEasings.length);
+  const parts = [durationResults.score, easingResults.score].filter(part => part !== null);
+  [durationResults, easingResults].forEach(part => { if (part.score !== null) part.score = Math.round(part.score * 100); });
+
+  return {
+    durations: durationResults,
+    easings: easingResults,
+    score: parts.length > 0 ? Math.round((parts.reduce((sum, part) => sum + part, 0) / parts.length) * 100) : null
+  };
+}
+
+/**
+ * Breakpoints and container widths, in pixels: the same width matches, one
+ * within 5% is close. Score is the mean of the two, leaving out a list the
+ * reference doesn't have; null when it has neither.
+ */
+function compareBreakpoints(projectBreakpoints, referenceBreakpoints) {
+  const compareWidths = (projectValues, referenceValues) => {
+    const projects = uniqueBy(projectValues.map(value => ({ value, px: parsePixels(value) })).filter(w => w.px), w => Math.round(w.px));
+    const references = uniqueBy(referenceValues.map(value => ({ value: typeof value === 'number' ? `${value}px` : value, px: parsePixels(value) })).filter(w => w.px), w => Math.round(w.px));
+    const { pairs, missing, extra } = pairClosest(projects, references, (proj, ref) => Math.abs(proj.px - ref.px) / ref.px, 0.05);
+    const results = { matched: [], close: [], missing: missing.map(w => w.value), extra: extra.map(w => w.value), score: null };
+    for (const { project, reference } of pairs) {
+      const diff = Math.round(Math.abs(project.px - reference.px));
+      if (diff <= 1) results.matched.push({ project: project.value, reference: reference.value });
+      else results.close.push({ project: project.value, reference: reference.value, diff: `${diff}px` });
+    }
+    if (references.length > 0) results.score = (results.matched.length + results.close.length * 0.7) / references.length;
+    return results;
+  };
+
+  const breakpoints = compareWidths(projectBreakpoints.breakpoints, referenceBreakpoints?.detected || []);
+  const containerWidths = compareWidths(projectBreakpoints.containerWidths, referenceBreakpoints?.containerWidths || []);
+  const parts = [breakpoints.score, containerWidths.score].filter(part => part !== null);
+  [breakpoints, containerWidths].forEach(part => { if (part.score !== null) part.score = Math.round(part.score * 100); });
+
+  return {
+    breakpoints,
+    containerWidths,
+    score: parts.length > 0 ? Math.round((parts.reduce((sum, part) => sum + part, 0) / parts.length) * 100) : null
+  };
+}
+
+// Reference font token a family matches, as strictly as `fontMatching` says
+function matchFont(family, fonts, fontMatching = 'family') {
+  const name = family.toLowerCase();
+  return fonts.find(({ value }) => {
+    const ref = String(value || '').toLowerCase();
+    return ref && fontsMatch(name, ref, fontMatching);
+  }) || null;
+}
+
+/**
+ * How stylesheets and components use the design system: the share of color,
+ * font, spacing and radius usages that go through a token (var(), $variable,
+ * a Tailwind theme class), with usages hardcoding a value on the reference
+ * scale counting half. Usages with neither (inherit, 0, auto) don't count.
+ * Score is null when nothing counts.
+ *
+ * `weighted` scores colors, spacing and radii by the values actually used, each
+ * occurrence counting once, whether hardcoded or resolved from a token, so a
+ * color used in 200 places weighs 200 times one used once. `hardcoded` lists
+ * each literal on the reference scale with its location and the token it
+ * hardcodes; `offSystem` groups the literals off the reference by file, worst
+ * file first.
+ */
+function compareUsage(usages, reference, thresholds = {}) {
+  const { colorDelta = 5, spacingTolerance = 0.1, fontMatching = 'family' } = thresholds;
+  const tokens = referenceTokens(reference);
+  const results = { total: 0, tokenized: 0, onScale: 0, offScale: [], byCategory: {}, weighted: {}, hardcoded: [], offSystem: [], score: null };
+  const files = new Map();
+
+  // The reference token a value is on, or null
+  const scaleToken = (category, value) => {
+    if (category === 'colors') {
+      if (normalizeColor(value) === null) return null;
+      let best = null;
+      for (const token of tokens.colors) {
+        const distance = deltaE(value, token.value);
+        if (distance < colorDelta && (!best || distance < best.distance)) best = { ...token, distance };
+      }
+      return best;
+    }
+    if (category === 'typography') return matchFont(value, tokens.fonts, fontMatching);
+    const nearest = nearestDimension(value, tokens[category] || []);
+    return nearest !== null && nearest.relative <= spacingTolerance ? nearest : null;
+  };
+  const isOnScale = (category, value) => scaleToken(category, value) !== null;
+
+  // Values a usage puts on screen: its literals, or what its token resolves to
+  const usedValues = (usage) => {
+    if (usage.literals.length > 0) return usage.literals.map(literal => literal.value);
+    return typeof usage.resolved === 'string' && !usage.resolved.includes('var(') ? [usage.resolved] : [];
+  };
 
-  const parseValue = (v) => {
-    if (typeof v === 'object') return parseFloat(v.value) || null;
-    const match = String(v).match(/([\d.]+)/);
-    return match ? parseFloat(match[1]) : null;
+  const addOffSystem = (usage, literal) => {
+    if (!files.has(usage.file)) files.set(usage.file, { file: usage.file, count: 0, literals: new Map() });
+    const entry = files.get(usage.file);
+    const key = `${usage.category}:${literal.value.toLowerCase()}`;
+    if (!entry.literals.has(key)) entry.literals.set(key, { value: literal.value, category: usage.category, count: 0, lines: [] });
+    const grouped = entry.literals.get(key);
+    entry.count++;
+    grouped.count++;
+    if (!grouped.lines.includes(literal.line)) grouped.lines.push(literal.line);
   };
 
-  const refValues = (referenceRadius || []).map(parseValue).filter(v => v !== null);
-  const projValues = projectRadius.map(parseValue).filter(v => v !== null);
+  for (const usage of usages) {
+    if (usage.references.length === 0 && usage.literals.length === 0) continue;
+    // Shadows are scored against the reference elevations, their colors with them
+    if (SHADOW_PROPERTIES.has(usage.property)) continue;
+    if (!results.byCategory[usage.category]) {
+      results.byCategory[usage.category] = { total: 0, tokenized: 0, onScale: 0, offScale: 0 };
+    }
+    const stats = results.byCategory[usage.category];
+    results.total++;
+    stats.total++;
+
+    if (['colors', 'spacing', 'borderRadius'].includes(usage.category)) {
+      if (!results.weighted[usage.category]) results.weighted[usage.category] = { total: 0, onScale: 0, score: null };
+      const weighted = results.weighted[usage.category];
+      for (const value of usedValues(usage)) {
+        weighted.total++;
+        if (isOnScale(usage.category, value)) weighted.onScale++;
+      }
+    }
 
-  for (const proj of projValues) {
-    if (refValues.includes(proj)) {
-      results.matched.push(`${proj}px`);
+    if (usage.literals.length === 0) {
+      results.tokenized++;
+      stats.tokenized++;
+      continue;
+    }
+    const offScale = [];
+    for (const literal of usage.literals) {
+      const token = scaleToken(usage.category, literal.value);
+      if (!token) {
+        offScale.push(literal);
+        continue;
+      }
+      results.hardcoded.push({
+        category: usage.category, value: literal.value, token: token.token, expected: token.value,
+        file: usage.file, line: literal.line ?? usage.line, column: literal.column ?? usage.column
+      });
+    }
+    if (offScale.length === 0) {
+      results.onScale++;
+      stats.onScale++;
     } else {
-      results.extra.push(`${proj}px`);
+      results.offScale.push(usage);
+      stats.offScale++;
+      offScale.forEach(literal => addOffSystem(usage, { line: usage.line, ...literal }));
     }
   }
 
-  for (const ref of refValues) {
-    if (!projValues.includes(ref)) {
-      results.missing.push(`${ref}px`);
-    }
+  for (const weighted of Object.values(results.weighted)) {
+    if (weighted.total > 0) weighted.score = Math.round((weighted.onScale / weighted.total) * 100);
   }
+  results.offSystem = [...files.values()]
+    .map(entry => ({ ...entry, literals: [...entry.literals.values()].sort((a, b) => b.count - a.count) }))
+    .sort((a, b) => b.count - a.count);
 
-  const total = refValues.length || 1;
-  results.score = Math.round((results.matched.length / total) * 100);
-
+  if (results.total > 0) {
+    results.score = Math.round(((results.tokenized + results.onScale / 2) / results.total) * 100);
+  }
   return results;
 }
 
 // ============ REPORT GENERATION ============
 
-function generateReport(projectPath, reference, projectType, comparisons, accessibilityAudit) {
+function generateReport(projectPath, reference, projectType, comparisons, accessibilityAudit, config = loadConfig(projectPath), warnings = []) {
   const lines = [];
-  const overallScore = Math.round(
-    (comparisons.colors.score + comparisons.typography.score +
-     comparisons.spacing.score + comparisons.borderRadius.score) / 4
-  );
+  const { weights } = config;
+  const score = overallScore(comparisons, weights);
+  const usage = comparisons.usage;
+  const weight = (category) => weights[category] ?? 1;
 
   lines.push(`# Design System Comparison Report`);
   lines.push('');
@@ -671,26 +1765,85 @@ function generateReport(projectPath, reference, projectType, comparisons, access
   lines.push(`**Generated:** ${new Date().toISOString()}`);
   lines.push(`**Color Algorithm:** CIE ΔE 2000`);
   lines.push('');
-  lines.push(`## Overall Alignment Score: ${overallScore}%`);
+  lines.push(`## Overall Alignment Score: ${score}%`);
+  lines.push('');
+  lines.push(`| Category | Score | Weight | Status |`);
+  lines.push(`|----------|-------|--------|--------|`);
+  lines.push(`| Colors | ${comparisons.colors.score}% | ${weight('colors')} | ${comparisons.colors.score >= 80 ? '✅' : comparisons.colors.score >= 50 ? '⚠️' : '❌'} |`);
+  lines.push(`| Typography | ${comparisons.typography.score}% | ${weight('typography')} | ${comparisons.typography.score >= 80 ? '✅' : comparisons.typography.score >= 50 ? '⚠️' : '❌'} |`);
+  lines.push(`| Spacing | ${comparisons.spacing.score}% | ${weight('spacing')} | ${comparisons.spacing.score >= 80 ? '✅' : comparisons.spacing.score >= 50 ? '⚠️' : '❌'} |`);
+  lines.push(`| Border Radius | ${comparisons.borderRadius.score}% | ${weight('borderRadius')} | ${comparisons.borderRadius.score >= 80 ? '✅' : comparisons.borderRadius.score >= 50 ? '⚠️' : '❌'} |`);
+  [['Shadows', 'shadows'], ['Motion', 'motion'], ['Breakpoints', 'breakpoints']].forEach(([label, category]) => {
+    const { score: categoryScore } = comparisons[category];
+    if (categoryScore === null) return;
+    lines.push(`| ${label} | ${categoryScore}% | ${weight(category)} | ${categoryScore >= 80 ? '✅' : categoryScore >= 50 ? '⚠️' : '❌'} |`);
+  });
+  if (usage?.score !== null && usage?.score !== undefined) {
+    lines.push(`| Usage | ${usage.score}% | ${weight('usage')} | ${usage.score >= 80 ? '✅' : usage.score >= 50 ? '⚠️' : '❌'} |`);
+  }
+  lines.push('');
+  lines.push(`### Score Settings`);
   lines.push('');
-  lines.push(`| Category | Score | Status |`);
-  lines.push(`|----------|-------|--------|`);
-  lines.push(`| Colors | ${comparisons.colors.score}% | ${comparisons.colors.score >= 80 ? '✅' : comparisons.colors.score >= 50 ? '⚠️' : '❌'} |`);
-  lines.push(`| Typography | ${comparisons.typography.score}% | ${comparisons.typography.score >= 80 ? '✅' : comparisons.typography.score >= 50 ? '⚠️' : '❌'} |`);
-  lines.push(`| Spacing | ${comparisons.spacing.score}% | ${comparisons.spacing.score >= 80 ? '✅' : comparisons.spacing.score >= 50 ? '⚠️' : '❌'} |`);
-  lines.push(`| Border Radius | ${comparisons.borderRadius.score}% | ${comparisons.borderRadius.score >= 80 ? '✅' : comparisons.borderRadius.score >= 50 ? '⚠️' : '❌'} |`);
+  describeConfig(config).forEach(line => lines.push(`- ${line}`));
   lines.push('');
 
+  // Files and configs that couldn't be read leave the scores above incomplete
+  if (warnings.length > 0) {
+    lines.push(`### ⚠️ Warnings`);
+    lines.push('');
+    warnings.forEach(warning => lines.push(`- ${warning}`));
+    lines.push('');
+  }
+
   // Accessibility section
   if (accessibilityAudit) {
-    lines.push(`## Accessibility Audit (WCAG 2.1)`);
+    lines.push(`## Accessibility Audit (WCAG 2.2, APCA)`);
     lines.push('');
 
     const errors = accessibilityAudit.issues.filter(i => i.severity === 'error');
     const warnings = accessibilityAudit.issues.filter(i => i.severity === 'warning');
+    const pairs = accessibilityAudit.source === 'pairs';
+
+    if (!pairs) {
+      lines.push(`> The reference has no recorded text/background pairs, so its most common text and background colors were checked against each other. Re-extract it to audit the pairs it actually renders.`);
+      lines.push('');
+    }
+
+    // `button.primary:hover (dark)`, up to three places a pair appears
+    const where = (issue) => {
+      const selectors = issue.selectors.slice(0, 3).map(selector => `\`${selector}${issue.state ? `:${issue.state}` : ''}\``);
+      const more = issue.count - selectors.length;
+      return `${selectors.join(', ') || '—'}${more > 0 ? ` +${more} more` : ''}${issue.theme ? ` (${issue.theme})` : ''}`;
+    };
+    const suggest = ({ suggestion }) => [
+      suggestion.foreground && `text \`${suggestion.foreground.value}\` (ΔE ${suggestion.foreground.deltaE})`,
+      suggestion.background && `background \`${suggestion.background.value}\` (ΔE ${suggestion.background.deltaE})`
+    ].filter(Boolean).join(' or ') || 'no passing palette color';
 
     if (errors.length === 0 && warnings.length === 0) {
-      lines.push(`✅ All tested color combinations pass WCAG AA requirements.`);
+      lines.push(pairs
+        ? `✅ All ${accessibilityAudit.passing.length} rendered text/background pairs pass WCAG AA and APCA.`
+        : `✅ All tested color combinations pass WCAG AA requirements.`);
+    } else if (pairs) {
+      if (errors.length > 0) {
+        lines.push(`### ❌ Contrast Errors (${errors.length})`);
+        lines.push('');
+        lines.push(`| Selectors | Text | Size | Ratio | APCA Lc | Nearest passing |`);
+        lines.push(`|-----------|------|------|-------|---------|-----------------|`);
+        for (const err of errors) {
+          lines.push(`| ${where(err)} | \`${err.foreground}\` on \`${err.background}\` | ${err.fontSize}px/${err.fontWeight} | ${err.ratio}:1 (needs ${err.required}:1) | ${err.lc} | ${suggest(err)} |`);
+        }
+        lines.push('');
+      }
+
+      if (warnings.length > 0) {
+        lines.push(`### ⚠️ Contrast Warnings (${warnings.length})`);
+        lines.push('');
+        for (const warn of warnings) {
+          lines.push(`- ${where(warn)}: \`${warn.foreground}\` on \`${warn.background}\` at ${warn.fontSize}px/${warn.fontWeight}: ${warn.message}; nearest passing: ${suggest(warn)}`);
+        }
+        lines.push('');
+      }
     } else {
       if (errors.length > 0) {
         lines.push(`### ❌ Contrast Errors (${errors.length})`);
@@ -713,17 +1866,41 @@ function generateReport(projectPath, reference, projectType, comparisons, access
       }
     }
 
+    if (accessibilityAudit.skipped > 0) {
+      lines.push(`${accessibilityAudit.skipped} pair${accessibilityAudit.skipped === 1 ? '' : 's'} over background images not checked.`);
+      lines.push('');
+    }
+
     if (accessibilityAudit.passing.length > 0) {
       lines.push(`### ✅ Passing Combinations (${accessibilityAudit.passing.length})`);
       lines.push('');
       for (const pass of accessibilityAudit.passing.slice(0, 5)) {
-        lines.push(`- \`${pass.foreground}\` on \`${pass.background}\` (${pass.ratio}:1)`);
+        lines.push(`- \`${pass.foreground}\` on \`${pass.background}\` (${pass.ratio}:1${pairs ? `, Lc ${pass.lc}` : ''})`);
       }
       if (accessibilityAudit.passing.length > 5) {
         lines.push(`- ... and ${accessibilityAudit.passing.length - 5} more`);
       }
       lines.push('');
     }
+
+    const colorVision = accessibilityAudit.colorVision;
+    if (colorVision?.colors.length > 0) {
+      const typeNames = colorVision.types.map(type => type[0].toUpperCase() + type.slice(1));
+      lines.push(`### 👁️ Color Vision Deficiency (ΔE < ${colorVision.threshold})`);
+      lines.push('');
+      if (colorVision.issues.length === 0) {
+        lines.push(`✅ All ${colorVision.colors.length} status colors stay distinguishable with ${colorVision.types.join(', ')}.`);
+      } else {
+        lines.push(`| Status colors | ΔE | ${typeNames.join(' | ')} |`);
+        lines.push(`|---------------|----|${typeNames.map(name => '-'.repeat(name.length + 2)).join('|')}|`);
+        for (const issue of colorVision.issues) {
+          const color = ({ name, value }) => `${name} \`${value}\``;
+          const deltas = colorVision.types.map(type => issue.confused.includes(type) ? `**${issue.deltas[type]}** ⚠️` : issue.deltas[type]);
+          lines.push(`| ${color(issue.first)} / ${color(issue.second)}${issue.theme ? ` (${issue.theme})` : ''} | ${issue.deltaE} | ${deltas.join(' | ')} |`);
+        }
+      }
+      lines.push('');
+    }
   }
 
   // Colors section
@@ -734,7 +1911,7 @@ function generateReport(projectPath, reference, projectType, comparisons, access
     lines.push(`### ✅ Exact Matches (${comparisons.colors.exact.length})`);
     lines.push('');
     comparisons.colors.exact.forEach(c => {
-      lines.push(`- \`${c.project}\``);
+      lines.push(`- \`${c.project}\`${c.name ? ` (${c.name})` : ''}`);
     });
     lines.push('');
   }
@@ -745,7 +1922,24 @@ function generateReport(projectPath, reference, projectType, comparisons, access
     lines.push(`| Project | Reference | ΔE 2000 |`);
     lines.push(`|---------|-----------|---------|`);
     comparisons.colors.similar.forEach(c => {
-      lines.push(`| \`${c.project}\` | \`${c.reference}\` | ${c.deltaE} |`);
+      lines.push(`| \`${c.project}\`${c.name ? ` (${c.name})` : ''} | \`${c.reference}\` | ${c.deltaE} |`);
+    });
+    lines.push('');
+  }
+
+  const roles = Object.entries(comparisons.colors.roles || {});
+  if (roles.length) {
+    lines.push(`### 🎯 By Role`);
+    lines.push('');
+    roles.forEach(([role, result]) => {
+      result.pairs.forEach(pair => {
+        const status = pair.deltaE === 0 ? '✅' : pair.deltaE < result.threshold ? '⚠️' : '❌';
+        lines.push(`- ${status} **${role}**: \`${pair.name}\` (\`${pair.project}\`) is ΔE ${pair.deltaE} from reference ${pair.referenceRole} (\`${pair.reference}\`)`);
+      });
+      if (result.missing.length) {
+        const more = result.missing.length > 3 ? ` and ${result.missing.length - 3} more` : '';
+        lines.push(`- ❌ **${role}**: no project ${role} color for reference ${result.missing.slice(0, 3).map(c => `\`${c}\``).join(', ')}${more}`);
+      }
     });
     lines.push('');
   }
@@ -793,6 +1987,53 @@ function generateReport(projectPath, reference, projectType, comparisons, access
     lines.push('');
   }
 
+  const { loading, sizes, ratio, weights: typeWeights, lineHeights, letterSpacing, pairings } = comparisons.typography;
+  if (loading.loaded.length || loading.notLoaded.length) {
+    lines.push(`### 📦 Font Loading`);
+    lines.push('');
+    loading.loaded.forEach(f => {
+      lines.push(`- ✅ **${f.family}** via ${f.source} (${path.relative(projectPath, f.file)}:${f.line})`);
+    });
+    loading.notLoaded.forEach(f => {
+      lines.push(`- ❌ **${f}** is declared but nothing loads it (no @font-face, next/font, Google Fonts link or Fontsource import)`);
+    });
+    lines.push('');
+  }
+
+  const describeRatio = (detected) => (detected ? `${detected.ratio}${detected.name ? ` (${detected.name})` : ''}` : 'none detected');
+  lines.push(`### 📐 Type Scale`);
+  lines.push('');
+  lines.push(`- **Ratio**: project ${describeRatio(ratio.project)}, reference ${describeRatio(ratio.reference)}`);
+  if (sizes.matched.length) {
+    lines.push(`- ✅ **Sizes**: ${sizes.matched.map(m => (m.diff === '0px' ? m.reference : `${m.reference} (${m.project})`)).join(', ')}`);
+  }
+  if (sizes.missing.length) lines.push(`- ❌ **Missing sizes**: ${sizes.missing.join(', ')}`);
+  if (sizes.extra.length) lines.push(`- ⚠️ **Off-scale sizes**: ${sizes.extra.slice(0, 10).join(', ')}${sizes.extra.length > 10 ? ` and ${sizes.extra.length - 10} more` : ''}`);
+  if (typeWeights.reference.length) {
+    const available = typeWeights.from ? (typeWeights.available ? typeWeights.available.join(', ') : 'every weight (variable)') : 'unknown (no loaded fonts or declared weights)';
+    lines.push(`- ${typeWeights.missing.length ? '❌' : typeWeights.from ? '✅' : '⚠️'} **Weights**: reference ${typeWeights.reference.join(', ')}; ${typeWeights.from || 'project'}: ${available}${typeWeights.missing.length ? `; missing ${typeWeights.missing.join(', ')}` : ''}`);
+  }
+  if (lineHeights.matched.length || lineHeights.missing.length) {
+    lines.push(`- **Line heights**: ${lineHeights.matched.length}/${lineHeights.matched.length + lineHeights.missing.length} of the reference's${lineHeights.missing.length ? `; missing ${lineHeights.missing.join(', ')}` : ''}`);
+  }
+  if (letterSpacing.matched.length || letterSpacing.missing.length) {
+    lines.push(`- **Letter spacing**: ${letterSpacing.matched.length}/${letterSpacing.matched.length + letterSpacing.missing.length} of the reference's${letterSpacing.missing.length ? `; missing ${letterSpacing.missing.join(', ')}` : ''}`);
+  }
+  lines.push('');
+
+  if (pairings.length) {
+    lines.push(`### 🔗 Size Pairings`);
+    lines.push('');
+    lines.push('| Element | Reference (size / line height / tracking) | Project | Line height | Tracking |');
+    lines.push('|---------|-------------------------------------------|---------|-------------|----------|');
+    pairings.forEach(p => {
+      const ref = `${p.reference.fontSize} / ${p.reference.lineHeight || 'normal'} / ${p.reference.letterSpacing || 'normal'}`;
+      const proj = p.project ? `${p.project.fontSize} / ${p.project.lineHeight} / ${p.project.letterSpacing}` : 'no size';
+      lines.push(`| ${p.element} | ${ref} | ${proj} | ${p.lineHeight ? '✅' : '❌'} | ${p.letterSpacing ? '✅' : '❌'} |`);
+    });
+    lines.push('');
+  }
+
   // Spacing section
   lines.push(`## Spacing (${comparisons.spacing.score}%)`);
   lines.push('');
@@ -830,6 +2071,101 @@ function generateReport(projectPath, reference, projectType, comparisons, access
     lines.push('');
   }
 
+  // Shadows section
+  const { shadows, motion, breakpoints } = comparisons;
+  if (shadows.score !== null) {
+    lines.push(`## Shadows (${shadows.score}%)`);
+    lines.push('');
+
+    const describe = (shadow) => `${shadow.kind} ${shadow.elevation}px`;
+    if (shadows.matched.length || shadows.close.length) {
+      lines.push(`| Reference | Project | Elevation |`);
+      lines.push(`|-----------|---------|-----------|`);
+      [...shadows.matched, ...shadows.close].forEach(pair => {
+        const elevation = pair.elevation.project === pair.elevation.reference
+          ? `✅ ${pair.kind} ${pair.elevation.reference}px`
+          : `⚠️ ${pair.kind} ${pair.elevation.project}px for ${pair.elevation.reference}px`;
+        lines.push(`| ${pair.role ? `**${pair.role}** ` : ''}\`${pair.reference}\` | \`${pair.project}\` | ${elevation} |`);
+      });
+      lines.push('');
+    }
+
+    if (shadows.missing.length) {
+      lines.push(`### ❌ Missing Elevations`);
+      lines.push('');
+      shadows.missing.forEach(shadow => lines.push(`- ${shadow.role ? `**${shadow.role}** ` : ''}\`${shadow.value}\` (${describe(shadow)})`));
+      lines.push('');
+    }
+  }
+
+  // Motion section
+  if (motion.score !== null) {
+    lines.push(`## Motion (${motion.score}%)`);
+    lines.push('');
+    [['Durations', motion.durations], ['Easings', motion.easings]].forEach(([label, part]) => {
+      if (part.score === null) return;
+      const close = part.close.map(pair => `${pair.project} → ${pair.reference} (${pair.bucket || `curve distance ${pair.distance}`})`);
+      lines.push(`- ${part.score >= 80 ? '✅' : part.score >= 50 ? '⚠️' : '❌'} **${label}** (${part.score}%): ${part.matched.length ? `matched ${part.matched.map(pair => pair.project).join(', ')}` : 'none matched'}${close.length ? `; close ${close.join(', ')}` : ''}${part.missing.length ? `; missing ${part.missing.join(', ')}` : ''}`);
+    });
+    lines.push('');
+  }
+
+  // Breakpoints section
+  if (breakpoints.score !== null) {
+    lines.push(`## Breakpoints (${breakpoints.score}%)`);
+    lines.push('');
+    [['Breakpoints', breakpoints.breakpoints], ['Container widths', breakpoints.containerWidths]].forEach(([label, part]) => {
+      if (part.score === null) return;
+      const close = part.close.map(pair => `${pair.project} → ${pair.reference} (off by ${pair.diff})`);
+      lines.push(`- ${part.score >= 80 ? '✅' : part.score >= 50 ? '⚠️' : '❌'} **${label}** (${part.score}%): ${part.matched.length ? `matched ${part.matched.map(pair => pair.reference).join(', ')}` : 'none matched'}${close.length ? `; close ${close.join(', ')}` : ''}${part.missing.length ? `; missing ${part.missing.join(', ')}` : ''}`);
+    });
+    lines.push('');
+  }
+
+  // Usage section
+  if (usage?.total > 0) {
+    lines.push(`## Usage (${usage.score}%)`);
+    lines.push('');
+    lines.push(`${usage.tokenized} of ${usage.total} style usages use tokens, ${usage.onScale} hardcode reference values (counting half) and ${usage.offScale.length} hardcode values off the reference.`);
+    lines.push('');
+    lines.push(`| Category | Usages | Tokens | On reference | Off reference | Weighted by use |`);
+    lines.push(`|----------|--------|--------|--------------|---------------|-----------------|`);
+    Object.entries(usage.byCategory).forEach(([category, stats]) => {
+      const weighted = usage.weighted?.[category];
+      const byUse = weighted?.score != null ? `${weighted.score}% of ${weighted.total}` : '-';
+      lines.push(`| ${category} | ${stats.total} | ${stats.tokenized} | ${stats.onScale} | ${stats.offScale} | ${byUse} |`);
+    });
+    lines.push('');
+
+    if (usage.hardcoded?.length) {
+      lines.push(`### ⚠️ Hardcoded Reference Values`);
+      lines.push('');
+      usage.hardcoded.slice(0, 20).forEach(literal => {
+        lines.push(`- **${path.relative(projectPath, literal.file)}:${literal.line}** \`${literal.value}\` → \`${literal.token}\``);
+      });
+      if (usage.hardcoded.length > 20) {
+        lines.push(`- ... and ${usage.hardcoded.length - 20} more`);
+      }
+      lines.push('');
+    }
+
+    if (usage.offSystem?.length) {
+      lines.push(`### ❌ Worst Off-System Literals by File`);
+      lines.push('');
+      usage.offSystem.slice(0, 10).forEach(entry => {
+        const literals = entry.literals.slice(0, 5).map(literal =>
+          `\`${literal.value}\` ×${literal.count} (line${literal.lines.length > 1 ? 's' : ''} ${literal.lines.join(', ')})`
+        );
+        const more = entry.literals.length > 5 ? `, ... and ${entry.literals.length - 5} more` : '';
+        lines.push(`- **${path.relative(projectPath, entry.file)}** (${entry.count}): ${literals.join(', ')}${more}`);
+      });
+      if (usage.offSystem.length > 10) {
+        lines.push(`- ... and ${usage.offSystem.length - 10} more files`);
+      }
+      lines.push('');
+    }
+  }
+
   // Recommendations
   lines.push(`## Recommendations`);
   lines.push('');
@@ -839,17 +2175,46 @@ function generateReport(projectPath, reference, projectType, comparisons, access
   if (comparisons.colors.score < 80) {
     recommendations.push(`1. **Update color palette** - ${comparisons.colors.missing.length} reference colors are missing`);
   }
-  if (comparisons.typography.score < 80) {
+  if (comparisons.typography.score < 80 && comparisons.typography.missing.length) {
     recommendations.push(`${recommendations.length + 1}. **Install missing fonts** - Add: ${comparisons.typography.missing.join(', ')}`);
   }
+  if (comparisons.typography.loading.notLoaded.length) {
+    recommendations.push(`${recommendations.length + 1}. **Load declared fonts** - Nothing loads ${comparisons.typography.loading.notLoaded.join(', ')}; add next/font, @font-face or a Google Fonts link`);
+  }
+  if (comparisons.typography.weights.missing.length) {
+    recommendations.push(`${recommendations.length + 1}. **Load font weights** - Reference weights ${comparisons.typography.weights.missing.join(', ')} aren't loaded`);
+  }
+  if (comparisons.typography.sizes.missing.length) {
+    recommendations.push(`${recommendations.length + 1}. **Align type scale** - Add reference sizes ${comparisons.typography.sizes.missing.slice(0, 5).join(', ')}`);
+  }
   if (comparisons.spacing.score < 80) {
     recommendations.push(`${recommendations.length + 1}. **Align spacing scale** - Consider adopting reference spacing: ${comparisons.spacing.missing.slice(0, 5).join(', ')}`);
   }
   if (comparisons.borderRadius.score < 80) {
     recommendations.push(`${recommendations.length + 1}. **Update border radius tokens** - Missing: ${comparisons.borderRadius.missing.join(', ')}`);
   }
+  if (shadows.missing.length && shadows.score < 80) {
+    recommendations.push(`${recommendations.length + 1}. **Add shadow elevations** - Missing: ${shadows.missing.map(shadow => shadow.role || `${shadow.kind} ${shadow.elevation}px`).join(', ')}`);
+  }
+  const motionMissing = [...motion.durations.missing, ...motion.easings.missing];
+  if (motionMissing.length && motion.score < 80) {
+    recommendations.push(`${recommendations.length + 1}. **Align motion tokens** - Missing durations and easings: ${motionMissing.slice(0, 5).join(', ')}`);
+  }
+  const breakpointsMissing = [...breakpoints.breakpoints.missing, ...breakpoints.containerWidths.missing];
+  if (breakpointsMissing.length && breakpoints.score < 80) {
+    recommendations.push(`${recommendations.length + 1}. **Align breakpoints** - Missing breakpoints and container widths: ${breakpointsMissing.slice(0, 5).join(', ')}`);
+  }
+  if (usage?.score !== null && usage?.score < 80) {
+    recommendations.push(`${recommendations.length + 1}. **Use tokens in stylesheets and components** - ${usage.offScale.length} usages hardcode values off the reference`);
+  }
   if (accessibilityAudit?.issues.filter(i => i.severity === 'error').length > 0) {
-    recommendations.push(`${recommendations.length + 1}. **Fix accessibility issues** - ${accessibilityAudit.issues.filter(i => i.severity === 'error').length} color combinations fail WCAG AA`);
+    const failing = accessibilityAudit.issues.filter(i => i.severity === 'error').length;
+    const what = accessibilityAudit.source === 'pairs' ? 'rendered text/background pairs' : 'color combinations';
+    recommendations.push(`${recommendations.length + 1}. **Fix accessibility issues** - ${failing} ${what} fail WCAG AA`);
+  }
+  if (accessibilityAudit?.colorVision?.issues.length > 0) {
+    const confused = accessibilityAudit.colorVision.issues.length;
+    recommendations.push(`${recommendations.length + 1}. **Don't rely on color alone for status** - ${confused} status color pair${confused === 1 ? ' is' : 's are'} hard to tell apart with color vision deficiencies; separate their lightness or add icons and labels`);
   }
 
   if (recommendations.length === 0) {
@@ -865,57 +2230,624 @@ function generateReport(projectPath, reference, projectType, comparisons, access
   return lines.join('\n');
 }
 
+// ============ ISSUES ============
+
+// Reference values by category, each with its token path in the W3C tokens
+// generate-w3c-tokens.js writes for the reference
+// W3C token paths of reference values, as generate-w3c-tokens.js writes them
+const RADIUS_NAMES = ['none', 'sm', 'base', 'md', 'lg', 'xl', '2xl', '3xl', 'full'];
+const SIZE_NAMES = ['xs', 'sm', 'base', 'lg', 'xl', '2xl', '3xl', '4xl', '5xl', '6xl', '7xl', '8xl', '9xl'];
+const SHADOW_NAMES = ['sm', 'base', 'md', 'lg', 'xl', '2xl'];
+const DURATION_NAMES = ['instant', 'fast', 'normal', 'slow', 'slower'];
+const EASING_NAMES = ['linear', 'ease', 'ease-in', 'ease-out', 'ease-in-out'];
+const BREAKPOINT_NAMES = ['xs', 'sm', 'md', 'lg', 'xl', '2xl', '3xl'];
+const tokenPaths = {
+  palette: (c, i) => `color.${sanitizeName(c.role || `color-${i + 1}`)}`,
+  semantic: (category, i) => `color.semantic.${category}.${i === 0 ? 'primary' : i === 1 ? 'secondary' : `level-${i + 1}`}`,
+  font: (font) => `typography.fontFamily.${sanitizeName(font.role || (typeof font === 'string' ? font : font.family) || 'default')}`,
+  fontSize: (size, i) => `typography.fontSize.${SIZE_NAMES[i] || `size-${i + 1}`}`,
+  spacing: (space, i) => `spacing.${i + 1}`,
+  radius: (radius, i) => `borderRadius.${sanitizeName(radius.role || RADIUS_NAMES[i] || `radius-${i + 1}`)}`,
+  shadow: (shadow, i) => `shadow.${sanitizeName(shadow.role || SHADOW_NAMES[i] || `shadow-${i + 1}`)}`,
+  duration: (duration, i) => `animation.duration.${DURATION_NAMES[i] || `duration-${i + 1}`}`,
+  easing: (easing, i) => `animation.easing.${EASING_NAMES[i] || `easing-${i + 1}`}`,
+  breakpoint: (width, i) => `breakpoint.${BREAKPOINT_NAMES[i] || `bp-${i + 1}`}`
+};
+
+// Token list of a filtered reference, named before filtering so paths don't shift
+const FILTERED_TOKENS = Symbol('filteredTokens');
+
+function referenceTokens(reference) {
+  if (reference[FILTERED_TOKENS]) return reference[FILTERED_TOKENS];
+  const colors = [];
+  (reference.colors?.palette || []).forEach((c, i) => {
+    colors.push({ token: tokenPaths.palette(c, i), value: c.value, role: c.role });
+  });
+  ['backgrounds', 'text', 'borders', 'accents'].forEach(category => {
+    (reference.colors?.semantic?.[category] || []).forEach((c, i) => {
+      colors.push({ token: tokenPaths.semantic(category, i), value: c.value });
+    });
+  });
+
+  const fonts = (reference.typography?.fontFamilies || []).map(font => ({
+    token: tokenPaths.font(font),
+    value: typeof font === 'string' ? font : font.family
+  }));
+
+  const fontSizes = (reference.typography?.scale || []).map((size, i) => ({ token: tokenPaths.fontSize(size, i), value: size }));
+
+  const spacing = (reference.spacing?.scale || []).map((space, i) => ({ token: tokenPaths.spacing(space, i), value: space }));
+
+  const borderRadius = (reference.borderRadius || []).map((radius, i) => ({
+    token: tokenPaths.radius(radius, i),
+    value: radius.value || radius
+  }));
+
+  const shadows = (reference.shadows || []).map((shadow, i) => ({
+    token: tokenPaths.shadow(shadow, i),
+    value: shadow.value || shadow,
+    role: shadow.role
+  }));
+
+  const durations = (reference.animations?.durations || []).map((duration, i) => ({ token: tokenPaths.duration(duration, i), value: duration }));
+  const easings = (reference.animations?.easings || []).map((easing, i) => ({ token: tokenPaths.easing(easing, i), value: easing }));
+  const breakpoints = (reference.breakpoints?.detected || []).map((width, i) => ({ token: tokenPaths.breakpoint(width, i), value: `${width}px` }));
+
+  return { colors, fonts, fontSizes, spacing, borderRadius, shadows, durations, easings, breakpoints };
+}
+
+/**
+ * The reference without the values whose token paths (color.accent,
+ * spacing.4, color.semantic.text.primary), palette roles or CSS variable
+ * names the config ignores.
+ */
+function withoutIgnoredTokens(reference, ignoreToken) {
+  const keep = (list, name) => (list || []).filter((entry, i) => !ignoreToken(name(entry, i), entry?.role));
+  const semantic = reference.colors?.semantic && Object.fromEntries(
+    Object.entries(reference.colors.semantic).map(([category, list]) => [
+      category, Array.isArray(list) ? keep(list, (entry, i) => tokenPaths.semantic(category, i)) : list
+    ])
+  );
+
+  const tokens = referenceTokens(reference);
+  const filtered = Object.fromEntries(Object.entries(tokens).map(([category, list]) => [
+    category, list.filter(({ token, role }) => !ignoreToken(token, role))
+  ]));
+
+  return {
+    ...reference,
+    [FILTERED_TOKENS]: filtered,
+    colors: reference.colors && {
+      ...reference.colors,
+      palette: keep(reference.colors.palette, tokenPaths.palette),
+      semantic,
+      ...(reference.colors.cssVariables && {
+        cssVariables: Object.fromEntries(Object.entries(reference.colors.cssVariables).filter(([name]) => !ignoreToken(name)))
+      })
+    },
+    typography: reference.typography && {
+      ...reference.typography,
+      fontFamilies: keep(reference.typography.fontFamilies, tokenPaths.font),
+      scale: keep(reference.typography.scale, tokenPaths.fontSize)
+    },
+    spacing: reference.spacing && { ...reference.spacing, scale: keep(reference.spacing.scale, tokenPaths.spacing) },
+    borderRadius: reference.borderRadius && keep(reference.borderRadius, tokenPaths.radius),
+    shadows: reference.shadows && keep(reference.shadows, tokenPaths.shadow),
+    animations: reference.animations && {
+      ...reference.animations,
+      durations: keep(reference.animations.durations, tokenPaths.duration),
+      easings: keep(reference.animations.easings, tokenPaths.easing)
+    },
+    breakpoints: reference.breakpoints && {
+      ...reference.breakpoints,
+      detected: keep(reference.breakpoints.detected, tokenPaths.breakpoint)
+    }
+  };
+}
+
+const parsePixels = (v) => {
+  const match = String(v).match(/^(-?[\d.]+)(px|rem|em)?$/);
+  if (!match) return null;
+  return match[2] === 'rem' || match[2] === 'em' ? parseFloat(match[1]) * 16 : parseFloat(match[1]);
+};
+
+// Reference token closest to a numeric value
+function nearestDimension(value, tokens) {
+  const px = parsePixels(value);
+  if (px === null) return null;
+  let best = null;
+  for (const token of tokens) {
+    const refPx = parsePixels(token.value);
+    if (refPx === null) continue;
+    const diff = Math.abs(px - refPx);
+    if (!best || diff < best.diff) best = { ...token, px: refPx, diff };
+  }
+  return best && { ...best, relative: best.px ? best.diff / best.px : best.diff };
+}
+
+/**
+ * One issue per project declaration that strays from the reference, carrying
+ * where it was declared and the reference token to use instead:
+ * - colors: paired with reference colors by role as in compareColors; minor
+ *   within `colorDelta` ΔE 2000 (or the role's `roleDelta`) of the reference
+ *   color it pairs with, major when it pairs with none
+ * - fonts: major when no reference family matches
+ * - spacing and radii: minor off the reference scale, info within `spacingTolerance`
+ * Reference colors and fonts the project never declares are reported as info.
+ */
+function buildIssues(declarations, reference, thresholds = {}) {
+  const { colorDelta = 5, roleDelta = {}, spacingTolerance = 0.1, fontMatching = 'family' } = thresholds;
+  const tokens = referenceTokens(reference);
+  const issues = [];
+  const at = (decl) => ({ file: decl.file, line: decl.line, column: decl.column });
+  const usedColors = new Set();
+  const usedFonts = new Set();
+
+  // Reference colors once each, with their roles and tokens
+  const roleSets = new Map(referenceColorRoles(reference.colors || {}).map(ref => [normalizeColor(ref.value), ref.roles]));
+  const references = [];
+  for (const token of tokens.colors) {
+    const key = normalizeColor(token.value);
+    if (!key) continue;
+    let ref = references.find(r => r.key === key);
+    if (!ref) references.push(ref = { key, value: token.value, roles: roleSets.get(key) || new Map(), tokens: [] });
+    ref.tokens.push(token);
+  }
+
+  // Each declared name and color once, paired by role; one left unpaired
+  // suggests the nearest reference color of its role
+  const projects = [...new Map(declarations
+    .filter(decl => decl.category === 'colors' && normalizeColor(decl.value))
+    .map(decl => [`${decl.name}|${decl.value}`, { name: decl.name, value: decl.value, role: colorRole(decl.name) }])).values()];
+  const { pairs, distances, compatible } = pairColors(projects, references, role => roleDelta[role] ?? colorDelta);
+  const colorMatches = new Map();
+  projects.forEach((proj, i) => {
+    let j = pairs[i];
+    if (j === -1) {
+      const nearest = (candidates) => candidates.reduce((best, k) => (best === -1 || distances[i][k] < distances[i][best] ? k : best), -1);
+      const indices = references.map((_, k) => k).filter(k => Number.isFinite(distances[i][k]));
+      j = nearest(indices.filter(k => compatible(proj, references[k])));
+      if (j === -1) j = nearest(indices);
+      if (j === -1) return;
+    }
+    const ref = references[j];
+    const token = ref.tokens.find(t => proj.role && colorRole(t.token) === proj.role) || ref.tokens[0];
+    colorMatches.set(`${proj.name}|${proj.value}`, { ...token, deltaE: distances[i][j], similar: pairs[i] !== -1, role: proj.role });
+  });
+
+  for (const decl of declarations) {
+    if (decl.category === 'colors') {
+      const best = colorMatches.get(`${decl.name}|${decl.value}`);
+      if (!best) continue;
+      const { similar } = best;
+      if (similar) usedColors.add(normalizeColor(best.value));
+      if (similar && best.deltaE < 1) continue; // Imperceptible: ΔE 2000 below about 1
+
+      issues.push({
+        severity: similar ? 'minor' : 'major',
+        category: 'colors',
+        message: similar
+          ? `${decl.value} is close to ${best.token} (${best.value}, ΔE ${best.deltaE.toFixed(2)}); use the token`
+          : `${decl.value} is not ${best.role ? `among the reference ${best.role} colors` : 'in the reference palette'}; nearest is ${best.token} (${best.value}, ΔE ${best.deltaE.toFixed(2)})`,
+        ...at(decl),
+        expected: best.value,
+        actual: decl.value,
+        suggestion: best.token
+      });
+    } else if (decl.category === 'typography') {
+      const match = matchFont(decl.value, tokens.fonts, fontMatching);
+      if (match) {
+        usedFonts.add(match.token);
+        continue;
+      }
+      const primary = tokens.fonts[0];
+      issues.push({
+        severity: 'major',
+        category: 'typography',
+        message: `Font family "${decl.value}" is not in the reference${primary ? `; use ${primary.token} (${primary.value})` : ''}`,
+        ...at(decl),
+        expected: primary?.value,
+        actual: decl.value,
+        suggestion: primary?.token
+      });
+    } else if (decl.category === 'spacing' || decl.category === 'borderRadius') {
+      const nearest = nearestDimension(decl.value, tokens[decl.category]);
+      if (!nearest || nearest.diff === 0) continue;
+      const label = decl.category === 'spacing' ? 'Spacing' : 'Border radius';
+      issues.push({
+        severity: nearest.relative <= spacingTolerance ? 'info' : 'minor',
+        category: decl.category,
+        message: `${label} ${decl.value} is off the reference scale; nearest is ${nearest.token} (${nearest.value})`,
+        ...at(decl),
+        expected: nearest.value,
+        actual: decl.value,
+        suggestion: nearest.token
+      });
+    }
+  }
+
+  // Reference tokens nothing in the project declares
+  const seen = new Set();
+  for (const token of tokens.colors) {
+    const key = normalizeColor(token.value);
+    if (!key || usedColors.has(key) || seen.has(key)) continue;
+    seen.add(key);
+    issues.push({
+      severity: 'info',
+      category: 'colors',
+      message: `Reference color ${token.token} (${token.value}) is not defined in the project`,
+      expected: token.value,
+      suggestion: token.token
+    });
+  }
+  for (const token of tokens.fonts) {
+    if (usedFonts.has(token.token)) continue;
+    issues.push({
+      severity: 'info',
+      category: 'typography',
+      message: `Reference font ${token.token} (${token.value}) is not used in the project`,
+      expected: token.value,
+      suggestion: token.token
+    });
+  }
+
+  return issues;
+}
+
+/**
+ * Issues from the typography comparison: fonts declared but never loaded
+ * (major, at the declaration), reference weights the loaded fonts lack (minor)
+ * and font sizes off the reference scale (minor, info within `fontSizeTolerance`).
+ */
+function typographyIssues(typography, projectStyles, reference) {
+  const issues = [];
+  const tokens = referenceTokens(reference);
+
+  for (const family of typography.loading.notLoaded) {
+    const decl = (projectStyles.declarations || []).find(d => d.category === 'typography' && d.value.toLowerCase() === family);
+    issues.push({
+      severity: 'major',
+      category: 'typography',
+      message: `Font "${decl?.value || family}" is declared but nothing loads it; add next/font, @font-face or a Google Fonts link`,
+      ...(decl && { file: decl.file, line: decl.line, column: decl.column }),
+      actual: decl?.value || family
+    });
+  }
+
+  if (typography.weights.missing.length > 0) {
+    const source = typography.loading.loaded[0];
+    issues.push({
+      severity: 'minor',
+      category: 'typography',
+      message: `Reference font weights ${typography.weights.missing.join(', ')} aren't ${typography.weights.from === 'loaded fonts' ? 'loaded' : 'declared'}`,
+      ...(source && { file: source.file, line: source.line }),
+      expected: typography.weights.missing.join(', ')
+    });
+  }
+
+  // Each off-scale size at the places that set it
+  const offScale = new Set(typography.sizes.extra);
+  const seen = new Set();
+  for (const entry of projectStyles.typeScale || []) {
+    if (entry.property !== 'fontSize' || !entry.file) continue;
+    const px = typePixels(entry.value);
+    if (!px || !offScale.has(roundPx(px))) continue;
+    const key = `${entry.file}:${entry.line}:${entry.column}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    let nearest = null;
+    for (const token of tokens.fontSizes) {
+      const refPx = typePixels(token.value);
+      if (refPx && (!nearest || Math.abs(refPx - px) < Math.abs(nearest.px - px))) nearest = { ...token, px: refPx };
+    }
+    if (!nearest) continue;
+    issues.push({
+      severity: 'minor',
+      category: 'typography',
+      message: `Font size ${entry.value} is off the reference type scale; nearest is ${nearest.token} (${nearest.value})`,
+      file: entry.file,
+      line: entry.line,
+      column: entry.column,
+      expected: nearest.value,
+      actual: entry.value,
+      suggestion: nearest.token
+    });
+  }
+
+  return issues;
+}
+
+/**
+ * Issues from the shadow, motion and breakpoint comparisons, at each
+ * declaration of a value the reference lacks: minor when nothing in the
+ * reference is close (with the nearest reference token), info when one is.
+ */
+function systemIssues(comparisons, declarations, reference) {
+  const tokens = referenceTokens(reference);
+  const issues = [];
+  const statuses = new Map();
+  const mark = (category, result) => {
+    result.close.forEach(pair => statuses.set(`${category}|${pair.project}`, { severity: 'info', reference: pair.reference }));
+    result.extra.forEach(value => statuses.set(`${category}|${value}`, { severity: 'minor' }));
+  };
+  mark('shadows', comparisons.shadows);
+  mark('motion', comparisons.motion.durations);
+  mark('motion', comparisons.motion.easings);
+  mark('breakpoints', comparisons.breakpoints.breakpoints);
+
+  const tokensOf = (decl) => {
+    if (decl.category === 'shadows') return tokens.shadows;
+    if (decl.category === 'breakpoints') return tokens.breakpoints;
+    return easingCurve(decl.value) ? tokens.easings : tokens.durations;
+  };
+
+  // Distance from a declared value to a reference value: elevation, curve, milliseconds or pixels
+  const distance = (decl, value) => {
+    if (decl.category === 'shadows') {
+      const [a, b] = [shadowProfile(decl.value), shadowProfile(value)];
+      return a && b && a.kind === b.kind ? Math.abs(a.elevation - b.elevation) : Infinity;
+    }
+    if (decl.category === 'breakpoints') return Math.abs(parsePixels(value) - parsePixels(decl.value));
+    const curve = easingCurve(decl.value);
+    if (curve) return easingCurve(value) ? curveDistance(curve, easingCurve(value)) : Infinity;
+    const [a, b] = [parseDuration(decl.value), parseDuration(value)];
+    return a !== null && b !== null ? Math.abs(a - b) : Infinity;
+  };
+
+  const nearest = (decl) => {
+    let best = null;
+    for (const token of tokensOf(decl)) {
+      const d = distance(decl, token.value);
+      if (Number.isFinite(d) && (!best || d < best.distance)) best = { ...token, distance: d };
+    }
+    return best;
+  };
+
+  const labels = { shadows: 'Shadow', breakpoints: 'Breakpoint' };
+  const seen = new Set();
+  for (const decl of declarations) {
+    const status = statuses.get(`${decl.category}|${decl.value}`);
+    if (!status) continue;
+    const key = `${decl.file}:${decl.line}:${decl.column}:${decl.value}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+
+    // A close value's token is the one it was paired with
+    const token = (status.reference && tokensOf(decl).find(t => t.value === status.reference)) || nearest(decl);
+    const label = labels[decl.category] || (easingCurve(decl.value) ? 'Easing' : 'Duration');
+    const where = decl.category === 'shadows' ? 'reference elevations' : decl.category === 'breakpoints' ? 'reference breakpoints' : `reference ${label.toLowerCase()}s`;
+    issues.push({
+      severity: status.severity,
+      category: decl.category,
+      message: `${label} ${decl.value} is ${status.severity === 'info' ? 'close to' : 'off'} the ${where}${token ? `; nearest is ${token.token} (${token.value})` : ''}`,
+      file: decl.file,
+      line: decl.line,
+      column: decl.column,
+      expected: token?.value,
+      actual: decl.value,
+      suggestion: token?.token
+    });
+  }
+
+  return issues;
+}
+
+/**
+ * Minor issues at each hardcoded literal on the reference scale (compareUsage),
+ * suggesting the token it hardcodes. Literals `issues` already report at the
+ * same place (stylesheet declarations) are left out.
+ */
+function usageIssues(usage, issues = []) {
+  const reported = new Set(issues.map(issue => `${issue.file}:${issue.line}:${issue.column}`));
+  return usage.hardcoded
+    .filter(literal => !reported.has(`${literal.file}:${literal.line}:${literal.column}`))
+    .map(literal => ({
+      severity: 'minor',
+      category: literal.category,
+      message: `Hardcoded ${literal.value} is on the reference scale; use ${literal.token} (${literal.expected})`,
+      file: literal.file,
+      line: literal.line,
+      column: literal.column,
+      expected: literal.expected,
+      actual: literal.value,
+      suggestion: literal.token
+    }));
+}
+
 // ============ MAIN ============
 
+function runComparisons(projectStyles, reference, thresholds = {}) {
+  return {
+    colors: compareColors(projectStyles.colors || {}, reference.colors || {}, thresholds),
+    typography: compareTypography(projectStyles, reference.typography || {}, thresholds),
+    spacing: compareSpacing(projectStyles.spacing || [], reference.spacing || {}),
+    borderRadius: compareBorderRadius(projectStyles.borderRadius || [], reference.borderRadius || []),
+    shadows: compareShadows(projectStyles.shadows || [], reference.shadows || []),
+    motion: compareMotion({ durations: projectStyles.durations || [], easings: projectStyles.easings || [] }, reference.animations),
+    breakpoints: compareBreakpoints({ breakpoints: projectStyles.breakpoints || [], containerWidths: projectStyles.containerWidths || [] }, reference.breakpoints),
+    usage: compareUsage(projectStyles.usages || [], reference, thresholds)
+  };
+}
+
+// Weighted mean of the category scores (weights from the config, 1 each by
+// default). Usage only counts when the project's stylesheets and components
+// had usages to score; shadows, motion and breakpoints when the reference has them.
+const overallScore = (comparisons, weights = {}) => {
+  const scored = ['colors', 'typography', 'spacing', 'borderRadius', 'shadows', 'motion', 'breakpoints', 'usage']
+    .filter(category => typeof comparisons[category]?.score === 'number')
+    .map(category => ({ score: comparisons[category].score, weight: weights[category] ?? 1 }));
+  const total = scored.reduce((sum, { weight }) => sum + weight, 0);
+  if (total === 0) return 0;
+  return Math.round(scored.reduce((sum, { score, weight }) => sum + score * weight, 0) / total);
+};
+
+// Matched (or close), missing and extra counts summed over a category's parts
+const partSummary = (comparison, parts) => {
+  const count = (key) => parts.reduce((sum, part) => sum + comparison[part][key].length, 0);
+  return { matched: count('matched') + count('close'), missing: count('missing'), extra: count('extra') };
+};
+
+/**
+ * Compare a project against a reference design system object and return the
+ * score, per-category summary, located issues and the off-system literals of
+ * each file. File paths are absolute.
+ *
+ * Weights, thresholds and ignore lists come from `config` (by default the
+ * project's .impressionrc or impression.config.json, see impression-config.js);
+ * `thresholds` override its thresholds. `settings` on the result records them.
+ * `options.evaluateConfig: false` reads a Tailwind config's literal values
+ * instead of executing it, for projects whose code isn't trusted.
+ */
+function runComparison(projectPath, reference, thresholds = {}, config = loadConfig(projectPath), options = {}) {
+  const ignore = createIgnore(config, projectPath);
+  const applied = { ...config.thresholds, ...thresholds };
+  const settings = { config: config.source, weights: config.weights, thresholds: applied, ignore: config.ignore };
+  reference = withoutIgnoredTokens(reference, ignore.token);
+
+  const { styles: projectStyles } = extractProjectStyles(projectPath, { ignore, evaluateConfig: options.evaluateConfig });
+  const declarations = projectStyles?.declarations || [];
+
+  if (declarations.length === 0) {
+    return {
+      score: 0,
+      issues: [{
+        severity: 'critical',
+        category: 'config',
+        message: 'No Tailwind config or CSS design tokens found',
+        file: projectPath
+      }],
+      summary: {
+        colors: { matched: 0, missing: 0 },
+        typography: { matched: 0, missing: 0 },
+        spacing: { matched: 0, missing: 0 }
+      },
+      settings
+    };
+  }
+
+  const comparisons = runComparisons(projectStyles, reference, applied);
+  // Parts of a Tailwind config that couldn't be evaluated, stylesheets that couldn't be parsed
+  const configIssues = (projectStyles.warnings || []).map(warning => ({
+    severity: 'info',
+    category: 'config',
+    message: warning,
+    file: findTailwindConfig(projectPath) || projectPath
+  }));
+
+  const issues = [
+    ...configIssues,
+    ...buildIssues(declarations.map(decl => (decl.category === 'typography'
+      ? { ...decl, value: loadedFamily(decl.value, projectStyles.fontSources || []) || decl.value }
+      : decl)), reference, applied),
+    ...typographyIssues(comparisons.typography, projectStyles, reference),
+    ...systemIssues(comparisons, declarations, reference)
+  ];
+
+  return {
+    score: overallScore(comparisons, config.weights),
+    issues: [...issues, ...usageIssues(comparisons.usage, issues)],
+    summary: {
+      colors: {
+        matched: comparisons.colors.exact.length + comparisons.colors.similar.length,
+        missing: comparisons.colors.missing.length,
+        extra: comparisons.colors.extra.length
+      },
+      typography: {
+        matched: comparisons.typography.matched.length,
+        missing: comparisons.typography.missing.length,
+        extra: comparisons.typography.extra.length
+      },
+      spacing: {
+        matched: comparisons.spacing.matched.length + comparisons.spacing.close.length,
+        missing: comparisons.spacing.missing.length,
+        extra: comparisons.spacing.extra.length
+      },
+      borderRadius: {
+        matched: comparisons.borderRadius.matched.length,
+        missing: comparisons.borderRadius.missing.length,
+        extra: comparisons.borderRadius.extra.length
+      },
+      ...(comparisons.shadows.score !== null && {
+        shadows: {
+          matched: comparisons.shadows.matched.length + comparisons.shadows.close.length,
+          missing: comparisons.shadows.missing.length,
+          extra: comparisons.shadows.extra.length
+        }
+      }),
+      ...(comparisons.motion.score !== null && { motion: partSummary(comparisons.motion, ['durations', 'easings']) }),
+      ...(comparisons.breakpoints.score !== null && { breakpoints: partSummary(comparisons.breakpoints, ['breakpoints', 'containerWidths']) }),
+      // Declarations on the system (through tokens or on the reference scale) vs off it
+      ...(comparisons.usage.total > 0 && {
+        usage: {
+          matched: comparisons.usage.tokenized + comparisons.usage.onScale,
+          missing: comparisons.usage.offScale.length,
+          tokenized: comparisons.usage.tokenized,
+          hardcoded: comparisons.usage.onScale
+        }
+      })
+    },
+    // Hardcoded values off the reference in stylesheets and components, worst file first
+    ...(comparisons.usage.offSystem.length > 0 && { offSystem: comparisons.usage.offSystem }),
+    settings
+  };
+}
+
+// `options.config` is a loaded config (loadConfig), `options.configPath` a file to
+// load it from; by default the project's .impressionrc or impression.config.json
 function compareDesignSystems(projectPath, referencePath, options = {}) {
   const { includeAccessibility = true } = options;
+  const config = options.config || loadConfig(projectPath, options.configPath);
+  const ignore = createIgnore(config, projectPath);
 
-  // Load reference
-  const reference = JSON.parse(fs.readFileSync(referencePath, 'utf-8'));
+  // Load reference, without the tokens the config ignores
+  const reference = withoutIgnoredTokens(JSON.parse(fs.readFileSync(referencePath, 'utf-8')), ignore.token);
 
   // Extract project styles
-  const { type: projectType, styles: projectStyles } = extractProjectStyles(projectPath);
+  const { type: projectType, styles: projectStyles } = extractProjectStyles(projectPath, { ignore });
 
   if (!projectStyles) {
     throw new Error(`Could not extract styles from project at ${projectPath}`);
   }
 
   // Run comparisons
-  const comparisons = {
-    colors: compareColors(projectStyles.colors || {}, reference.colors || {}),
-    typography: compareTypography(projectStyles.fonts || [], reference.typography || {}),
-    spacing: compareSpacing(projectStyles.spacing || [], reference.spacing || {}),
-    borderRadius: compareBorderRadius(projectStyles.borderRadius || [], reference.borderRadius || [])
-  };
+  const comparisons = runComparisons(projectStyles, reference, config.thresholds);
+  const overall = overallScore(comparisons, config.weights);
 
   // Accessibility audit
   let accessibilityAudit = null;
   if (includeAccessibility && reference.colors) {
-    accessibilityAudit = auditAccessibility(reference.colors);
+    accessibilityAudit = auditAccessibility(reference, config.thresholds);
   }
 
   // Generate report
-  const report = generateReport(projectPath, reference, projectType, comparisons, accessibilityAudit);
+  const warnings = projectStyles.warnings || [];
+  const report = generateReport(projectPath, reference, projectType, comparisons, accessibilityAudit, config, warnings);
 
-  return { projectType, comparisons, accessibilityAudit, report };
+  return { projectType, comparisons, overall, accessibilityAudit, report, config, warnings };
 }
 
 // CLI execution
 if (require.main === module) {
   const args = process.argv.slice(2);
 
-  if (args.length < 2) {
-    console.error('Usage: node compare-design-systems.js <project-path> <reference.json> [output.md]');
+  const configFlag = args.find(a => a.startsWith('--config='));
+  const positionalArgs = args.filter(a => !a.startsWith('--'));
+
+  if (positionalArgs.length < 2) {
+    console.error('Usage: node compare-design-systems.js <project-path> <reference.json> [output.md] [--config=FILE]');
     console.error('');
     console.error('Example:');
     console.error('  node compare-design-systems.js ./my-project references/duchateau.json');
     console.error('  node compare-design-systems.js ./my-project references/duchateau.json comparison-report.md');
+    console.error('');
+    console.error('Weights, thresholds and ignore lists are read from .impressionrc or impression.config.json');
+    console.error('in the project directory, or from --config=FILE.');
     process.exit(1);
   }
 
-  const projectPath = path.resolve(args[0]);
-  const referencePath = path.resolve(args[1]);
-  const outputPath = args[2];
+  const projectPath = path.resolve(positionalArgs[0]);
+  const referencePath = path.resolve(positionalArgs[1]);
+  const outputPath = positionalArgs[2];
 
   if (!fs.existsSync(projectPath)) {
     console.error(`Error: Project path not found: ${projectPath}`);
@@ -928,16 +2860,23 @@ if (require.main === module) {
   }
 
   try {
-    const { projectType, comparisons, accessibilityAudit, report } = compareDesignSystems(projectPath, referencePath);
+    const { projectType, overall, accessibilityAudit, report, config, warnings } = compareDesignSystems(projectPath, referencePath, {
+      configPath: configFlag ? configFlag.split('=')[1] : null
+    });
 
     console.log(`Detected project type: ${projectType}`);
-    console.log(`Overall alignment: ${Math.round((comparisons.colors.score + comparisons.typography.score + comparisons.spacing.score + comparisons.borderRadius.score) / 4)}%`);
+    if (config.source) console.log(`Config: ${config.source}`);
+    console.log(`Overall alignment: ${overall}%`);
 
     if (accessibilityAudit) {
       const errors = accessibilityAudit.issues.filter(i => i.severity === 'error').length;
       const warnings = accessibilityAudit.issues.filter(i => i.severity === 'warning').length;
       console.log(`Accessibility: ${errors} errors, ${warnings} warnings`);
+      if (accessibilityAudit.colorVision.issues.length > 0) {
+        console.log(`Color vision: ${accessibilityAudit.colorVision.issues.length} status color pairs hard to tell apart`);
+      }
     }
+    warnings.forEach(warning => console.warn(`⚠️  ${warning}`));
 
     console.log('');
 
@@ -955,13 +2894,31 @@ if (require.main === module) {
 
 module.exports = {
   compareDesignSystems,
+  runComparison,
+  buildIssues,
+  compareColors,
+  compareTypography,
+  detectTypeRatio,
+  compareShadows,
+  compareMotion,
+  compareBreakpoints,
+  shadowProfile,
+  curveDistance,
+  compareUsage,
+  overallScore,
+  withoutIgnoredTokens,
+  colorRole,
+  optimalAssignment,
   deltaE,
   deltaE2000,
   deltaE76,
   normalizeColor,
   getContrastRatio,
   checkWCAG,
+  checkTextPair,
   auditAccessibility,
+  auditColorVision,
+  statusColors,
   hexToRgb,
   rgbToLab,
   getLuminance
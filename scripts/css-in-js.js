@@ -0,0 +1,755 @@
+#!/usr/bin/env node
+/**
+ * CSS-in-JS Extraction
+ * Reads the design tokens of styled-components, Emotion, MUI, Chakra,
+ * vanilla-extract, Stitches and Panda projects from their source
+ *
+ *   theme objects  Objects passed to createTheme (MUI, vanilla-extract),
+ *                  extendTheme/createSystem (Chakra), createGlobalTheme,
+ *                  createStitches and defineConfig/defineTokens (Panda), and
+ *                  objects assigned to theme-like names (`const theme = {...}`,
+ *                  `export const colors = {...}`) such as a ThemeProvider gets
+ *   templates      Declarations inside styled.x`...`, styled(X)`...`, css`...`
+ *                  and createGlobalStyle`...`, with the values they hardcode and
+ *                  the ${} interpolations they take from the theme instead
+ *   object styles  The same for styled.x({...}), styled(X)({...}), css({...})
+ *                  and css={{...}}, where numbers are pixels
+ *
+ * Sources are read, not run: theme files import React and component libraries
+ * that needn't be installed, and often contain JSX. Values that refer to
+ * another object (`main: colors.brand`, `{ ...palette }`, `{ fonts }`) are
+ * followed through every scanned file, and token references ('{colors.brand.500}'
+ * in Panda and Chakra, '$gray500' in Stitches) through the theme they're in.
+ * Values computed by calls (alpha(), rem(), theme.spacing(2)) are skipped.
+ *
+ * Usage:
+ *   const { extractCSSInJS } = require('./css-in-js');
+ *   node css-in-js.js <project-path>
+ *
+ * @version 1.0.0
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { tokenize, locate, templateExpressions, templateEnd, stringEnd, balancedEnd, stringLiterals } = require('./js-source');
+const colorLib = require('./color');
+const { findLiterals, findReferences, usageCategory } = require('./css-parser');
+
+// package.json dependency → library
+const LIBRARIES = {
+  'styled-components': 'styled-components',
+  '@emotion/react': 'emotion',
+  '@emotion/styled': 'emotion',
+  '@mui/material': 'mui',
+  '@mui/system': 'mui',
+  '@chakra-ui/react': 'chakra',
+  '@vanilla-extract/css': 'vanilla-extract',
+  '@stitches/react': 'stitches',
+  '@stitches/core': 'stitches',
+  '@pandacss/dev': 'panda'
+};
+
+// Calls whose object arguments are themes
+const THEME_FACTORIES = new Set([
+  'createTheme', 'extendTheme', 'extendBaseTheme', 'createSystem', 'createGlobalTheme',
+  'createStitches', 'defineConfig', 'defineTokens', 'defineSemanticTokens'
+]);
+
+// Variables holding a theme, or a part of one
+const THEME_NAME = /theme|tokens|palette|colou?rs|fonts|typography|spacing|space|radii|shadows/i;
+
+// Theme keys a category starts at: MUI palette/shape.borderRadius, Chakra radii...
+const THEME_KEYS = {
+  colors: 'colors', color: 'colors', palette: 'colors',
+  fonts: 'typography', font: 'typography', fontFamily: 'typography', fontFamilies: 'typography',
+  space: 'spacing', spacing: 'spacing', spaces: 'spacing',
+  radii: 'borderRadius', radius: 'borderRadius', borderRadius: 'borderRadius',
+  shadows: 'shadows', shadow: 'shadows', boxShadow: 'shadows', boxShadows: 'shadows',
+  // The type scale: Chakra fontSizes.sm, MUI typography.h1.fontSize
+  fontSizes: 'fontSize', fontSize: 'fontSize',
+  fontWeights: 'fontWeight', fontWeight: 'fontWeight',
+  lineHeights: 'lineHeight', lineHeight: 'lineHeight',
+  letterSpacings: 'letterSpacing', letterSpacing: 'letterSpacing',
+  // Motion and breakpoints: MUI transitions.duration and breakpoints.values, Panda durations
+  durations: 'duration', duration: 'duration', transitionDuration: 'duration',
+  easings: 'easing', easing: 'easing', transitionTimingFunction: 'easing',
+  breakpoints: 'breakpoints', screens: 'breakpoints'
+};
+
+// Theme keys holding component styles rather than tokens
+const SKIPPED_KEYS = new Set(['components', 'styles', 'variants', 'recipes', 'slotRecipes', 'globalCss', 'globalStyles', 'conditions', 'utilities']);
+
+const TEMPLATE_TAGS = new Set(['css', 'createGlobalStyle', 'injectGlobal']);
+const SKIPPED_DIRECTORIES = new Set(['node_modules', 'dist', 'build', 'out', 'coverage']);
+const SOURCE_FILE = /\.[cm]?[jt]sx?$/;
+const MAX_FILE_SIZE = 1024 * 1024;
+
+// Stands in for ${} interpolations so template offsets stay put
+const PLACEHOLDER = '\u001a';
+
+// =============================================================================
+// PROJECT
+// =============================================================================
+
+// CSS-in-JS libraries the project depends on, or null
+function detectCSSInJS(projectPath) {
+  try {
+    const pkg = JSON.parse(fs.readFileSync(path.join(projectPath, 'package.json'), 'utf-8'));
+    const deps = { ...pkg.dependencies, ...pkg.devDependencies };
+    const libraries = [...new Set(Object.keys(LIBRARIES).filter(name => deps[name]).map(name => LIBRARIES[name]))];
+    return libraries.length > 0 ? libraries : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+function findSourceFiles(dir, files = []) {
+  try {
+    const entries = fs.readdirSync(dir, { withFileTypes: true });
+    for (const entry of entries) {
+      if (SKIPPED_DIRECTORIES.has(entry.name) || entry.name.startsWith('.')) continue;
+      const fullPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        findSourceFiles(fullPath, files);
+      } else if (SOURCE_FILE.test(entry.name) && !entry.name.endsWith('.d.ts')) {
+        files.push(fullPath);
+      }
+    }
+  } catch (e) {}
+  return files;
+}
+
+// =============================================================================
+// TOKENS
+// =============================================================================
+
+const isPunct = (token, value) => token?.type === 'punct' && token.value === value;
+const isOpening = (token) => token?.type === 'punct' && (token.value === '{' || token.value === '(' || token.value === '[');
+const isClosing = (token) => token?.type === 'punct' && (token.value === '}' || token.value === ')' || token.value === ']');
+
+// Index of the bracket closing the one at tokens[i]
+function closingIndex(tokens, i) {
+  let depth = 0;
+  for (let j = i; j < tokens.length; j++) {
+    if (isOpening(tokens[j])) depth++;
+    else if (isClosing(tokens[j]) && --depth === 0) return j;
+  }
+  return tokens.length - 1;
+}
+
+// Index of the bracket opening the one at tokens[i]
+function openingIndex(tokens, i) {
+  let depth = 0;
+  for (let j = i; j >= 0; j--) {
+    if (isClosing(tokens[j])) depth++;
+    else if (isOpening(tokens[j]) && --depth === 0) return j;
+  }
+  return 0;
+}
+
+// Index of the `,` or closing bracket ending the expression at tokens[i]
+function expressionEnd(tokens, i) {
+  for (let j = i; j < tokens.length; j++) {
+    if (isOpening(tokens[j])) j = closingIndex(tokens, j);
+    else if (isPunct(tokens[j], ',') || isClosing(tokens[j])) return j;
+  }
+  return tokens.length;
+}
+
+// `colors.brand`, `palette['primary']` → 'colors.brand', 'palette.primary'; null for anything else
+function referenceChain(tokens, start, end) {
+  const parts = [];
+  for (let j = start; j < end; j++) {
+    const token = tokens[j];
+    if (token.type === 'name' && (j === start || isPunct(tokens[j - 1], '.'))) {
+      parts.push(token.value);
+    } else if (isPunct(token, '.') && j > start) {
+      continue;
+    } else if (isPunct(token, '[') && ['string', 'number'].includes(tokens[j + 1]?.type) && isPunct(tokens[j + 2], ']')) {
+      parts.push(tokens[j + 1].value);
+      j += 2;
+    } else {
+      return null;
+    }
+  }
+  return parts.length > 0 ? parts.join('.') : null;
+}
+
+// =============================================================================
+// THEME OBJECTS
+// =============================================================================
+
+/**
+ * Where an object literal opening at tokens[i] sits, when it is a theme root:
+ * a theme factory's argument (path []), a theme-like variable (path [name]) or
+ * the default export of a theme file. Other variables are kept only so
+ * references to them resolve.
+ */
+function rootOf(tokens, i, file) {
+  const prev = tokens[i - 1];
+
+  if (isPunct(prev, '=')) {
+    // `const theme = {`, `const theme: Theme = {`, `module.exports = {`
+    let nameIndex = i - 2;
+    if (tokens[i - 3]?.value === ':' && tokens[i - 4]?.type === 'name') nameIndex = i - 4;
+    const name = tokens[nameIndex];
+    if (name?.type !== 'name') return null;
+    if (name.value === 'exports' && isPunct(tokens[nameIndex - 1], '.')) {
+      return /theme|tokens/i.test(path.basename(file)) ? { path: [], theme: true, named: false } : null;
+    }
+    if (isPunct(tokens[nameIndex - 1], '.')) return null;
+    return { path: [name.value], theme: THEME_NAME.test(name.value), named: true };
+  }
+
+  if (prev?.value === 'default' && tokens[i - 2]?.value === 'export') {
+    return /theme|tokens/i.test(path.basename(file)) ? { path: [], theme: true, named: false } : null;
+  }
+
+  if (isPunct(prev, '(') || isPunct(prev, ',')) {
+    let open = i - 1;
+    while (open > 0 && !isPunct(tokens[open], '(')) {
+      if (isOpening(tokens[open])) return null;
+      open = isClosing(tokens[open]) ? openingIndex(tokens, open) - 1 : open - 1;
+    }
+    const callee = tokens[open - 1];
+    if (callee?.type === 'name' && THEME_FACTORIES.has(callee.value)) return { path: [], theme: true, named: false };
+  }
+
+  return null;
+}
+
+/**
+ * Leaves of the object literal opening at tokens[open]: { path, value } for
+ * string, number and plain template values, { path, reference } for values
+ * naming another object or constant (`colors.brand`, a `{ palette }` shorthand,
+ * a `...spread`). Arrays are read like objects keyed by index, and
+ * ['Inter', 'sans-serif'].join(', ') as the joined string.
+ */
+function readObject(tokens, open, keyPath, add) {
+  const close = closingIndex(tokens, open);
+  const isArray = isPunct(tokens[open], '[');
+  let i = open + 1;
+  let index = 0;
+
+  while (i < close) {
+    const token = tokens[i];
+
+    if (isPunct(token, '...')) {
+      const end = expressionEnd(tokens, i + 1);
+      const reference = referenceChain(tokens, i + 1, end);
+      if (reference) add({ path: keyPath, reference }, token);
+      i = end + 1;
+      continue;
+    }
+
+    if (isArray) {
+      readValue(tokens, i, [...keyPath, String(index++)], add);
+      i = expressionEnd(tokens, i) + 1;
+      continue;
+    }
+
+    const next = tokens[i + 1];
+    const isKey = ['name', 'string', 'number'].includes(token.type);
+    if (isKey && isPunct(next, ':')) {
+      if (!SKIPPED_KEYS.has(token.value)) readValue(tokens, i + 2, [...keyPath, token.value], add);
+      i = expressionEnd(tokens, i + 2) + 1;
+    } else if (token.type === 'name' && (isPunct(next, ',') || i + 1 === close)) {
+      // `{ palette }` shorthand
+      add({ path: [...keyPath, token.value], reference: token.value }, token);
+      i += 2;
+    } else {
+      // Computed keys, methods, getters
+      i = expressionEnd(tokens, i) + 1;
+    }
+  }
+}
+
+function readValue(tokens, i, keyPath, add) {
+  const token = tokens[i];
+  const end = expressionEnd(tokens, i);
+
+  if (isPunct(token, '{')) {
+    readObject(tokens, i, keyPath, add);
+  } else if (isPunct(token, '[')) {
+    const close = closingIndex(tokens, i);
+    const items = tokens.slice(i + 1, close).filter(t => !isPunct(t, ','));
+    const joined = isPunct(tokens[close + 1], '.') && tokens[close + 2]?.value === 'join' && items.every(t => t.type === 'string');
+    if (joined) {
+      const separator = tokens[close + 4]?.type === 'string' ? tokens[close + 4].value : ',';
+      add({ path: keyPath, value: items.map(t => t.value).join(separator) }, token);
+    } else {
+      readObject(tokens, i, keyPath, add);
+    }
+  } else if (end === i + 1 && (token.type === 'string' || token.type === 'number')) {
+    add({ path: keyPath, value: token.type === 'number' ? Number(token.value) : token.value }, token);
+  } else if (end === i + 1 && token.type === 'template' && !token.value.includes('${')) {
+    add({ path: keyPath, value: token.value }, token);
+  } else {
+    const reference = referenceChain(tokens, i, end);
+    if (reference) add({ path: keyPath, reference }, token);
+  }
+}
+
+/**
+ * Theme object leaves of one source file, and the values of its other
+ * variables (objects and string constants) for references to resolve against.
+ * Each leaf: { path, value | reference, theme, named, file, line, column }.
+ */
+function scanThemeObjects(source, file) {
+  const tokens = tokenize(source);
+  const leaves = [];
+
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+
+    // `const brand = '#0ea5e9'`
+    if (token.type === 'name' && ['const', 'let', 'var'].includes(tokens[i - 1]?.value) && isPunct(tokens[i + 1], '=') &&
+        ['string', 'number'].includes(tokens[i + 2]?.type) && !isPunct(tokens[i + 3], '+') && !isPunct(tokens[i + 3], '.')) {
+      const value = tokens[i + 2].type === 'number' ? Number(tokens[i + 2].value) : tokens[i + 2].value;
+      leaves.push({ path: [token.value], value, theme: false, named: true, file, ...locate(source, tokens[i + 2].start) });
+      continue;
+    }
+
+    if (!isPunct(token, '{')) continue;
+    const root = rootOf(tokens, i, file);
+    if (!root) continue;
+
+    readObject(tokens, i, root.path, (leaf, at) => {
+      leaves.push({ ...leaf, theme: root.theme, named: root.named, file, ...locate(source, at.start) });
+    });
+    i = closingIndex(tokens, i);
+  }
+
+  return leaves;
+}
+
+const startsWith = (full, prefix) => prefix.every((part, i) => String(full[i]) === part);
+
+/**
+ * Replace reference leaves with the leaves they point to, grafted under the
+ * referencing path: `main: colors.brand` takes the value of `colors.brand`,
+ * `...palette` every leaf of `palette`. The file the reference is in is
+ * searched first, then the first file defining the name. Grafted leaves keep
+ * the location of the literal and are marked as aliases.
+ */
+function resolveReferences(leaves) {
+  const named = leaves.filter(leaf => leaf.named);
+
+  const follow = (leaf, depth) => {
+    if (leaf.value !== undefined) return [leaf];
+    if (depth > 10) return [];
+
+    const target = leaf.reference.split('.');
+    const candidates = named.filter(def => def !== leaf && startsWith(def.path, target) && def.path.length >= target.length);
+    const sameFile = candidates.filter(def => def.file === leaf.file);
+    const pool = sameFile.length > 0 ? sameFile : candidates.filter(def => def.file === candidates[0]?.file);
+
+    return pool.flatMap(def => follow({
+      ...def,
+      path: [...leaf.path, ...def.path.slice(target.length)],
+      theme: leaf.theme,
+      named: leaf.named,
+      alias: true
+    }, depth + 1));
+  };
+
+  return leaves.flatMap(leaf => follow(leaf, 0));
+}
+
+/**
+ * Category and name of a theme leaf, from the first key on its path that
+ * starts a category: palette.primary.main → colors `primary-main`,
+ * theme.space.4 → spacing `4`, shape.borderRadius → borderRadius. Panda and
+ * Chakra's `value` wrappers and `_dark` condition prefixes are dropped.
+ */
+function classify(keyPath) {
+  const keys = keyPath.map(String).filter(key => key !== 'value');
+  const index = keys.findIndex(key => THEME_KEYS[key]);
+  if (index === -1) return null;
+
+  const rest = keys.slice(index + 1).map(key => key.replace(/^_/, ''));
+  return {
+    category: THEME_KEYS[keys[index]],
+    name: rest.join('-') || keys[index],
+    path: keys.slice(index).join('.'),
+    scope: keys.slice(0, index).join('.')
+  };
+}
+
+// '{colors.brand.500}' (Panda, Chakra v3) and '$gray500' (Stitches) token references
+const TOKEN_REFERENCE = /^(?:\{([\w.-]+)\}|\$([\w-]+))$/;
+
+const isColorValue = (value) => typeof value === 'string' && (TOKEN_REFERENCE.test(value) || colorLib.parse(value) !== null);
+
+// Theme tokens from resolved leaves; numbers on dimension keys are pixels,
+// on durations milliseconds (MUI transitions.duration.short: 250)
+function themeTokens(leaves, warnings) {
+  const tokens = [];
+  const seen = new Set();
+
+  for (const leaf of leaves) {
+    if (!leaf.theme) continue;
+    const classified = classify(leaf.path);
+    if (!classified) continue;
+
+    // palette.mode, palette.tonalOffset...
+    if (classified.category === 'colors' && !isColorValue(leaf.value)) continue;
+    // A theme variable that another theme also pulls in by shorthand or spread
+    const key = `${classified.path}@${leaf.file}:${leaf.line}:${leaf.column}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+
+    const isDimension = ['spacing', 'borderRadius', 'fontSize', 'letterSpacing', 'breakpoints'].includes(classified.category);
+    const unit = classified.category === 'duration' ? 'ms' : isDimension ? 'px' : '';
+    const value = typeof leaf.value === 'number' && unit ? `${leaf.value}${unit}` : String(leaf.value);
+    tokens.push({ ...classified, value, alias: Boolean(leaf.alias), file: leaf.file, line: leaf.line, column: leaf.column });
+  }
+
+  const byPath = new Map(tokens.map(token => [token.path, token]));
+  const target = (token) => {
+    const [, tokenPath, name] = token.value.match(TOKEN_REFERENCE) || [];
+    if (tokenPath) return byPath.get(tokenPath);
+    return name ? tokens.find(t => t.category === token.category && t.name === name) : undefined;
+  };
+
+  return tokens.filter(token => {
+    if (!TOKEN_REFERENCE.test(token.value)) return true;
+    let resolved = target(token);
+    for (let depth = 0; resolved && TOKEN_REFERENCE.test(resolved.value) && depth < 10; depth++) {
+      resolved = target(resolved);
+    }
+    if (!resolved || TOKEN_REFERENCE.test(resolved.value)) {
+      warnings.push(`${path.basename(token.file)}:${token.line}: could not resolve ${token.value}`);
+      return false;
+    }
+    Object.assign(token, { value: resolved.value, alias: true });
+    return true;
+  });
+}
+
+// =============================================================================
+// TAGGED TEMPLATES AND OBJECT STYLES
+// =============================================================================
+
+/**
+ * Tag of the template literal (or the call taking an object style) at
+ * tokens[i], or null when it isn't styles:
+ * styled.div, styled(Button), styled.a.attrs(...) and styled(X).withConfig(...)
+ * (with or without TypeScript props) all give 'styled'; css, createGlobalStyle and injectGlobal give their name.
+ * keyframes`...` isn't applied styles and is skipped.
+ */
+function templateTag(tokens, i) {
+  let j = i - 1;
+  while (j >= 0) {
+    if (isPunct(tokens[j], ')')) {
+      j = openingIndex(tokens, j) - 1;
+    } else if (isPunct(tokens[j], '>')) {
+      // styled.button<Props>
+      let depth = 0;
+      for (; j >= 0; j--) {
+        if (isPunct(tokens[j], '>')) depth++;
+        else if (isPunct(tokens[j], '<') && --depth === 0) break;
+      }
+      j--;
+    } else if (tokens[j]?.type === 'name' && isPunct(tokens[j - 1], '.')) {
+      j -= 2;
+    } else {
+      break;
+    }
+  }
+  const root = tokens[j];
+  if (root?.type !== 'name') return null;
+  if (root.value === 'styled') return { tag: 'styled', start: j };
+  if (j === i - 1 && TEMPLATE_TAGS.has(root.value)) return { tag: root.value, start: j };
+  return null;
+}
+
+/**
+ * Declarations of color, font, spacing and radius properties in CSS text that
+ * starts at `contentStart` in `source`, shaped like css-parser.js usages.
+ * `text` is that CSS with any ${} interpolations (`expressions`) blanked out:
+ * interpolations and var()/$variable references in a value are its
+ * references, the rest is searched for hardcoded literals. Nesting and
+ * at-rules aren't tracked, so scope is the caller's and condition is null.
+ */
+function scanDeclarations(source, contentStart, text, { scope = null, file, expressions = [] }) {
+  text = text.replace(/\/\*[\s\S]*?\*\//g, comment => comment.replace(/[^\n]/g, ' '));
+
+  const usages = [];
+  for (const match of text.matchAll(/([a-z-]+)\s*:([^;{}]*)/g)) {
+    const before = text.slice(0, match.index).trimEnd();
+    const after = text[match.index + match[0].length];
+    if (before && !/[;{}\u001a]$/.test(before)) continue;
+    if (after !== undefined && after !== ';' && after !== '}') continue;
+
+    const property = match[1];
+    const category = usageCategory(property);
+    if (!category) continue;
+
+    const raw = match[2];
+    const valueFrom = match.index + match[0].length - raw.length + (raw.length - raw.trimStart().length);
+    const blanked = raw.trim();
+    if (!blanked) continue;
+    const valueTo = valueFrom + blanked.length;
+
+    const references = [
+      ...expressions
+        .filter(e => e.start - contentStart < valueTo && e.end - contentStart > valueFrom)
+        .map(e => e.code.trim().replace(/\s+/g, ' ')),
+      ...findReferences(blanked)
+    ];
+    const literals = findLiterals(blanked, category)
+      .filter(literal => !literal.value.includes(PLACEHOLDER))
+      .map(literal => ({ value: literal.value, ...locate(source, contentStart + valueFrom + literal.index) }));
+
+    usages.push({
+      property,
+      category,
+      value: source.slice(contentStart + valueFrom, contentStart + valueTo).replace(/\s+/g, ' '),
+      references,
+      literals,
+      scope,
+      condition: null,
+      file,
+      ...locate(source, contentStart + match.index)
+    });
+  }
+
+  return usages;
+}
+
+const kebabCase = (name) => name.replace(/[A-Z]/g, ch => `-${ch.toLowerCase()}`);
+
+/**
+ * Entries of the object literal between `open` and its closing brace:
+ * style={{ padding: 12, color: '#333', background: theme.bg }}. Strings and
+ * numbers are hardcoded (React adds px to numbers), anything else references.
+ */
+function scanStyleObject(source, open, file) {
+  const close = balancedEnd(source, open) - 1;
+  const usages = [];
+  let i = open + 1;
+
+  while (i < close) {
+    // Next top-level comma
+    let end = i;
+    while (end < close && source[end] !== ',') {
+      const ch = source[end];
+      if (ch === '"' || ch === "'") end = stringEnd(source, end);
+      else if (ch === '`') end = templateEnd(source, end);
+      else if (ch === '(' || ch === '[' || ch === '{') end = balancedEnd(source, end);
+      else end++;
+    }
+
+    const entry = source.slice(i, end);
+    const match = entry.match(/^\s*(['"]?)([\w-]+)\1\s*:\s*/);
+    if (match) {
+      const property = match[2].startsWith('--') ? match[2] : kebabCase(match[2]);
+      const category = usageCategory(property);
+      const valueStart = i + match[0].length;
+      const expression = entry.slice(match[0].length).trim();
+
+      if (category && expression) {
+        const usage = { property, category, value: expression, references: [], literals: [], resolved: null, scope: null, condition: null, file, ...locate(source, i + match[0].length - match[0].trimStart().length) };
+        const quoted = expression.match(/^(["'`])([^`$]*)\1$/);
+        if (quoted) {
+          usage.value = quoted[2];
+          usage.references = findReferences(quoted[2]);
+          usage.literals = findLiterals(quoted[2], category)
+            .map(literal => ({ value: literal.value, ...locate(source, valueStart + 1 + literal.index) }));
+          usage.resolved = usage.references.length === 0 ? quoted[2] : null;
+        } else if (/^-?\d+(?:\.\d+)?$/.test(expression) && (category === 'spacing' || category === 'borderRadius')) {
+          usage.value = `${expression}px`;
+          if (parseFloat(expression) !== 0) usage.literals = [{ value: usage.value, ...locate(source, valueStart) }];
+          usage.resolved = usage.value;
+        } else {
+          // active ? '#f00' : theme.muted hardcodes what its strings hold
+          usage.literals = stringLiterals(source, valueStart, valueStart + expression.length).flatMap(str =>
+            findLiterals(str.text, category).map(literal => ({ value: literal.value, ...locate(source, str.start + literal.index) })));
+          usage.references = usage.literals.length === 0 ? [expression.replace(/\s+/g, ' ')] : [];
+        }
+        if (usage.references.length > 0 || usage.literals.length > 0) usages.push(usage);
+      }
+    }
+    i = end + 1;
+  }
+
+  return usages;
+}
+
+// Usages in the template literal starting at `start`
+function scanTemplate(source, start, scope, file) {
+  const contentStart = start + 1;
+  let text = source.slice(contentStart, templateEnd(source, start) - 1);
+
+  const expressions = templateExpressions(source, start);
+  for (const expression of expressions) {
+    const from = expression.start - contentStart;
+    text = text.slice(0, from) + PLACEHOLDER.repeat(expression.end - expression.start) + text.slice(expression.end - contentStart);
+  }
+
+  return scanDeclarations(source, contentStart, text, { scope, file, expressions });
+}
+
+/**
+ * Style usages of every tagged template in `source`, including templates
+ * nested in interpolations (${p => p.active && css`...`}). Scope is the
+ * variable a styled component is assigned to, else the tag.
+ */
+function scanTaggedTemplates(source, file, range = { start: 0, end: source.length }, parentScope = null) {
+  const tokens = tokenize(source.slice(range.start, range.end)).map(token => ({ ...token, start: token.start + range.start }));
+  const usages = [];
+
+  tokens.forEach((token, i) => {
+    if (token.type !== 'template') return;
+    let scope = parentScope;
+
+    const tagged = templateTag(tokens, i);
+    if (tagged) {
+      const assigned = isPunct(tokens[tagged.start - 1], '=') && tokens[tagged.start - 2]?.type === 'name';
+      scope = assigned ? tokens[tagged.start - 2].value : parentScope || tagged.tag;
+      usages.push(...scanTemplate(source, token.start, scope, file));
+    }
+
+    for (const expression of templateExpressions(source, token.start)) {
+      if (!expression.code.includes('`')) continue;
+      usages.push(...scanTaggedTemplates(source, file, { start: expression.codeStart, end: expression.end - 1 }, scope));
+    }
+  });
+
+  return usages;
+}
+
+// Calls on a styled component whose object argument isn't styles
+const OPTION_CALLS = new Set(['attrs', 'withConfig']);
+
+/**
+ * Style usages of the objects passed to styled and css: styled.div({ margin: 16 }),
+ * styled(Button)({ ... }), css({ ... }) and Emotion's css={{ ... }} prop.
+ * Both libraries add px to numbers, so `margin: 16` is 16px.
+ */
+function scanObjectStyles(source, file) {
+  const tokens = tokenize(source);
+  const usages = [];
+
+  tokens.forEach((token, i) => {
+    let open = null;
+    let scope = null;
+    if (isPunct(token, '(') && isPunct(tokens[i + 1], '{') && !OPTION_CALLS.has(tokens[i - 1]?.value)) {
+      const tagged = templateTag(tokens, i);
+      if (!tagged) return;
+      const assigned = isPunct(tokens[tagged.start - 1], '=') && tokens[tagged.start - 2]?.type === 'name';
+      open = tokens[i + 1].start;
+      scope = assigned ? tokens[tagged.start - 2].value : tagged.tag;
+    } else if (token.type === 'name' && token.value === 'css' && isPunct(tokens[i + 1], '=') && isPunct(tokens[i + 2], '{') && isPunct(tokens[i + 3], '{')) {
+      open = tokens[i + 3].start;
+      scope = 'css';
+    }
+    if (open !== null) usages.push(...scanStyleObject(source, open, file).map(usage => ({ ...usage, scope })));
+  });
+
+  return usages;
+}
+
+// =============================================================================
+// EXTRACTION
+// =============================================================================
+
+/**
+ * Theme tokens and template usages of a project, leaving out the files
+ * `options.ignore(file)` accepts.
+ * Returns {
+ *   files, libraries,
+ *   tokens:   [{ category, name, path, scope, value, alias, file, line, column }],
+ *   usages:   [{ property, category, value, references, literals, scope, file, line, column }],
+ *   warnings
+ * }
+ */
+function extractCSSInJS(projectPath, options = {}) {
+  const files = findSourceFiles(projectPath).filter(file => !options.ignore?.(file));
+  const leaves = [];
+  const usages = [];
+  const warnings = [];
+
+  for (const file of files) {
+    try {
+      if (fs.statSync(file).size > MAX_FILE_SIZE) continue;
+      const source = fs.readFileSync(file, 'utf-8');
+      leaves.push(...scanThemeObjects(source, file));
+      if (source.includes('`')) usages.push(...scanTaggedTemplates(source, file));
+      if (/\bcss\b|\bstyled\b/.test(source)) usages.push(...scanObjectStyles(source, file));
+    } catch (err) {
+      warnings.push(`${path.relative(projectPath, file)}: ${err.message}`);
+    }
+  }
+
+  const tokens = themeTokens(resolveReferences(leaves), warnings);
+  return { files, libraries: detectCSSInJS(projectPath) || [], tokens, usages, warnings };
+}
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+module.exports = {
+  detectCSSInJS,
+  extractCSSInJS,
+  findSourceFiles,
+  scanThemeObjects,
+  resolveReferences,
+  themeTokens,
+  classify,
+  scanTaggedTemplates,
+  scanObjectStyles,
+  scanDeclarations,
+  scanStyleObject,
+  LIBRARIES,
+  THEME_FACTORIES
+};
+
+// =============================================================================
+// CLI
+// =============================================================================
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+
+  if (args.length < 1) {
+    console.log(`
+Impression: CSS-in-JS Extraction
+================================
+
+Usage:
+  node css-in-js.js <project-path>
+
+Lists the theme tokens (createTheme, extendTheme, createGlobalTheme, Panda and
+Stitches configs, ThemeProvider theme objects) and the values hardcoded in
+styled/css tagged templates and object styles.
+`);
+    process.exit(1);
+  }
+
+  const target = path.resolve(args[0]);
+  if (!fs.existsSync(target) || !fs.statSync(target).isDirectory()) {
+    console.error(`Error: Not a project directory: ${target}`);
+    process.exit(1);
+  }
+
+  const { files, libraries, tokens, usages, warnings } = extractCSSInJS(target);
+  const where = (entry) => `${path.relative(process.cwd(), entry.file)}:${entry.line}:${entry.column}`;
+
+  console.log(`Libraries: ${libraries.join(', ') || 'none in package.json'}`);
+  console.log('\nTheme tokens:');
+  tokens.forEach(token => {
+    const alias = token.alias ? ' (alias)' : '';
+    console.log(`  ${token.category} ${token.scope ? `${token.scope}.` : ''}${token.path} = ${token.value}${alias}  (${where(token)})`);
+  });
+
+  const hardcoded = usages.flatMap(u => u.literals.map(l => ({ ...u, ...l, literal: l.value })));
+  console.log('\nHardcoded values:');
+  hardcoded.forEach(u => console.log(`  ${u.property}: ${u.literal}  [${u.scope}] (${where(u)})`));
+
+  const tokenized = usages.filter(u => u.references.length > 0 && u.literals.length === 0).length;
+  console.log(`\n${files.length} files, ${tokens.length} theme tokens, ${usages.length} style usages (${tokenized} through the theme, ${hardcoded.length} hardcoded values)`);
+  warnings.forEach(warning => console.warn(`⚠️  ${warning}`));
+}
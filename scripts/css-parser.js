@@ -0,0 +1,744 @@
+#!/usr/bin/env node
+/**
+ * CSS Parser
+ * Reads a project's stylesheets with PostCSS into token definitions and usages
+ *
+ * Every rule is walked, not just the first :root block: `.dark`, `[data-theme]`,
+ * `@layer base`, `@media`/`@supports` and nested rules (SCSS or native CSS
+ * nesting) all count, and each declaration keeps its selector scope, the
+ * at-rule conditions around it and its file, line and column.
+ *
+ *   definitions  Custom properties (--accent) and SCSS variables ($accent), with
+ *                SCSS maps flattened into one definition per entry ($colors.brand.500)
+ *   usages       Ordinary declarations of color, font-family, spacing and radius
+ *                properties, with the literal values they hardcode and the
+ *                tokens they reference
+ *   typeDeclarations
+ *                font-size, font-weight, line-height and letter-spacing
+ *                declarations, so the rules setting them read as a type scale
+ *   systemDeclarations
+ *                box-shadow, transition, animation and max-width declarations,
+ *                and the widths of @media queries, for the shadow, motion and
+ *                breakpoint categories
+ *
+ * Values are resolved the way the cascade would: var() from the same scope and
+ * condition first, then the same scope, then :root; SCSS variables from the
+ * same file before the usage, then any other file (partials pulled in by
+ * @use/@import); map-get()/map.get() and #{} interpolation included. SCSS
+ * functions (darken(), math.div()...) aren't evaluated.
+ *
+ * PostCSS (and postcss-scss for .scss files) is loaded from this package or,
+ * failing that, from the project's own node_modules, where tools such as
+ * Tailwind, Next.js and Vite already install it. Without either, a built-in
+ * parser reads the same rules, at-rules and declarations.
+ *
+ * Usage:
+ *   const { parseProjectStylesheets } = require('./css-parser');
+ *   node css-parser.js <project-path | stylesheet.css>
+ *
+ * @version 1.0.0
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createRequire } = require('module');
+const colorLib = require('./color');
+
+// Properties whose values are checked against the design system
+const USAGE_PROPERTIES = [
+  [/^(?:color|background(?:-color)?|border(?:-(?:top|right|bottom|left|block|inline)(?:-(?:start|end))?)?(?:-color)?|outline(?:-color)?|fill|stroke|box-shadow|text-shadow|text-decoration(?:-color)?|caret-color|accent-color|column-rule(?:-color)?)$/, 'colors'],
+  [/^font-family$/, 'typography'],
+  [/^(?:margin|padding)(?:-(?:top|right|bottom|left|block|inline)(?:-(?:start|end))?)?$|^(?:row-|column-)?gap$/, 'spacing'],
+  [/^border(?:-(?:top|bottom|start|end)-(?:left|right|start|end))?-radius$/, 'borderRadius']
+];
+
+// Properties of the type scale, by the theme key they correspond to
+const TYPE_PROPERTIES = {
+  'font-size': 'fontSize',
+  'font-weight': 'fontWeight',
+  'line-height': 'lineHeight',
+  'letter-spacing': 'letterSpacing'
+};
+
+// Properties of the shadow, motion and breakpoint categories
+const SYSTEM_PROPERTIES = {
+  'box-shadow': 'shadows',
+  'transition': 'motion',
+  'transition-duration': 'motion',
+  'transition-timing-function': 'motion',
+  'animation': 'motion',
+  'animation-duration': 'motion',
+  'animation-timing-function': 'motion',
+  'max-width': 'breakpoints'
+};
+
+// At-rules that add a condition, and those whose bodies aren't applied styles
+const CONDITION_AT_RULES = new Set(['media', 'supports', 'container']);
+const SKIPPED_AT_RULES = new Set(['keyframes', 'font-face', 'mixin', 'function', 'each', 'for', 'while', 'if', 'else', 'page']);
+const NON_COLORS = new Set(['transparent', 'currentcolor', 'inherit', 'initial', 'unset', 'revert', 'none']);
+const GENERIC_FAMILIES = new Set(['serif', 'sans-serif', 'monospace', 'cursive', 'fantasy', 'system-ui', 'ui-sans-serif',
+  'ui-serif', 'ui-monospace', 'ui-rounded', 'emoji', 'math', 'fangsong', 'inherit', 'initial', 'unset']);
+
+const COLOR_LITERAL_PATTERN = /#[a-fA-F0-9]{3,8}\b|\b(?:rgba?|hsla?|hwb|lab|lch|oklab|oklch|color)\([^()]*\)|\b[a-zA-Z]+\b/g;
+const DIMENSION_PATTERN = /(^|[\s(,/])(-?(?:\d+\.?\d*|\.\d+)(?:px|rem|em))(?=$|[\s),/])/g;
+const SCSS_REFERENCE = /(?:[\w-]+\.)?\$[\w-]+/;
+
+// =============================================================================
+// LOADING
+// =============================================================================
+
+// A package from this toolkit's own dependencies, else from the project's
+function requireOptional(name, projectPath) {
+  const attempts = [() => require(name)];
+  if (projectPath) attempts.push(() => createRequire(path.join(path.resolve(projectPath), 'package.json'))(name));
+  for (const attempt of attempts) {
+    try {
+      return attempt();
+    } catch (e) {
+      if (e.code !== 'MODULE_NOT_FOUND') throw e;
+    }
+  }
+  return null;
+}
+
+/**
+ * PostCSS and postcss-scss, or the built-in parser in place of whichever
+ * can't be found (`fallback` says which were replaced)
+ */
+function loadPostcss(projectPath) {
+  const postcss = requireOptional('postcss', projectPath);
+  const scss = requireOptional('postcss-scss', projectPath);
+  return {
+    postcss: postcss || createFallbackParser(),
+    scss: scss || createFallbackParser({ scss: true }),
+    fallback: [!postcss && 'postcss', !scss && 'postcss-scss'].filter(Boolean)
+  };
+}
+
+function findStylesheets(dir, files = []) {
+  try {
+    const entries = fs.readdirSync(dir, { withFileTypes: true });
+    for (const entry of entries) {
+      if (entry.name === 'node_modules' || entry.name.startsWith('.')) continue;
+      const fullPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        findStylesheets(fullPath, files);
+      } else if (entry.name.match(/\.(css|scss|sass)$/)) {
+        files.push(fullPath);
+      }
+    }
+  } catch (e) {}
+  return files;
+}
+
+// =============================================================================
+// FALLBACK PARSER
+// =============================================================================
+
+/**
+ * Stand-in for PostCSS when it isn't installed: builds the tree walkStylesheet
+ * reads (rules, at-rules and declarations with their raws and source start)
+ * and throws like PostCSS on unclosed blocks, strings and comments. With
+ * `scss`, // comments are skipped as well. No plugin API, no stringifying.
+ */
+function createFallbackParser({ scss = false } = {}) {
+  const COMMENT = scss ? /\/\*[\s\S]*?\*\/|(?<=^|\s)\/\/[^\n]*/g : /\/\*[\s\S]*?\*\//g;
+  const blankComments = (text) => text.replace(COMMENT, comment => ' '.repeat(comment.length));
+  const removeComments = (text) => text.replace(COMMENT, '').trim();
+
+  const container = (node) => Object.assign(node, { nodes: [], each: (callback) => node.nodes.forEach(callback) });
+
+  const parse = (source, { from } = {}) => {
+    const lineStarts = [0];
+    for (let i = 0; i < source.length; i++) if (source[i] === '\n') lineStarts.push(i + 1);
+    const position = (offset) => {
+      let line = 0;
+      let high = lineStarts.length - 1;
+      while (line < high) {
+        const mid = (line + high + 1) >> 1;
+        if (lineStarts[mid] <= offset) line = mid;
+        else high = mid - 1;
+      }
+      return { line: line + 1, column: offset - lineStarts[line] + 1, offset };
+    };
+    const fail = (reason, offset) => {
+      const { line, column } = position(offset);
+      const err = new Error(`${from ? `${from}:` : ''}${line}:${column}: ${reason}`);
+      throw Object.assign(err, { name: 'CssSyntaxError', reason, line, column });
+    };
+
+    const root = container({ type: 'root' });
+    const stack = [root];
+    const parent = () => stack[stack.length - 1];
+
+    const atRule = (raw, start) => {
+      const [, name = '', afterName = '', params = ''] = /^@([\w-]*)(\s*)([\s\S]*)$/.exec(raw) || [];
+      return { type: 'atrule', name, params: removeComments(params), raws: { afterName }, source: { start: position(start) } };
+    };
+
+    // A statement ended by `;` or `}`: a declaration or a body-less at-rule
+    const statement = (start, end) => {
+      const raw = source.slice(start, end).replace(/\s+$/, '');
+      if (!raw) return;
+      if (raw.startsWith('@')) {
+        parent().nodes.push(atRule(raw, start));
+        return;
+      }
+      const blanked = blankComments(raw);
+      const colon = blanked.indexOf(':');
+      if (colon <= 0) fail('Unknown word', start);
+      const propEnd = blanked.slice(0, colon).replace(/\s+$/, '').length;
+      let valueStart = colon + 1;
+      while (valueStart < blanked.length && /\s/.test(blanked[valueStart])) valueStart++;
+      let rawValue = raw.slice(valueStart);
+      const important = /\s*!\s*important\s*$/i.exec(blankComments(rawValue));
+      if (important) rawValue = rawValue.slice(0, important.index);
+      const value = removeComments(rawValue);
+      parent().nodes.push({
+        type: 'decl',
+        prop: raw.slice(0, propEnd),
+        value,
+        important: Boolean(important),
+        raws: { between: raw.slice(propEnd, valueStart), ...(rawValue !== value && { value: { value, raw: rawValue } }) },
+        source: { start: position(start) }
+      });
+    };
+
+    let start = null;
+    let parens = 0;
+    let braces = 0; // Inside #{} interpolation or a custom property's value
+    for (let i = 0; i < source.length; i++) {
+      const ch = source[i];
+      if (ch === '/' && source[i + 1] === '*') {
+        const close = source.indexOf('*/', i + 2);
+        if (close === -1) fail('Unclosed comment', i);
+        i = close + 1;
+      } else if (scss && ch === '/' && source[i + 1] === '/' && parens === 0 && (i === 0 || /\s/.test(source[i - 1]))) {
+        const close = source.indexOf('\n', i);
+        i = close === -1 ? source.length : close;
+      } else if (/\s/.test(ch)) {
+        continue;
+      } else {
+        if (start === null) start = i;
+        if (ch === '"' || ch === "'") {
+          let j = i + 1;
+          while (j < source.length && source[j] !== ch && source[j] !== '\n') j += source[j] === '\\' ? 2 : 1;
+          if (source[j] !== ch) fail('Unclosed string', i);
+          i = j;
+        } else if (ch === '(') {
+          parens++;
+        } else if (ch === ')') {
+          parens = Math.max(0, parens - 1);
+        } else if (ch === '{' && (source[i - 1] === '#' || braces > 0 || /^--[\w-]*\s*:/.test(source.slice(start, i)))) {
+          braces++;
+        } else if (ch === '{') {
+          const prelude = source.slice(start, i).replace(/\s+$/, '');
+          const node = container(prelude.startsWith('@')
+            ? atRule(prelude, start)
+            : { type: 'rule', selector: removeComments(prelude), source: { start: position(start) } });
+          parent().nodes.push(node);
+          stack.push(node);
+          start = null;
+          parens = 0;
+        } else if (ch === '}' && braces > 0) {
+          braces--;
+        } else if (ch === '}') {
+          statement(start, i);
+          if (stack.length === 1) fail('Unexpected }', i);
+          stack.pop();
+          start = null;
+          parens = 0;
+        } else if (ch === ';' && parens === 0 && braces === 0) {
+          statement(start, i);
+          start = null;
+        }
+      }
+    }
+    if (start !== null) statement(start, source.length);
+    if (stack.length > 1) fail('Unclosed block', parent().source.start.offset);
+    return root;
+  };
+
+  return { parse };
+}
+
+// =============================================================================
+// VALUES
+// =============================================================================
+
+// Split at separators outside parentheses, brackets and strings
+function splitTopLevel(value, separator) {
+  const parts = [];
+  let depth = 0;
+  let quote = null;
+  let start = 0;
+  for (let i = 0; i < value.length; i++) {
+    const ch = value[i];
+    if (quote) {
+      if (ch === '\\') i++;
+      else if (ch === quote) quote = null;
+    } else if (ch === '"' || ch === "'") {
+      quote = ch;
+    } else if (ch === '(' || ch === '[') {
+      depth++;
+    } else if (ch === ')' || ch === ']') {
+      depth--;
+    } else if (ch === separator && depth === 0) {
+      parts.push(value.slice(start, i));
+      start = i + 1;
+    }
+  }
+  parts.push(value.slice(start));
+  return parts.map(part => part.trim());
+}
+
+const unquote = (str) => str.trim().replace(/^(['"])([\s\S]*)\1$/, '$2');
+
+/**
+ * An SCSS map literal, `(brand: (500: #5e6ad2), muted: #8a8f98)`, as nested
+ * objects; null for anything else (lists, parenthesized expressions).
+ */
+function parseScssMap(value) {
+  const str = value.trim();
+  if (!str.startsWith('(') || !str.endsWith(')')) return null;
+  const entries = splitTopLevel(str.slice(1, -1), ',').filter(Boolean);
+  if (entries.length === 0) return null;
+  const map = {};
+  for (const entry of entries) {
+    const [key, ...rest] = splitTopLevel(entry, ':');
+    if (rest.length === 0 || !key) return null;
+    const inner = rest.join(':').trim();
+    map[unquote(key)] = parseScssMap(inner) || inner;
+  }
+  return map;
+}
+
+// Offsets of every call to `name(` in a value, with its arguments split
+function findCalls(value, name) {
+  const calls = [];
+  const pattern = new RegExp(`(?:^|[^\\w-])(${name.replace(/\./g, '\\.')})\\(`, 'g');
+  let match;
+  while ((match = pattern.exec(value))) {
+    const start = match.index + match[0].indexOf(match[1]);
+    let depth = 0;
+    for (let i = start + match[1].length; i < value.length; i++) {
+      if (value[i] === '(') depth++;
+      else if (value[i] === ')' && --depth === 0) {
+        calls.push({ start, end: i + 1, args: splitTopLevel(value.slice(start + match[1].length + 1, i), ',') });
+        break;
+      }
+    }
+  }
+  return calls;
+}
+
+// Tokens a value references: custom properties, SCSS variables and map entries
+function findReferences(value) {
+  const references = findCalls(value, 'var').map(call => call.args[0]);
+  for (const match of value.matchAll(/(?:[\w-]+\.)?\$([\w-]+)/g)) references.push(`$${match[1]}`);
+  return [...new Set(references)];
+}
+
+// A value that is nothing but one reference: var(--x), $x, map.get($m, k)
+function isAlias(value) {
+  const str = value.trim();
+  if (/^(?:[\w-]+\.)?\$[\w-]+$/.test(str)) return true;
+  for (const name of ['var', 'map-get', 'map.get']) {
+    const [call] = findCalls(str, name);
+    if (call && call.start === 0 && call.end === str.length) return true;
+  }
+  return false;
+}
+
+// Value with var() calls and strings blanked out, so their contents (fallbacks,
+// font names) aren't mistaken for hardcoded values. Offsets are preserved.
+function blankReferences(value) {
+  let blanked = value.replace(/(['"])(?:\\.|(?!\1)[^\\])*\1/g, str => ' '.repeat(str.length));
+  for (const name of ['var', 'map-get', 'map.get', 'url']) {
+    for (const call of findCalls(blanked, name)) {
+      blanked = blanked.slice(0, call.start) + ' '.repeat(call.end - call.start) + blanked.slice(call.end);
+    }
+  }
+  return blanked.replace(/(?:[\w-]+\.)?\$[\w-]+|#\{[^}]*\}/g, str => ' '.repeat(str.length));
+}
+
+/**
+ * Values a usage hardcodes for its category, with their offsets in the value:
+ * color literals (named colors included), dimensions other than 0, or the
+ * first font family when it isn't generic.
+ */
+function findLiterals(value, category) {
+  const blanked = blankReferences(value);
+  const literals = [];
+
+  if (category === 'colors') {
+    for (const match of blanked.matchAll(COLOR_LITERAL_PATTERN)) {
+      if (NON_COLORS.has(match[0].toLowerCase()) || !colorLib.parse(match[0])) continue;
+      literals.push({ value: match[0], index: match.index });
+    }
+  } else if (category === 'spacing' || category === 'borderRadius') {
+    for (const match of blanked.matchAll(DIMENSION_PATTERN)) {
+      if (parseFloat(match[2]) === 0) continue;
+      literals.push({ value: match[2], index: match.index + match[1].length });
+    }
+  } else if (category === 'typography') {
+    // Font names are often quoted, so this reads the original value
+    const [first = ''] = splitTopLevel(value, ',');
+    const family = unquote(first);
+    if (family && !GENERIC_FAMILIES.has(family.toLowerCase()) && !SCSS_REFERENCE.test(family) && !/var\(|#\{/.test(family)) {
+      literals.push({ value: family, index: value.indexOf(first) });
+    }
+  }
+
+  return literals;
+}
+
+// Line and column reached after `text`, starting at `start`
+function advance(start, text) {
+  const lines = text.split('\n');
+  return lines.length === 1
+    ? { line: start.line, column: start.column + text.length }
+    : { line: start.line + lines.length - 1, column: lines[lines.length - 1].length + 1 };
+}
+
+const usageCategory = (property) => USAGE_PROPERTIES.find(([pattern]) => pattern.test(property))?.[1] || null;
+
+// =============================================================================
+// WALKING
+// =============================================================================
+
+// Nested selectors resolved against their parents: `&:hover`, `.a { .b {} }`
+function nestSelector(parent, selector) {
+  const children = splitTopLevel(selector, ',');
+  if (!parent) return children.join(', ');
+  return splitTopLevel(parent, ',').flatMap(outer =>
+    children.map(inner => (inner.includes('&') ? inner.replace(/&/g, outer) : `${outer} ${inner}`))
+  ).join(', ');
+}
+
+/**
+ * Walk one parsed stylesheet. Definitions and usages come back in source order
+ * with { scope, condition, value, file, line, column }; `line`/`column` point
+ * at the value. `scope` is the full selector (null for top-level SCSS
+ * variables), `condition` the @media/@supports/@container chain or null.
+ */
+function walkStylesheet(root, file) {
+  const definitions = [];
+  const usages = [];
+  const typeDeclarations = [];
+  const systemDeclarations = [];
+
+  const visit = (node, scope, condition) => {
+    node.each(child => {
+      if (child.type === 'rule') {
+        visit(child, nestSelector(scope, child.selector), condition);
+      } else if (child.type === 'atrule') {
+        const name = child.name.toLowerCase();
+        if (SKIPPED_AT_RULES.has(name) || !child.nodes) return;
+        const atRule = `@${name} ${child.params}`.trim();
+        // Widths in a media query are breakpoints
+        if (name === 'media' && /width/i.test(child.params)) {
+          systemDeclarations.push({
+            property: '@media',
+            category: 'breakpoints',
+            value: child.params,
+            scope,
+            condition,
+            file,
+            ...advance(child.source.start, `@${child.name}${child.raws.afterName}`),
+            offset: child.source.start.offset
+          });
+        }
+        visit(child, scope, CONDITION_AT_RULES.has(name) ? (condition ? `${condition} ${atRule}` : atRule) : condition);
+      } else if (child.type === 'decl') {
+        addDeclaration(child, scope, condition);
+      }
+    });
+  };
+
+  const addDeclaration = (decl, scope, condition) => {
+    const raw = decl.raws.value?.raw ?? decl.value;
+    const valueStart = advance(decl.source.start, decl.prop + decl.raws.between);
+    const base = { scope, condition, file, ...valueStart, offset: decl.source.start.offset };
+
+    if (decl.prop.startsWith('--') || decl.prop.startsWith('$')) {
+      const kind = decl.prop.startsWith('$') ? 'scss-variable' : 'custom-property';
+      const value = decl.value.replace(/\s*!(?:default|global)\b/g, '').trim();
+      definitions.push({ name: decl.prop, kind, value, ...base });
+      // Map entries become definitions of their own ($colors.brand.500), each
+      // located at its key
+      const map = kind === 'scss-variable' && parseScssMap(value);
+      if (map) {
+        let cursor = 0;
+        const flatten = (object, prefix) => Object.entries(object).forEach(([key, entry]) => {
+          const keyPattern = new RegExp(`(['"]?)${key.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\1\\s*:`, 'g');
+          keyPattern.lastIndex = cursor;
+          const found = keyPattern.exec(raw);
+          if (found) cursor = found.index + found[0].length;
+          const at = found ? advance(valueStart, raw.slice(0, found.index)) : valueStart;
+          if (typeof entry === 'object') flatten(entry, `${prefix}.${key}`);
+          else definitions.push({ name: `${prefix}.${key}`, kind, value: entry, ...base, ...at });
+        });
+        flatten(map, decl.prop);
+      }
+      return;
+    }
+
+    const typeProperty = TYPE_PROPERTIES[decl.prop.toLowerCase()];
+    if (typeProperty) {
+      typeDeclarations.push({ property: typeProperty, value: decl.value, ...base });
+      return;
+    }
+
+    // box-shadow is a color usage as well
+    const systemCategory = SYSTEM_PROPERTIES[decl.prop.toLowerCase()];
+    if (systemCategory) {
+      systemDeclarations.push({ property: decl.prop.toLowerCase(), category: systemCategory, value: decl.value, ...base });
+    }
+
+    const category = usageCategory(decl.prop.toLowerCase());
+    if (!category) return;
+    const literals = findLiterals(raw, category).map(literal => ({
+      value: literal.value,
+      ...advance(valueStart, raw.slice(0, literal.index))
+    }));
+    usages.push({ property: decl.prop.toLowerCase(), category, value: decl.value, references: findReferences(decl.value), literals, ...base });
+  };
+
+  visit(root, null, null);
+  return { definitions, usages, typeDeclarations, systemDeclarations };
+}
+
+// =============================================================================
+// RESOLUTION
+// =============================================================================
+
+const isRootScope = (scope) => scope === ':root' || scope === 'html';
+
+/**
+ * Resolver over every definition of a set of stylesheets. `resolve(value, at)`
+ * substitutes references as seen from `at` ({ file, scope, condition, order })
+ * and returns null when a reference can't be resolved and has no fallback.
+ */
+function createResolver(definitions) {
+  const byName = new Map();
+  definitions.forEach(definition => {
+    if (!byName.has(definition.name)) byName.set(definition.name, []);
+    byName.get(definition.name).push(definition);
+  });
+
+  // Same scope and condition, same scope, :root with the condition, :root
+  const lookupProperty = (name, at) => {
+    const candidates = byName.get(name) || [];
+    const matches = [
+      d => d.scope === at.scope && d.condition === at.condition,
+      d => d.scope === at.scope && !d.condition,
+      d => isRootScope(d.scope) && d.condition === at.condition,
+      d => isRootScope(d.scope) && !d.condition
+    ];
+    for (const match of matches) {
+      const found = candidates.filter(match);
+      if (found.length) return found[found.length - 1]; // Later declarations win
+    }
+    return null;
+  };
+
+  // The last definition before `at` in its own file, else the last anywhere
+  const lookupVariable = (name, at) => {
+    const candidates = byName.get(name) || [];
+    const local = candidates.filter(d => d.file === at.file && d.order < at.order);
+    return local[local.length - 1] || candidates[candidates.length - 1] || null;
+  };
+
+  const resolveDefinition = (definition, seen) => {
+    if (seen.has(definition)) return null;
+    return resolve(definition.value, definition, new Set(seen).add(definition));
+  };
+
+  const resolve = (value, at, seen = new Set()) => {
+    let result = value;
+
+    // map-get($map, key...) and map.get($map, key...)
+    for (const name of ['map-get', 'map.get']) {
+      let call;
+      while ((call = findCalls(result, name)[0])) {
+        const [map, ...keys] = call.args;
+        const target = lookupVariable(`$${map.replace(/^(?:[\w-]+\.)?\$/, '')}.${keys.map(unquote).join('.')}`, at);
+        const replacement = target ? resolveDefinition(target, seen) : null;
+        if (replacement === null) return null;
+        result = result.slice(0, call.start) + replacement + result.slice(call.end);
+      }
+    }
+
+    // #{$x} interpolation, then $x and namespace.$x
+    result = result.replace(/#\{([^}]*)\}/g, (match, inner) => resolve(inner.trim(), at, seen) ?? match);
+    let unresolved = false;
+    result = result.replace(/(?:[\w-]+\.)?\$([\w-]+)/g, (match, name) => {
+      const target = lookupVariable(`$${name}`, at);
+      const replacement = target ? resolveDefinition(target, seen) : null;
+      if (replacement === null) unresolved = true;
+      return replacement ?? match;
+    });
+    if (unresolved) return null;
+
+    // var(--x, fallback), innermost resolution first through recursion
+    let call;
+    while ((call = findCalls(result, 'var')[0])) {
+      const [name, ...fallback] = call.args;
+      const target = lookupProperty(name, at);
+      let replacement = target ? resolveDefinition(target, seen) : null;
+      if (replacement === null && fallback.length) replacement = resolve(fallback.join(', '), at, seen);
+      if (replacement === null) return null;
+      result = result.slice(0, call.start) + replacement + result.slice(call.end);
+    }
+
+    return result.trim();
+  };
+
+  return { resolve, lookupProperty, lookupVariable };
+}
+
+// =============================================================================
+// PARSING
+// =============================================================================
+
+/**
+ * Parse stylesheets and resolve every definition and usage. Returns {
+ *   definitions,  [{ name, kind, scope, condition, value, resolved, alias, file, line, column }]
+ *   usages,       [{ property, category, scope, condition, value, resolved, references,
+ *                    literals: [{ value, line, column }], file, line, column }]
+ *   typeDeclarations
+ *                 [{ property (fontSize, fontWeight, lineHeight, letterSpacing),
+ *                    scope, condition, value, resolved, file, line, column }]
+ *   systemDeclarations
+ *                 [{ property (box-shadow, transition..., max-width, @media),
+ *                    category (shadows, motion, breakpoints), scope, condition,
+ *                    value, resolved, file, line, column }]
+ *   warnings      files that couldn't be read or parsed
+ * }
+ */
+function parseStylesheets(files, options = {}) {
+  if (files.length === 0) return { definitions: [], usages: [], typeDeclarations: [], systemDeclarations: [], warnings: [] };
+  const { postcss, scss } = options.postcss
+    ? { postcss: options.postcss, scss: options.scss || createFallbackParser({ scss: true }) }
+    : loadPostcss(options.projectPath);
+  const definitions = [];
+  const usages = [];
+  const typeDeclarations = [];
+  const systemDeclarations = [];
+  const warnings = [];
+
+  for (const file of files) {
+    if (file.endsWith('.sass')) {
+      warnings.push(`${path.basename(file)}: indented Sass syntax isn't supported; skipped`);
+      continue;
+    }
+    try {
+      const source = fs.readFileSync(file, 'utf-8');
+      const root = file.endsWith('.scss') ? scss.parse(source, { from: file }) : postcss.parse(source, { from: file });
+      const walked = walkStylesheet(root, file);
+      definitions.push(...walked.definitions);
+      usages.push(...walked.usages);
+      typeDeclarations.push(...walked.typeDeclarations);
+      systemDeclarations.push(...walked.systemDeclarations);
+    } catch (err) {
+      warnings.push(`${path.basename(file)}: ${err.reason || err.message}${err.line ? ` (line ${err.line})` : ''}`);
+    }
+  }
+
+  // Source order across files, for SCSS variables defined before their use
+  [...definitions, ...usages, ...typeDeclarations, ...systemDeclarations]
+    .sort((a, b) => files.indexOf(a.file) - files.indexOf(b.file) || a.offset - b.offset)
+    .forEach((entry, order) => { entry.order = order; delete entry.offset; });
+
+  const { resolve } = createResolver(definitions);
+  definitions.forEach(definition => {
+    definition.resolved = resolve(definition.value, definition, new Set([definition]));
+    definition.alias = isAlias(definition.value);
+  });
+  usages.forEach(usage => { usage.resolved = resolve(usage.value, usage); });
+  [...typeDeclarations, ...systemDeclarations].forEach(declaration => { declaration.resolved = resolve(declaration.value, declaration); });
+
+  return { definitions, usages, typeDeclarations, systemDeclarations, warnings };
+}
+
+// `options.ignore(file)` leaves files out
+function parseProjectStylesheets(projectPath, options = {}) {
+  const files = findStylesheets(projectPath).filter(file => !options.ignore?.(file));
+  return { files, ...parseStylesheets(files, { projectPath, ...options }) };
+}
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+module.exports = {
+  loadPostcss,
+  findStylesheets,
+  parseStylesheets,
+  parseProjectStylesheets,
+  walkStylesheet,
+  createResolver,
+  parseScssMap,
+  findLiterals,
+  findReferences,
+  isAlias,
+  nestSelector,
+  usageCategory,
+  splitTopLevel
+};
+
+// =============================================================================
+// CLI
+// =============================================================================
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+
+  if (args.length < 1) {
+    console.log(`
+Impression: CSS Parser
+======================
+
+Usage:
+  node css-parser.js <project-path | stylesheet.css>
+
+Lists the token definitions (custom properties, SCSS variables and map entries)
+and the hardcoded values in color, font, spacing and radius declarations.
+`);
+    process.exit(1);
+  }
+
+  const target = path.resolve(args[0]);
+  if (!fs.existsSync(target)) {
+    console.error(`Error: Not found: ${target}`);
+    process.exit(1);
+  }
+
+  const isDirectory = fs.statSync(target).isDirectory();
+  let result;
+  try {
+    result = isDirectory ? parseProjectStylesheets(target) : parseStylesheets([target], { projectPath: path.dirname(target) });
+  } catch (err) {
+    console.error(`Error: ${err.message}`);
+    process.exit(1);
+  }
+
+  const where = (entry) => `${path.relative(process.cwd(), entry.file)}:${entry.line}:${entry.column}`;
+  const scoped = (entry) => [entry.scope, entry.condition].filter(Boolean).join(' ');
+
+  console.log('Definitions:');
+  result.definitions.forEach(d => {
+    const resolved = d.resolved !== d.value ? ` → ${d.resolved}` : '';
+    const value = `${d.value}${resolved}`.replace(/\s+/g, ' ');
+    console.log(`  ${d.name}: ${value}  ${scoped(d) ? `[${scoped(d)}] ` : ''}(${where(d)})`);
+  });
+
+  const hardcoded = result.usages.flatMap(u => u.literals.map(l => ({ ...u, ...l, literal: l.value })));
+  console.log(`\nHardcoded values:`);
+  hardcoded.forEach(u => console.log(`  ${u.property}: ${u.literal}  [${scoped(u)}] (${where(u)})`));
+
+  const tokenized = result.usages.filter(u => u.references.length > 0 && u.literals.length === 0).length;
+  console.log(`\n${result.definitions.length} definitions, ${result.usages.length} usages (${tokenized} through tokens, ${hardcoded.length} hardcoded values)`);
+  result.warnings.forEach(warning => console.warn(`⚠️  ${warning}`));
+}
@@ -3,13 +3,30 @@
  * Enhanced extraction with dark/light mode detection, gradients, component patterns,
  * semantic role inference, and scroll-capture support.
  *
+ * When the page can switch themes (prefers-color-scheme rules, .dark/.light
+ * classes or data-theme attributes), each theme is forced in turn and walked
+ * separately, filling `themes.light` and `themes.dark` with full palettes.
+ *
+ * Every text color is recorded with the background actually behind it (ancestor
+ * backgrounds composited down to an opaque one) and its font size and weight in
+ * `colors.pairs`, per theme in `themes.*.pairs`, and for forced component
+ * hover, focus and active states, for the contrast audit of compare-design-systems.js.
+ *
+ * Colors are read with scripts/color.js when it is in scope as `ImpressionColor`
+ * (extract.js injects it; paste color.js first when injecting by hand), which keeps
+ * alpha and wide-gamut spaces instead of flattening everything to 6-digit hex.
+ *
  * Inject this script into a page via Playwright browser_run_code or browser_evaluate
- * Returns comprehensive design tokens extracted from the live page
+ * Returns comprehensive design tokens extracted from the live page, or a Promise
+ * of them when `scrollCapture` is enabled (the page is scrolled step by step and
+ * nodes mounted along the way are walked and merged into the same counts)
  */
 
 const extractDesignSystem = (options = {}) => {
   const {
-    scrollCapture = false,      // Scroll page to trigger lazy-loaded content
+    scrollCapture = false,      // Scroll page to trigger lazy-loaded content (returns a Promise)
+    scrollDelay = 250,          // Wait after each scroll step (ms)
+    maxScrollSteps = 50,        // Upper bound for infinitely growing pages
     captureComponents = true,   // Extract component patterns
     inferRoles = true,          // Infer semantic roles for colors
     detectThemes = true         // Detect dark/light mode themes
@@ -26,9 +43,12 @@ const extractDesignSystem = (options = {}) => {
     },
     colors: {
       cssVariables: {},
+      aliases: {},  // --name → --target for variables declared as var(--target)
+      declarations: {},  // --name → every theme-level declaration: scope, raw and resolved value
       palette: [],
       semantic: { backgrounds: [], text: [], borders: [], accents: [] },
       gradients: [],
+      pairs: [],  // Text/background pairs as rendered, with font size and weight
       light: null,  // Theme-specific colors if detected
       dark: null
     },
@@ -38,9 +58,10 @@ const extractDesignSystem = (options = {}) => {
       lineHeights: [],
       letterSpacing: [],
       fontWeights: [],
-      pairings: [] // Detected font pairings (heading + body)
+      pairings: [], // Detected font pairings (heading + body)
+      elements: {}  // Per-tag styles (h1, p...) of the first visible element
     },
-    spacing: { scale: [], grid: null, gaps: [], paddings: [], margins: [] },
+    spacing: { scale: [], grid: null, gaps: [], paddings: [], margins: [], elements: {} },
     animations: { keyframes: {}, transitions: [], durations: [], easings: [] },
     components: {
       buttons: [],
@@ -60,28 +81,56 @@ const extractDesignSystem = (options = {}) => {
 
   // ============ UTILITY FUNCTIONS ============
 
-  const rgbToHex = (rgb) => {
-    if (!rgb || rgb === 'transparent' || rgb === 'rgba(0, 0, 0, 0)') return null;
-    const match = rgb.match(/rgba?\((\d+),\s*(\d+),\s*(\d+)/);
-    if (!match) return rgb.startsWith('#') ? rgb : null;
+  // Shared color library (scripts/color.js), injected by extract.js; manual
+  // pastes without it fall back to reading rgb() only
+  const colorLib = typeof ImpressionColor !== 'undefined' ? ImpressionColor : null;
+
+  // Computed color → token value: hex (#rrggbbaa when translucent), or the
+  // color in its own space (oklch(), color(display-p3 ...)) when outside sRGB
+  const normalizeColor = (value) => {
+    if (!value || value === 'transparent' || value === 'rgba(0, 0, 0, 0)') return null;
+    if (colorLib) return colorLib.normalize(value);
+    const match = value.match(/rgba?\((\d+),\s*(\d+),\s*(\d+)/);
+    if (!match) return value.startsWith('#') ? value : null;
     const [, r, g, b] = match;
     return '#' + [r, g, b].map(x => parseInt(x).toString(16).padStart(2, '0')).join('');
   };
 
+  // Wide-gamut and translucent values keep their space and an sRGB fallback
+  const describeColor = (entry) => {
+    if (!colorLib || entry.value.startsWith('#') && entry.value.length === 7) return entry;
+    const parsed = colorLib.parse(entry.value);
+    if (!parsed) return entry;
+    const described = { ...entry };
+    if (!entry.value.startsWith('#')) described.space = parsed.space;
+    if (parsed.alpha < 1) described.alpha = Math.round(parsed.alpha * 1000) / 1000;
+    if (!entry.value.startsWith('#')) described.hex = colorLib.toHex(parsed);
+    return described;
+  };
+
   const parseGradient = (value) => {
     if (!value || !value.includes('gradient')) return null;
-    const gradientMatch = value.match(/(linear-gradient|radial-gradient|conic-gradient)\(([^)]+)\)/);
+    const gradientMatch = value.match(/(linear-gradient|radial-gradient|conic-gradient)\(/);
     if (!gradientMatch) return null;
 
     const type = gradientMatch[1];
-    const content = gradientMatch[2];
+    // Up to the matching parenthesis, since color stops are functions too
+    const start = gradientMatch.index + gradientMatch[0].length;
+    let depth = 1;
+    let end = start;
+    while (end < value.length && depth > 0) {
+      if (value[end] === '(') depth++;
+      if (value[end] === ')') depth--;
+      end++;
+    }
+    const content = value.slice(start, end - 1);
     const colors = [];
 
     // Extract colors from gradient
-    const colorMatches = content.matchAll(/(#[a-fA-F0-9]{3,8}|rgba?\([^)]+\)|[a-z]+(?=\s|,|$))/gi);
+    const colorMatches = content.matchAll(/(#[a-fA-F0-9]{3,8}|(?:rgba?|hsla?|hwb|lab|lch|oklab|oklch|color)\([^)]+\)|[a-z]+(?=\s|,|$))/gi);
     for (const match of colorMatches) {
-      const hex = rgbToHex(match[1]) || match[1];
-      if (hex && hex.startsWith('#')) colors.push(hex);
+      const color = normalizeColor(match[1]);
+      if (color && (colorLib || color.startsWith('#'))) colors.push(color);
     }
 
     return { type, raw: value, colors };
@@ -93,12 +142,23 @@ const extractDesignSystem = (options = {}) => {
     return Object.entries(counts).sort((a, b) => b[1] - a[1]).map(([value, count]) => ({ value, count }));
   };
 
+  // 8-bit sRGB channels of any token value, or null
+  const toRgbChannels = (color) => {
+    if (!color) return null;
+    if (colorLib) {
+      const rgb = colorLib.toRgb(color);
+      return rgb && [rgb.r, rgb.g, rgb.b];
+    }
+    const rgb = color.match(/^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})/i);
+    return rgb && [1, 2, 3].map(i => parseInt(rgb[i], 16));
+  };
+
   const getLuminance = (hex) => {
-    if (!hex) return 0;
-    const rgb = hex.match(/^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i);
-    if (!rgb) return 0;
-    const [r, g, b] = [1, 2, 3].map(i => {
-      const c = parseInt(rgb[i], 16) / 255;
+    if (colorLib) return colorLib.luminance(hex) ?? 0;
+    const channels = toRgbChannels(hex);
+    if (!channels) return 0;
+    const [r, g, b] = channels.map(channel => {
+      const c = channel / 255;
       return c <= 0.03928 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
     });
     return 0.2126 * r + 0.7152 * g + 0.0722 * b;
@@ -150,7 +210,7 @@ const extractDesignSystem = (options = {}) => {
     // Infer from background color if still unknown
     if (currentTheme === 'unknown') {
       const bgColor = getComputedStyle(body).backgroundColor;
-      const hex = rgbToHex(bgColor);
+      const hex = normalizeColor(bgColor);
       if (hex) {
         currentTheme = isDarkColor(hex) ? 'dark' : 'light';
       }
@@ -163,13 +223,112 @@ const extractDesignSystem = (options = {}) => {
 
   // ============ CSS VARIABLES & KEYFRAMES ============
 
+  // Custom properties declared as a bare `var(--x)` (fallback allowed) alias --x
+  const inferAliases = (vars) => {
+    const aliases = {};
+    Object.entries(vars).forEach(([name, value]) => {
+      const match = /^var\(\s*(--[\w-]+)\s*[,)]/.exec(value);
+      if (!match) return;
+      // The var( must close at the very end, not be part of a larger value
+      const inner = value.slice(3);
+      let depth = 0;
+      const closesAtEnd = [...inner].every((ch, i) => {
+        if (ch === '(') depth++;
+        if (ch === ')') depth--;
+        return depth > 0 || i === inner.length - 1;
+      });
+      if (closesAtEnd) aliases[name] = match[1];
+    });
+    return aliases;
+  };
+
+  // Selectors custom properties are themed under: :root/html/body, theme classes
+  // and attributes, alone or combined (`:root.dark`, `html[data-theme="dark"]`)
+  const THEME_SCOPE_PATTERN = /^(?::root|html|body)?(?:\.(?:theme-)?(?:dark|light)|\[data-(?:theme|mode|color-scheme)[^\]]*\]|:not\([^)]*\))*$/;
+  const isThemeScope = (selector) => selector.split(',').every(part => {
+    const trimmed = part.trim();
+    return trimmed !== '' && THEME_SCOPE_PATTERN.test(trimmed);
+  });
+
+  // Custom property declarations in theme scopes, in stylesheet order, with the
+  // chain of @media/@supports conditions they sit under
+  const collectDeclarations = (rules, condition, declarations) => {
+    for (const rule of rules) {
+      if (rule.type === CSSRule.STYLE_RULE && isThemeScope(rule.selectorText)) {
+        for (const prop of rule.style) {
+          if (!prop.startsWith('--')) continue;
+          (declarations[prop] = declarations[prop] || []).push({
+            scope: rule.selectorText,
+            condition,
+            value: rule.style.getPropertyValue(prop).trim()
+          });
+        }
+      } else if (rule.type === CSSRule.MEDIA_RULE || rule.type === CSSRule.SUPPORTS_RULE) {
+        const atRule = `${rule.type === CSSRule.MEDIA_RULE ? '@media' : '@supports'} ${rule.conditionText}`;
+        collectDeclarations(rule.cssRules, condition ? `${condition} ${atRule}` : atRule, declarations);
+      } else if (rule.cssRules && rule.type !== CSSRule.KEYFRAMES_RULE) {
+        collectDeclarations(rule.cssRules, condition, declarations); // @layer, @container...
+      }
+    }
+    return declarations;
+  };
+
+  // Substitute var() references the way the cascade would inside the
+  // declaration's scope: same scope and condition first, then the same scope
+  // unconditionally, then :root. Cycles and undefined variables without a
+  // fallback resolve to null.
+  const resolveDeclaration = (declarations, decl, seen = new Set()) => {
+    const visited = new Set(seen).add(decl);
+    const isRoot = (scope) => scope === ':root' || scope === 'html';
+    const lookup = (name) => {
+      const candidates = declarations[name] || [];
+      const matches = [
+        d => d.scope === decl.scope && d.condition === decl.condition,
+        d => d.scope === decl.scope && !d.condition,
+        d => isRoot(d.scope) && d.condition === decl.condition,
+        d => isRoot(d.scope) && !d.condition
+      ];
+      for (const match of matches) {
+        const found = candidates.filter(match);
+        if (found.length) return found[found.length - 1]; // Later declarations win
+      }
+      return null;
+    };
+
+    let value = decl.value;
+    let start;
+    while ((start = value.indexOf('var(')) !== -1) {
+      // Find the matching paren and split off the fallback at the first top-level comma
+      let depth = 0, end = -1, comma = -1;
+      for (let i = start + 3; i < value.length; i++) {
+        if (value[i] === '(') depth++;
+        else if (value[i] === ')' && --depth === 0) { end = i; break; }
+        else if (value[i] === ',' && depth === 1 && comma === -1) comma = i;
+      }
+      if (end === -1) return null;
+      const name = value.slice(start + 4, comma === -1 ? end : comma).trim();
+      const fallback = comma === -1 ? null : value.slice(comma + 1, end).trim();
+
+      const target = lookup(name);
+      let replacement = null;
+      if (target && !visited.has(target)) replacement = resolveDeclaration(declarations, target, visited);
+      if (replacement === null) replacement = fallback;
+      if (replacement === null) return null;
+      value = value.slice(0, start) + replacement + value.slice(end + 1);
+    }
+    return value.trim();
+  };
+
   const extractCSSRules = () => {
     const cssVars = {};
     const darkVars = {};
     const lightVars = {};
+    const declarations = {};
 
     for (const sheet of document.styleSheets) {
       try {
+        collectDeclarations(sheet.cssRules, null, declarations);
+
         for (const rule of sheet.cssRules) {
           // Root variables
           if (rule.type === CSSRule.STYLE_RULE) {
@@ -236,6 +395,11 @@ const extractDesignSystem = (options = {}) => {
     }
 
     result.colors.cssVariables = cssVars;
+    result.colors.aliases = inferAliases(cssVars);
+    Object.values(declarations).forEach(decls => decls.forEach(decl => {
+      decl.resolved = resolveDeclaration(declarations, decl);
+    }));
+    result.colors.declarations = declarations;
     if (Object.keys(darkVars).length > 0) result.colors.dark = { cssVariables: darkVars };
     if (Object.keys(lightVars).length > 0) result.colors.light = { cssVariables: lightVars };
   };
@@ -284,10 +448,9 @@ const extractDesignSystem = (options = {}) => {
     // Semantic colors by hue
     const allColors = [...new Set([...colorData.bg, ...colorData.text, ...colorData.accent])];
     for (const hex of allColors) {
-      if (!hex) continue;
-      const rgb = hex.match(/^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i);
-      if (!rgb) continue;
-      const [r, g, b] = [parseInt(rgb[1], 16), parseInt(rgb[2], 16), parseInt(rgb[3], 16)];
+      const channels = toRgbChannels(hex);
+      if (!channels) continue;
+      const [r, g, b] = channels;
 
       // Green = success
       if (g > r * 1.3 && g > b * 1.3 && !roles['success']) {
@@ -358,52 +521,315 @@ const extractDesignSystem = (options = {}) => {
     return pairings;
   };
 
+  // ============ ELEMENT STYLES ============
+
+  // Styles of the first visible element per tag: stable anchors for comparing
+  // the same page across viewport widths (e.g. h1 48px on desktop, 32px on mobile)
+  const TYPE_ELEMENTS = ['body', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'p', 'small', 'code'];
+  const LAYOUT_ELEMENTS = ['header', 'nav', 'main', 'section', 'footer'];
+
+  const firstVisible = (tag) => [...document.getElementsByTagName(tag)].find(el => el.getClientRects().length > 0);
+
+  const extractElementStyles = () => {
+    const typography = {};
+    TYPE_ELEMENTS.forEach(tag => {
+      const el = firstVisible(tag);
+      if (!el) return;
+      const cs = getComputedStyle(el);
+      typography[tag] = {
+        fontSize: cs.fontSize,
+        lineHeight: cs.lineHeight,
+        fontWeight: cs.fontWeight,
+        letterSpacing: cs.letterSpacing
+      };
+    });
+
+    const layout = {};
+    LAYOUT_ELEMENTS.forEach(tag => {
+      const el = firstVisible(tag);
+      if (!el) return;
+      const cs = getComputedStyle(el);
+      layout[tag] = {
+        padding: cs.padding,
+        gap: cs.gap === 'normal' ? null : cs.gap
+      };
+    });
+
+    result.typography.elements = typography;
+    result.spacing.elements = layout;
+  };
+
+  // ============ TEXT CONTRAST PAIRS ============
+
+  // Text as rendered: an element's own text color over the background behind
+  // it, translucent layers of the element and its ancestors composited down to
+  // the first opaque one. Pairs carry font size and weight for large-text rules.
+
+  const TEXT_FIELDS = 'textarea, select, input:not([type="checkbox"]):not([type="radio"]):not([type="range"]):not([type="color"]):not([type="hidden"])';
+
+  const hasOwnText = (el) => el.matches(TEXT_FIELDS) ||
+    [...el.childNodes].some(node => node.nodeType === Node.TEXT_NODE && node.textContent.trim());
+
+  // `button.btn.primary`, `a#home`: short enough to find the element again
+  const describeElement = (el) => {
+    const tag = el.tagName.toLowerCase();
+    if (el.id) return `${tag}#${el.id}`;
+    const classes = [...el.classList].slice(0, 2).map(cls => `.${cls}`).join('');
+    return `${tag}${classes}`;
+  };
+
+  // The UA canvas shows through when nothing behind the text is opaque
+  const canvasColor = () => getComputedStyle(document.documentElement).colorScheme.trim() === 'dark' ? '#121212' : '#ffffff';
+
+  const resolveBackground = (el) => {
+    const layers = [];
+    let overImage = false;
+    for (let node = el; node; node = node.parentElement) {
+      const cs = getComputedStyle(node);
+      if (cs.backgroundImage && cs.backgroundImage !== 'none') overImage = true;
+      const bg = normalizeColor(cs.backgroundColor);
+      if (!bg) continue;
+      layers.push(bg);
+      // Without color.js alpha is lost, so the first background counts as opaque
+      if (!colorLib || colorLib.parse(bg).alpha >= 1) break;
+    }
+
+    let background = colorLib && layers.length > 0 && colorLib.parse(layers[layers.length - 1]).alpha >= 1
+      ? layers.pop()
+      : canvasColor();
+    if (colorLib) {
+      while (layers.length > 0) background = colorLib.normalize(colorLib.composite(layers.pop(), background));
+    } else if (layers.length > 0) {
+      background = layers[0];
+    }
+    return { background, overImage };
+  };
+
+  // Components count text in their children too (a button's label in a <span>)
+  const textPair = (el, { ownText = true } = {}) => {
+    const hasText = ownText ? hasOwnText(el) : el.matches(TEXT_FIELDS) || el.textContent.trim();
+    if (!hasText || el.getClientRects().length === 0) return null;
+    const cs = getComputedStyle(el);
+    if (cs.visibility === 'hidden') return null;
+    const foreground = normalizeColor(cs.color);
+    if (!foreground) return null;
+    const { background, overImage } = resolveBackground(el);
+    return {
+      selector: describeElement(el),
+      foreground,
+      background,
+      fontSize: Math.round(parseFloat(cs.fontSize) * 100) / 100,
+      fontWeight: parseInt(cs.fontWeight) || 400,
+      overImage
+    };
+  };
+
+  // Pairs with the same colors and text size are one entry listing where they appear
+  const addTextPair = (pairs, pair, state = null) => {
+    const key = [pair.foreground, pair.background, pair.fontSize, pair.fontWeight, pair.overImage, state].join('|');
+    const entry = pairs.get(key) || pairs.set(key, {
+      foreground: pair.foreground,
+      background: pair.background,
+      fontSize: pair.fontSize,
+      fontWeight: pair.fontWeight,
+      ...(state && { state }),
+      ...(pair.overImage && { overImage: true }),
+      count: 0,
+      selectors: []
+    }).get(key);
+    entry.count++;
+    if (entry.selectors.length < 5 && !entry.selectors.includes(pair.selector)) entry.selectors.push(pair.selector);
+  };
+
+  const summarizePairs = (pairs) => [...pairs.values()].sort((a, b) => b.count - a.count).slice(0, 200);
+
+  // ============ COMPONENT STATES ============
+
+  const STATE_PSEUDOS = {
+    hover: /:hover(?![\w-])/g,
+    focus: /:focus(?:-visible)?(?![\w-])/g,
+    active: /:active(?![\w-])/g
+  };
+
+  // Same-origin :hover/:focus/:active rules copied with the pseudo-class swapped
+  // for an attribute we can toggle, so forced states resolve through the real
+  // cascade (var() references included)
+  const createStateSheet = () => {
+    const copies = [];
+    const visit = (rules) => {
+      for (const rule of rules) {
+        if (rule.type === CSSRule.MEDIA_RULE && !window.matchMedia(rule.conditionText).matches) continue;
+        if (rule.type === CSSRule.STYLE_RULE) {
+          let selector = rule.selectorText;
+          for (const [state, pattern] of Object.entries(STATE_PSEUDOS)) {
+            selector = selector.replace(pattern, `[data-impression-${state}]`);
+          }
+          if (selector !== rule.selectorText) copies.push(`${selector} { ${rule.style.cssText} }`);
+        } else if (rule.cssRules && rule.type !== CSSRule.KEYFRAMES_RULE) {
+          visit(rule.cssRules);
+        }
+      }
+    };
+
+    for (const sheet of document.styleSheets) {
+      try {
+        visit(sheet.cssRules);
+      } catch (e) {}
+    }
+
+    const style = document.createElement('style');
+    style.textContent = [
+      '*, *::before, *::after { transition: none !important; }', // Read end states, not mid-transition
+      ...copies
+    ].join('\n');
+    document.head.appendChild(style);
+    return style;
+  };
+
+  const stateSnapshot = (el) => {
+    const cs = getComputedStyle(el);
+    return {
+      backgroundColor: normalizeColor(cs.backgroundColor),
+      textColor: normalizeColor(cs.color),
+      borderColor: normalizeColor(cs.borderColor),
+      boxShadow: cs.boxShadow !== 'none' ? cs.boxShadow : null,
+      outline: cs.outlineStyle !== 'none' ? `${cs.outlineWidth} ${cs.outlineStyle} ${normalizeColor(cs.outlineColor) || cs.outlineColor}` : null,
+      outlineOffset: cs.outlineOffset,
+      opacity: cs.opacity,
+      transform: cs.transform !== 'none' ? cs.transform : null,
+      textDecoration: cs.textDecorationLine,
+      cursor: cs.cursor
+    };
+  };
+
+  const setAttr = (el, name, value) => {
+    if (value === null) el.removeAttribute(name);
+    else el.setAttribute(name, value);
+  };
+
+  const forceState = (el, state) => {
+    if (state === 'disabled') {
+      const saved = ['disabled', 'aria-disabled'].map(name => [name, el.getAttribute(name)]);
+      el.setAttribute('disabled', '');
+      el.setAttribute('aria-disabled', 'true');
+      return () => saved.forEach(([name, value]) => setAttr(el, name, value));
+    }
+
+    // Hover and active apply to every ancestor as well, like a real pointer
+    const targets = [el];
+    if (state !== 'focus') {
+      for (let node = el.parentElement; node; node = node.parentElement) targets.push(node);
+    }
+    targets.forEach(node => node.setAttribute(`data-impression-${state}`, ''));
+    return () => targets.forEach(node => node.removeAttribute(`data-impression-${state}`));
+  };
+
+  // Text pairs of forced hover, focus and active states, for the contrast audit
+  // (disabled controls are exempt from WCAG contrast)
+  let statePairs = new Map();
+
+  // Per-state deltas from the resting style, e.g. { hover: { backgroundColor: '#4b57c2' } }
+  const captureStates = (el, states) => {
+    const rest = stateSnapshot(el);
+    const restPair = textPair(el, { ownText: false });
+    const deltas = {};
+
+    for (const state of states) {
+      if (state === 'disabled' && (el.disabled || el.getAttribute('aria-disabled') === 'true')) continue;
+      const restore = forceState(el, state);
+      const forced = stateSnapshot(el);
+      const pair = state !== 'disabled' && restPair && textPair(el, { ownText: false });
+      restore();
+
+      if (pair && (pair.foreground !== restPair.foreground || pair.background !== restPair.background)) {
+        addTextPair(statePairs, pair, state);
+      }
+
+      const delta = Object.fromEntries(Object.entries(forced).filter(([key, value]) => value !== rest[key]));
+      if (Object.keys(delta).length > 0) deltas[state] = delta;
+    }
+
+    return Object.keys(deltas).length > 0 ? deltas : undefined;
+  };
+
   // ============ COMPONENT EXTRACTION ============
 
+  const BUTTON_SELECTOR = 'button, [role="button"], a[class*="btn"], a[class*="button"]';
+  const INPUT_SELECTOR = 'input, textarea, select';
+  const CARD_SELECTOR = '[class*="card"], article, [role="article"]';
+
+  // Text pairs of the forced states alone, for each theme captureThemes forces
+  const captureStatePairs = () => {
+    const stateSheet = createStateSheet();
+    statePairs = new Map();
+    try {
+      document.querySelectorAll(BUTTON_SELECTOR).forEach(el => captureStates(el, ['hover', 'focus', 'active']));
+      document.querySelectorAll(INPUT_SELECTOR).forEach(el => captureStates(el, ['hover', 'focus']));
+      document.querySelectorAll(CARD_SELECTOR).forEach(el => captureStates(el, ['hover']));
+    } finally {
+      stateSheet.remove();
+    }
+    return summarizePairs(statePairs);
+  };
+
   const extractComponents = () => {
+    const stateSheet = createStateSheet();
+    statePairs = new Map();
+    try {
+      extractComponentSamples();
+    } finally {
+      stateSheet.remove();
+    }
+    result.colors.pairs.push(...summarizePairs(statePairs));
+  };
+
+  const extractComponentSamples = () => {
     // Buttons
-    document.querySelectorAll('button, [role="button"], a[class*="btn"], a[class*="button"]').forEach(el => {
+    document.querySelectorAll(BUTTON_SELECTOR).forEach(el => {
       const cs = getComputedStyle(el);
       result.components.buttons.push({
         text: el.textContent?.trim().slice(0, 50),
-        backgroundColor: rgbToHex(cs.backgroundColor),
-        textColor: rgbToHex(cs.color),
+        backgroundColor: normalizeColor(cs.backgroundColor),
+        textColor: normalizeColor(cs.color),
         borderRadius: cs.borderRadius,
         padding: cs.padding,
         fontSize: cs.fontSize,
         fontWeight: cs.fontWeight,
         border: cs.border,
         boxShadow: cs.boxShadow !== 'none' ? cs.boxShadow : null,
-        classes: el.classList.toString()
+        classes: el.classList.toString(),
+        states: captureStates(el, ['hover', 'focus', 'active', 'disabled'])
       });
     });
 
     // Inputs
-    document.querySelectorAll('input, textarea, select').forEach(el => {
+    document.querySelectorAll(INPUT_SELECTOR).forEach(el => {
       const cs = getComputedStyle(el);
       result.components.inputs.push({
         type: el.type || el.tagName.toLowerCase(),
-        backgroundColor: rgbToHex(cs.backgroundColor),
-        borderColor: rgbToHex(cs.borderColor),
+        backgroundColor: normalizeColor(cs.backgroundColor),
+        borderColor: normalizeColor(cs.borderColor),
         borderRadius: cs.borderRadius,
         padding: cs.padding,
         fontSize: cs.fontSize,
         border: cs.border,
-        classes: el.classList.toString()
+        classes: el.classList.toString(),
+        states: captureStates(el, ['hover', 'focus', 'disabled'])
       });
     });
 
     // Cards
-    document.querySelectorAll('[class*="card"], article, [role="article"]').forEach(el => {
+    document.querySelectorAll(CARD_SELECTOR).forEach(el => {
       const cs = getComputedStyle(el);
       if (cs.backgroundColor !== 'rgba(0, 0, 0, 0)' || cs.boxShadow !== 'none' || cs.border !== 'none') {
         result.components.cards.push({
-          backgroundColor: rgbToHex(cs.backgroundColor),
+          backgroundColor: normalizeColor(cs.backgroundColor),
           borderRadius: cs.borderRadius,
           padding: cs.padding,
           boxShadow: cs.boxShadow !== 'none' ? cs.boxShadow : null,
           border: cs.border !== 'none' ? cs.border : null,
-          classes: el.classList.toString()
+          classes: el.classList.toString(),
+          states: captureStates(el, ['hover'])
         });
       }
     });
@@ -412,7 +838,7 @@ const extractDesignSystem = (options = {}) => {
     document.querySelectorAll('nav, [role="navigation"], header').forEach(el => {
       const cs = getComputedStyle(el);
       result.components.navigation.push({
-        backgroundColor: rgbToHex(cs.backgroundColor),
+        backgroundColor: normalizeColor(cs.backgroundColor),
         padding: cs.padding,
         position: cs.position,
         height: cs.height,
@@ -424,7 +850,7 @@ const extractDesignSystem = (options = {}) => {
     document.querySelectorAll('[role="dialog"], [class*="modal"], [class*="dialog"]').forEach(el => {
       const cs = getComputedStyle(el);
       result.components.modals.push({
-        backgroundColor: rgbToHex(cs.backgroundColor),
+        backgroundColor: normalizeColor(cs.backgroundColor),
         borderRadius: cs.borderRadius,
         padding: cs.padding,
         boxShadow: cs.boxShadow,
@@ -437,7 +863,7 @@ const extractDesignSystem = (options = {}) => {
     document.querySelectorAll('[class*="dropdown"], [class*="menu"], [role="menu"]').forEach(el => {
       const cs = getComputedStyle(el);
       result.components.dropdowns.push({
-        backgroundColor: rgbToHex(cs.backgroundColor),
+        backgroundColor: normalizeColor(cs.backgroundColor),
         borderRadius: cs.borderRadius,
         padding: cs.padding,
         boxShadow: cs.boxShadow,
@@ -451,8 +877,8 @@ const extractDesignSystem = (options = {}) => {
       const cs = getComputedStyle(el);
       if (parseFloat(cs.fontSize) <= 14) { // Small text = likely badge
         result.components.badges.push({
-          backgroundColor: rgbToHex(cs.backgroundColor),
-          textColor: rgbToHex(cs.color),
+          backgroundColor: normalizeColor(cs.backgroundColor),
+          textColor: normalizeColor(cs.color),
           borderRadius: cs.borderRadius,
           padding: cs.padding,
           fontSize: cs.fontSize,
@@ -465,8 +891,8 @@ const extractDesignSystem = (options = {}) => {
     document.querySelectorAll('[role="alert"], [class*="alert"], [class*="notification"], [class*="toast"]').forEach(el => {
       const cs = getComputedStyle(el);
       result.components.alerts.push({
-        backgroundColor: rgbToHex(cs.backgroundColor),
-        textColor: rgbToHex(cs.color),
+        backgroundColor: normalizeColor(cs.backgroundColor),
+        textColor: normalizeColor(cs.color),
         borderRadius: cs.borderRadius,
         padding: cs.padding,
         border: cs.border,
@@ -477,26 +903,42 @@ const extractDesignSystem = (options = {}) => {
 
   // ============ MAIN DOM WALKER ============
 
-  const walkDOM = () => {
-    const colorData = { bg: [], text: [], border: [], accent: [] };
-    const fontData = [];
-    const spacingData = { padding: [], margin: [], gap: [] };
-    const shadowData = [], radiusData = [], transitionData = [], containerWidths = [];
-    const gradients = [];
+  // Raw per-element samples. Kept separate from `result` so several passes
+  // (initial walk, lazily mounted nodes) can merge before counts are computed.
+  const createCollector = () => ({
+    walked: new WeakSet(),
+    elementCount: 0,
+    colorData: { bg: [], text: [], border: [], accent: [] },
+    fontData: [],
+    spacingData: { padding: [], margin: [], gap: [] },
+    shadowData: [], radiusData: [], transitionData: [], containerWidths: [],
+    gradients: [], durations: [], easings: [],
+    textPairs: new Map()
+  });
+
+  const collectStyles = (elements, collector) => {
+    const { colorData, fontData, spacingData, shadowData, radiusData, transitionData, containerWidths, gradients } = collector;
+
+    elements.forEach(el => {
+      if (collector.walked.has(el)) return;
+      collector.walked.add(el);
+      collector.elementCount++;
 
-    document.querySelectorAll('*').forEach(el => {
       const cs = getComputedStyle(el);
       const tag = el.tagName.toLowerCase();
 
       // Colors
-      const bgColor = rgbToHex(cs.backgroundColor);
-      const textColor = rgbToHex(cs.color);
-      const borderColor = rgbToHex(cs.borderColor);
+      const bgColor = normalizeColor(cs.backgroundColor);
+      const textColor = normalizeColor(cs.color);
+      const borderColor = normalizeColor(cs.borderColor);
 
       if (bgColor) colorData.bg.push(bgColor);
       if (textColor) colorData.text.push(textColor);
       if (borderColor && borderColor !== bgColor) colorData.border.push(borderColor);
 
+      const pair = textPair(el);
+      if (pair) addTextPair(collector.textPairs, pair);
+
       // Accent colors from interactive elements
       if (['a', 'button', 'input', 'select'].includes(tag)) {
         if (bgColor && bgColor !== '#ffffff' && bgColor !== '#000000') {
@@ -540,8 +982,8 @@ const extractDesignSystem = (options = {}) => {
         // Extract durations and easings
         const durationMatch = cs.transition.match(/(\d+\.?\d*m?s)/g);
         const easingMatch = cs.transition.match(/(ease|ease-in|ease-out|ease-in-out|linear|cubic-bezier\([^)]+\))/g);
-        if (durationMatch) result.animations.durations.push(...durationMatch);
-        if (easingMatch) result.animations.easings.push(...easingMatch);
+        if (durationMatch) collector.durations.push(...durationMatch);
+        if (easingMatch) collector.easings.push(...easingMatch);
       }
 
       // Container widths
@@ -550,23 +992,39 @@ const extractDesignSystem = (options = {}) => {
         if (width > 200 && width < 2000) containerWidths.push(Math.round(width));
       }
     });
+  };
 
-    // Process collected data
-    result.colors.semantic.backgrounds = countOccurrences(colorData.bg).slice(0, 20);
-    result.colors.semantic.text = countOccurrences(colorData.text).slice(0, 20);
-    result.colors.semantic.borders = countOccurrences(colorData.border).slice(0, 20);
-    result.colors.semantic.accents = countOccurrences(colorData.accent).slice(0, 10);
-    result.colors.palette = countOccurrences([...colorData.bg, ...colorData.text, ...colorData.border, ...colorData.accent]).slice(0, 30);
-    result.colors.gradients = [...new Map(gradients.map(g => [g.raw, g])).values()].slice(0, 10);
+  const summarizeColors = (colorData) => {
+    const semantic = {
+      backgrounds: countOccurrences(colorData.bg).slice(0, 20),
+      text: countOccurrences(colorData.text).slice(0, 20),
+      borders: countOccurrences(colorData.border).slice(0, 20),
+      accents: countOccurrences(colorData.accent).slice(0, 10)
+    };
+    let palette = countOccurrences([...colorData.bg, ...colorData.text, ...colorData.border, ...colorData.accent]).slice(0, 30);
+    let roles = {};
 
     // Infer color roles
     if (inferRoles) {
-      const roles = inferColorRoles(colorData);
-      result.colors.palette = result.colors.palette.map(c => {
+      roles = inferColorRoles(colorData);
+      palette = palette.map(c => {
         const role = Object.entries(roles).find(([_, v]) => v === c.value)?.[0];
         return role ? { ...c, role } : c;
       });
     }
+    palette = palette.map(describeColor);
+
+    return { palette, semantic, roles };
+  };
+
+  const processCollected = (collector) => {
+    const { colorData, fontData, spacingData, shadowData, radiusData, transitionData, containerWidths, gradients } = collector;
+
+    const { palette, semantic } = summarizeColors(colorData);
+    result.colors.semantic = semantic;
+    result.colors.palette = palette;
+    result.colors.pairs = summarizePairs(collector.textPairs);
+    result.colors.gradients = [...new Map(gradients.map(g => [g.raw, g])).values()].slice(0, 10);
 
     // Typography
     const uniqueFonts = [...new Set(fontData.map(f => f.family))];
@@ -601,12 +1059,17 @@ const extractDesignSystem = (options = {}) => {
     result.shadows = countOccurrences(shadowData).slice(0, 10);
     result.borderRadius = countOccurrences(radiusData).slice(0, 10);
     result.animations.transitions = countOccurrences(transitionData).slice(0, 15);
-    result.animations.durations = [...new Set(result.animations.durations)].slice(0, 5);
-    result.animations.easings = [...new Set(result.animations.easings)].slice(0, 5);
+    result.animations.durations = [...new Set(collector.durations)].slice(0, 5);
+    result.animations.easings = [...new Set(collector.easings)].slice(0, 5);
     result.breakpoints.detected = [...new Set(result.breakpoints.detected)].sort((a, b) => a - b);
     result.breakpoints.containerWidths = [...new Set(containerWidths)].sort((a, b) => a - b);
   };
 
+  const walkDOM = (collector = createCollector()) => {
+    collectStyles(document.querySelectorAll('*'), collector);
+    return collector;
+  };
+
   // ============ ICON DETECTION ============
 
   const detectIcons = () => {
@@ -631,7 +1094,7 @@ const extractDesignSystem = (options = {}) => {
           const cs = getComputedStyle(el);
           const size = cs.width !== 'auto' ? cs.width : cs.fontSize;
           if (size) result.icons.sizes.push(size);
-          const color = rgbToHex(cs.color) || rgbToHex(cs.fill);
+          const color = normalizeColor(cs.color) || normalizeColor(cs.fill);
           if (color) result.icons.colors.push(color);
         });
 
@@ -753,36 +1216,238 @@ const extractDesignSystem = (options = {}) => {
     result.meta.designCharacter = traits.join(', ');
   };
 
+  // ============ THEME CAPTURE ============
+
+  const THEME_ATTRS = ['data-theme', 'data-mode', 'data-color-scheme'];
+
+  // Media rules keyed by prefers-color-scheme, including ones nested in @supports/@layer
+  const findColorSchemeRules = (rules, found = []) => {
+    for (const rule of rules) {
+      if (rule.type === CSSRule.MEDIA_RULE && rule.conditionText.includes('prefers-color-scheme')) {
+        found.push(rule);
+      }
+      if (rule.cssRules) findColorSchemeRules(rule.cssRules, found);
+    }
+    return found;
+  };
+
+  // Work out how the page switches themes: media queries, classes and/or attributes
+  const detectThemeSwitches = () => {
+    const mediaRules = [];
+    const classes = new Set();
+    const attrs = new Set();
+
+    for (const sheet of document.styleSheets) {
+      try {
+        findColorSchemeRules(sheet.cssRules, mediaRules);
+        const text = [...sheet.cssRules].map(r => r.cssText).join('\n');
+        for (const match of text.matchAll(/\.((?:theme-)?(?:dark|light))(?![\w-])/g)) classes.add(match[1]);
+        for (const attr of THEME_ATTRS) {
+          if (text.includes(`[${attr}`)) attrs.add(attr);
+        }
+      } catch (e) {}
+    }
+
+    // Markers already set on the page count even if their rules are cross-origin
+    const html = document.documentElement;
+    const body = document.body;
+    for (const el of [html, body]) {
+      ['dark', 'light', 'theme-dark', 'theme-light'].forEach(cls => {
+        if (el.classList.contains(cls)) classes.add(cls);
+      });
+      THEME_ATTRS.forEach(attr => {
+        if (el.hasAttribute(attr)) attrs.add(attr);
+      });
+    }
+
+    const colorScheme = getComputedStyle(html).colorScheme;
+    const uaSchemes = colorScheme.includes('light') && colorScheme.includes('dark');
+
+    return {
+      mediaRules: mediaRules.map(rule => ({ rule, mediaText: rule.media.mediaText })),
+      classes: [...classes],
+      attrs: [...attrs],
+      uaSchemes
+    };
+  };
+
+  const applyTheme = (mode, switches) => {
+    const html = document.documentElement;
+    const body = document.body;
+
+    // Only the color scheme feature is forced, to a feature that always or
+    // never matches, so `(prefers-color-scheme: dark) and (min-width: 768px)`
+    // keeps its width. Rewriting mediaText also rewrites conditionText, so
+    // this starts from the original each time.
+    switches.mediaRules.forEach(({ rule, mediaText }) => {
+      rule.media.mediaText = mediaText.replace(/\(\s*prefers-color-scheme\s*:\s*([a-z]+)\s*\)/gi, (feature, scheme) =>
+        (scheme.toLowerCase() === mode ? '(min-width: 0px)' : '(max-width: 0px)'));
+    });
+
+    if (switches.classes.length > 0) {
+      const prefixed = switches.classes.some(cls => cls.startsWith('theme-'));
+      [html, body].forEach(el => el.classList.remove('dark', 'light', 'theme-dark', 'theme-light'));
+      html.classList.add(prefixed ? `theme-${mode}` : mode);
+    }
+
+    switches.attrs.forEach(attr => {
+      const el = body.hasAttribute(attr) && !html.hasAttribute(attr) ? body : html;
+      el.setAttribute(attr, mode);
+    });
+
+    // Pages opting into both UA schemes follow the preference; pin it to the mode
+    if (switches.uaSchemes) html.style.colorScheme = mode;
+  };
+
+  // Walk the DOM once per theme with each theme forced on, then put the page back
+  const captureThemes = () => {
+    const switches = detectThemeSwitches();
+    if (switches.mediaRules.length === 0 && switches.classes.length === 0 && switches.attrs.length === 0) return;
+
+    const html = document.documentElement;
+    const body = document.body;
+    const saved = {
+      markers: [html, body].map(el => [el, el.className, THEME_ATTRS.map(a => [a, el.getAttribute(a)])]),
+      colorScheme: html.style.colorScheme
+    };
+
+    // Color transitions would otherwise be sampled mid-flight
+    const freeze = document.createElement('style');
+    freeze.textContent = '*, *::before, *::after { transition: none !important; }';
+    document.head.appendChild(freeze);
+
+    const varNames = Object.keys({
+      ...result.colors.cssVariables,
+      ...result.colors.light?.cssVariables,
+      ...result.colors.dark?.cssVariables
+    });
+
+    try {
+      result.themes = {};
+      for (const mode of ['light', 'dark']) {
+        applyTheme(mode, switches);
+
+        const collector = createCollector();
+        collectStyles(document.querySelectorAll('*'), collector);
+        const { palette, semantic, roles } = summarizeColors(collector.colorData);
+
+        const rootStyle = getComputedStyle(html);
+        const cssVariables = {};
+        varNames.forEach(name => {
+          const value = rootStyle.getPropertyValue(name).trim();
+          if (value) cssVariables[name] = value;
+        });
+
+        result.themes[mode] = {
+          colors: Object.fromEntries(Object.entries(roles).filter(([, v]) => v)),
+          palette,
+          semantic,
+          pairs: [...summarizePairs(collector.textPairs), ...(captureComponents ? captureStatePairs() : [])],
+          cssVariables
+        };
+      }
+    } finally {
+      switches.mediaRules.forEach(({ rule, mediaText }) => { rule.media.mediaText = mediaText; });
+      saved.markers.forEach(([el, className, attrs]) => {
+        el.className = className;
+        attrs.forEach(([attr, value]) => {
+          if (value === null) el.removeAttribute(attr);
+          else el.setAttribute(attr, value);
+        });
+      });
+      html.style.colorScheme = saved.colorScheme;
+      freeze.remove();
+    }
+  };
+
   // ============ SCROLL CAPTURE ============
 
-  const scrollCaptureFn = async () => {
-    if (!scrollCapture) return;
+  const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+  // Let reveal-on-scroll transitions finish so elements are sampled in their
+  // final state rather than mid-fade
+  const settleAnimations = async (timeout = 1000) => {
+    if (!document.getAnimations) return;
+    const running = document.getAnimations().filter(a =>
+      a.playState === 'running' && a.effect?.getComputedTiming().iterations !== Infinity
+    );
+    if (running.length === 0) return;
+    await Promise.race([Promise.allSettled(running.map(a => a.finished)), sleep(timeout)]);
+  };
 
-    const scrollHeight = document.documentElement.scrollHeight;
-    const viewportHeight = window.innerHeight;
-    const scrollSteps = Math.ceil(scrollHeight / viewportHeight);
+  const scrollCaptureFn = async (collector) => {
+    const mounted = new Set();
+    const queueMutations = (mutations) => {
+      for (const m of mutations) {
+        m.addedNodes.forEach(node => {
+          if (node.nodeType === Node.ELEMENT_NODE) mounted.add(node);
+        });
+      }
+    };
+
+    // Walk newly mounted nodes after every step: virtualized lists unmount
+    // rows again once they leave the viewport
+    const walkMounted = () => {
+      for (const node of mounted) {
+        if (node.isConnected) collectStyles([node, ...node.querySelectorAll('*')], collector);
+      }
+      mounted.clear();
+    };
+
+    const observer = new MutationObserver(queueMutations);
+    observer.observe(document.documentElement, { childList: true, subtree: true });
 
-    for (let i = 0; i < scrollSteps; i++) {
-      window.scrollTo(0, i * viewportHeight);
-      await new Promise(r => setTimeout(r, 100)); // Wait for lazy content
+    const walkedBefore = collector.elementCount;
+    const viewportHeight = window.innerHeight;
+    let steps = 0;
+
+    // scrollHeight is re-read every step since the page grows as sections load
+    for (let y = 0; y < document.documentElement.scrollHeight && steps < maxScrollSteps; y += viewportHeight) {
+      window.scrollTo(0, y);
+      await sleep(scrollDelay);
+      await settleAnimations();
+      walkMounted();
+      steps++;
     }
 
+    queueMutations(observer.takeRecords());
+    observer.disconnect();
+    walkMounted();
+
     window.scrollTo(0, 0); // Return to top
-    await new Promise(r => setTimeout(r, 200));
+    await sleep(200);
+
+    result.meta.scrollCapture = {
+      steps,
+      scrollHeight: document.documentElement.scrollHeight,
+      elementsAdded: collector.elementCount - walkedBefore
+    };
   };
 
   // ============ EXECUTE ============
 
+  const finish = (collector) => {
+    extractCSSRules(); // After scrolling, so lazily injected stylesheets count
+    processCollected(collector);
+    extractElementStyles();
+    if (captureComponents) extractComponents();
+    detectIcons();
+    extractLoadedFonts();
+    dedupeComponents();
+    if (detectThemes) captureThemes();
+    inferDesignCharacter();
+    return result;
+  };
+
   if (detectThemes) detectTheme();
-  extractCSSRules();
-  walkDOM();
-  if (captureComponents) extractComponents();
-  detectIcons();
-  extractLoadedFonts();
-  dedupeComponents();
-  inferDesignCharacter();
-
-  return result;
+  const collector = walkDOM();
+
+  // Scrolling has to wait on the page, so this path returns a Promise
+  if (scrollCapture) {
+    return scrollCaptureFn(collector).then(() => finish(collector));
+  }
+
+  return finish(collector);
 };
 
 // Self-executing for browser injection, or export for module use
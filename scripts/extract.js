@@ -0,0 +1,733 @@
+#!/usr/bin/env node
+/**
+ * Extract
+ * Headless runner for extract-design-system.js
+ *
+ * Launches a headless Chromium via Playwright, loads a URL or a local HTML
+ * file, injects the extractor with its options and writes the result as JSON
+ * validated against assets/style-guide-schema.json.
+ *
+ * Local files are served from a throwaway static server on 127.0.0.1 rather
+ * than opened via file://, because Chromium hides cssRules of file:// sheets
+ * and the extractor would lose every CSS variable and @media rule.
+ *
+ * Usage:
+ *   node extract.js <url|file.html|dir> [output.json] [options]
+ *   node extract.js https://linear.app linear.json
+ *   node extract.js ./fixtures/landing.html --scroll-capture
+ *   node extract.js https://linear.app --crawl --max-pages=20
+ *   node extract.js https://linear.app --responsive
+ *
+ * With --crawl, same-origin links are followed breadth-first from the start
+ * page and the per-page results are merged via blend-design-systems.js, with
+ * each merged token recording the pages it was found on.
+ *
+ * With --responsive, the page is extracted at every DEFAULT_BREAKPOINTS width
+ * from capture-screenshots.js; the desktop result is the base token set and
+ * the other widths become `responsive.overrides` with their media conditions.
+ *
+ * Requires the `playwright` (or `playwright-core`) package to be resolvable.
+ *
+ * @version 1.0.0
+ */
+
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const { pathToFileURL } = require('url');
+const { extractDesignSystem } = require('./extract-design-system');
+const { blendDesignSystems } = require('./blend-design-systems');
+const { DEFAULT_BREAKPOINTS } = require('./capture-screenshots');
+const { createColorLib, normalize: normalizeColor } = require('./color');
+
+// =============================================================================
+// CONFIGURATION
+// =============================================================================
+
+const SCHEMA_PATH = path.join(__dirname, '..', 'assets', 'style-guide-schema.json');
+
+const DEFAULT_OPTIONS = {
+  scrollCapture: false,
+  captureComponents: true,
+  inferRoles: true,
+  detectThemes: true,
+  viewport: { width: 1440, height: 900 },
+  wait: 500,            // Extra settle time after load (ms)
+  timeout: 30000,       // Navigation timeout (ms)
+  executablePath: null, // Custom Chromium binary
+  validate: true,
+  maxDepth: 2,          // Crawl: link hops from the start page
+  maxPages: 10,         // Crawl: pages extracted in total
+  breakpoints: DEFAULT_BREAKPOINTS, // Responsive: widths to sample
+  responsiveBase: 'desktop'         // Responsive: breakpoint holding the base token set
+};
+
+// Links to these are never pages worth extracting
+const NON_PAGE_EXTENSIONS = /\.(png|jpe?g|gif|svg|webp|avif|ico|pdf|zip|gz|css|js|mjs|json|xml|txt|rss|mp3|mp4|webm|woff2?|ttf|otf)$/i;
+
+const MIME_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.htm': 'text/html; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.mjs': 'text/javascript; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.avif': 'image/avif',
+  '.ico': 'image/x-icon',
+  '.woff': 'font/woff',
+  '.woff2': 'font/woff2',
+  '.ttf': 'font/ttf',
+  '.otf': 'font/otf'
+};
+
+// =============================================================================
+// BROWSER
+// =============================================================================
+
+function loadPlaywright() {
+  for (const name of ['playwright', 'playwright-core']) {
+    try {
+      return require(name);
+    } catch (e) {
+      if (e.code !== 'MODULE_NOT_FOUND') throw e;
+    }
+  }
+  throw new Error('Playwright is required for headless extraction. Install it with: npm install playwright && npx playwright install chromium');
+}
+
+// =============================================================================
+// STATIC SERVER
+// =============================================================================
+
+function startStaticServer(rootDir) {
+  const root = path.resolve(rootDir);
+
+  const server = http.createServer((req, res) => {
+    // A malformed escape (/%E0) is the client's error, not a reason to crash
+    let urlPath;
+    try {
+      urlPath = decodeURIComponent(new URL(req.url, 'http://127.0.0.1').pathname);
+    } catch (e) {
+      res.writeHead(400);
+      res.end('Bad request');
+      return;
+    }
+    let filePath = path.join(root, path.normalize(urlPath));
+
+    // Never serve anything outside the root
+    if (filePath !== root && !filePath.startsWith(root + path.sep)) {
+      res.writeHead(403);
+      res.end('Forbidden');
+      return;
+    }
+
+    if (fs.existsSync(filePath) && fs.statSync(filePath).isDirectory()) {
+      filePath = path.join(filePath, 'index.html');
+    }
+
+    if (!fs.existsSync(filePath)) {
+      res.writeHead(404);
+      res.end('Not found');
+      return;
+    }
+
+    const type = MIME_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream';
+    res.writeHead(200, { 'Content-Type': type });
+    fs.createReadStream(filePath).pipe(res);
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      resolve({
+        url: `http://127.0.0.1:${port}`,
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+}
+
+async function resolveTarget(input) {
+  if (/^https?:\/\//i.test(input)) {
+    return { url: input, sourceUrl: input, server: null };
+  }
+
+  const localPath = path.resolve(input.replace(/^file:\/\//, ''));
+  if (!fs.existsSync(localPath)) {
+    throw new Error(`Input not found: ${input}`);
+  }
+
+  const isDir = fs.statSync(localPath).isDirectory();
+  const rootDir = isDir ? localPath : path.dirname(localPath);
+  const page = isDir ? '' : path.basename(localPath);
+  const server = await startStaticServer(rootDir);
+
+  return {
+    url: `${server.url}/${encodeURIComponent(page)}`,
+    sourceUrl: pathToFileURL(isDir ? path.join(localPath, 'index.html') : localPath).href,
+    rootDir,
+    server
+  };
+}
+
+// Map a URL on the throwaway server back to the file it serves
+function toSourceUrl(target, url) {
+  if (!target.server) return url;
+  let pathname = new URL(url).pathname;
+  try {
+    pathname = decodeURIComponent(pathname);
+  } catch (e) {
+    // Left encoded: a crawled link with a malformed escape
+  }
+  if (pathname.endsWith('/')) pathname += 'index.html';
+  return pathToFileURL(path.join(target.rootDir, pathname)).href;
+}
+
+// =============================================================================
+// SCHEMA VALIDATION
+// =============================================================================
+
+/**
+ * Minimal JSON Schema (draft-07 subset) validator covering the keywords used
+ * by style-guide-schema.json: type, required, properties, items, enum, $ref
+ * and additionalProperties.
+ */
+function validateAgainstSchema(data, schema, root = schema, at = '$') {
+  const errors = [];
+
+  if (schema.$ref) {
+    const target = schema.$ref.replace(/^#\//, '').split('/').reduce((node, key) => node?.[key], root);
+    if (!target) return [`${at}: unresolved $ref ${schema.$ref}`];
+    return validateAgainstSchema(data, target, root, at);
+  }
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    const actual = data === null ? 'null' :
+                   Array.isArray(data) ? 'array' :
+                   Number.isInteger(data) ? 'integer' : typeof data;
+    const ok = types.some(t => t === actual || (t === 'number' && actual === 'integer'));
+    if (!ok) return [`${at}: expected ${types.join(' | ')}, got ${actual}`];
+  }
+
+  if (schema.enum && !schema.enum.some(v => v === data)) {
+    errors.push(`${at}: ${JSON.stringify(data)} is not one of ${JSON.stringify(schema.enum)}`);
+  }
+
+  if (data && typeof data === 'object' && !Array.isArray(data)) {
+    for (const key of schema.required || []) {
+      if (data[key] === undefined) errors.push(`${at}: missing required property "${key}"`);
+    }
+    for (const [key, value] of Object.entries(data)) {
+      if (value === undefined) continue;
+      if (schema.properties?.[key]) {
+        errors.push(...validateAgainstSchema(value, schema.properties[key], root, `${at}.${key}`));
+      } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+        errors.push(...validateAgainstSchema(value, schema.additionalProperties, root, `${at}.${key}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${at}: unexpected property "${key}"`);
+      }
+    }
+  }
+
+  if (Array.isArray(data) && schema.items) {
+    data.forEach((item, i) => {
+      errors.push(...validateAgainstSchema(item, schema.items, root, `${at}[${i}]`));
+    });
+  }
+
+  return errors;
+}
+
+function validateDesignSystem(designSystem) {
+  const schema = JSON.parse(fs.readFileSync(SCHEMA_PATH, 'utf-8'));
+  return validateAgainstSchema(designSystem, schema);
+}
+
+// =============================================================================
+// EXTRACTION
+// =============================================================================
+
+function buildExtractorCall(options) {
+  const extractorOptions = {
+    scrollCapture: options.scrollCapture,
+    captureComponents: options.captureComponents,
+    inferRoles: options.inferRoles,
+    detectThemes: options.detectThemes
+  };
+  // The extractor picks up the color library as `ImpressionColor` from the enclosing scope
+  return `(() => {
+    const ImpressionColor = (${createColorLib.toString()})();
+    return (${extractDesignSystem.toString()})(${JSON.stringify(extractorOptions)});
+  })()`;
+}
+
+async function launchBrowser(opts) {
+  const { chromium } = loadPlaywright();
+  return chromium.launch({
+    headless: true,
+    ...(opts.executablePath ? { executablePath: opts.executablePath } : {})
+  });
+}
+
+async function extractPage(page, url, opts) {
+  const response = await page.goto(url, { waitUntil: 'networkidle', timeout: opts.timeout });
+  await page.evaluate(() => document.fonts?.ready);
+  if (opts.wait > 0) await page.waitForTimeout(opts.wait);
+
+  const result = await page.evaluate(buildExtractorCall(opts));
+  return { result, status: response ? response.status() : null };
+}
+
+async function runExtraction(input, options = {}) {
+  const opts = { ...DEFAULT_OPTIONS, ...options };
+  const target = await resolveTarget(input);
+
+  let browser;
+  try {
+    browser = await launchBrowser(opts);
+    const page = await browser.newPage({ viewport: opts.viewport });
+    const { result } = await extractPage(page, target.url, opts);
+
+    // Record the file the team pointed us at, not the ephemeral server port
+    if (target.server) result.meta.url = target.sourceUrl;
+
+    const errors = opts.validate ? validateDesignSystem(result) : [];
+    return { result, errors };
+  } finally {
+    if (browser) await browser.close();
+    if (target.server) await target.server.close();
+  }
+}
+
+// =============================================================================
+// CRAWL
+// =============================================================================
+
+function normalizeLink(href, origin) {
+  let url;
+  try {
+    url = new URL(href);
+  } catch (e) {
+    return null;
+  }
+  if (url.origin !== origin || NON_PAGE_EXTENSIONS.test(url.pathname)) return null;
+  url.hash = '';
+  return url.href;
+}
+
+// Text/background pairs of every page, counts summed and selectors pooled
+function mergeTextPairs(pages) {
+  const merged = new Map();
+  pages.forEach((page, index) => {
+    for (const pair of page.colors?.pairs || []) {
+      const key = [pair.foreground, pair.background, pair.fontSize, pair.fontWeight, pair.overImage, pair.state].join('|');
+      const entry = merged.get(key);
+      if (!entry) {
+        merged.set(key, { ...pair, selectors: [...(pair.selectors || [])], sources: [index] });
+        continue;
+      }
+      entry.count = (entry.count || 0) + (pair.count || 0);
+      for (const selector of pair.selectors || []) {
+        if (entry.selectors.length < 5 && !entry.selectors.includes(selector)) entry.selectors.push(selector);
+      }
+      if (!entry.sources.includes(index)) entry.sources.push(index);
+    }
+  });
+  return [...merged.values()].sort((a, b) => b.count - a.count);
+}
+
+/**
+ * One color per role across pages. Every page gives a role to a color (#000 is
+ * text-secondary here, #222 there); the role goes to the color carrying it most
+ * often, counts summed over the pages, and a color keeps at most one role. The
+ * others stay in the palette without a role. Returns { palette, roles }.
+ */
+function mergeColorRoles(pages, palette) {
+  const claims = new Map();
+  for (const page of pages) {
+    for (const color of page.colors?.palette || []) {
+      const key = color.role && normalizeColor(color.value);
+      if (!key) continue;
+      const id = `${color.role}|${key}`;
+      if (!claims.has(id)) claims.set(id, { role: color.role, key, count: 0 });
+      claims.get(id).count += color.count || 1;
+    }
+  }
+
+  const present = new Set(palette.map(color => normalizeColor(color.value)));
+  const roleOf = new Map();
+  const assigned = new Set();
+  // Stable sort: on equal counts the earlier page wins
+  for (const { role, key } of [...claims.values()].sort((a, b) => b.count - a.count)) {
+    if (assigned.has(role) || roleOf.has(key) || !present.has(key)) continue;
+    roleOf.set(key, role);
+    assigned.add(role);
+  }
+
+  const roles = {};
+  const merged = palette.map(({ role, ...color }) => {
+    const resolved = roleOf.get(normalizeColor(color.value));
+    if (!resolved) return color;
+    roles[resolved] = color.value;
+    return { ...color, role: resolved };
+  });
+  return { palette: merged, roles };
+}
+
+/**
+ * Merge per-page extractions with blendDesignSystems, summing counts across
+ * pages. Merged palette colors, fonts, components, shadows, radii and text
+ * pairs carry `sources`: indices into meta.pages of every page they were seen on.
+ * Each color role goes to one color (mergeColorRoles).
+ */
+function mergeCrawl(pages, startUrl) {
+  const blended = blendDesignSystems(pages, {
+    weights: pages.map(() => 1),
+    normalize: false,
+    provenance: true
+  });
+
+  // Sections blending doesn't cover (gradients, icons, pairings...) come from the start page
+  const [start] = pages;
+  const merged = { ...start };
+  for (const [key, value] of Object.entries(blended)) {
+    merged[key] = value && typeof value === 'object' && !Array.isArray(value)
+      ? { ...start[key], ...value }
+      : value;
+  }
+
+  merged.colors = { ...merged.colors, ...mergeColorRoles(pages, merged.colors.palette || []), pairs: mergeTextPairs(pages) };
+
+  merged.meta = {
+    ...start.meta,
+    url: startUrl,
+    extractedAt: new Date().toISOString(),
+    pages: pages.map(p => ({ url: p.meta.url, title: p.meta.title }))
+  };
+  return merged;
+}
+
+async function runCrawl(input, options = {}) {
+  const opts = { ...DEFAULT_OPTIONS, ...options };
+  const target = await resolveTarget(input);
+  const origin = new URL(target.url).origin;
+
+  const queue = [{ url: normalizeLink(target.url, origin), depth: 0 }];
+  const visited = new Set([queue[0].url]);
+  const pages = [];
+  const skipped = [];
+
+  let browser;
+  try {
+    browser = await launchBrowser(opts);
+    const page = await browser.newPage({ viewport: opts.viewport });
+
+    while (queue.length > 0 && pages.length < opts.maxPages) {
+      const { url, depth } = queue.shift();
+      const sourceUrl = toSourceUrl(target, url);
+
+      try {
+        const { result, status } = await extractPage(page, url, opts);
+        if (status >= 400) {
+          skipped.push({ url: sourceUrl, reason: `HTTP ${status}` });
+          continue;
+        }
+        result.meta.url = sourceUrl;
+        pages.push(result);
+        if (opts.onPage) opts.onPage(result, pages.length);
+      } catch (err) {
+        // One broken page shouldn't sink the whole crawl
+        skipped.push({ url: sourceUrl, reason: err.message });
+        continue;
+      }
+
+      if (depth >= opts.maxDepth) continue;
+
+      const links = await page.evaluate(() =>
+        [...document.querySelectorAll('a[href]')].map(a => a.href)
+      );
+      for (const link of links) {
+        const next = normalizeLink(link, origin);
+        if (!next || visited.has(next)) continue;
+        visited.add(next);
+        queue.push({ url: next, depth: depth + 1 });
+      }
+    }
+  } finally {
+    if (browser) await browser.close();
+    if (target.server) await target.server.close();
+  }
+
+  if (pages.length === 0) {
+    throw new Error(`No pages could be extracted from ${input}`);
+  }
+
+  const result = mergeCrawl(pages, target.server ? target.sourceUrl : target.url);
+  const errors = opts.validate ? validateDesignSystem(result) : [];
+  return { result, pages, skipped, errors };
+}
+
+// =============================================================================
+// RESPONSIVE
+// =============================================================================
+
+function diffElements(from = {}, to = {}) {
+  const diff = {};
+  for (const [tag, styles] of Object.entries(to)) {
+    const changed = {};
+    for (const [prop, value] of Object.entries(styles)) {
+      if (from[tag]?.[prop] !== value) changed[prop] = value;
+    }
+    if (Object.keys(changed).length > 0) diff[tag] = changed;
+  }
+  return diff;
+}
+
+function diffSection(from = {}, to = {}) {
+  const section = {};
+  const elements = diffElements(from.elements, to.elements);
+  if (Object.keys(elements).length > 0) section.elements = elements;
+  if (JSON.stringify(from.scale || []) !== JSON.stringify(to.scale || [])) section.scale = to.scale;
+  return Object.keys(section).length > 0 ? section : null;
+}
+
+/**
+ * Turn one extraction per breakpoint into overrides of the base breakpoint.
+ *
+ * Narrower widths stack downwards from the base as max-width blocks and wider
+ * ones upwards as min-width blocks, so each breakpoint is diffed against its
+ * neighbour towards the base and overrides are listed in cascade order. The
+ * media boundary snaps to a breakpoint detected in the page's own CSS when one
+ * lies between the two sampled widths.
+ */
+function buildResponsiveOverrides(samples, breakpoints, baseIndex) {
+  const base = samples[breakpoints[baseIndex].name];
+  const detected = base.breakpoints?.detected || [];
+  const overrides = {};
+
+  const add = (bp, neighbour, media) => {
+    const override = { width: bp.width, media };
+    const typography = diffSection(samples[neighbour.name].typography, samples[bp.name].typography);
+    const spacing = diffSection(samples[neighbour.name].spacing, samples[bp.name].spacing);
+    if (typography) override.typography = typography;
+    if (spacing) override.spacing = spacing;
+    if (typography || spacing) overrides[bp.name] = override;
+  };
+
+  for (let i = baseIndex - 1; i >= 0; i--) {
+    const next = breakpoints[i + 1].width;
+    const inside = detected.filter(w => w >= breakpoints[i].width && w < next);
+    const maxWidth = inside.length > 0 ? Math.max(...inside) : next - 1;
+    add(breakpoints[i], breakpoints[i + 1], `(max-width: ${maxWidth}px)`);
+  }
+
+  for (let i = baseIndex + 1; i < breakpoints.length; i++) {
+    const prev = breakpoints[i - 1].width;
+    const inside = detected.filter(w => w > prev && w <= breakpoints[i].width);
+    const minWidth = inside.length > 0 ? Math.min(...inside) : prev + 1;
+    add(breakpoints[i], breakpoints[i - 1], `(min-width: ${minWidth}px)`);
+  }
+
+  return {
+    base: breakpoints[baseIndex].name,
+    breakpoints: Object.fromEntries(breakpoints.map(bp => [bp.name, bp.width])),
+    overrides
+  };
+}
+
+async function runResponsive(input, options = {}) {
+  const opts = { ...DEFAULT_OPTIONS, ...options };
+  const breakpoints = [...opts.breakpoints].sort((a, b) => a.width - b.width);
+  const baseIndex = breakpoints.findIndex(bp => bp.name === opts.responsiveBase);
+  if (baseIndex === -1) {
+    throw new Error(`Unknown base breakpoint "${opts.responsiveBase}" (have: ${breakpoints.map(bp => bp.name).join(', ')})`);
+  }
+
+  const target = await resolveTarget(input);
+  const samples = {};
+
+  let browser;
+  try {
+    browser = await launchBrowser(opts);
+    const page = await browser.newPage();
+
+    // Reload at every width: layout JS often only runs on load
+    for (const bp of breakpoints) {
+      await page.setViewportSize({ width: bp.width, height: bp.height });
+      const { result } = await extractPage(page, target.url, opts);
+      samples[bp.name] = result;
+    }
+  } finally {
+    if (browser) await browser.close();
+    if (target.server) await target.server.close();
+  }
+
+  const result = samples[breakpoints[baseIndex].name];
+  if (target.server) result.meta.url = target.sourceUrl;
+  result.responsive = buildResponsiveOverrides(samples, breakpoints, baseIndex);
+
+  const errors = opts.validate ? validateDesignSystem(result) : [];
+  return { result, samples, errors };
+}
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+module.exports = {
+  runExtraction,
+  runCrawl,
+  mergeCrawl,
+  mergeColorRoles,
+  normalizeLink,
+  runResponsive,
+  buildResponsiveOverrides,
+  startStaticServer,
+  resolveTarget,
+  validateAgainstSchema,
+  validateDesignSystem,
+  loadPlaywright,
+  DEFAULT_OPTIONS
+};
+
+// =============================================================================
+// CLI
+// =============================================================================
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+
+  // Parse flags
+  const viewportFlag = args.find(a => a.startsWith('--viewport='));
+  const waitFlag = args.find(a => a.startsWith('--wait='));
+  const timeoutFlag = args.find(a => a.startsWith('--timeout='));
+  const executableFlag = args.find(a => a.startsWith('--executable='));
+  const maxDepthFlag = args.find(a => a.startsWith('--max-depth='));
+  const maxPagesFlag = args.find(a => a.startsWith('--max-pages='));
+  const baseFlag = args.find(a => a.startsWith('--base='));
+  const crawl = args.includes('--crawl');
+  const responsive = args.includes('--responsive');
+  const strict = args.includes('--strict');
+
+  const positionalArgs = args.filter(a => !a.startsWith('--'));
+  const input = positionalArgs[0];
+  const outputPath = positionalArgs[1] || null;
+
+  if (!input) {
+    console.log(`
+Impression: Extract
+===================
+
+Run extract-design-system.js in a headless browser and save the result.
+
+Usage:
+  node extract.js <url|file.html|dir> [output.json] [options]
+
+Options:
+  --scroll-capture      Scroll the page to trigger lazy-loaded content
+  --no-components       Skip component pattern extraction
+  --no-roles            Skip semantic color role inference
+  --no-themes           Skip dark/light theme detection
+  --viewport=WxH        Browser viewport (default: 1440x900)
+  --wait=MS             Extra settle time after load (default: 500)
+  --timeout=MS          Navigation timeout (default: 30000)
+  --executable=PATH     Use a specific Chromium binary
+  --crawl               Follow same-origin links and merge every page
+  --max-depth=N         Crawl: link hops from the start page (default: 2)
+  --max-pages=N         Crawl: maximum pages to extract (default: 10)
+  --responsive          Extract at each breakpoint and record overrides
+  --base=NAME           Responsive: base breakpoint (default: desktop)
+  --strict              Exit with code 2 if the output fails schema validation
+
+Examples:
+  # Extract from a live site
+  node extract.js https://linear.app linear-design-system.json
+
+  # Extract from a local page (served on 127.0.0.1, works offline)
+  node extract.js ./fixtures/landing.html landing.json --strict
+
+  # Long landing page with lazy-loaded sections
+  node extract.js https://example.com --scroll-capture
+
+  # Whole site: landing, pricing, docs... merged into one system
+  node extract.js https://linear.app linear-site.json --crawl --max-pages=20
+
+  # Desktop tokens plus mobile/tablet/wide overrides
+  node extract.js https://linear.app linear.json --responsive
+
+Requires Playwright:
+  npm install playwright && npx playwright install chromium
+`);
+    process.exit(1);
+  }
+
+  const viewport = viewportFlag
+    ? (([width, height]) => ({ width, height }))(viewportFlag.split('=')[1].split('x').map(Number))
+    : DEFAULT_OPTIONS.viewport;
+
+  const options = {
+    scrollCapture: args.includes('--scroll-capture'),
+    captureComponents: !args.includes('--no-components'),
+    inferRoles: !args.includes('--no-roles'),
+    detectThemes: !args.includes('--no-themes'),
+    viewport,
+    wait: waitFlag ? parseInt(waitFlag.split('=')[1]) : DEFAULT_OPTIONS.wait,
+    timeout: timeoutFlag ? parseInt(timeoutFlag.split('=')[1]) : DEFAULT_OPTIONS.timeout,
+    executablePath: executableFlag ? executableFlag.split('=')[1] : null,
+    maxDepth: maxDepthFlag ? parseInt(maxDepthFlag.split('=')[1]) : DEFAULT_OPTIONS.maxDepth,
+    maxPages: maxPagesFlag ? parseInt(maxPagesFlag.split('=')[1]) : DEFAULT_OPTIONS.maxPages,
+    responsiveBase: baseFlag ? baseFlag.split('=')[1] : DEFAULT_OPTIONS.responsiveBase
+  };
+
+  if (crawl && responsive) {
+    console.error('Error: --crawl and --responsive cannot be combined');
+    process.exit(1);
+  }
+
+  if (crawl && outputPath) {
+    options.onPage = (page, n) => console.log(`  [${n}] ${page.meta.url}`);
+  }
+
+  const run = crawl ? runCrawl : responsive ? runResponsive : runExtraction;
+
+  run(input, options)
+    .then(({ result, errors, skipped = [] }) => {
+      const jsonOutput = JSON.stringify(result, null, 2);
+
+      if (outputPath) {
+        fs.writeFileSync(path.resolve(outputPath), jsonOutput);
+        console.log(`✓ Extracted: ${result.meta.url}`);
+        if (result.meta.pages) console.log(`  Pages: ${result.meta.pages.length} merged, ${skipped.length} skipped`);
+        if (result.responsive) {
+          const changed = Object.keys(result.responsive.overrides);
+          console.log(`  Breakpoints: ${Object.keys(result.responsive.breakpoints).join(', ')} (overrides: ${changed.join(', ') || 'none'})`);
+        }
+        skipped.forEach(s => console.log(`    - skipped ${s.url} (${s.reason})`));
+        console.log(`  Saved to: ${outputPath}`);
+        console.log(`  Colors: ${result.colors.palette.length} | Fonts: ${result.typography.fontFamilies.length} | Spacing: ${result.spacing.scale.length} values`);
+        if (result.meta.designCharacter) console.log(`  Character: ${result.meta.designCharacter}`);
+      } else {
+        console.log(jsonOutput);
+      }
+
+      if (errors.length > 0) {
+        console.error(`\n⚠️  Output does not match style-guide-schema.json (${errors.length} errors):`);
+        errors.slice(0, 10).forEach(e => console.error(`  - ${e}`));
+        if (errors.length > 10) console.error(`  ... and ${errors.length - 10} more`);
+        if (strict) process.exit(2);
+      }
+    })
+    .catch(err => {
+      console.error(`Error: ${err.message}`);
+      if (process.env.DEBUG) console.error(err.stack);
+      process.exit(1);
+    });
+}
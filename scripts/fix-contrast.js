@@ -0,0 +1,419 @@
+#!/usr/bin/env node
+/**
+ * Fix Contrast
+ * Repairs the text/background pairs of a design system that fail contrast
+ *
+ * Runs the accessibility audit of compare-design-systems.js over the pairs the
+ * extractor recorded (`colors.pairs`, `themes.*.pairs`) and, for every text
+ * color failing on its backgrounds, finds the smallest change of OKLCH
+ * lightness that makes it pass on all of them, keeping hue and chroma (chroma
+ * only drops where the lighter or darker color would leave sRGB). When no
+ * lightness works for the text, the background is adjusted instead.
+ *
+ * The corrected design system has the fixed colors in its palette, semantic
+ * groups, roles, pairs and components, each changed entry keeping its brand
+ * value as `original`, and lists the fixes in `colors.contrastFixes`.
+ * generate-css-variables.js and generate-tailwind-config.js take
+ * --accessible-variants to emit the brand originals with `-accessible`
+ * variants next to them instead.
+ *
+ * Usage:
+ *   node fix-contrast.js <design-system.json> [output.json] [--report=FILE] [--level=AA|AAA] [--apca]
+ *   node fix-contrast.js references/linear.json linear-accessible.json
+ *
+ * Without an output path, <name>.accessible.json is written next to the input,
+ * and the diff report to <name>.contrast-fixes.md.
+ *
+ * @version 1.0.0
+ */
+
+const fs = require('fs');
+const path = require('path');
+const colorLib = require('./color');
+const { auditAccessibility, checkTextPair } = require('./compare-design-systems');
+
+// =============================================================================
+// TARGETS
+// =============================================================================
+
+// Ratios normal and large text need at each WCAG level
+const LEVELS = {
+  AA: { normal: 4.5, large: 3 },
+  AAA: { normal: 7, large: 4.5 }
+};
+
+// Whether a pair reaches the target: the level's ratio, unrounded, plus the
+// APCA minimum for its size when `apca` is set
+function meetsTarget(pair, target) {
+  const check = checkTextPair(pair, target.normal);
+  const required = check.large ? target.large : target.normal;
+  const ratio = colorLib.contrastRatio(pair.foreground, pair.background) ?? 1;
+  return ratio >= required && (!target.apca || check.passesAPCA);
+}
+
+// =============================================================================
+// LIGHTNESS SEARCH
+// =============================================================================
+
+// OKLCH with the lightness replaced, back in the color's own gamut
+function withLightness(oklch, lightness, wideGamut) {
+  const color = { space: 'oklch', coords: [lightness, oklch.coords[1], oklch.coords[2]], alpha: oklch.alpha };
+  return wideGamut ? colorLib.serialize(color) : colorLib.normalize(colorLib.toGamut(color, 'srgb'));
+}
+
+/**
+ * Smallest OKLCH lightness change to `value` after which `passes(candidate)`
+ * holds, searching lighter and darker. Contrast only grows once the color has
+ * moved past its backgrounds, so on either side the passing lightnesses run
+ * from some boundary to the end of the range, which bisection finds.
+ * Returns { value, lightness, deltaL } or null when neither end passes.
+ */
+function adjustLightness(value, passes) {
+  const parsed = colorLib.parse(value);
+  if (!parsed) return null;
+  const oklch = colorLib.convert(parsed, 'oklch');
+  const wideGamut = colorLib.isWideGamut(parsed);
+  const start = oklch.coords[0];
+
+  const candidates = [];
+  for (const end of [1, 0]) {
+    if (!passes(withLightness(oklch, end, wideGamut))) continue;
+    let failing = start;
+    let passing = end;
+    for (let i = 0; i < 30; i++) {
+      const mid = (failing + passing) / 2;
+      if (passes(withLightness(oklch, mid, wideGamut))) passing = mid;
+      else failing = mid;
+    }
+    // `passing` was tested as serialized, hex and all, so the written color passes
+    candidates.push({ value: withLightness(oklch, passing, wideGamut), lightness: passing, deltaL: passing - start });
+  }
+
+  if (candidates.length === 0) return null;
+  const best = candidates.sort((a, b) => Math.abs(a.deltaL) - Math.abs(b.deltaL))[0];
+  return { ...best, deltaL: Math.round(best.deltaL * 1000) / 1000 };
+}
+
+// Chroma the fixed color lost to gamut mapping, in OKLCH units
+function chromaLoss(original, fixed) {
+  const before = colorLib.convert(colorLib.parse(original), 'oklch').coords[1];
+  const after = colorLib.convert(colorLib.parse(fixed), 'oklch').coords[1];
+  return Math.round(Math.max(0, before - after) * 1000) / 1000;
+}
+
+// =============================================================================
+// FIXES
+// =============================================================================
+
+// Every pair the audit checked, with its theme and whether it meets the target
+function auditedPairs(designSystem, target) {
+  const audit = auditAccessibility(designSystem, { contrastMinimum: target.normal });
+  if (audit.source !== 'pairs') {
+    throw new Error('The design system has no recorded text/background pairs; re-extract it with extract.js');
+  }
+  return [...audit.issues, ...audit.passing].map(pair => ({ ...pair, passes: meetsTarget(pair, target) }));
+}
+
+const ratioOf = (pair) => Number(checkTextPair(pair).ratio);
+
+/**
+ * Fixes for a design system's failing pairs, most widespread first. Each pair
+ * gets whichever of its text and background colors needs the smaller
+ * lightness change, and the change must hold for every pair sharing that
+ * color: same theme, and both at rest or both in a component state.
+ * Returns { fixes, unresolved, checked }.
+ */
+function planFixes(designSystem, target) {
+  const pairs = auditedPairs(designSystem, target);
+  const fixes = [];
+
+  const sharingWith = (pair, side) => pairs.filter(other =>
+    other.theme === pair.theme && Boolean(other.state) === Boolean(pair.state) && other[side] === pair[side]);
+
+  const tryFix = (pair, side) => {
+    const sharing = sharingWith(pair, side);
+    const adjusted = adjustLightness(pair[side], candidate =>
+      sharing.every(other => meetsTarget({ ...other, [side]: candidate }, target)));
+    return adjusted && { side, sharing, adjusted };
+  };
+
+  for (const pair of pairs) {
+    if (pair.passes) continue;
+    const options = ['foreground', 'background'].map(side => tryFix(pair, side)).filter(Boolean);
+    if (options.length === 0) continue;
+    const { side, sharing, adjusted } = options.sort((a, b) => Math.abs(a.adjusted.deltaL) - Math.abs(b.adjusted.deltaL))[0];
+
+    const original = pair[side];
+    const states = [...new Set(sharing.map(other => other.state).filter(Boolean))];
+    fixes.push({
+      theme: pair.theme,
+      ...(states.length > 0 && { states }),
+      side,
+      original,
+      fixed: adjusted.value,
+      deltaL: adjusted.deltaL,
+      chromaLoss: chromaLoss(original, adjusted.value),
+      pairs: sharing.filter(other => !other.passes).map(other => ({
+        foreground: other.foreground,
+        background: other.background,
+        ...(other.state && { state: other.state }),
+        selectors: other.selectors,
+        before: ratioOf(other),
+        after: ratioOf({ ...other, [side]: adjusted.value })
+      }))
+    });
+
+    // Later fixes have to hold with the new color
+    sharing.forEach(other => {
+      other[side] = adjusted.value;
+      other.passes = true;
+    });
+  }
+
+  const unresolved = pairs.filter(pair => !pair.passes);
+  return { fixes, unresolved, checked: pairs.length };
+}
+
+// =============================================================================
+// APPLYING
+// =============================================================================
+
+const OTHER_SIDE = { foreground: 'background', background: 'foreground' };
+const SIDE_GROUPS = { foreground: 'text', background: 'backgrounds' };
+const SIDE_ROLES = { foreground: /^text/, background: /^background/ };
+const SIDE_COMPONENT_KEYS = { foreground: 'textColor', background: 'backgroundColor' };
+
+// The fixed value in place of the original, which the entry keeps
+function replaceEntry(entry, fixed) {
+  const { space, hex, alpha, ...rest } = entry;
+  const replaced = { ...rest, value: fixed, original: entry.original || entry.value };
+  const parsed = colorLib.parse(fixed);
+  if (!fixed.startsWith('#')) {
+    replaced.space = parsed.space;
+    replaced.hex = colorLib.toHex(parsed);
+  }
+  if (parsed.alpha < 1) replaced.alpha = Math.round(parsed.alpha * 1000) / 1000;
+  return replaced;
+}
+
+/**
+ * Apply one fix to a colors object (the top-level one or a theme's). Palette
+ * entries only change when the color isn't also used on the other side (a
+ * text color fix leaves a white that is the page background alone); fixes of
+ * component states only touch the pairs of those states.
+ */
+function applyToColors(colors, fix) {
+  if (!colors) return;
+  const { side, original, fixed, states } = fix;
+  const other = OTHER_SIDE[side];
+  const swap = (entry) => entry?.value === original ? replaceEntry(entry, fixed) : entry;
+
+  if (colors.pairs) {
+    colors.pairs = colors.pairs.map(pair =>
+      pair[side] === original && (states ? states.includes(pair.state) : !pair.state) ? { ...pair, [side]: fixed } : pair);
+  }
+  if (states) return;
+
+  const usedOtherwise = (colors.pairs || []).some(pair => pair[other] === original) ||
+    (colors.semantic?.[SIDE_GROUPS[other]] || []).some(entry => entry.value === original);
+  if (colors.palette && !usedOtherwise) colors.palette = colors.palette.map(swap);
+  const group = SIDE_GROUPS[side];
+  if (colors.semantic?.[group]) colors.semantic[group] = colors.semantic[group].map(swap);
+  // Theme role maps: text-primary, background-secondary...
+  if (colors.colors) {
+    for (const [role, value] of Object.entries(colors.colors)) {
+      if (SIDE_ROLES[side].test(role) && value === original) colors.colors[role] = fixed;
+    }
+  }
+}
+
+// Component samples at rest, or the forced states a fix is for
+function applyToComponents(components, fix) {
+  const key = SIDE_COMPONENT_KEYS[fix.side];
+  for (const samples of Object.values(components || {})) {
+    if (!Array.isArray(samples)) continue;
+    samples.forEach(sample => {
+      if (!fix.states) {
+        if (sample[key] === fix.original) sample[key] = fix.fixed;
+        return;
+      }
+      for (const state of fix.states) {
+        const delta = sample.states?.[state];
+        if (delta && (delta[key] ?? sample[key]) === fix.original) delta[key] = fix.fixed;
+      }
+    });
+  }
+}
+
+/**
+ * A copy of the design system with the fixes applied. Fixes of a theme also
+ * apply to the top-level colors when that theme is the one the page was
+ * extracted in (`meta.detectedTheme`, light when both or unknown).
+ */
+function applyFixes(designSystem, fixes, target) {
+  const fixed = structuredClone(designSystem);
+  const current = ['light', 'dark'].includes(fixed.meta?.detectedTheme) ? fixed.meta.detectedTheme : 'light';
+
+  for (const fix of fixes) {
+    if (fix.theme) applyToColors(fixed.themes?.[fix.theme], fix);
+    if (!fix.theme || fix.theme === current) {
+      applyToColors(fixed.colors, fix);
+      applyToComponents(fixed.components, fix);
+    }
+  }
+
+  fixed.colors.contrastFixes = fixes.map(({ pairs, ...fix }) => ({
+    ...fix,
+    level: target.level,
+    apca: target.apca,
+    pairs: pairs.length,
+    selectors: [...new Set(pairs.flatMap(pair => pair.selectors || []))].slice(0, 10)
+  }));
+  return fixed;
+}
+
+// =============================================================================
+// REPORT
+// =============================================================================
+
+function generateReport(inputPath, plan, target) {
+  const { fixes, unresolved, checked } = plan;
+  const lines = [];
+  const goal = `WCAG ${target.level}${target.apca ? ' and APCA' : ''}`;
+
+  lines.push(`# Contrast Fixes`);
+  lines.push('');
+  lines.push(`**Design system:** ${path.basename(inputPath)}`);
+  lines.push(`**Target:** ${goal} (${target.normal}:1 normal text, ${target.large}:1 large text)`);
+  lines.push(`**Pairs checked:** ${checked}`);
+  lines.push('');
+
+  if (fixes.length === 0 && unresolved.length === 0) {
+    lines.push(`✅ Every rendered text/background pair meets ${goal}; nothing to fix.`);
+    return lines.join('\n');
+  }
+
+  if (fixes.length > 0) {
+    lines.push(`## Changed Colors (${fixes.length})`);
+    lines.push('');
+    lines.push(`| Theme | Color | Was | Now | ΔL | Pairs | Ratio |`);
+    lines.push(`|-------|-------|-----|-----|----|-------|-------|`);
+    for (const fix of fixes) {
+      const before = Math.min(...fix.pairs.map(pair => pair.before));
+      const after = Math.min(...fix.pairs.map(pair => pair.after));
+      const side = `${fix.side === 'foreground' ? 'text' : 'background'}${fix.states ? ` (${fix.states.join(', ')})` : ''}`;
+      const chroma = fix.chromaLoss > 0 ? ` (chroma −${fix.chromaLoss})` : '';
+      lines.push(`| ${fix.theme || '—'} | ${side} | \`${fix.original}\` | \`${fix.fixed}\`${chroma} | ${fix.deltaL > 0 ? '+' : ''}${fix.deltaL} | ${fix.pairs.length} | ${before.toFixed(2)} → ${after.toFixed(2)}:1 |`);
+    }
+    lines.push('');
+
+    lines.push(`### Pairs Fixed`);
+    lines.push('');
+    for (const fix of fixes) {
+      for (const pair of fix.pairs) {
+        const where = (pair.selectors || []).slice(0, 3).map(selector => `\`${selector}${pair.state ? `:${pair.state}` : ''}\``).join(', ') || '—';
+        const [foreground, background] = fix.side === 'foreground'
+          ? [`\`${pair.foreground}\` → \`${fix.fixed}\``, `\`${pair.background}\``]
+          : [`\`${pair.foreground}\``, `\`${pair.background}\` → \`${fix.fixed}\``];
+        lines.push(`- ${where}${fix.theme ? ` (${fix.theme})` : ''}: ${foreground} on ${background}, ${pair.before.toFixed(2)}:1 → ${pair.after.toFixed(2)}:1`);
+      }
+    }
+    lines.push('');
+  }
+
+  if (unresolved.length > 0) {
+    lines.push(`## ❌ Not Fixed (${unresolved.length})`);
+    lines.push('');
+    lines.push(`No lightness of the text or the background meets ${goal} without breaking another pair that shares the color:`);
+    lines.push('');
+    for (const pair of unresolved) {
+      const where = pair.selectors.slice(0, 3).map(selector => `\`${selector}\``).join(', ') || '—';
+      lines.push(`- ${where}${pair.theme ? ` (${pair.theme})` : ''}: \`${pair.foreground}\` on \`${pair.background}\` (${pair.ratio}:1)`);
+    }
+    lines.push('');
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Fix a design system's failing pairs. `options.level` is AA (default) or
+ * AAA; `options.apca` also requires the APCA minimum for each pair's size.
+ * Returns { designSystem, fixes, unresolved, report }.
+ */
+function fixContrast(designSystem, options = {}) {
+  const { level = 'AA', apca = false, inputPath = 'design-system.json' } = options;
+  if (!LEVELS[level]) throw new Error(`Unknown level: ${level} (use AA or AAA)`);
+  const target = { ...LEVELS[level], level, apca };
+
+  const plan = planFixes(designSystem, target);
+  return {
+    designSystem: applyFixes(designSystem, plan.fixes, target),
+    fixes: plan.fixes,
+    unresolved: plan.unresolved,
+    report: generateReport(inputPath, plan, target)
+  };
+}
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+module.exports = {
+  fixContrast,
+  planFixes,
+  applyFixes,
+  adjustLightness,
+  meetsTarget,
+  LEVELS
+};
+
+// =============================================================================
+// CLI
+// =============================================================================
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const reportFlag = args.find(a => a.startsWith('--report='));
+  const levelFlag = args.find(a => a.startsWith('--level='));
+  const positional = args.filter(a => !a.startsWith('--'));
+
+  if (positional.length < 1) {
+    console.error('Usage: node fix-contrast.js <design-system.json> [output.json] [--report=FILE] [--level=AA|AAA] [--apca]');
+    console.error('');
+    console.error('Example:');
+    console.error('  node fix-contrast.js references/linear.json linear-accessible.json');
+    process.exit(1);
+  }
+
+  const inputPath = path.resolve(positional[0]);
+  if (!fs.existsSync(inputPath)) {
+    console.error(`Error: Design system not found: ${inputPath}`);
+    process.exit(1);
+  }
+
+  const base = inputPath.replace(/\.json$/i, '');
+  const outputPath = positional[1] ? path.resolve(positional[1]) : `${base}.accessible.json`;
+  const reportPath = reportFlag ? path.resolve(reportFlag.split('=')[1]) : `${base}.contrast-fixes.md`;
+
+  try {
+    const designSystem = JSON.parse(fs.readFileSync(inputPath, 'utf-8'));
+    const { designSystem: fixed, fixes, unresolved, report } = fixContrast(designSystem, {
+      level: levelFlag ? levelFlag.split('=')[1].toUpperCase() : 'AA',
+      apca: args.includes('--apca'),
+      inputPath
+    });
+
+    fs.writeFileSync(outputPath, JSON.stringify(fixed, null, 2));
+    fs.writeFileSync(reportPath, report);
+
+    console.log(`Colors changed: ${fixes.length}`);
+    console.log(`Pairs fixed: ${fixes.reduce((sum, fix) => sum + fix.pairs.length, 0)}`);
+    if (unresolved.length > 0) console.log(`Pairs not fixed: ${unresolved.length}`);
+    console.log(`✓ Design system saved to: ${outputPath}`);
+    console.log(`✓ Report saved to: ${reportPath}`);
+  } catch (err) {
+    console.error(`Error: ${err.message}`);
+    process.exit(1);
+  }
+}
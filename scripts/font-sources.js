@@ -0,0 +1,339 @@
+#!/usr/bin/env node
+/**
+ * Font Sources
+ * Finds where a project loads its fonts, and which weights it loads
+ *
+ * Declaring `font-family: Inter` doesn't put Inter on screen; something has to
+ * load it. Stylesheets, components, layouts and HTML pages are read for:
+ *
+ *   @font-face      font-family and font-weight (a range for variable fonts)
+ *   next/font       next/font/google imports and the weights their calls ask
+ *                   for (none asked: a variable font, every weight), and
+ *                   next/font/local calls, named after their first file
+ *   Google Fonts    fonts.googleapis.com/css and /css2 links and @imports, with
+ *                   the wght axis values they request
+ *   Fontsource      @fontsource/<family>[/<weight>.css] and @fontsource-variable
+ *                   imports
+ *
+ * Fonts every platform ships (Arial, Georgia, system-ui...) need no loading.
+ *
+ * Usage:
+ *   const { findFontSources, isSystemFont } = require('./font-sources');
+ *   node font-sources.js <project-path>
+ *
+ * @version 1.0.0
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { locate, stringEnd, templateEnd } = require('./js-source');
+
+const SOURCE_FILE = /\.(?:css|scss|less|[cm]?[jt]sx?|vue|svelte|astro|html?)$/;
+const SKIPPED_DIRECTORIES = new Set(['node_modules', 'dist', 'build', 'out', 'coverage']);
+const MAX_FILE_SIZE = 1024 * 1024;
+
+// Installed on every platform, or generic families the browser maps to one
+const SYSTEM_FONTS = new Set([
+  'arial', 'helvetica', 'helvetica neue', 'georgia', 'times', 'times new roman', 'courier', 'courier new',
+  'verdana', 'tahoma', 'trebuchet ms', 'segoe ui', 'sf pro', 'sf pro text', 'sf pro display', 'sf mono',
+  '-apple-system', 'blinkmacsystemfont', 'menlo', 'monaco', 'consolas', 'lucida console', 'lucida grande',
+  'system-ui', 'ui-sans-serif', 'ui-serif', 'ui-monospace', 'ui-rounded', 'sans-serif', 'serif', 'monospace',
+  'cursive', 'fantasy', 'apple color emoji', 'segoe ui emoji', 'segoe ui symbol', 'noto color emoji'
+]);
+
+const WEIGHT_KEYWORDS = {
+  thin: 100, hairline: 100, extralight: 200, ultralight: 200, light: 300, normal: 400, regular: 400,
+  book: 400, medium: 500, semibold: 600, demibold: 600, bold: 700, extrabold: 800, ultrabold: 800,
+  black: 900, heavy: 900
+};
+
+const FONT_FACE = /@font-face\s*\{([^}]*)\}/g;
+const GOOGLE_FONTS = /fonts\.googleapis\.com\/css2?\?([^"'`\s)<>]+)/g;
+const NEXT_FONT_GOOGLE = /import\s*\{([^}]*)\}\s*from\s*['"]next\/font\/google['"]/g;
+const NEXT_FONT_LOCAL = /import\s+([\w$]+)\s+from\s*['"]next\/font\/local['"]/g;
+const FONTSOURCE = /['"]@fontsource(-variable)?\/([\w-]+)(?:\/([\w-]+)(?:\.css)?)?['"]/g;
+const ADOBE_FONTS = /use\.typekit\.net\/\w+\.(?:css|js)/;
+
+// =============================================================================
+// WEIGHTS
+// =============================================================================
+
+const isSystemFont = (family) => SYSTEM_FONTS.has(String(family).toLowerCase().replace(/['"]/g, '').trim());
+
+// Every hundred from `min` to `max`: the weights a variable font's range covers
+const weightRange = (min, max) => {
+  const weights = [];
+  for (let weight = Math.ceil(min / 100) * 100; weight <= max; weight += 100) weights.push(weight);
+  return weights;
+};
+
+/**
+ * Numeric weights a value names: 700, bold, "100 900" (a variable font's
+ * range), 100..900 (a Google Fonts range), 700italic (Google Fonts v1).
+ * Empty when it names none.
+ */
+function parseWeights(value) {
+  const text = String(value).trim().toLowerCase();
+  const range = text.match(/^(\d{3})\s*(?:\s|\.\.)\s*(\d{3})$/);
+  if (range) return weightRange(Number(range[1]), Number(range[2]));
+  const number = text.match(/^(\d{3})/);
+  if (number) return [Number(number[1])];
+  const keyword = WEIGHT_KEYWORDS[text.replace(/[\s_-]/g, '')];
+  return keyword ? [keyword] : [];
+}
+
+// =============================================================================
+// SOURCES
+// =============================================================================
+
+// Comments blanked out, so offsets still line up with the source
+const stripComments = (css) => css.replace(/\/\*[\s\S]*?\*\//g, comment => comment.replace(/[^\n]/g, ' '));
+
+const unquote = (value) => value.trim().replace(/^['"]|['"]$/g, '');
+
+function fontFaces(content) {
+  const fonts = [];
+  for (const match of stripComments(content).matchAll(FONT_FACE)) {
+    const family = match[1].match(/font-family\s*:\s*([^;]+)/i);
+    if (!family) continue;
+    const weight = match[1].match(/font-weight\s*:\s*([^;]+)/i);
+    const weights = weight ? parseWeights(weight[1]) : [400];
+    fonts.push({ family: unquote(family[1].split(',')[0]), weights, source: '@font-face', index: match.index });
+  }
+  return fonts;
+}
+
+/**
+ * Families and weights a Google Fonts URL query requests:
+ * css2?family=Inter:wght@400;700&family=Roboto+Mono, css2?family=Inter:ital,wght@0,400;1,700,
+ * css2?family=Inter:wght@100..900 or css?family=Roboto:400,700italic|Open+Sans
+ */
+function parseGoogleFontsUrl(query) {
+  const fonts = [];
+  for (const param of query.replace(/&amp;/g, '&').split('&')) {
+    const [key, value = ''] = param.split('=');
+    if (key !== 'family') continue;
+    let decoded;
+    try {
+      decoded = decodeURIComponent(value.replace(/\+/g, ' '));
+    } catch (e) {
+      decoded = value.replace(/\+/g, ' ');
+    }
+    for (const entry of decoded.split('|')) {
+      const [family, spec] = entry.split(':');
+      if (!family.trim()) continue;
+      let weights = [400];
+      if (spec && spec.includes('@')) {
+        const [axes, tuples] = spec.split('@');
+        const axis = axes.split(',').indexOf('wght');
+        if (axis !== -1) weights = [...new Set(tuples.split(';').flatMap(tuple => parseWeights(tuple.split(',')[axis] || '')))];
+      } else if (spec) {
+        weights = [...new Set(spec.split(',').flatMap(parseWeights))];
+      }
+      fonts.push({ family: family.trim(), weights: weights.length > 0 ? weights : [400] });
+    }
+  }
+  return fonts;
+}
+
+function googleFonts(content) {
+  return [...content.matchAll(GOOGLE_FONTS)].flatMap(match =>
+    parseGoogleFontsUrl(match[1]).map(font => ({ ...font, source: 'Google Fonts', index: match.index }))
+  );
+}
+
+// The `{...}` argument of a call whose `(` is at `open`, or null
+function callObject(content, open) {
+  let i = open + 1;
+  while (/\s/.test(content[i] || '')) i++;
+  if (content[i] !== '{') return null;
+  const start = i;
+  let depth = 0;
+  while (i < content.length) {
+    const ch = content[i];
+    if (ch === '"' || ch === "'") {
+      i = stringEnd(content, i);
+      continue;
+    }
+    if (ch === '`') {
+      i = templateEnd(content, i);
+      continue;
+    }
+    if (ch === '{') depth++;
+    else if (ch === '}' && --depth === 0) return content.slice(start, i + 1);
+    i++;
+  }
+  return null;
+}
+
+// The calls of a next/font loader: the text of their options and where they are
+function loaderCalls(content, name) {
+  const call = new RegExp(`(?<![\\w$.])${name.replace(/\$/g, '\\$')}\\s*\\(`, 'g');
+  return [...content.matchAll(call)].map(match => ({
+    options: callObject(content, match.index + match[0].length - 1) || '',
+    index: match.index
+  }));
+}
+
+const quotedValues = (text) => [...text.matchAll(/(['"])([^'"]*)\1/g)].map(match => match[2]);
+
+function nextFonts(content) {
+  const fonts = [];
+
+  for (const match of content.matchAll(NEXT_FONT_GOOGLE)) {
+    for (const specifier of match[1].split(',')) {
+      const [imported, local = imported] = specifier.trim().split(/\s+as\s+/).map(s => s.trim());
+      if (!imported) continue;
+      const family = imported.replace(/_/g, ' ');
+      const calls = loaderCalls(content, local);
+      if (calls.length === 0) fonts.push({ family, weights: null, source: 'next/font', index: match.index });
+      for (const { options, index } of calls) {
+        // No weight: a variable font, which next/font loads whole
+        const weight = options.match(/\bweight\s*:\s*(\[[^\]]*\]|(['"])[^'"]*\2)/);
+        const variable = options.match(/\bvariable\s*:\s*['"](--[\w-]+)['"]/);
+        fonts.push({
+          family,
+          weights: weight ? [...new Set(quotedValues(weight[1]).flatMap(parseWeights))] : null,
+          source: 'next/font',
+          ...(variable && { variable: variable[1] }),
+          index
+        });
+      }
+    }
+  }
+
+  for (const match of content.matchAll(NEXT_FONT_LOCAL)) {
+    for (const { options, index } of loaderCalls(content, match[1])) {
+      const src = options.match(/\b(?:src|path)\s*:\s*(['"])([^'"]+)\1/);
+      if (!src) continue;
+      const weights = [...options.matchAll(/\bweight\s*:\s*(['"])([^'"]+)\1/g)].flatMap(w => parseWeights(w[2]));
+      const variable = options.match(/\bvariable\s*:\s*['"](--[\w-]+)['"]/);
+      fonts.push({
+        family: path.basename(src[2]).replace(/\.[\w]+$/, ''),
+        weights: weights.length > 0 ? [...new Set(weights)] : null,
+        source: 'next/font/local',
+        ...(variable && { variable: variable[1] }),
+        index
+      });
+    }
+  }
+
+  return fonts;
+}
+
+function fontsourceImports(content) {
+  return [...content.matchAll(FONTSOURCE)].map(match => {
+    const [, variable, name, subpath] = match;
+    const weights = variable ? null : subpath ? parseWeights(subpath) : [400];
+    return {
+      family: name.replace(/-/g, ' '),
+      weights: weights && weights.length > 0 ? weights : variable ? null : [400],
+      source: 'Fontsource',
+      index: match.index
+    };
+  });
+}
+
+// =============================================================================
+// PROJECT
+// =============================================================================
+
+function findSourceFiles(dir, files = []) {
+  try {
+    const entries = fs.readdirSync(dir, { withFileTypes: true });
+    for (const entry of entries) {
+      if (SKIPPED_DIRECTORIES.has(entry.name) || entry.name.startsWith('.')) continue;
+      const fullPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        findSourceFiles(fullPath, files);
+      } else if (SOURCE_FILE.test(entry.name) && !entry.name.endsWith('.d.ts')) {
+        files.push(fullPath);
+      }
+    }
+  } catch (e) {}
+  return files;
+}
+
+/**
+ * The fonts a project loads, leaving out the files `options.ignore(file)`
+ * accepts. Returns {
+ *   files,
+ *   fonts:    [{ family, weights (null: every weight), source, variable?, file, line, column }],
+ *   warnings  Adobe Fonts kits, whose families can't be read from the project
+ * }
+ */
+function findFontSources(projectPath, options = {}) {
+  const files = findSourceFiles(projectPath).filter(file => !options.ignore?.(file));
+  const fonts = [];
+  const warnings = [];
+
+  for (const file of files) {
+    let content;
+    try {
+      if (fs.statSync(file).size > MAX_FILE_SIZE) continue;
+      content = fs.readFileSync(file, 'utf-8');
+    } catch (e) {
+      continue;
+    }
+    if (!/font/i.test(content)) continue;
+
+    const found = [...fontFaces(content), ...googleFonts(content), ...nextFonts(content), ...fontsourceImports(content)];
+    for (const { index, ...font } of found) {
+      fonts.push({ ...font, file, ...locate(content, index) });
+    }
+    if (ADOBE_FONTS.test(content)) {
+      warnings.push(`${path.relative(projectPath, file)}: loads an Adobe Fonts kit, whose families can't be read from the project`);
+    }
+  }
+
+  return { files, fonts, warnings };
+}
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+module.exports = {
+  findFontSources,
+  parseGoogleFontsUrl,
+  parseWeights,
+  isSystemFont,
+  SYSTEM_FONTS
+};
+
+// =============================================================================
+// CLI
+// =============================================================================
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+
+  if (args.length < 1) {
+    console.log(`
+Impression: Font Sources
+========================
+
+Usage:
+  node font-sources.js <project-path>
+
+Lists the fonts a project loads through @font-face, next/font, Google Fonts
+links and Fontsource imports, with the weights each loads.
+`);
+    process.exit(1);
+  }
+
+  const target = path.resolve(args[0]);
+  if (!fs.existsSync(target) || !fs.statSync(target).isDirectory()) {
+    console.error(`Error: Not a project directory: ${target}`);
+    process.exit(1);
+  }
+
+  const { fonts, warnings } = findFontSources(target);
+  console.log(fonts.length > 0 ? 'Loaded fonts:' : 'No loaded fonts found');
+  for (const font of fonts) {
+    const weights = font.weights ? font.weights.join(', ') : 'all weights';
+    const variable = font.variable ? ` as ${font.variable}` : '';
+    console.log(`  ${font.family} (${weights}) via ${font.source}${variable}  ${path.relative(target, font.file)}:${font.line}`);
+  }
+  warnings.forEach(warning => console.log(`  ⚠ ${warning}`));
+}
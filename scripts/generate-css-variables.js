@@ -3,17 +3,48 @@
  * Generate CSS Custom Properties from Extracted Design System
  * 
  * Usage:
- *   node generate-css-variables.js <input.json> [output.css]
+ *   node generate-css-variables.js <input.json> [output.css] [--accessible-variants]
  *   node generate-css-variables.js references/duchateau.json
  * 
  * If no output file specified, prints to stdout.
+ * --accessible-variants: for colors fix-contrast.js corrected, the brand
+ * original keeps the variable and the fix follows as `<name>-accessible`.
+ * Responsive extractions (extract.js --responsive) also get one @media block
+ * per breakpoint overriding the per-element variables.
  */
 
 const fs = require('fs');
 const path = require('path');
+const { buildTokenGraph, createReferenceWriter } = require('./token-graph');
 
-function generateCSSVariables(designSystem) {
-  const { meta, colors, typography, spacing, shadows, borderRadius, breakpoints, animations } = designSystem;
+const ELEMENT_PROPS = {
+  fontSize: 'size',
+  lineHeight: 'line-height',
+  fontWeight: 'weight',
+  letterSpacing: 'tracking',
+  padding: 'padding',
+  gap: 'gap'
+};
+
+// Per-tag styles as [name, value] pairs: --text-h1-size, --section-padding...
+function elementVariables(typographyElements = {}, spacingElements = {}) {
+  const vars = [];
+  Object.entries(typographyElements).forEach(([tag, styles]) => {
+    Object.entries(styles).forEach(([prop, value]) => {
+      if (value && ELEMENT_PROPS[prop]) vars.push([`--text-${tag}-${ELEMENT_PROPS[prop]}`, value]);
+    });
+  });
+  Object.entries(spacingElements).forEach(([tag, styles]) => {
+    Object.entries(styles).forEach(([prop, value]) => {
+      if (value && ELEMENT_PROPS[prop]) vars.push([`--${tag}-${ELEMENT_PROPS[prop]}`, value]);
+    });
+  });
+  return vars;
+}
+
+function generateCSSVariables(designSystem, options = {}) {
+  const { accessibleVariants = false } = options;
+  const { meta, colors, typography, spacing, shadows, borderRadius, breakpoints, animations, responsive } = designSystem;
   
   const lines = [];
   
@@ -32,48 +63,50 @@ function generateCSSVariables(designSystem) {
   // ============ COLORS ============
   lines.push('  /* ========== Colors ========== */');
   lines.push('');
-  
-  // Palette colors with roles
-  lines.push('  /* Palette */');
-  colors.palette?.forEach((c, i) => {
-    const name = c.role ? c.role.replace(/\s+/g, '-').toLowerCase() : `palette-${i + 1}`;
-    lines.push(`  --color-${name}: ${c.value};`);
-  });
-  lines.push('');
-  
-  // Semantic colors
+
+  // Semantic colors that match a palette entry become var() references to it.
+  // Every name is defined up front so a reference never points at a name a
+  // later declaration overrides.
+  const semantic = colors.semantic || {};
+  const colorSections = [
+    ['Palette', (colors.palette || []).map((c, i) => {
+      const name = c.role ? c.role.replace(/\s+/g, '-').toLowerCase() : `palette-${i + 1}`;
+      return [`palette.${i}`, `--color-${name}`];
+    })]
+  ];
   if (colors.semantic) {
-    lines.push('  /* Semantic - Backgrounds */');
-    colors.semantic.backgrounds?.slice(0, 4).forEach((c, i) => {
-      const suffix = i === 0 ? '' : `-${i + 1}`;
-      lines.push(`  --color-bg${suffix}: ${c.value};`);
-    });
-    lines.push('');
-    
-    lines.push('  /* Semantic - Text */');
-    colors.semantic.text?.slice(0, 4).forEach((c, i) => {
-      const names = ['', '-secondary', '-muted', '-subtle'];
-      lines.push(`  --color-text${names[i] || `-${i + 1}`}: ${c.value};`);
-    });
-    lines.push('');
-    
-    lines.push('  /* Semantic - Borders */');
-    colors.semantic.borders?.slice(0, 3).forEach((c, i) => {
-      const suffix = i === 0 ? '' : `-${i + 1}`;
-      lines.push(`  --color-border${suffix}: ${c.value};`);
-    });
-    lines.push('');
-    
-    if (colors.semantic.accents?.length) {
-      lines.push('  /* Semantic - Accents */');
-      colors.semantic.accents.slice(0, 3).forEach((c, i) => {
-        const suffix = i === 0 ? '' : `-${i + 1}`;
-        lines.push(`  --color-accent${suffix}: ${c.value};`);
-      });
-      lines.push('');
-    }
+    const textNames = ['', '-secondary', '-muted', '-subtle'];
+    colorSections.push(
+      ['Semantic - Backgrounds', (semantic.backgrounds || []).slice(0, 4).map((c, i) =>
+        [`semantic.backgrounds.${i}`, `--color-bg${i === 0 ? '' : `-${i + 1}`}`])],
+      ['Semantic - Text', (semantic.text || []).slice(0, 4).map((c, i) =>
+        [`semantic.text.${i}`, `--color-text${textNames[i] || `-${i + 1}`}`])],
+      ['Semantic - Borders', (semantic.borders || []).slice(0, 3).map((c, i) =>
+        [`semantic.borders.${i}`, `--color-border${i === 0 ? '' : `-${i + 1}`}`])],
+      ['Semantic - Accents', (semantic.accents || []).slice(0, 3).map((c, i) =>
+        [`semantic.accents.${i}`, `--color-accent${i === 0 ? '' : `-${i + 1}`}`])]
+    );
   }
 
+  const refs = createReferenceWriter(buildTokenGraph(designSystem), name => `var(${name})`);
+  colorSections.forEach(([, entries]) => entries.forEach(([id, name]) => refs.define(id, name)));
+
+  colorSections.forEach(([title, entries]) => {
+    // Accents are optional; the other sections always print their heading
+    if (title === 'Semantic - Accents' && !entries.length) return;
+    lines.push(`  /* ${title} */`);
+    entries.forEach(([id, name]) => {
+      const entry = id.split('.').reduce((node, key) => node?.[key], colors);
+      if (accessibleVariants && entry?.original) {
+        lines.push(`  ${name}: ${entry.original};`);
+        lines.push(`  ${name}-accessible: ${refs.valueFor(id, name)};`);
+      } else {
+        lines.push(`  ${name}: ${refs.valueFor(id, name)};`);
+      }
+    });
+    lines.push('');
+  });
+  
   // ============ TYPOGRAPHY ============
   lines.push('  /* ========== Typography ========== */');
   lines.push('');
@@ -131,6 +164,15 @@ function generateCSSVariables(designSystem) {
     lines.push('');
   }
 
+  // ============ ELEMENTS ============
+  const baseElementVars = elementVariables(typography.elements, spacing.elements);
+  if (baseElementVars.length) {
+    lines.push('  /* ========== Elements ========== */');
+    lines.push('');
+    baseElementVars.forEach(([name, value]) => lines.push(`  ${name}: ${value};`));
+    lines.push('');
+  }
+
   // ============ SPACING ============
   lines.push('  /* ========== Spacing ========== */');
   lines.push('');
@@ -229,6 +271,20 @@ function generateCSSVariables(designSystem) {
   }
 
   lines.push('}');
+
+  // ============ RESPONSIVE OVERRIDES ============
+  // Listed in cascade order by the extractor, so blocks can be emitted as-is
+  Object.entries(responsive?.overrides || {}).forEach(([name, override]) => {
+    const vars = elementVariables(override.typography?.elements, override.spacing?.elements);
+    if (!vars.length) return;
+    lines.push('');
+    lines.push(`/* ${name} (${override.width}px) */`);
+    lines.push(`@media ${override.media} {`);
+    lines.push('  :root {');
+    vars.forEach(([varName, value]) => lines.push(`    ${varName}: ${value};`));
+    lines.push('  }');
+    lines.push('}');
+  });
   
   return lines.join('\n');
 }
@@ -237,17 +293,19 @@ function generateCSSVariables(designSystem) {
 if (require.main === module) {
   const args = process.argv.slice(2);
   
-  if (args.length < 1) {
-    console.error('Usage: node generate-css-variables.js <input.json> [output.css]');
+  const positional = args.filter(a => !a.startsWith('--'));
+
+  if (positional.length < 1) {
+    console.error('Usage: node generate-css-variables.js <input.json> [output.css] [--accessible-variants]');
     process.exit(1);
   }
 
-  const inputPath = args[0];
-  const outputPath = args[1];
+  const inputPath = positional[0];
+  const outputPath = positional[1];
 
   try {
     const json = JSON.parse(fs.readFileSync(inputPath, 'utf-8'));
-    const css = generateCSSVariables(json);
+    const css = generateCSSVariables(json, { accessibleVariants: args.includes('--accessible-variants') });
     
     if (outputPath) {
       fs.writeFileSync(outputPath, css);
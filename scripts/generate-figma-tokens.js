@@ -16,38 +16,27 @@
 
 const fs = require('fs');
 const path = require('path');
+const colorLib = require('./color');
 
 // =============================================================================
 // COLOR UTILITIES
 // =============================================================================
 
-function hexToRgba(hex) {
-  const result = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})?$/i.exec(hex);
-  if (!result) return null;
-  return {
-    r: parseInt(result[1], 16) / 255,
-    g: parseInt(result[2], 16) / 255,
-    b: parseInt(result[3], 16) / 255,
-    a: result[4] ? parseInt(result[4], 16) / 255 : 1
-  };
+// Figma stores sRGB floats, so wide-gamut colors are gamut mapped first
+function toFigmaRgba(parsed) {
+  if (!parsed) return null;
+  const [r, g, b] = colorLib.toGamut(parsed, 'srgb').coords;
+  return { r, g, b, a: parsed.alpha };
 }
 
-function rgbStringToRgba(rgb) {
-  const match = rgb.match(/rgba?\((\d+),\s*(\d+),\s*(\d+)(?:,\s*([\d.]+))?\)/);
-  if (!match) return null;
-  return {
-    r: parseInt(match[1]) / 255,
-    g: parseInt(match[2]) / 255,
-    b: parseInt(match[3]) / 255,
-    a: match[4] ? parseFloat(match[4]) : 1
-  };
+function hexToRgba(hex) {
+  if (!hex) return null;
+  return toFigmaRgba(colorLib.parse(hex.startsWith('#') ? hex : `#${hex}`));
 }
 
 function parseColor(value) {
   if (!value) return null;
-  if (value.startsWith('#')) return hexToRgba(value);
-  if (value.startsWith('rgb')) return rgbStringToRgba(value);
-  return null;
+  return toFigmaRgba(colorLib.parse(value));
 }
 
 function sanitizeName(name) {
@@ -67,10 +56,19 @@ function generateFigmaVariables(designSystem) {
   const modes = [{ name: 'Default', modeId: 'default' }];
 
   // Check for dark mode
-  if (designSystem.themes?.dark || designSystem.colors?.cssVariables?.dark) {
+  const darkTheme = designSystem.themes?.dark;
+  const hasDark = Boolean(darkTheme || designSystem.colors?.cssVariables?.dark);
+  if (hasDark) {
     modes.push({ name: 'Dark', modeId: 'dark' });
   }
 
+  // Dark values come from the extracted dark theme; colors it has no
+  // counterpart for keep their default value in both modes
+  const withDark = (rgba, darkValue) => {
+    if (!hasDark) return { default: rgba };
+    return { default: rgba, dark: (darkValue && parseColor(darkValue)) || rgba };
+  };
+
   // Color collection
   const colorVariables = [];
   const colorValues = {};
@@ -86,9 +84,7 @@ function generateFigmaVariables(designSystem) {
         resolvedType: 'COLOR',
         description: color.count ? `Used ${color.count} times` : ''
       });
-      colorValues[`color-${sanitizeName(name)}`] = {
-        default: rgba
-      };
+      colorValues[`color-${sanitizeName(name)}`] = withDark(rgba, color.role && darkTheme?.colors?.[color.role]);
     }
   });
 
@@ -107,9 +103,7 @@ function generateFigmaVariables(designSystem) {
             resolvedType: 'COLOR',
             description: `Semantic ${category} color`
           });
-          colorValues[`color-${sanitizeName(name)}`] = {
-            default: rgba
-          };
+          colorValues[`color-${sanitizeName(name)}`] = withDark(rgba, darkTheme?.semantic?.[category]?.[i]?.value);
         }
       });
     });
@@ -17,73 +17,27 @@
 
 const fs = require('fs');
 const path = require('path');
+const colorLib = require('./color');
+const { findFocusRingColor } = colorLib;
 
 // =============================================================================
 // COLOR UTILITIES
 // =============================================================================
 
-function hexToRgb(hex) {
-  const result = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(hex);
-  if (!result) return null;
-  return {
-    r: parseInt(result[1], 16),
-    g: parseInt(result[2], 16),
-    b: parseInt(result[3], 16)
-  };
-}
-
-function rgbToHsl(r, g, b) {
-  r /= 255;
-  g /= 255;
-  b /= 255;
-
-  const max = Math.max(r, g, b);
-  const min = Math.min(r, g, b);
-  let h, s;
-  const l = (max + min) / 2;
-
-  if (max === min) {
-    h = s = 0;
-  } else {
-    const d = max - min;
-    s = l > 0.5 ? d / (2 - max - min) : d / (max + min);
-
-    switch (max) {
-      case r: h = ((g - b) / d + (g < b ? 6 : 0)) / 6; break;
-      case g: h = ((b - r) / d + 2) / 6; break;
-      case b: h = ((r - g) / d + 4) / 6; break;
-    }
-  }
-
+// Accepts any CSS color; shadcn variables are HSL, so wide-gamut values are gamut mapped
+function hexToHsl(hex) {
+  const hsl = colorLib.toHsl(hex);
+  if (!hsl) return null;
   return {
-    h: Math.round(h * 360),
-    s: Math.round(s * 100),
-    l: Math.round(l * 100)
+    h: Math.round(hsl.h),
+    s: Math.round(hsl.s),
+    l: Math.round(hsl.l)
   };
 }
 
-function hexToHsl(hex) {
-  const rgb = hexToRgb(hex);
-  if (!rgb) return null;
-  return rgbToHsl(rgb.r, rgb.g, rgb.b);
-}
-
-function rgbStringToHsl(rgb) {
-  const match = rgb.match(/rgba?\((\d+),\s*(\d+),\s*(\d+)/);
-  if (!match) return null;
-  return rgbToHsl(parseInt(match[1]), parseInt(match[2]), parseInt(match[3]));
-}
-
 function parseToHsl(value) {
   if (!value) return null;
-  if (value.startsWith('#')) return hexToHsl(value);
-  if (value.startsWith('rgb')) return rgbStringToHsl(value);
-  // Already HSL?
-  const hslMatch = value.match(/hsl\((\d+),\s*(\d+)%?,\s*(\d+)%?\)/);
-  if (hslMatch) {
-    return { h: parseInt(hslMatch[1]), s: parseInt(hslMatch[2]), l: parseInt(hslMatch[3]) };
-  }
-  return null;
+  return hexToHsl(value);
 }
 
 function hslToString(hsl) {
@@ -91,31 +45,15 @@ function hslToString(hsl) {
   return `${hsl.h} ${hsl.s}% ${hsl.l}%`;
 }
 
-function getLuminance(hex) {
-  const rgb = hexToRgb(hex);
-  if (!rgb) return 0;
-  const [r, g, b] = [rgb.r, rgb.g, rgb.b].map(c => {
-    c /= 255;
-    return c <= 0.03928 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
-  });
-  return 0.2126 * r + 0.7152 * g + 0.0722 * b;
-}
-
 function isLightColor(hex) {
-  return getLuminance(hex) > 0.5;
+  return (colorLib.luminance(hex) ?? 0) > 0.5;
 }
 
 // =============================================================================
 // SHADCN/UI THEME MAPPING
 // =============================================================================
 
-function mapToShadcnTheme(designSystem) {
-  const theme = {
-    light: {},
-    dark: {}
-  };
-
-  const colors = designSystem.colors || {};
+function createColorFinders(colors = {}) {
   const palette = colors.palette || [];
   const semantic = colors.semantic || {};
   const cssVars = colors.cssVariables || {};
@@ -134,37 +72,93 @@ function mapToShadcnTheme(designSystem) {
     return palette[fallbackIndex]?.value || '#000000';
   };
 
-  const findBackground = () => {
-    const bg = semantic.backgrounds?.[0]?.value;
-    if (bg) return bg;
-    return findColor(['background', 'bg', 'surface'], 0);
+  return {
+    findBackground: () => semantic.backgrounds?.[0]?.value || findColor(['background', 'bg', 'surface'], 0),
+    findForeground: () => semantic.text?.[0]?.value || findColor(['foreground', 'text', 'primary'], 0),
+    findAccent: () => semantic.accents?.[0]?.value || findColor(['accent', 'primary', 'brand', 'indigo', 'blue'], 0),
+    findMuted: () => findColor(['muted', 'secondary', 'subtle', 'gray'], 2),
+    findBorder: () => semantic.borders?.[0]?.value || findColor(['border', 'divider', 'separator'], 3),
+    findDestructive: () => findColor(['error', 'destructive', 'danger', 'red'], 0) || '#ef4444'
   };
+}
 
-  const findForeground = () => {
-    const text = semantic.text?.[0]?.value;
-    if (text) return text;
-    return findColor(['foreground', 'text', 'primary'], 0);
+function buildThemeVariables(find, { bg, fg, mutedForeground }) {
+  return {
+    background: parseToHsl(bg),
+    foreground: parseToHsl(fg),
+    card: parseToHsl(bg),
+    'card-foreground': parseToHsl(fg),
+    popover: parseToHsl(bg),
+    'popover-foreground': parseToHsl(fg),
+    primary: parseToHsl(find.findAccent()),
+    'primary-foreground': parseToHsl(isLightColor(find.findAccent()) ? '#0a0a0a' : '#fafafa'),
+    secondary: parseToHsl(find.findMuted()) || { h: 0, s: 0, l: 96 },
+    'secondary-foreground': parseToHsl(fg),
+    muted: parseToHsl(find.findMuted()) || { h: 0, s: 0, l: 96 },
+    'muted-foreground': mutedForeground,
+    accent: parseToHsl(find.findMuted()) || { h: 0, s: 0, l: 96 },
+    'accent-foreground': parseToHsl(fg),
+    destructive: parseToHsl(find.findDestructive()),
+    'destructive-foreground': { h: 0, s: 0, l: 98 },
+    border: parseToHsl(find.findBorder()) || { h: 0, s: 0, l: 90 },
+    input: parseToHsl(find.findBorder()) || { h: 0, s: 0, l: 90 },
+    ring: parseToHsl(find.findAccent())
   };
+}
 
-  const findAccent = () => {
-    const accent = semantic.accents?.[0]?.value;
-    if (accent) return accent;
-    return findColor(['accent', 'primary', 'brand', 'indigo', 'blue'], 0);
+function mapToShadcnTheme(designSystem) {
+  const theme = {
+    light: {},
+    dark: {}
   };
 
-  const findMuted = () => {
-    return findColor(['muted', 'secondary', 'subtle', 'gray'], 2);
-  };
+  const colors = designSystem.colors || {};
+  const palette = colors.palette || [];
+  const themes = designSystem.themes || {};
+
+  if (themes.light?.palette && themes.dark?.palette) {
+    // Dual-theme site: both themes were walked, so map each from its own colors
+    ['light', 'dark'].forEach(mode => {
+      const find = createColorFinders(themes[mode]);
+      const mutedForeground = themes[mode].semantic?.text?.[1]?.value;
+      theme[mode] = buildThemeVariables(find, {
+        bg: find.findBackground(),
+        fg: find.findForeground(),
+        mutedForeground: parseToHsl(mutedForeground) || { h: 0, s: 0, l: mode === 'dark' ? 64 : 45 }
+      });
+    });
+  } else {
+    buildInferredThemes(theme, createColorFinders(colors));
+  }
 
-  const findBorder = () => {
-    const border = semantic.borders?.[0]?.value;
-    if (border) return border;
-    return findColor(['border', 'divider', 'separator'], 3);
-  };
+  // Use the site's real focus ring over the accent guess
+  const ring = parseToHsl(findFocusRingColor(designSystem.components));
+  if (ring) {
+    theme.light.ring = ring;
+    theme.dark.ring = ring;
+  }
 
-  const findDestructive = () => {
-    return findColor(['error', 'destructive', 'danger', 'red'], 0) || '#ef4444';
-  };
+  // Add radius from design system
+  const radii = designSystem.borderRadius || [];
+  const defaultRadius = radii.find(r => r.role === 'default' || r.role === 'base');
+  theme.radius = defaultRadius?.value || radii[1]?.value || '0.5rem';
+
+  // Add chart colors if we have enough accents
+  if (palette.length >= 5) {
+    theme.light.chart = {};
+    theme.dark.chart = {};
+    for (let i = 0; i < Math.min(5, palette.length); i++) {
+      theme.light.chart[i + 1] = parseToHsl(palette[i].value);
+      theme.dark.chart[i + 1] = parseToHsl(palette[i].value);
+    }
+  }
+
+  return theme;
+}
+
+// Single-theme extraction: keep the detected theme and derive the other one
+function buildInferredThemes(theme, find) {
+  const { findBackground, findForeground, findAccent, findDestructive } = find;
 
   // Detect if dark mode
   const bgColor = findBackground();
@@ -174,27 +168,7 @@ function mapToShadcnTheme(designSystem) {
   const bg = isDarkMode ? '#ffffff' : bgColor;
   const fg = isDarkMode ? '#0a0a0a' : findForeground();
 
-  theme.light = {
-    background: parseToHsl(bg),
-    foreground: parseToHsl(fg),
-    card: parseToHsl(bg),
-    'card-foreground': parseToHsl(fg),
-    popover: parseToHsl(bg),
-    'popover-foreground': parseToHsl(fg),
-    primary: parseToHsl(findAccent()),
-    'primary-foreground': parseToHsl(isLightColor(findAccent()) ? '#0a0a0a' : '#fafafa'),
-    secondary: parseToHsl(findMuted()) || { h: 0, s: 0, l: 96 },
-    'secondary-foreground': parseToHsl(fg),
-    muted: parseToHsl(findMuted()) || { h: 0, s: 0, l: 96 },
-    'muted-foreground': { h: 0, s: 0, l: 45 },
-    accent: parseToHsl(findMuted()) || { h: 0, s: 0, l: 96 },
-    'accent-foreground': parseToHsl(fg),
-    destructive: parseToHsl(findDestructive()),
-    'destructive-foreground': { h: 0, s: 0, l: 98 },
-    border: parseToHsl(findBorder()) || { h: 0, s: 0, l: 90 },
-    input: parseToHsl(findBorder()) || { h: 0, s: 0, l: 90 },
-    ring: parseToHsl(findAccent())
-  };
+  theme.light = buildThemeVariables(find, { bg, fg, mutedForeground: { h: 0, s: 0, l: 45 } });
 
   // Build dark theme
   const darkBg = isDarkMode ? bgColor : '#0a0a0a';
@@ -221,23 +195,6 @@ function mapToShadcnTheme(designSystem) {
     input: { h: 0, s: 0, l: 15 },
     ring: parseToHsl(findAccent())
   };
-
-  // Add radius from design system
-  const radii = designSystem.borderRadius || [];
-  const defaultRadius = radii.find(r => r.role === 'default' || r.role === 'base');
-  theme.radius = defaultRadius?.value || radii[1]?.value || '0.5rem';
-
-  // Add chart colors if we have enough accents
-  if (palette.length >= 5) {
-    theme.light.chart = {};
-    theme.dark.chart = {};
-    for (let i = 0; i < Math.min(5, palette.length); i++) {
-      theme.light.chart[i + 1] = parseToHsl(palette[i].value);
-      theme.dark.chart[i + 1] = parseToHsl(palette[i].value);
-    }
-  }
-
-  return theme;
 }
 
 // =============================================================================
@@ -400,7 +357,8 @@ module.exports = {
   generateJSON,
   hexToHsl,
   hslToString,
-  isLightColor
+  isLightColor,
+  findFocusRingColor
 };
 
 // =============================================================================
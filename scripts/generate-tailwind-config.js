@@ -5,15 +5,54 @@
  * Usage:
  *   node generate-tailwind-config.js <input.json> [output.js]
  *   node generate-tailwind-config.js references/duchateau.json
+ *   node generate-tailwind-config.js references/duchateau.json app.css --tailwind=v4
+ *   node generate-tailwind-config.js linear.accessible.json --accessible-variants
  * 
  * If no output file specified, prints to stdout.
+ * --accessible-variants: for colors fix-contrast.js corrected, the brand
+ * original keeps the key and the fix follows as `<key>-accessible`
+ * (`foreground.muted` and `foreground.muted-accessible`).
+ * --tailwind=v4 writes a CSS-first stylesheet instead: an @theme block of
+ * namespaced custom properties (--color-*, --font-*, --text-*, --radius-*...).
+ * Per-element styles become `.text-{tag}` / `.spacing-{tag}` component classes
+ * that carry their responsive overrides (extract.js --responsive) as @media rules.
  */
 
 const fs = require('fs');
 const path = require('path');
+const colorLib = require('./color');
+const { findFocusRingColor } = colorLib;
+const { THEME_NAMESPACES } = require('./tailwind-config');
 
-function generateTailwindConfig(designSystem) {
-  const { colors, typography, spacing, shadows, borderRadius, breakpoints, animations } = designSystem;
+// Component classes for per-element styles, with breakpoint overrides nested
+function buildElementComponents(typography = {}, spacing = {}, responsive) {
+  const components = {};
+  const addStyles = (selector, styles, media) => {
+    const clean = Object.fromEntries(Object.entries(styles).filter(([, v]) => v));
+    if (!Object.keys(clean).length) return;
+    components[selector] = components[selector] || {};
+    if (media) {
+      components[selector][`@media ${media}`] = clean;
+    } else {
+      Object.assign(components[selector], clean);
+    }
+  };
+
+  Object.entries(typography.elements || {}).forEach(([tag, styles]) => addStyles(`.text-${tag}`, styles));
+  Object.entries(spacing.elements || {}).forEach(([tag, styles]) => addStyles(`.spacing-${tag}`, styles));
+
+  Object.values(responsive?.overrides || {}).forEach(override => {
+    Object.entries(override.typography?.elements || {}).forEach(([tag, styles]) => addStyles(`.text-${tag}`, styles, override.media));
+    Object.entries(override.spacing?.elements || {}).forEach(([tag, styles]) => addStyles(`.spacing-${tag}`, styles, override.media));
+  });
+
+  return components;
+}
+
+// theme.extend for a design system, shared by the v3 config and the v4 @theme output
+function buildTheme(designSystem, options = {}) {
+  const { accessibleVariants = false } = options;
+  const { colors, typography, spacing, shadows, borderRadius, breakpoints, animations, components } = designSystem;
   
   // Build color palette from semantic + palette data
   const colorConfig = {};
@@ -47,6 +86,40 @@ function generateTailwindConfig(designSystem) {
     };
   }
   
+  // Interaction states captured from the site's own components
+  const primaryButton = components?.buttons?.find(b => b.backgroundColor && b.states?.hover?.backgroundColor);
+  if (primaryButton) {
+    colorConfig.primary = {
+      DEFAULT: primaryButton.backgroundColor,
+      hover: primaryButton.states.hover.backgroundColor,
+      active: primaryButton.states.active?.backgroundColor,
+    };
+  }
+  const ringColor = findFocusRingColor(components);
+  if (ringColor) colorConfig.ring = ringColor;
+
+  // Brand originals of fix-contrast.js corrections, with the fix alongside
+  if (accessibleVariants) {
+    colors.palette?.forEach(c => {
+      if (!c.role || !c.original) return;
+      const key = c.role.replace(/-/g, '');
+      colorConfig[key] = c.original;
+      colorConfig[`${key}-accessible`] = c.value;
+    });
+    const groups = {
+      background: [['DEFAULT', 'secondary', 'tertiary'], colors.semantic?.backgrounds],
+      foreground: [['DEFAULT', 'secondary', 'muted'], colors.semantic?.text]
+    };
+    for (const [group, [keys, entries]] of Object.entries(groups)) {
+      keys.forEach((key, i) => {
+        const entry = entries?.[i];
+        if (!entry?.original || !colorConfig[group]) return;
+        colorConfig[group][key] = entry.original;
+        colorConfig[group][key === 'DEFAULT' ? 'accessible' : `${key}-accessible`] = entry.value;
+      });
+    }
+  }
+  
   // Clean undefined values
   Object.keys(colorConfig).forEach(key => {
     if (typeof colorConfig[key] === 'object') {
@@ -142,24 +215,41 @@ function generateTailwindConfig(designSystem) {
     transitionTimingFunction[names[i] || `custom-${i}`] = e;
   });
 
+  return {
+    colors: colorConfig,
+    fontFamily,
+    fontSize,
+    fontWeight,
+    spacing: spacingConfig,
+    borderRadius: borderRadiusConfig,
+    boxShadow,
+    screens,
+    transitionDuration,
+    transitionTimingFunction,
+  };
+}
+
+function generateTailwindConfig(designSystem, options = {}) {
+  const { typography, spacing, responsive } = designSystem;
+
   // Build config object
   const config = {
     theme: {
-      extend: {
-        colors: colorConfig,
-        fontFamily,
-        fontSize,
-        fontWeight,
-        spacing: spacingConfig,
-        borderRadius: borderRadiusConfig,
-        boxShadow,
-        screens,
-        transitionDuration,
-        transitionTimingFunction,
-      }
+      extend: buildTheme(designSystem, options)
     }
   };
 
+  // Element classes keep quoted keys: selectors and @media aren't identifiers
+  const elementComponents = buildElementComponents(typography, spacing, responsive);
+  const plugins = Object.keys(elementComponents).length
+    ? `,
+  plugins: [
+    function ({ addComponents }) {
+      addComponents(${JSON.stringify(elementComponents, null, 2).replace(/\n/g, '\n      ')});
+    }
+  ]`
+    : '';
+
   // Generate output
   const output = `/** @type {import('tailwindcss').Config} */
 // Generated from: ${designSystem.meta?.url || 'unknown'}
@@ -167,28 +257,126 @@ function generateTailwindConfig(designSystem) {
 // Character: ${designSystem.meta?.designCharacter || ''}
 
 module.exports = ${JSON.stringify(config, null, 2)
-  .replace(/"([^"]+)":/g, '$1:')  // Remove quotes from keys
-  .replace(/"/g, "'")};           // Single quotes for values
+  .replace(/"([A-Za-z_$][\w$]*)":/g, '$1:')  // Remove quotes from identifier keys
+  .replace(/"/g, "'")             // Single quotes for values
+  .replace(/\n}$/, `${plugins}\n}`)};
 `;
 
   return output;
 }
 
+// Tailwind v4 @theme variables for each theme key; keys without a v4 namespace
+// only carry over their DEFAULT, as the matching --default-* variable
+const THEME_VARIABLES = Object.fromEntries(THEME_NAMESPACES.map(([prefix, key]) => [key, prefix]));
+const DEFAULT_VARIABLES = {
+  transitionDuration: '--default-transition-duration',
+  transitionTimingFunction: '--default-transition-timing-function'
+};
+
+const kebabCase = (str) => str.replace(/[A-Z]/g, ch => `-${ch.toLowerCase()}`);
+
+// Theme entries as [variable, value] pairs: colors.background.secondary →
+// --color-background-secondary, fontSize tuples add --text-*--line-height
+function themeVariables(theme) {
+  const variables = [];
+
+  Object.entries(theme).forEach(([key, values]) => {
+    const prefix = THEME_VARIABLES[key];
+    const visit = (segments, value) => {
+      if (value && typeof value === 'object' && !Array.isArray(value)) {
+        Object.entries(value).forEach(([k, v]) => visit([...segments, k], v));
+        return;
+      }
+      const name = segments.filter(s => s !== 'DEFAULT').join('-');
+      // Arbitrary keys ([13px]) need no token in v4, where p-[13px] just works
+      if (/[[\]]/.test(name)) return;
+      let variable;
+      if (name) {
+        // Custom property names can't hold dots: spacing 0.5 → --spacing-0_5
+        variable = prefix && `${prefix}-${name.replace(/\./g, '_')}`;
+      } else {
+        variable = key === 'transitionTimingFunction' || key === 'transitionDuration' ? DEFAULT_VARIABLES[key] : prefix;
+      }
+      if (!variable || value === undefined || value === null) return;
+
+      if (key === 'fontSize' && Array.isArray(value)) {
+        const [size, options = {}] = value;
+        variables.push([variable, size]);
+        if (options.lineHeight) variables.push([`${variable}--line-height`, options.lineHeight]);
+      } else {
+        variables.push([variable, Array.isArray(value) ? value.join(', ') : value]);
+      }
+    };
+    visit([], values);
+  });
+
+  return variables;
+}
+
+// Component rules as CSS, nesting the @media overrides inside each rule
+function componentsCSS(components, indent = '  ') {
+  return Object.entries(components).map(([selector, styles]) => {
+    const body = Object.entries(styles).map(([prop, value]) => {
+      if (value && typeof value === 'object') {
+        return `${indent}  ${prop} {\n${Object.entries(value).map(([p, v]) => `${indent}    ${kebabCase(p)}: ${v};`).join('\n')}\n${indent}  }`;
+      }
+      return `${indent}  ${kebabCase(prop)}: ${value};`;
+    });
+    return `${indent}${selector} {\n${body.join('\n')}\n${indent}}`;
+  }).join('\n\n');
+}
+
+/**
+ * Tailwind v4 stylesheet: the theme as an @theme block of namespaced custom
+ * properties instead of a JS config, and element classes in @layer components.
+ */
+function generateTailwindTheme(designSystem, options = {}) {
+  const { typography, spacing, responsive } = designSystem;
+  const variables = themeVariables(buildTheme(designSystem, options));
+  const elementComponents = buildElementComponents(typography, spacing, responsive);
+
+  const lines = [
+    `/* Generated from: ${designSystem.meta?.url || 'unknown'} */`,
+    `/* Extracted: ${designSystem.meta?.extractedAt || 'unknown'} */`,
+    `/* Character: ${designSystem.meta?.designCharacter || ''} */`,
+    '',
+    '@import "tailwindcss";',
+    '',
+    '@theme {',
+    ...variables.map(([name, value]) => `  ${name}: ${value};`),
+    '}'
+  ];
+
+  if (Object.keys(elementComponents).length) {
+    lines.push('', '@layer components {', componentsCSS(elementComponents), '}');
+  }
+
+  return `${lines.join('\n')}\n`;
+}
+
 // CLI execution
 if (require.main === module) {
   const args = process.argv.slice(2);
+  const version = args.find(a => a.startsWith('--tailwind='))?.split('=')[1] || 'v3';
+  const positional = args.filter(a => !a.startsWith('--'));
   
-  if (args.length < 1) {
-    console.error('Usage: node generate-tailwind-config.js <input.json> [output.js]');
+  if (positional.length < 1) {
+    console.error('Usage: node generate-tailwind-config.js <input.json> [output.js|output.css] [--tailwind=v3|v4] [--accessible-variants]');
+    process.exit(1);
+  }
+
+  if (!['v3', 'v4'].includes(version)) {
+    console.error(`Error: Unknown Tailwind version: ${version} (use v3 or v4)`);
     process.exit(1);
   }
 
-  const inputPath = args[0];
-  const outputPath = args[1];
+  const inputPath = positional[0];
+  const outputPath = positional[1];
 
   try {
     const json = JSON.parse(fs.readFileSync(inputPath, 'utf-8'));
-    const config = generateTailwindConfig(json);
+    const options = { accessibleVariants: args.includes('--accessible-variants') };
+    const config = version === 'v4' ? generateTailwindTheme(json, options) : generateTailwindConfig(json, options);
     
     if (outputPath) {
       fs.writeFileSync(outputPath, config);
@@ -202,4 +390,11 @@ if (require.main === module) {
   }
 }
 
-module.exports = { generateTailwindConfig };
+module.exports = {
+  generateTailwindConfig,
+  generateTailwindTheme,
+  buildTheme,
+  themeVariables,
+  buildElementComponents,
+  findFocusRingColor
+};
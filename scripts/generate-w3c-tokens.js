@@ -13,6 +13,8 @@
 
 const fs = require('fs');
 const path = require('path');
+const colorLib = require('./color');
+const { buildTokenGraph, createReferenceWriter, resolveToken } = require('./token-graph');
 
 // =============================================================================
 // W3C TOKEN TYPE CONSTANTS
@@ -88,12 +90,12 @@ function parseShadow(value) {
 
   // Parse box-shadow: offsetX offsetY blur spread color
   const shadows = [];
-  const shadowRegex = /(inset\s+)?([\d.-]+px)\s+([\d.-]+px)\s+([\d.-]+px)(?:\s+([\d.-]+px))?\s+(rgba?\([^)]+\)|#[a-fA-F0-9]{3,8})/g;
+  const shadowRegex = /(inset\s+)?([\d.-]+px)\s+([\d.-]+px)\s+([\d.-]+px)(?:\s+([\d.-]+px))?\s+((?:rgba?|hsla?|hwb|lab|lch|oklab|oklch|color)\([^)]+\)|#[a-fA-F0-9]{3,8})/g;
 
   let match;
   while ((match = shadowRegex.exec(value)) !== null) {
     shadows.push({
-      color: match[6],
+      color: colorLib.normalize(match[6]) || match[6],
       offsetX: parsePixelValue(match[2]) || { value: 0, unit: 'px' },
       offsetY: parsePixelValue(match[3]) || { value: 0, unit: 'px' },
       blur: parsePixelValue(match[4]) || { value: 0, unit: 'px' },
@@ -105,6 +107,48 @@ function parseShadow(value) {
   return shadows.length > 0 ? shadows : null;
 }
 
+// =============================================================================
+// TOKEN REFERENCES
+// =============================================================================
+
+/**
+ * Token paths for every color in the graph, named the way both formats write
+ * them: site color variables under color.variable, palette under color, and
+ * semantic groups under color.semantic. Variables that don't resolve to a
+ * color are left out.
+ */
+function colorTokenPaths(graph, designSystem) {
+  const paths = [];
+
+  for (const token of graph.tokens.values()) {
+    if (!token.id.startsWith('variable.') || token.type !== TOKEN_TYPES.COLOR) continue;
+    if (resolveToken(graph, token.id) === null) continue;
+    paths.push([token.id, `color.variable.${sanitizeName(token.id.slice('variable.'.length))}`]);
+  }
+
+  designSystem.colors?.palette?.forEach((color, i) => {
+    paths.push([`palette.${i}`, `color.${sanitizeName(color.role || `color-${i + 1}`)}`]);
+  });
+
+  ['backgrounds', 'text', 'borders', 'accents'].forEach(category => {
+    designSystem.colors?.semantic?.[category]?.forEach((c, i) => {
+      const name = i === 0 ? 'primary' : i === 1 ? 'secondary' : `level-${i + 1}`;
+      paths.push([`semantic.${category}.${i}`, `color.semantic.${category}.${name}`]);
+    });
+  });
+
+  return paths;
+}
+
+// Reference writer with every color path defined, plus those paths by token id
+function createColorReferences(designSystem, formatReference) {
+  const graph = buildTokenGraph(designSystem);
+  const refs = createReferenceWriter(graph, formatReference);
+  const paths = new Map(colorTokenPaths(graph, designSystem));
+  paths.forEach((tokenPath, id) => refs.define(id, tokenPath));
+  return { refs, paths };
+}
+
 // =============================================================================
 // W3C TOKEN GENERATORS
 // =============================================================================
@@ -125,13 +169,28 @@ function generateW3CTokens(designSystem) {
   if (designSystem.colors?.palette?.length > 0 || designSystem.colors?.cssVariables) {
     tokens.color = {};
 
+    // Colors matching a site variable or palette entry are written as {alias} references
+    const { refs, paths } = createColorReferences(designSystem, tokenPath => `{${tokenPath}}`);
+
+    // From site custom properties
+    paths.forEach((tokenPath, id) => {
+      if (!id.startsWith('variable.')) return;
+      tokens.color.variable = tokens.color.variable || {};
+      tokens.color.variable[tokenPath.slice('color.variable.'.length)] = {
+        $type: TOKEN_TYPES.COLOR,
+        $value: refs.valueFor(id, tokenPath)
+      };
+    });
+
     // From palette
     designSystem.colors?.palette?.forEach((color, i) => {
       const name = sanitizeName(color.role || `color-${i + 1}`);
       tokens.color[name] = {
         $type: TOKEN_TYPES.COLOR,
-        $value: color.value,
-        $description: color.count ? `Used ${color.count} times` : undefined
+        $value: refs.valueFor(`palette.${i}`, `color.${name}`),
+        $description: color.count ? `Used ${color.count} times` : undefined,
+        // Wide-gamut values keep their space; tools without it can use the sRGB fallback
+        $extensions: color.hex ? { 'com.impression': { colorSpace: color.space, hex: color.hex } } : undefined
       };
     });
 
@@ -147,7 +206,7 @@ function generateW3CTokens(designSystem) {
             const name = i === 0 ? 'primary' : i === 1 ? 'secondary' : `level-${i + 1}`;
             tokens.color.semantic[category][name] = {
               $type: TOKEN_TYPES.COLOR,
-              $value: c.value
+              $value: refs.valueFor(`semantic.${category}.${i}`, `color.semantic.${category}.${name}`)
             };
           });
         }
@@ -355,10 +414,18 @@ function generateStyleDictionaryFormat(designSystem) {
     asset: {}
   };
 
-  // Colors
+  // Colors, keeping aliases as {path.value} references
+  const { refs, paths } = createColorReferences(designSystem, tokenPath => `{${tokenPath}.value}`);
+
+  paths.forEach((tokenPath, id) => {
+    if (!id.startsWith('variable.')) return;
+    tokens.color.variable = tokens.color.variable || {};
+    tokens.color.variable[tokenPath.slice('color.variable.'.length)] = { value: refs.valueFor(id, tokenPath) };
+  });
+
   designSystem.colors?.palette?.forEach((color, i) => {
     const name = sanitizeName(color.role || `color-${i + 1}`);
-    tokens.color[name] = { value: color.value };
+    tokens.color[name] = { value: refs.valueFor(`palette.${i}`, `color.${name}`) };
   });
 
   // Font sizes
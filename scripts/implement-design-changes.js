@@ -4,18 +4,50 @@
  * Actually modifies config files and creates atomic commits for design alignment
  *
  * Usage:
- *   node implement-design-changes.js <project-path> <reference.json> [--dry-run] [--no-commit]
+ *   node implement-design-changes.js <project-path> <reference.json> [--dry-run] [--no-commit] [--config=FILE]
  *   node implement-design-changes.js ./my-project references/duchateau.json
+ *   node implement-design-changes.js ./my-project --resume
  *
  * Creates: feature/design-system-alignment branch with actual file modifications
  *
+ * Runs are transactional. Preflight checks come first (a clean working tree,
+ * the branch name free, every target file parseable); every step then goes
+ * into an undo journal in .git/impression-journal.json before it is taken.
+ * Any failure rolls the project back to the original branch and files, and
+ * --resume recreates the branch at the last good commit and continues from
+ * the one that failed.
+ *
+ * Once the tokens are in, hardcoded colors, spacing and radii in components
+ * and stylesheets are rewritten to the tokens they match (see
+ * replace-hardcoded-values.js): bg-[#5e6ad3] becomes bg-accent and #5e6ad3
+ * var(--color-accent), one commit per category so each can be reviewed and
+ * reverted on its own.
+ *
+ * The project's .impressionrc or impression.config.json (see impression-config.js)
+ * applies: ignored reference tokens are not added, categories weighted 0 are
+ * left alone, and ignored files are not modified.
+ *
  * @version 2.0.0
  */
 
 const fs = require('fs');
 const path = require('path');
-const { execSync } = require('child_process');
-const { compareDesignSystems } = require('./compare-design-systems');
+const { execSync, execFileSync } = require('child_process');
+const { compareDesignSystems, withoutIgnoredTokens } = require('./compare-design-systems');
+const { loadConfig, createIgnore } = require('./impression-config');
+const colorLib = require('./color');
+const { loadPostcss, parseStylesheets } = require('./css-parser');
+const { tokenize } = require('./js-source');
+const { loadTailwindTheme } = require('./usage-scanner');
+const { findReplacements, existingTokens, rewriteFiles } = require('./replace-hardcoded-values');
+const {
+  detectTailwind,
+  loadTailwindConfig,
+  loadThemeStylesheets,
+  scanConfigSource,
+  scanStylesheet,
+  THEME_NAMESPACES
+} = require('./tailwind-config');
 
 // =============================================================================
 // UTILITIES
@@ -33,15 +65,22 @@ function exec(cmd, cwd, silent = true) {
   }
 }
 
-function backup(filePath) {
-  if (fs.existsSync(filePath)) {
-    const backupPath = `${filePath}.backup-${Date.now()}`;
-    fs.copyFileSync(filePath, backupPath);
-    return backupPath;
+// Git with arguments passed as-is (no shell quoting); throws with git's own message
+function git(args, cwd) {
+  try {
+    return execFileSync('git', args, { cwd, encoding: 'utf-8', stdio: 'pipe' }).trim();
+  } catch (err) {
+    const detail = (err.stderr || err.stdout || err.message || '').toString().trim().split('\n')[0];
+    throw new Error(`git ${args[0]} failed: ${detail}`);
   }
-  return null;
 }
 
+// Files a plan commit modifies: the config for tokens, components for replacements
+const commitFiles = (commit) => commit.files || [commit.file];
+
+// Name of a plan commit's step, in logs, the journal and --resume messages
+const stepName = (commit) => (commit.kind === 'replace' ? `${commit.category} replacements` : commit.category);
+
 function log(msg, level = 'info') {
   const prefix = {
     info: '→',
@@ -60,12 +99,21 @@ function log(msg, level = 'info') {
 function detectConfigFiles(projectPath) {
   const configs = {
     tailwind: null,
-    tailwindFormat: null, // 'js', 'ts', 'mjs', 'cjs'
+    tailwindFormat: null, // 'js', 'ts', 'mjs', 'cjs', 'v4'
     cssVars: null,
     packageJson: null,
     isTypeScript: false
   };
 
+  // Tailwind v4 keeps its theme in a stylesheet's @theme block, often with no
+  // config file at all; the first stylesheet that already has one is the target
+  const tailwind = detectTailwind(projectPath);
+  if (tailwind?.version === 4) {
+    const stylesheet = tailwind.stylesheets.find(f => /@theme\b/.test(fs.readFileSync(f, 'utf-8'))) || tailwind.stylesheets[0];
+    configs.tailwind = path.relative(projectPath, stylesheet);
+    configs.tailwindFormat = 'v4';
+  }
+
   // Tailwind config variants
   const twVariants = [
     { file: 'tailwind.config.ts', format: 'ts' },
@@ -75,7 +123,7 @@ function detectConfigFiles(projectPath) {
   ];
 
   for (const { file, format } of twVariants) {
-    if (fs.existsSync(path.join(projectPath, file))) {
+    if (!configs.tailwind && fs.existsSync(path.join(projectPath, file))) {
       configs.tailwind = file;
       configs.tailwindFormat = format;
       configs.isTypeScript = format === 'ts';
@@ -272,128 +320,160 @@ function generateShadowTokens(reference, format) {
 // TAILWIND CONFIG MODIFICATION
 // =============================================================================
 
-function parseTailwindConfig(content) {
-  // Extract the theme.extend section or create structure
-  const result = {
-    beforeTheme: '',
-    theme: {},
-    afterTheme: '',
-    raw: content
-  };
+// Theme keys each category writes
+const TAILWIND_THEME_KEYS = {
+  colors: ['colors'],
+  typography: ['fontFamily', 'fontSize', 'fontWeight', 'lineHeight'],
+  spacing: ['spacing'],
+  borderRadius: ['borderRadius'],
+  shadows: ['boxShadow'],
+  animations: ['transitionDuration', 'transitionTimingFunction']
+};
 
-  // Simple regex-based extraction for common patterns
-  const themeMatch = content.match(/theme\s*:\s*\{/);
-  if (themeMatch) {
-    result.hasTheme = true;
-    result.themeStart = themeMatch.index;
-  }
+const endsWithPath = (full, suffix) =>
+  full.length >= suffix.length && suffix.every((part, i) => full[full.length - suffix.length + i] === part);
 
-  const extendMatch = content.match(/extend\s*:\s*\{/);
-  if (extendMatch) {
-    result.hasExtend = true;
-    result.extendStart = extendMatch.index;
+/**
+ * Locate the config's object literals: the exported config (`module.exports = {`,
+ * `export default {`, `defineConfig({` or a `const config = {` exported later),
+ * its theme and theme.extend, and each theme.extend.<key> object.
+ * Offsets are those of the opening and closing braces.
+ */
+function parseTailwindConfig(content) {
+  const { entries, objects } = scanConfigSource(content);
+  const contains = (outer, inner) => outer !== inner && outer.start < inner.start && outer.end > inner.end;
+
+  // Top-level objects, the export first
+  const topLevel = objects
+    .filter(o => o.path.length <= 1 && !objects.some(other => contains(other, o)))
+    .sort((a, b) => a.path.length - b.path.length || b.start - a.start);
+  const extend = objects.find(o => endsWithPath(o.path, ['theme', 'extend']) && o.path.length <= 3) || null;
+  const theme = objects.find(o => endsWithPath(o.path, ['theme']) && o.path.length <= 2) || null;
+  const root = topLevel.find(o => (theme || extend) && contains(o, theme || extend)) || topLevel[0] || null;
+
+  const extendKeys = {};
+  if (extend) {
+    objects
+      .filter(o => o.path.length === extend.path.length + 1 && contains(extend, o))
+      .forEach(o => { extendKeys[o.path[o.path.length - 1]] = o; });
   }
 
-  return result;
+  return { raw: content, entries, root, theme, extend, extendKeys, hasTheme: !!theme, hasExtend: !!extend };
 }
 
-function mergeTailwindTokens(content, tokens, category) {
-  // Determine if we should add to extend or replace
-  const hasExtend = content.includes('extend:');
-  const hasTheme = content.includes('theme:');
+// Offset of a 1-based line and column
+function offsetOf(content, line, column) {
+  const lines = content.split('\n').slice(0, line - 1);
+  return lines.reduce((offset, text) => offset + text.length + 1, 0) + column - 1;
+}
 
-  let tokenString = '';
+// Indentation of the line holding `index`
+function indentAt(content, index) {
+  const lineStart = content.lastIndexOf('\n', index) + 1;
+  return content.slice(lineStart).match(/^[ \t]*/)[0];
+}
 
-  switch (category) {
-    case 'colors':
-      tokenString = `colors: ${JSON.stringify(tokens.colors, null, 8)}`;
-      break;
-    case 'typography':
-      const typoParts = [];
-      if (Object.keys(tokens.fontFamily).length > 0) {
-        typoParts.push(`fontFamily: ${JSON.stringify(tokens.fontFamily, null, 8)}`);
-      }
-      if (Object.keys(tokens.fontSize).length > 0) {
-        typoParts.push(`fontSize: ${JSON.stringify(tokens.fontSize, null, 8)}`);
-      }
-      if (Object.keys(tokens.fontWeight).length > 0) {
-        typoParts.push(`fontWeight: ${JSON.stringify(tokens.fontWeight, null, 8)}`);
-      }
-      if (Object.keys(tokens.lineHeight).length > 0) {
-        typoParts.push(`lineHeight: ${JSON.stringify(tokens.lineHeight, null, 8)}`);
-      }
-      tokenString = typoParts.join(',\n        ');
-      break;
-    case 'spacing':
-      tokenString = `spacing: ${JSON.stringify(tokens.spacing, null, 8)}`;
-      break;
-    case 'borderRadius':
-      tokenString = `borderRadius: ${JSON.stringify(tokens.borderRadius, null, 8)}`;
-      break;
-    case 'animations':
-      const animParts = [];
-      if (Object.keys(tokens.transitionDuration).length > 0) {
-        animParts.push(`transitionDuration: ${JSON.stringify(tokens.transitionDuration, null, 8)}`);
-      }
-      if (Object.keys(tokens.transitionTimingFunction).length > 0) {
-        animParts.push(`transitionTimingFunction: ${JSON.stringify(tokens.transitionTimingFunction, null, 8)}`);
-      }
-      tokenString = animParts.join(',\n        ');
-      break;
-    case 'shadows':
-      tokenString = `boxShadow: ${JSON.stringify(tokens.boxShadow, null, 8)}`;
-      break;
-  }
+const formatKey = (key) => (/^[A-Za-z_$][\w$]*$/.test(key) ? key : JSON.stringify(key));
 
-  if (!tokenString) return content;
+function formatEntries(values, indent) {
+  return Object.entries(values)
+    .map(([key, value]) => `\n${indent}${formatKey(key)}: ${JSON.stringify(value)},`)
+    .join('');
+}
 
-  // Strategy: Find extend block and add/merge tokens
-  if (hasExtend) {
-    // Find the extend: { and insert after it
-    const extendMatch = content.match(/extend\s*:\s*\{/);
-    if (extendMatch) {
-      const insertPos = extendMatch.index + extendMatch[0].length;
-      const before = content.slice(0, insertPos);
-      const after = content.slice(insertPos);
+/**
+ * Theme entries a category's tokens add, by theme key. With the config's
+ * resolved theme, entries it already has with the same value are left out.
+ */
+function tailwindThemeEntries(tokens, category, resolvedTheme = null) {
+  const groups = {};
+  for (const key of TAILWIND_THEME_KEYS[category] || []) {
+    const entries = Object.entries(tokens[key] || {}).filter(([name, value]) =>
+      !resolvedTheme || JSON.stringify(resolvedTheme[key]?.[name]) !== JSON.stringify(value)
+    );
+    if (entries.length > 0) groups[key] = Object.fromEntries(entries);
+  }
+  return groups;
+}
 
-      // Check if category already exists in extend
-      const categoryRegex = new RegExp(`(${category}|fontFamily|fontSize|fontWeight|lineHeight|transitionDuration|transitionTimingFunction|boxShadow)\\s*:`);
-      if (categoryRegex.test(after.slice(0, 500))) {
-        // Merge strategy: for now, replace existing
-        // More sophisticated would be deep merge
-        log(`Merging ${category} tokens into existing config`, 'info');
+function mergeTailwindTokens(content, tokens, category, resolvedTheme = null) {
+  const groups = tailwindThemeEntries(tokens, category, resolvedTheme);
+  if (Object.keys(groups).length === 0) return content;
+
+  const config = parseTailwindConfig(content);
+  const edits = []; // [offset, length replaced, text]
+
+  // A theme.extend block for keys not already in one
+  const extendBlock = (keys, indent) => keys
+    .map(key => `\n${indent}${key}: {${formatEntries(groups[key], indent + '  ')}\n${indent}},`)
+    .join('');
+
+  if (config.extend) {
+    const indent = indentAt(content, config.extend.start) + '  ';
+    const newKeys = [];
+    for (const key of Object.keys(groups)) {
+      const existing = config.extendKeys[key];
+      if (existing) {
+        // Only missing names are appended after the last entry: the project's
+        // own values are never overwritten (the plan aliases conflicting ones)
+        log(`Merging ${key} tokens into existing config`, 'info');
+        const appended = {};
+        Object.entries(groups[key]).forEach(([name, value]) => {
+          const entry = config.entries.find(e =>
+            e.path.length === existing.path.length + 1 && endsWithPath(e.path, [...existing.path, name])
+          );
+          const offset = entry ? offsetOf(content, entry.line, entry.column) : -1;
+          if (!entry || offset < existing.start || offset > existing.end) {
+            appended[name] = value;
+          } else {
+            log(`${key}.${name} is already set in the config; leaving it as is`, 'warn');
+          }
+        });
+        if (Object.keys(appended).length > 0) {
+          const body = content.slice(existing.start + 1, existing.end);
+          const last = existing.start + 1 + body.trimEnd().length;
+          const comma = /[,{]$/.test(content.slice(0, last).trimEnd()) ? '' : ',';
+          const indent = indentAt(content, existing.start);
+          if (body.trim() && !body.includes('\n')) {
+            // `key: { a: '1' }` stays on one line
+            const inline = Object.entries(appended).map(([name, value]) => ` ${formatKey(name)}: ${JSON.stringify(value)}`);
+            edits.push([last, 0, comma + inline.join(',')]);
+          } else {
+            const close = body.trim() ? '' : `\n${indent}`; // `key: {}`
+            edits.push([last, 0, comma + formatEntries(appended, indent + '  ') + close]);
+          }
+        }
+      } else {
+        newKeys.push(key);
       }
-
-      content = `${before}\n        ${tokenString},${after}`;
-    }
-  } else if (hasTheme) {
-    // Add extend block to theme
-    const themeMatch = content.match(/theme\s*:\s*\{/);
-    if (themeMatch) {
-      const insertPos = themeMatch.index + themeMatch[0].length;
-      const before = content.slice(0, insertPos);
-      const after = content.slice(insertPos);
-      content = `${before}\n      extend: {\n        ${tokenString},\n      },${after}`;
     }
+    if (newKeys.length > 0) edits.push([config.extend.start + 1, 0, extendBlock(newKeys, indent)]);
+  } else if (config.theme) {
+    const indent = indentAt(content, config.theme.start) + '  ';
+    edits.push([config.theme.start + 1, 0, `\n${indent}extend: {${extendBlock(Object.keys(groups), indent + '  ')}\n${indent}},`]);
+  } else if (config.root) {
+    const indent = indentAt(content, config.root.start) + '  ';
+    const block = extendBlock(Object.keys(groups), indent + '    ');
+    edits.push([config.root.start + 1, 0, `\n${indent}theme: {\n${indent}  extend: {${block}\n${indent}  },\n${indent}},`]);
   } else {
-    // Add entire theme block
-    const exportMatch = content.match(/(module\.exports\s*=\s*\{|export\s+default\s*\{)/);
-    if (exportMatch) {
-      const insertPos = exportMatch.index + exportMatch[0].length;
-      const before = content.slice(0, insertPos);
-      const after = content.slice(insertPos);
-      content = `${before}\n  theme: {\n    extend: {\n      ${tokenString},\n    },\n  },${after}`;
-    }
+    log('Could not find the exported config object', 'warn');
+    return content;
   }
 
-  return content;
+  return edits
+    .sort((a, b) => b[0] - a[0])
+    .reduce((result, [offset, length, text]) => result.slice(0, offset) + text + result.slice(offset + length), content);
 }
 
 function modifyTailwindConfig(filePath, tokens, category) {
   let content = fs.readFileSync(filePath, 'utf-8');
   const original = content;
 
-  content = mergeTailwindTokens(content, tokens, category);
+  // Values the config (with its presets) already resolves to needn't be added
+  const { theme, warnings } = loadTailwindConfig(filePath);
+  warnings.forEach(warning => log(warning, 'warn'));
+
+  content = mergeTailwindTokens(content, tokens, category, theme);
 
   if (content !== original) {
     fs.writeFileSync(filePath, content);
@@ -403,58 +483,97 @@ function modifyTailwindConfig(filePath, tokens, category) {
 }
 
 // =============================================================================
-// CSS VARIABLES MODIFICATION
+// TAILWIND V4 THEME MODIFICATION
 // =============================================================================
 
-function generateCSSVariables(tokens, category) {
-  const lines = [];
+// Theme key → v4 namespace: colors → --color, borderRadius → --radius...
+const THEME_VARIABLE_PREFIXES = Object.fromEntries(THEME_NAMESPACES.map(([prefix, key]) => [key, prefix]));
 
-  switch (category) {
-    case 'colors':
-      Object.entries(tokens.colors).forEach(([k, v]) => {
-        lines.push(`  --color-${k}: ${v};`);
-      });
-      break;
-    case 'typography':
-      Object.entries(tokens.fontFamily).forEach(([k, v]) => {
-        const value = Array.isArray(v) ? v.map(f => f.includes(' ') ? `"${f}"` : f).join(', ') : v;
-        lines.push(`  --font-${k}: ${value};`);
-      });
-      Object.entries(tokens.fontSize).forEach(([k, v]) => {
-        lines.push(`  --text-${k}: ${v};`);
-      });
-      Object.entries(tokens.fontWeight).forEach(([k, v]) => {
-        lines.push(`  --font-weight-${k}: ${v};`);
-      });
-      break;
-    case 'spacing':
-      Object.entries(tokens.spacing).forEach(([k, v]) => {
-        lines.push(`  --spacing-${k}: ${v};`);
-      });
-      break;
-    case 'borderRadius':
-      Object.entries(tokens.borderRadius).forEach(([k, v]) => {
-        const name = k === 'DEFAULT' ? 'base' : k;
-        lines.push(`  --radius-${name}: ${v};`);
-      });
-      break;
-    case 'animations':
-      Object.entries(tokens.transitionDuration).forEach(([k, v]) => {
-        lines.push(`  --duration-${k}: ${v};`);
-      });
-      Object.entries(tokens.transitionTimingFunction).forEach(([k, v]) => {
-        lines.push(`  --ease-${k}: ${v};`);
-      });
-      break;
-    case 'shadows':
-      Object.entries(tokens.boxShadow).forEach(([k, v]) => {
-        const name = k === 'DEFAULT' ? 'base' : k;
-        lines.push(`  --shadow-${name}: ${v};`);
-      });
-      break;
+/**
+ * @theme declarations for a category's tokens, as [variable, value] pairs.
+ * DEFAULT entries become the bare namespace variable (--radius); keys v4 has
+ * no namespace for (transitionDuration) are left out.
+ */
+function generateThemeVariables(tokens, category) {
+  const variables = [];
+  for (const key of TAILWIND_THEME_KEYS[category] || []) {
+    const prefix = THEME_VARIABLE_PREFIXES[key];
+    if (!prefix) continue;
+    Object.entries(tokens[key] || {}).forEach(([name, value]) => {
+      const css = Array.isArray(value) ? value.map(f => (f.includes(' ') ? `"${f}"` : f)).join(', ') : value;
+      // Theme keys can't hold dots in a custom property name: 0.5 → 0_5
+      variables.push([name === 'DEFAULT' ? prefix : `${prefix}-${name.replace(/\./g, '_')}`, css]);
+    });
   }
+  return variables;
+}
 
-  return lines.join('\n');
+function modifyTailwindTheme(filePath, tokens, category) {
+  let content = fs.readFileSync(filePath, 'utf-8');
+  const original = content;
+
+  // Variables the stylesheet already sets to the same value needn't be added
+  const current = Object.fromEntries(loadThemeStylesheets([filePath]).tokens.map(t => [t.variable, t.value]));
+  const variables = generateThemeVariables(tokens, category).filter(([name, value]) => current[name] !== String(value));
+  if (variables.length === 0) return false;
+
+  const declarations = `  /* ${category} tokens */\n${variables.map(([name, value]) => `  ${name}: ${value};`).join('\n')}\n`;
+
+  // Appended to the first plain @theme block (later declarations win), else a
+  // new block after the Tailwind import
+  const block = scanStylesheet(content).blocks.find(b => b.options.length === 0);
+  if (block) {
+    const body = content.slice(0, block.end).trimEnd();
+    content = `${body}\n\n${declarations}${content.slice(block.end)}`;
+  } else {
+    const importMatch = /@import\s+[^;]*['"]tailwindcss['"][^;]*;[^\n]*\n?/.exec(content);
+    const at = importMatch ? importMatch.index + importMatch[0].length : 0;
+    content = `${content.slice(0, at)}${importMatch ? '\n' : ''}@theme {\n${declarations}}\n${importMatch ? '' : '\n'}${content.slice(at)}`;
+  }
+
+  if (content !== original) {
+    fs.writeFileSync(filePath, content);
+    return true;
+  }
+  return false;
+}
+
+// =============================================================================
+// CSS VARIABLES MODIFICATION
+// =============================================================================
+
+// Theme keys each category writes as custom properties, and their prefixes
+const CSS_VARIABLE_KEYS = {
+  colors: ['colors'],
+  typography: ['fontFamily', 'fontSize', 'fontWeight'],
+  spacing: ['spacing'],
+  borderRadius: ['borderRadius'],
+  animations: ['transitionDuration', 'transitionTimingFunction'],
+  shadows: ['boxShadow']
+};
+
+const CSS_VARIABLE_PREFIXES = {
+  colors: '--color',
+  fontFamily: '--font',
+  fontSize: '--text',
+  fontWeight: '--font-weight',
+  spacing: '--spacing',
+  borderRadius: '--radius',
+  transitionDuration: '--duration',
+  transitionTimingFunction: '--ease',
+  boxShadow: '--shadow'
+};
+
+// --color-accent, --radius-base for borderRadius.DEFAULT
+const cssVariableName = (key, name) => `${CSS_VARIABLE_PREFIXES[key]}-${name === 'DEFAULT' ? 'base' : name}`;
+
+function generateCSSVariables(tokens, category) {
+  return (CSS_VARIABLE_KEYS[category] || [])
+    .flatMap(key => Object.entries(tokens[key] || {}).map(([name, value]) => {
+      const css = Array.isArray(value) ? value.map(f => (f.includes(' ') ? `"${f}"` : f)).join(', ') : value;
+      return `  ${cssVariableName(key, name)}: ${css};`;
+    }))
+    .join('\n');
 }
 
 function modifyCSSVariables(filePath, tokens, category) {
@@ -485,11 +604,230 @@ function modifyCSSVariables(filePath, tokens, category) {
   return false;
 }
 
+// =============================================================================
+// TRANSACTIONS
+// =============================================================================
+
+const JOURNAL_FILE = 'impression-journal.json';
+
+// Inside .git so the journal never dirties the working tree
+function journalPath(projectPath) {
+  const gitDir = exec('git rev-parse --absolute-git-dir', projectPath)?.trim();
+  return gitDir ? path.join(gitDir, JOURNAL_FILE) : path.join(projectPath, `.${JOURNAL_FILE}`);
+}
+
+function loadJournal(projectPath) {
+  const file = journalPath(projectPath);
+  if (!fs.existsSync(file)) return null;
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf-8'));
+  } catch (err) {
+    throw new Error(`Could not read ${file}: ${err.message}`);
+  }
+}
+
+function saveJournal(file, journal) {
+  fs.writeFileSync(file, JSON.stringify(journal, null, 2));
+}
+
+const BRACKETS = { ')': '(', ']': '[', '}': '{' };
+
+// Why a target file can't be safely modified, or null
+function unparseable(filePath, projectPath, configs) {
+  const content = fs.readFileSync(filePath, 'utf-8');
+  const relative = path.relative(projectPath, filePath);
+
+  if (/\.(?:css|scss)$/.test(filePath)) {
+    // PostCSS when installed, else the built-in parser's check of blocks, strings and comments
+    const { postcss, scss } = loadPostcss(projectPath);
+    try {
+      (filePath.endsWith('.scss') ? scss : postcss).parse(content, { from: filePath });
+      return null;
+    } catch (err) {
+      return `${relative}:${err.line || 1}: ${err.reason || err.message}`;
+    }
+  }
+
+  // Components are only edited at the literals found in them; the Tailwind
+  // config is the one script that has to parse as a whole
+  if (!configs.tailwind || filePath !== path.join(projectPath, configs.tailwind)) return null;
+
+  // Brackets must pair up outside strings, templates, regexes and comments
+  const stack = [];
+  for (const token of tokenize(content)) {
+    if (token.type !== 'punct') continue;
+    if ('([{'.includes(token.value)) stack.push(token.value);
+    else if (BRACKETS[token.value] && stack.pop() !== BRACKETS[token.value]) return `${relative}: unbalanced \`${token.value}\``;
+  }
+  if (stack.length > 0) return `${relative}: unclosed \`${stack[stack.length - 1]}\``;
+  if (!parseTailwindConfig(content).root) {
+    return `${relative}: no config object to add tokens to`;
+  }
+  return null;
+}
+
+/**
+ * Everything that would stop a run partway, checked before anything is
+ * touched: a git repository with a commit, no uncommitted changes to tracked
+ * files, the branch name free, no failed run waiting for --resume, and every
+ * target file present and parseable. Returns the problems, one line each.
+ */
+function preflight(projectPath, plan, options = {}) {
+  const { commit = true, resume = false } = options;
+  const problems = [];
+
+  if (commit) {
+    if (exec('git rev-parse --is-inside-work-tree', projectPath)?.trim() !== 'true') {
+      problems.push(`${projectPath} is not a git repository (use --no-commit to modify files only)`);
+    } else {
+      if (exec('git rev-parse --verify --quiet HEAD', projectPath) === null) {
+        problems.push('The repository has no commits yet');
+      }
+      const changes = (exec('git status --porcelain --untracked-files=no', projectPath) || '').split('\n').filter(Boolean);
+      if (changes.length > 0) {
+        problems.push(`Uncommitted changes: ${changes.map(line => line.slice(3)).join(', ')} (commit or stash them first)`);
+      }
+      if (exec(`git show-ref --verify --quiet refs/heads/${plan.branch}`, projectPath) !== null) {
+        problems.push(`Branch ${plan.branch} already exists (delete or rename it first)`);
+      }
+    }
+  }
+
+  const journal = fs.existsSync(journalPath(projectPath));
+  if (journal && !resume) {
+    problems.push(`A previous run stopped partway; continue it with --resume, or delete ${journalPath(projectPath)} to start over`);
+  }
+
+  for (const file of [...new Set(plan.commits.flatMap(commitFiles))]) {
+    const filePath = path.join(projectPath, file);
+    if (!fs.existsSync(filePath)) {
+      problems.push(`${file} not found`);
+      continue;
+    }
+    const reason = unparseable(filePath, projectPath, plan.configs);
+    if (reason) problems.push(`Cannot parse ${reason}`);
+  }
+
+  return problems;
+}
+
+/**
+ * Undo the journal's steps, newest first: restore written files, drop commits
+ * and leave and delete the branch the run created. Each undone step is removed
+ * from the journal as it goes, so a rollback that stops can be run again.
+ */
+function rollback(projectPath, journal, file) {
+  while (journal.undo.length > 0) {
+    const step = journal.undo[journal.undo.length - 1];
+    if (step.action === 'write') {
+      const filePath = path.join(projectPath, step.file);
+      if (step.content === null) fs.rmSync(filePath, { force: true });
+      else fs.writeFileSync(filePath, step.content);
+      if (journal.commit) git(['reset', '-q', '--', step.file], projectPath);
+    } else if (step.action === 'commit') {
+      const head = git(['rev-parse', 'HEAD'], projectPath);
+      if (head !== step.sha) throw new Error(`HEAD is ${head.slice(0, 7)}, not the run's ${step.sha.slice(0, 7)}; left as is`);
+      git(['reset', '-q', '--hard', step.parent], projectPath);
+    } else if (step.action === 'branch') {
+      const { branch, head } = journal.original;
+      git(branch ? ['checkout', '-q', branch] : ['checkout', '-q', '--detach', head], projectPath);
+      git(['branch', '-q', '-D', step.name], projectPath);
+    }
+    journal.undo.pop();
+    saveJournal(file, journal);
+  }
+}
+
+// Modify the commit's files; true when any changed
+function applyCommit(projectPath, plan, commit) {
+  if (commit.kind === 'replace') {
+    // Found again rather than taken from the plan: the token commits may have
+    // moved lines in a stylesheet that has both
+    const { replacements } = findReplacements(projectPath, commit.category, commit.tokens[commit.category], {
+      target: commit.target,
+      thresholds: commit.thresholds,
+      existing: commit.existing,
+      ignore: (file) => !commit.files.includes(path.relative(projectPath, file))
+    });
+    return rewriteFiles(projectPath, replacements).files.length > 0;
+  }
+
+  const filePath = path.join(projectPath, commit.file);
+  if (plan.configs.tailwind && commit.file === plan.configs.tailwind) {
+    return plan.configs.tailwindFormat === 'v4'
+      ? modifyTailwindTheme(filePath, commit.tokens, commit.category)
+      : modifyTailwindConfig(filePath, commit.tokens, commit.category);
+  }
+  if (plan.configs.cssVars && commit.file === plan.configs.cssVars) {
+    return modifyCSSVariables(filePath, commit.tokens, commit.category);
+  }
+  return false;
+}
+
 // =============================================================================
 // PLAN GENERATION & EXECUTION
 // =============================================================================
 
-function generateImplementationPlan(projectPath, reference, comparisons, configs) {
+/**
+ * Value a token name already has in the project, or undefined: its Tailwind
+ * config and @theme blocks, then Tailwind's default theme (a reference
+ * spacing.72 of 72px would otherwise turn the default 18rem into 72px), or the
+ * :root custom properties of its CSS variables file
+ */
+function projectTokenLookup(projectPath, configs) {
+  if (configs.tailwind) {
+    const theme = loadTailwindTheme(projectPath);
+    const { keys = {}, defaults = {} } = theme || {};
+    if (theme && Object.keys(defaults).length === 0) {
+      log("tailwindcss isn't installed in the project, so tokens can't be checked against Tailwind's default theme", 'warn');
+    }
+    // v4 variable names hold no dots: --spacing-2_5
+    const get = (scales, key, name) => scales[key]?.get(name) ?? scales[key]?.get(name.replace(/\./g, '_'));
+    return (key, name) => get(keys, key, name) ?? get(defaults, key, name);
+  }
+  const defined = new Map();
+  parseStylesheets([path.join(projectPath, configs.cssVars)], { projectPath }).definitions
+    .filter(d => d.kind === 'custom-property' && (d.scope === ':root' || d.scope === 'html') && !d.condition)
+    .forEach(d => defined.set(d.name, d.resolved ?? d.value));
+  return (key, name) => defined.get(cssVariableName(key, name));
+}
+
+const pixels = (value) => {
+  const match = /^(-?[\d.]+)(px|rem)$/.exec(String(value).trim());
+  return match ? parseFloat(match[1]) * (match[2] === 'rem' ? 16 : 1) : null;
+};
+
+// Same value written differently: #FFF and #ffffff, 0.5rem and 8px, font stacks
+function sameTokenValue(a, b) {
+  const text = (value) => (Array.isArray(value) ? value.join(', ') : String(value))
+    .replace(/["']/g, '').replace(/\s+/g, ' ').trim().toLowerCase();
+  if (text(a) === text(b)) return true;
+  if (colorLib.parse(text(a)) && colorLib.parse(text(b))) return colorLib.normalize(text(a)) === colorLib.normalize(text(b));
+  return pixels(a) !== null && pixels(a) === pixels(b);
+}
+
+/**
+ * Rename the tokens of a commit whose names the project already uses for
+ * another value to ref-<name> (ref for DEFAULT), so its own values stay as
+ * they are. Returns the renames: [{ key, name, alias, current, value }].
+ */
+function aliasConflicts(commit, keys, lookup) {
+  const conflicts = [];
+  for (const key of keys) {
+    if (!commit.tokens[key]) continue;
+    commit.tokens[key] = Object.fromEntries(Object.entries(commit.tokens[key]).map(([name, value]) => {
+      const current = lookup(key, name);
+      if (current === undefined || sameTokenValue(current, value)) return [name, value];
+      const alias = name === 'DEFAULT' ? 'ref' : `ref-${name}`;
+      conflicts.push({ key, name, alias, current, value });
+      return [alias, value];
+    }));
+  }
+  return conflicts;
+}
+
+// `config` (loadConfig) drops ignored reference tokens and skips categories weighted 0
+function generateImplementationPlan(projectPath, reference, comparisons, configs, config = null) {
   const plan = {
     branch: 'feature/design-system-alignment',
     commits: [],
@@ -503,8 +841,15 @@ function generateImplementationPlan(projectPath, reference, comparisons, configs
     throw new Error('No config file found. Create tailwind.config.js or src/styles/globals.css first.');
   }
 
+  const ignore = createIgnore(config, projectPath);
+  if (ignore.file(targetFile)) {
+    throw new Error(`${path.relative(projectPath, targetFile)} is in ignore.files of ${path.basename(config.source)}; nothing to modify`);
+  }
+  reference = withoutIgnoredTokens(reference, ignore.token);
+  const wanted = (category) => (config?.weights?.[category] ?? 1) > 0;
+
   // P0: Colors (always most impactful)
-  if (comparisons.colors.score < 100) {
+  if (wanted('colors') && comparisons.colors.score < 100) {
     plan.commits.push({
       priority: 0,
       message: 'design: add color tokens from reference system',
@@ -515,7 +860,7 @@ function generateImplementationPlan(projectPath, reference, comparisons, configs
   }
 
   // P1: Typography
-  if (comparisons.typography.score < 100) {
+  if (wanted('typography') && comparisons.typography.score < 100) {
     plan.commits.push({
       priority: 1,
       message: 'design: align typography with reference system',
@@ -526,7 +871,7 @@ function generateImplementationPlan(projectPath, reference, comparisons, configs
   }
 
   // P2: Spacing
-  if (comparisons.spacing.score < 100) {
+  if (wanted('spacing') && comparisons.spacing.score < 100) {
     plan.commits.push({
       priority: 2,
       message: 'design: update spacing scale',
@@ -537,7 +882,7 @@ function generateImplementationPlan(projectPath, reference, comparisons, configs
   }
 
   // P3: Border radius
-  if (comparisons.borderRadius.score < 100) {
+  if (wanted('borderRadius') && comparisons.borderRadius.score < 100) {
     plan.commits.push({
       priority: 3,
       message: 'design: align border radius tokens',
@@ -569,99 +914,192 @@ function generateImplementationPlan(projectPath, reference, comparisons, configs
     });
   }
 
+  // Names the project already defines differently keep their values
+  const lookup = projectTokenLookup(projectPath, configs);
+  for (const commit of plan.commits) {
+    const conflicts = aliasConflicts(commit, (format === 'tailwind' ? TAILWIND_THEME_KEYS : CSS_VARIABLE_KEYS)[commit.category] || [], lookup);
+    if (conflicts.length === 0) continue;
+    commit.conflicts = conflicts;
+    log(`${conflicts.length} ${commit.category} token name(s) already have other values in the project; adding the reference values as ${conflicts.map(c => c.alias).join(', ')}`, 'warn');
+  }
+
+  // P6-P8: Hardcoded values that match the project's tokens or the ones just
+  // added, one commit per category. Matches that can't be rewritten are listed
+  // in the plan.
+  const target = configs.tailwindFormat === 'v4' ? 'v4' : configs.tailwind ? 'v3' : 'css';
+  const theme = loadTailwindTheme(projectPath);
+  const warnings = new Set();
+  const relative = (entry) => ({ ...entry, file: path.relative(projectPath, entry.file) });
+  plan.skipped = [];
+  [
+    ['colors', 'design: use color tokens instead of hardcoded colors'],
+    ['spacing', 'design: use spacing tokens instead of hardcoded spacing'],
+    ['borderRadius', 'design: use radius tokens instead of hardcoded radii']
+  ].forEach(([category, message], i) => {
+    if (!wanted(category)) return;
+    const tokens = plan.commits.find(c => c.category === category)?.tokens || {};
+    const existing = existingTokens(projectPath, category, { target, theme, ignore: ignore.file });
+    const thresholds = config?.thresholds || {};
+    const found = findReplacements(projectPath, category, tokens[category], { target, thresholds, ignore: ignore.file, theme, existing });
+    found.warnings.forEach(warning => warnings.add(warning));
+    if (found.skipped.length > 0) {
+      warnings.add(`${found.skipped.length} hardcoded ${category} value(s) match a token but stay: ${found.skipped[0].reason}`);
+      plan.skipped.push(...found.skipped.map(skip => ({ ...relative(skip), category })));
+    }
+    if (found.replacements.length === 0) return;
+    const replacements = found.replacements.map(relative);
+    plan.commits.push({
+      priority: 6 + i,
+      kind: 'replace',
+      message,
+      files: [...new Set(replacements.map(r => r.file))],
+      category,
+      target,
+      thresholds,
+      tokens,
+      existing,
+      replacements
+    });
+  });
+  warnings.forEach(warning => log(warning, 'warn'));
+
   return plan;
 }
 
+/**
+ * Apply the plan one commit at a time, as a transaction (see preflight and
+ * rollback). `resume` continues the run the journal records: its plan, from
+ * the commit that failed, on the branch recreated at the last good commit.
+ * Throws after rolling back when a step fails.
+ */
 function executePlan(projectPath, plan, options = {}) {
-  const { dryRun = false, noCommit = false, backup: doBackup = true } = options;
-  const results = [];
-  const backups = [];
-
-  // Check git status
-  const gitStatus = exec('git status --porcelain', projectPath);
-  if (gitStatus && gitStatus.trim() && !dryRun && !noCommit) {
-    log('Working directory has uncommitted changes. Creating backup.', 'warn');
-  }
-
-  // Ensure we're on the right branch
-  if (!dryRun && !noCommit) {
-    const currentBranch = exec('git branch --show-current', projectPath)?.trim();
-    if (currentBranch !== plan.branch) {
-      const branchExists = exec(`git show-ref --verify --quiet refs/heads/${plan.branch}`, projectPath);
-      if (branchExists !== null) {
-        exec(`git checkout ${plan.branch}`, projectPath);
-        log(`Switched to existing branch: ${plan.branch}`, 'success');
-      } else {
-        exec(`git checkout -b ${plan.branch}`, projectPath);
-        log(`Created branch: ${plan.branch}`, 'success');
-      }
+  const { dryRun = false, noCommit = false, resume = false } = options;
+  const sortedCommits = [...plan.commits].sort((a, b) => a.priority - b.priority);
+  const resultFor = (commit, modified) => ({
+    priority: commit.priority,
+    kind: commit.kind || 'tokens',
+    category: commit.category,
+    message: commit.message,
+    files: commitFiles(commit),
+    modified,
+    tokens: commit.tokens,
+    replacements: commit.replacements,
+    conflicts: commit.conflicts
+  });
+  const describe = (commit) => (commit.kind === 'replace'
+    ? `${commit.replacements.length} hardcoded value(s) in ${commit.files.length} file(s) with ${commit.category} tokens`
+    : `${commit.file} with ${commit.category} tokens`);
+
+  if (dryRun) {
+    preflight(projectPath, plan, { commit: !noCommit }).forEach(problem => log(`Preflight: ${problem}`, 'warn'));
+    if (!noCommit) log(`Would create branch: ${plan.branch}`, 'dry');
+    for (const commit of sortedCommits) {
+      log(`Would ${commit.kind === 'replace' ? 'replace' : 'modify'} ${describe(commit)}`, 'dry');
+      if (!noCommit) log(`Would commit: ${commit.message}`, 'dry');
     }
-  } else if (dryRun) {
-    log(`Would create/switch to branch: ${plan.branch}`, 'dry');
+    return sortedCommits.map(commit => resultFor(commit, false));
   }
 
-  // Sort commits by priority
-  const sortedCommits = [...plan.commits].sort((a, b) => a.priority - b.priority);
+  const file = journalPath(projectPath);
+  let journal = null;
+  if (resume) {
+    journal = loadJournal(projectPath);
+    if (!journal) throw new Error(`Nothing to resume: no journal at ${file}`);
+    // A run killed before it could roll back leaves its steps behind
+    if (journal.undo.length > 0) {
+      log('Rolling back the interrupted run', 'warn');
+      rollback(projectPath, journal, file);
+      // Without commits the undone writes were all there was of those steps
+      if (!journal.commit) journal.done = [];
+      saveJournal(file, journal);
+    }
+  }
 
-  // Process each commit
-  for (const commit of sortedCommits) {
-    const filePath = path.join(projectPath, commit.file);
+  const problems = preflight(projectPath, plan, { commit: journal ? journal.commit : !noCommit, resume });
+  if (problems.length > 0) {
+    throw new Error(`Preflight failed:\n  - ${problems.join('\n  - ')}`);
+  }
 
-    if (!fs.existsSync(filePath)) {
-      log(`File not found: ${commit.file} - skipping ${commit.category}`, 'warn');
-      continue;
-    }
+  if (!journal) {
+    const head = noCommit ? null : git(['rev-parse', 'HEAD'], projectPath);
+    journal = {
+      version: 1,
+      startedAt: new Date().toISOString(),
+      commit: !noCommit,
+      original: { branch: noCommit ? null : exec('git branch --show-current', projectPath)?.trim() || null, head },
+      head,
+      plan,
+      done: [],
+      undo: [],
+      failure: null
+    };
+  }
+  journal.failure = null;
+  saveJournal(file, journal);
 
-    // Backup before modification
-    if (!dryRun && doBackup) {
-      const backupPath = backup(filePath);
-      if (backupPath) backups.push(backupPath);
+  const results = [];
+  let current = null;
+  try {
+    if (journal.commit) {
+      git(['checkout', '-q', '-b', plan.branch, journal.head], projectPath);
+      journal.undo.push({ action: 'branch', name: plan.branch });
+      saveJournal(file, journal);
+      log(resume ? `Recreated branch ${plan.branch} at ${journal.head.slice(0, 7)}` : `Created branch: ${plan.branch}`, 'success');
     }
 
-    let modified = false;
+    for (const commit of sortedCommits) {
+      current = commit;
+      const done = journal.done.find(d => d.step === stepName(commit));
+      if (done) {
+        log(`Already applied: ${stepName(commit)}`, 'info');
+        results.push(resultFor(commit, done.modified));
+        continue;
+      }
 
-    if (!dryRun) {
-      // Actually modify the file
-      if (plan.configs.tailwind && commit.file === plan.configs.tailwind) {
-        modified = modifyTailwindConfig(filePath, commit.tokens, commit.category);
-      } else if (plan.configs.cssVars && commit.file === plan.configs.cssVars) {
-        modified = modifyCSSVariables(filePath, commit.tokens, commit.category);
+      for (const target of commitFiles(commit)) {
+        const filePath = path.join(projectPath, target);
+        journal.undo.push({ action: 'write', file: target, content: fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf-8') : null });
       }
+      saveJournal(file, journal);
 
+      const modified = applyCommit(projectPath, plan, commit);
       if (modified) {
-        log(`Modified ${commit.file} with ${commit.category} tokens`, 'success');
-
-        // Git commit
-        if (!noCommit) {
-          exec(`git add ${commit.file}`, projectPath);
-          exec(`git commit -m "${commit.message}"`, projectPath);
+        log(`${commit.kind === 'replace' ? 'Replaced' : 'Modified'} ${describe(commit)}`, 'success');
+        if (journal.commit) {
+          git(['add', '--', ...commitFiles(commit)], projectPath);
+          git(['commit', '-q', '-m', commit.message], projectPath);
+          const sha = git(['rev-parse', 'HEAD'], projectPath);
+          journal.undo.push({ action: 'commit', sha, parent: journal.head });
+          journal.head = sha;
           log(`Committed: ${commit.message}`, 'success');
         }
       } else {
-        log(`No changes needed for ${commit.category}`, 'info');
+        log(`No changes needed for ${stepName(commit)}`, 'info');
       }
-    } else {
-      log(`Would modify ${commit.file} with ${commit.category} tokens`, 'dry');
-      log(`Would commit: ${commit.message}`, 'dry');
-    }
-
-    results.push({
-      priority: commit.priority,
-      category: commit.category,
-      message: commit.message,
-      file: commit.file,
-      modified,
-      tokens: commit.tokens
-    });
-  }
 
-  // Cleanup old backups (keep only last 5)
-  if (backups.length > 5) {
-    backups.slice(0, -5).forEach(b => {
-      try { fs.unlinkSync(b); } catch (e) {}
-    });
+      journal.done.push({ step: stepName(commit), modified });
+      saveJournal(file, journal);
+      results.push(resultFor(commit, modified));
+    }
+  } catch (err) {
+    const step = current ? stepName(current) : 'branch creation';
+    journal.failure = { step: current ? step : null, message: err.message, at: new Date().toISOString() };
+    saveJournal(file, journal);
+    log(`${step} failed: ${err.message}`, 'error');
+    log('Rolling back', 'warn');
+    try {
+      rollback(projectPath, journal, file);
+    } catch (rollbackErr) {
+      throw new Error(`${step} failed (${err.message}) and rollback stopped (${rollbackErr.message}); the remaining steps are in ${file}`);
+    }
+    // Without commits nothing survives the rollback, so a resume starts over
+    if (!journal.commit) journal.done = [];
+    saveJournal(file, journal);
+    const original = journal.original.branch || journal.original.head?.slice(0, 7) || 'the original files';
+    throw new Error(`${step} failed (${err.message}); rolled back to ${original}. Fix the cause and rerun with --resume to continue from ${step}`);
   }
 
+  fs.rmSync(file, { force: true });
   return results;
 }
 
@@ -687,14 +1125,30 @@ function generatePlanReport(plan, results, projectPath) {
 
   for (const r of results) {
     const status = r.modified ? '✅' : '⏭️';
-    lines.push(`### P${r.priority}: ${r.category} ${status}`);
+    lines.push(`### P${r.priority}: ${r.category}${r.kind === 'replace' ? ' replacements' : ''} ${status}`);
     lines.push('');
     lines.push(`**Commit:** \`${r.message}\``);
-    lines.push(`**File:** \`${r.file}\``);
+    lines.push(`**File${r.files.length > 1 ? 's' : ''}:** ${r.files.map(f => `\`${f}\``).join(', ')}`);
     lines.push(`**Status:** ${r.modified ? 'Applied' : 'Skipped (no changes needed)'}`);
     lines.push('');
 
-    if (r.tokens) {
+    if (r.kind === 'replace') {
+      lines.push('<details>');
+      lines.push(`<summary>Replacements (${r.replacements.length})</summary>`);
+      lines.push('');
+      lines.push('| Location | Hardcoded | Token |');
+      lines.push('|----------|-----------|-------|');
+      r.replacements.forEach(change => lines.push(`| \`${change.file}:${change.line}\` | \`${change.from}\` | \`${change.to}\` |`));
+      lines.push('');
+      lines.push('</details>');
+      lines.push('');
+    } else if (r.tokens) {
+      if (r.conflicts?.length > 0) {
+        lines.push(`**Kept** (names the project or Tailwind's default theme already uses; the reference values are added under aliases):`);
+        lines.push('');
+        r.conflicts.forEach(c => lines.push(`- \`${c.key}.${c.name}\`: \`${c.current}\` kept, reference \`${c.value}\` added as \`${c.alias}\``));
+        lines.push('');
+      }
       lines.push('<details>');
       lines.push('<summary>Token Details</summary>');
       lines.push('');
@@ -706,6 +1160,21 @@ function generatePlanReport(plan, results, projectPath) {
     }
   }
 
+  // Hardcoded values close to a token that no commit rewrites
+  if (plan.skipped?.length > 0) {
+    lines.push('## Not Replaced');
+    lines.push('');
+    const reasons = [...new Set(plan.skipped.map(skip => skip.reason))];
+    for (const reason of reasons) {
+      lines.push(`${reason}; change these by hand:`);
+      lines.push('');
+      plan.skipped
+        .filter(skip => skip.reason === reason)
+        .forEach(skip => lines.push(`- \`${skip.file}:${skip.line}\` \`${skip.value}\` → ${skip.token} (${skip.category})`));
+      lines.push('');
+    }
+  }
+
   lines.push('## Git Commands (Manual)');
   lines.push('');
   lines.push('If you need to manually apply these changes:');
@@ -714,9 +1183,9 @@ function generatePlanReport(plan, results, projectPath) {
   lines.push(`git checkout -b ${plan.branch}`);
   lines.push('');
   for (const r of results) {
-    lines.push(`# P${r.priority}: ${r.category}`);
-    lines.push(`# Modify ${r.file} with tokens from report`);
-    lines.push(`git add ${r.file}`);
+    lines.push(`# P${r.priority}: ${r.category}${r.kind === 'replace' ? ' replacements' : ''}`);
+    lines.push(r.kind === 'replace' ? '# Replace the hardcoded values listed above' : `# Modify ${r.files[0]} with tokens from report`);
+    lines.push(`git add ${r.files.join(' ')}`);
     lines.push(`git commit -m "${r.message}"`);
     lines.push('');
   }
@@ -725,7 +1194,7 @@ function generatePlanReport(plan, results, projectPath) {
   lines.push('');
   lines.push('## Rollback');
   lines.push('');
-  lines.push('To undo all changes:');
+  lines.push('A run that fails rolls itself back and can be continued with `--resume`. To undo a finished run:');
   lines.push('');
   lines.push('```bash');
   lines.push('git checkout main');
@@ -744,6 +1213,11 @@ module.exports = {
   executePlan,
   generatePlanReport,
   detectConfigFiles,
+  // Transactions
+  preflight,
+  rollback,
+  loadJournal,
+  journalPath,
   // Token generators
   generateColorTokens,
   generateTypographyTokens,
@@ -753,8 +1227,11 @@ module.exports = {
   generateShadowTokens,
   // Config modifiers
   modifyTailwindConfig,
+  modifyTailwindTheme,
   modifyCSSVariables,
   mergeTailwindTokens,
+  parseTailwindConfig,
+  generateThemeVariables,
   generateCSSVariables
 };
 
@@ -766,21 +1243,28 @@ if (require.main === module) {
   const args = process.argv.slice(2);
   const dryRun = args.includes('--dry-run');
   const noCommit = args.includes('--no-commit');
-  const noBackup = args.includes('--no-backup');
+  const resume = args.includes('--resume');
+  const configFlag = args.find(a => a.startsWith('--config='));
   const filteredArgs = args.filter(a => !a.startsWith('--'));
 
-  if (filteredArgs.length < 2) {
+  if (filteredArgs.length < (resume ? 1 : 2)) {
     console.log(`
 Impression: Design System Implementation
 =========================================
 
 Usage:
   node implement-design-changes.js <project-path> <reference.json> [options]
+  node implement-design-changes.js <project-path> --resume
 
 Options:
-  --dry-run    Preview changes without modifying files
-  --no-commit  Modify files but don't create git commits
-  --no-backup  Skip creating backup files
+  --dry-run        Preview changes and run the preflight checks only
+  --no-commit      Modify files but don't create git commits
+  --resume         Continue a run that failed, from the commit that failed
+  --config=FILE    Settings file (default: .impressionrc or impression.config.json
+                   in the project)
+
+A failed run is rolled back to the original branch and files; its journal
+(.git/impression-journal.json) keeps what is needed to --resume it.
 
 Examples:
   # Preview what would change
@@ -791,46 +1275,69 @@ Examples:
 
   # Apply changes without git commits
   node implement-design-changes.js ./my-project references/linear.json --no-commit
+
+  # Continue after fixing what made a run fail
+  node implement-design-changes.js ./my-project --resume
 `);
     process.exit(1);
   }
 
   const projectPath = path.resolve(filteredArgs[0]);
-  const referencePath = path.resolve(filteredArgs[1]);
+  const referencePath = filteredArgs[1] && path.resolve(filteredArgs[1]);
 
   if (!fs.existsSync(projectPath)) {
     log(`Project path not found: ${projectPath}`, 'error');
     process.exit(1);
   }
 
-  if (!fs.existsSync(referencePath)) {
+  if (!resume && !fs.existsSync(referencePath)) {
     log(`Reference file not found: ${referencePath}`, 'error');
     process.exit(1);
   }
 
   try {
     console.log('\n🎨 Impression: Implementing Design System Changes\n');
+
+    if (resume) {
+      const journal = loadJournal(projectPath);
+      if (!journal) throw new Error(`Nothing to resume: no journal at ${journalPath(projectPath)}`);
+      const { plan } = journal;
+      if (journal.failure) log(`Resuming after: ${journal.failure.step || 'branch creation'} (${journal.failure.message})`, 'info');
+
+      const results = executePlan(projectPath, plan, { resume: true });
+      const reportPath = path.join(projectPath, 'DESIGN_IMPLEMENTATION_PLAN.md');
+      fs.writeFileSync(reportPath, generatePlanReport(plan, results, projectPath));
+
+      console.log('');
+      log(`Implementation plan saved to: ${reportPath}`, 'success');
+      if (journal.commit) log(`Branch ready: ${plan.branch}`, 'success');
+      process.exit(0);
+    }
+
     log('Analyzing project...', 'info');
 
     // Load reference
     const reference = JSON.parse(fs.readFileSync(referencePath, 'utf-8'));
     log(`Loaded reference: ${reference.meta?.url || referencePath}`, 'info');
 
+    const config = loadConfig(projectPath, configFlag ? configFlag.split('=')[1] : null);
+    if (config.source) log(`Config: ${config.source}`, 'info');
+
     // Run comparison
-    const { comparisons, overall } = compareDesignSystems(projectPath, referencePath);
+    const { comparisons, overall } = compareDesignSystems(projectPath, referencePath, { config });
     log(`Current alignment: ${overall}%`, 'info');
 
     // Detect config files
     const configs = detectConfigFiles(projectPath);
     if (configs.tailwind) {
-      log(`Tailwind config: ${configs.tailwind}`, 'info');
+      log(`Tailwind ${configs.tailwindFormat === 'v4' ? 'v4 theme' : 'config'}: ${configs.tailwind}`, 'info');
     }
     if (configs.cssVars) {
       log(`CSS variables: ${configs.cssVars}`, 'info');
     }
 
     // Generate plan
-    const plan = generateImplementationPlan(projectPath, reference, comparisons, configs);
+    const plan = generateImplementationPlan(projectPath, reference, comparisons, configs, config);
     log(`Generated plan with ${plan.commits.length} changes`, 'info');
 
     console.log('');
@@ -838,8 +1345,7 @@ Examples:
     // Execute or preview
     const results = executePlan(projectPath, plan, {
       dryRun,
-      noCommit,
-      backup: !noBackup
+      noCommit
     });
 
     // Generate report
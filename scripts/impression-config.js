@@ -0,0 +1,249 @@
+#!/usr/bin/env node
+/**
+ * Impression Config
+ * Loads the project settings compare-design-systems.js, ci-compare.js and
+ * implement-design-changes.js share
+ *
+ * The first of .impressionrc, .impressionrc.json and impression.config.json
+ * in the project directory (or the working directory) is read as JSON and
+ * merged over the defaults:
+ *
+ *   {
+ *     "weights": { "colors": 2, "typography": 1, "spacing": 1, "borderRadius": 0.5, "usage": 1 },
+ *     "thresholds": {
+ *       "colorDelta": 5,
+ *       "roleDelta": { "text": 3, "accent": 2 },
+ *       "spacingTolerance": 0.1,
+ *       "fontSizeTolerance": 0.05,
+ *       "fontMatching": "family",
+ *       "overallScore": 70
+ *     },
+ *     "ignore": { "tokens": ["--chart-*", "color.color-8"], "files": ["src/legacy/**", "*.stories.tsx"] }
+ *   }
+ *
+ * weights       How much each category counts toward the overall score; 0 leaves it out
+ * roleDelta     ΔE 2000 threshold for background, text, border or accent colors,
+ *               overriding colorDelta
+ * fontSizeTolerance
+ *               How far (relative) a font size, or line height, can be from the
+ *               reference's and still match
+ * fontMatching  family (the same family: Inter Variable is Inter, Inter Display
+ *               isn't), contains, loose (contains or same first word), or exact
+ * cvdDelta      ΔE 2000 success, warning, error and info colors must keep from
+ *               each other when simulated for color vision deficiencies
+ * ignore        Glob patterns for project and reference token names, and for
+ *               project files relative to the project root (a pattern without
+ *               a slash matches the file name at any depth)
+ *
+ * Usage:
+ *   const { loadConfig, createIgnore } = require('./impression-config');
+ *   node impression-config.js [project-path] [--config=FILE]
+ *
+ * @version 1.0.0
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// =============================================================================
+// DEFAULTS
+// =============================================================================
+
+const CONFIG_FILES = ['.impressionrc', '.impressionrc.json', 'impression.config.json'];
+
+const CATEGORIES = ['colors', 'typography', 'spacing', 'borderRadius', 'shadows', 'motion', 'breakpoints', 'usage'];
+const ROLES = ['background', 'text', 'border', 'accent'];
+const FONT_MATCHING = ['family', 'contains', 'loose', 'exact'];
+
+const DEFAULT_CONFIG = {
+  weights: { colors: 1, typography: 1, spacing: 1, borderRadius: 1, shadows: 1, motion: 1, breakpoints: 1, usage: 1 },
+  thresholds: {
+    colorDelta: 5,            // CIE ΔE 2000 threshold for "similar" colors
+    roleDelta: {},            // Per-role overrides of colorDelta
+    spacingTolerance: 0.1,    // 10% tolerance for spacing values
+    fontSizeTolerance: 0.05,  // 5% tolerance for font sizes and line heights
+    fontMatching: 'family',   // How closely font family names must match
+    contrastMinimum: 4.5,     // WCAG AA minimum contrast ratio
+    cvdDelta: 10,             // ΔE 2000 status colors need under simulated color vision deficiencies
+    overallScore: 70          // Minimum passing score
+  },
+  ignore: { tokens: [], files: [] }
+};
+
+// =============================================================================
+// LOADING
+// =============================================================================
+
+// Config file for a project: its own, then the working directory's
+function findConfig(projectPath) {
+  for (const dir of [...new Set([path.resolve(projectPath), process.cwd()])]) {
+    for (const name of CONFIG_FILES) {
+      const file = path.join(dir, name);
+      if (fs.existsSync(file) && fs.statSync(file).isFile()) return file;
+    }
+  }
+  return null;
+}
+
+function validate(config, file) {
+  const fail = (message) => { throw new Error(`${path.basename(file)}: ${message}`); };
+  const isNumber = (value) => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+
+  for (const [category, weight] of Object.entries(config.weights)) {
+    if (!CATEGORIES.includes(category)) fail(`unknown weight "${category}" (expected ${CATEGORIES.join(', ')})`);
+    if (!isNumber(weight)) fail(`weights.${category} must be a number of 0 or more`);
+  }
+  for (const key of ['colorDelta', 'spacingTolerance', 'fontSizeTolerance', 'contrastMinimum', 'cvdDelta', 'overallScore']) {
+    if (!isNumber(config.thresholds[key])) fail(`thresholds.${key} must be a number of 0 or more`);
+  }
+  for (const [role, delta] of Object.entries(config.thresholds.roleDelta)) {
+    if (!ROLES.includes(role)) fail(`unknown role "${role}" in thresholds.roleDelta (expected ${ROLES.join(', ')})`);
+    if (!isNumber(delta)) fail(`thresholds.roleDelta.${role} must be a number of 0 or more`);
+  }
+  if (!FONT_MATCHING.includes(config.thresholds.fontMatching)) {
+    fail(`thresholds.fontMatching must be one of ${FONT_MATCHING.join(', ')}`);
+  }
+  for (const key of ['tokens', 'files']) {
+    const patterns = config.ignore[key];
+    if (!Array.isArray(patterns) || patterns.some(p => typeof p !== 'string')) fail(`ignore.${key} must be a list of patterns`);
+  }
+}
+
+/**
+ * Settings for a project, merged over the defaults. `configPath` names the
+ * file explicitly; otherwise it is looked up with findConfig. `source` is the
+ * file read, or null when only the defaults apply.
+ */
+function loadConfig(projectPath, configPath = null) {
+  const file = configPath ? path.resolve(configPath) : findConfig(projectPath);
+  if (!file) return { ...structuredClone(DEFAULT_CONFIG), source: null };
+  if (!fs.existsSync(file)) throw new Error(`Config file not found: ${configPath}`);
+
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  } catch (err) {
+    throw new Error(`Could not parse ${path.basename(file)}: ${err.message}`);
+  }
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) throw new Error(`${path.basename(file)} must hold a JSON object`);
+
+  const config = {
+    weights: { ...DEFAULT_CONFIG.weights, ...raw.weights },
+    thresholds: {
+      ...DEFAULT_CONFIG.thresholds,
+      ...raw.thresholds,
+      roleDelta: { ...raw.thresholds?.roleDelta }
+    },
+    ignore: { ...DEFAULT_CONFIG.ignore, ...raw.ignore },
+    source: file
+  };
+  validate(config, file);
+  return config;
+}
+
+// =============================================================================
+// IGNORE LISTS
+// =============================================================================
+
+// `**` spans directories, `*` and `?` stay within one
+function globToRegExp(pattern) {
+  let source = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const ch = pattern[i];
+    if (ch === '*' && pattern[i + 1] === '*') {
+      source += pattern[i + 2] === '/' ? '(?:.*/)?' : '.*';
+      i += pattern[i + 2] === '/' ? 2 : 1;
+    } else if (ch === '*') {
+      source += '[^/]*';
+    } else if (ch === '?') {
+      source += '[^/]';
+    } else {
+      source += ch.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`, 'i');
+}
+
+/**
+ * Predicates for the config's ignore lists:
+ *   file(absolutePath)  the file matches ignore.files
+ *   token(...names)     any of the names (--chart-1, chart-1, color.accent) matches ignore.tokens
+ */
+function createIgnore(config, projectPath) {
+  const filePatterns = (config?.ignore?.files || []).map(pattern => ({
+    regex: globToRegExp(pattern.replace(/^\.\//, '').replace(/\/$/, '/**')),
+    basename: !pattern.includes('/')
+  }));
+  // --chart-* also ignores a Tailwind chart-1, $gray-* a gray-500
+  const tokenPatterns = (config?.ignore?.tokens || []).map(pattern => globToRegExp(pattern.replace(/^(?:--|\$)/, '')));
+
+  return {
+    file: (file) => {
+      if (filePatterns.length === 0 || !file) return false;
+      const relative = path.relative(projectPath, file).split(path.sep).join('/');
+      return filePatterns.some(({ regex, basename }) =>
+        regex.test(relative) || (basename && regex.test(path.basename(file)))
+      );
+    },
+    token: (...names) => {
+      if (tokenPatterns.length === 0) return false;
+      return names.filter(Boolean).some(name => {
+        const bare = String(name).replace(/^(?:--|\$)/, '');
+        return tokenPatterns.some(regex => regex.test(bare));
+      });
+    }
+  };
+}
+
+// =============================================================================
+// DESCRIPTION
+// =============================================================================
+
+// The settings behind a score, one line each, for reports
+function describeConfig(config) {
+  const { thresholds, weights, ignore } = config;
+  const roleDeltas = Object.entries(thresholds.roleDelta || {}).map(([role, delta]) => `${role} ${delta}`);
+  const lines = [
+    `Config: ${config.source ? path.basename(config.source) : `defaults (no ${CONFIG_FILES.join(', ')})`}`,
+    `Weights: ${CATEGORIES.map(category => `${category} ${weights[category]}`).join(', ')}`,
+    `Color ΔE threshold: ${thresholds.colorDelta}${roleDeltas.length ? ` (${roleDeltas.join(', ')})` : ''}`,
+    `Spacing tolerance: ${Math.round(thresholds.spacingTolerance * 100)}%`,
+    `Font size tolerance: ${Math.round(thresholds.fontSizeTolerance * 100)}%`,
+    `Font matching: ${thresholds.fontMatching}`
+  ];
+  if (ignore.tokens.length) lines.push(`Ignored tokens: ${ignore.tokens.join(', ')}`);
+  if (ignore.files.length) lines.push(`Ignored files: ${ignore.files.join(', ')}`);
+  return lines;
+}
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+module.exports = {
+  loadConfig,
+  findConfig,
+  createIgnore,
+  describeConfig,
+  globToRegExp,
+  DEFAULT_CONFIG,
+  CONFIG_FILES
+};
+
+// =============================================================================
+// CLI
+// =============================================================================
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const configFlag = args.find(a => a.startsWith('--config='));
+  const projectPath = path.resolve(args.find(a => !a.startsWith('--')) || '.');
+
+  try {
+    const config = loadConfig(projectPath, configFlag ? configFlag.split('=')[1] : null);
+    describeConfig(config).forEach(line => console.log(line));
+  } catch (err) {
+    console.error(`Error: ${err.message}`);
+    process.exit(1);
+  }
+}
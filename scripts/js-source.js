@@ -0,0 +1,195 @@
+#!/usr/bin/env node
+/**
+ * JavaScript Source Scanning
+ * Tokenizer and source positions shared by the readers of JS/TS files
+ * (tailwind-config.js for Tailwind configs, css-in-js.js for theme objects and
+ * styled templates, usage-scanner.js for component class lists)
+ *
+ * Nothing is evaluated here: the tokenizer only separates strings, template
+ * literals, regexes and comments from the code around them, so their contents
+ * never look like structure.
+ *
+ * Usage:
+ *   const { tokenize, locate } = require('./js-source');
+ *
+ * @version 1.0.0
+ */
+
+// =============================================================================
+// POSITIONS
+// =============================================================================
+
+// 1-based line and column of a character offset
+function locate(source, index) {
+  const before = source.slice(0, index);
+  return { line: before.split('\n').length, column: index - before.lastIndexOf('\n') };
+}
+
+// =============================================================================
+// LITERALS
+// =============================================================================
+
+// Offset just past the string starting at `start` (its opening quote)
+function stringEnd(source, start) {
+  const quote = source[start];
+  let i = start + 1;
+  while (i < source.length && source[i] !== quote) i += source[i] === '\\' ? 2 : 1;
+  return i + 1;
+}
+
+// Offset just past the `}` closing a ${ expression whose body starts at `i`
+function expressionEnd(source, i) {
+  let depth = 1;
+  while (i < source.length) {
+    const ch = source[i];
+    if (ch === '`') {
+      i = templateEnd(source, i);
+    } else if (ch === '"' || ch === "'") {
+      i = stringEnd(source, i);
+    } else {
+      if (ch === '{') depth++;
+      else if (ch === '}' && --depth === 0) return i + 1;
+      i++;
+    }
+  }
+  return i;
+}
+
+// Offset just past the template literal starting at `start`, ${} expressions
+// (and templates nested in them) included
+function templateEnd(source, start) {
+  let i = start + 1;
+  while (i < source.length && source[i] !== '`') {
+    if (source[i] === '\\') i += 2;
+    else if (source.startsWith('${', i)) i = expressionEnd(source, i + 2);
+    else i++;
+  }
+  return i + 1;
+}
+
+// Offset just past the bracket closing the one at `open`, skipping strings
+function balancedEnd(source, open) {
+  let depth = 0;
+  let i = open;
+  while (i < source.length) {
+    const ch = source[i];
+    if (ch === '"' || ch === "'") {
+      i = stringEnd(source, i);
+    } else if (ch === '`') {
+      i = templateEnd(source, i);
+    } else {
+      if (ch === '(' || ch === '[' || ch === '{') depth++;
+      else if ((ch === ')' || ch === ']' || ch === '}') && --depth === 0) return i + 1;
+      i++;
+    }
+  }
+  return source.length;
+}
+
+// String literals between `from` and `to`, as { text, start } of their contents
+function stringLiterals(source, from, to) {
+  const strings = [];
+  const region = source.slice(from, to);
+  for (const match of region.matchAll(/(["'`])((?:\\.|(?!\1)[^\\])*)\1/g)) {
+    strings.push({ text: match[2], start: from + match.index + 1 });
+  }
+  return strings;
+}
+
+/**
+ * The ${} expressions of the template literal starting at `start`, as offsets
+ * of the whole `${...}` (start, end) and of the expression inside it.
+ */
+function templateExpressions(source, start) {
+  const expressions = [];
+  let i = start + 1;
+  while (i < source.length && source[i] !== '`') {
+    if (source[i] === '\\') {
+      i += 2;
+    } else if (source.startsWith('${', i)) {
+      const end = expressionEnd(source, i + 2);
+      expressions.push({ start: i, end, code: source.slice(i + 2, end - 1), codeStart: i + 2 });
+      i = end;
+    } else {
+      i++;
+    }
+  }
+  return expressions;
+}
+
+// =============================================================================
+// TOKENIZER
+// =============================================================================
+
+/**
+ * Minimal JavaScript tokenizer: strings, template literals, regex literals and
+ * comments are consumed whole so their contents never look like structure.
+ */
+function tokenize(source) {
+  const tokens = [];
+  let i = 0;
+
+  // A slash starts a regex unless it follows something that ends an expression
+  const regexAllowed = () => {
+    const prev = tokens[tokens.length - 1];
+    if (!prev) return true;
+    if (prev.type === 'punct') return prev.value !== ')' && prev.value !== ']';
+    return prev.type === 'name' && ['return', 'typeof', 'case', 'in', 'of', 'new'].includes(prev.value);
+  };
+
+  while (i < source.length) {
+    const ch = source[i];
+    const start = i;
+
+    if (/\s/.test(ch)) {
+      i++;
+    } else if (ch === '/' && source[i + 1] === '/') {
+      const end = source.indexOf('\n', i);
+      i = end === -1 ? source.length : end;
+    } else if (ch === '/' && source[i + 1] === '*') {
+      const end = source.indexOf('*/', i + 2);
+      i = end === -1 ? source.length : end + 2;
+    } else if (ch === '"' || ch === "'" || ch === '`') {
+      i = ch === '`' ? templateEnd(source, i) : stringEnd(source, i);
+      tokens.push({ type: ch === '`' ? 'template' : 'string', value: source.slice(start + 1, i - 1), start });
+    } else if (ch === '/' && regexAllowed()) {
+      let inClass = false;
+      i++;
+      while (i < source.length && (inClass || source[i] !== '/') && source[i] !== '\n') {
+        if (source[i] === '\\') i++;
+        else if (source[i] === '[') inClass = true;
+        else if (source[i] === ']') inClass = false;
+        i++;
+      }
+      i++;
+      while (/[a-z]/.test(source[i] || '')) i++; // Flags
+      tokens.push({ type: 'regex', value: source.slice(start, i), start });
+    } else if (/[A-Za-z_$]/.test(ch)) {
+      while (i < source.length && /[\w$]/.test(source[i])) i++;
+      tokens.push({ type: 'name', value: source.slice(start, i), start });
+    } else if (/\d/.test(ch) || (ch === '.' && /\d/.test(source[i + 1] || ''))) {
+      while (i < source.length && /[\w.]/.test(source[i])) i++;
+      tokens.push({ type: 'number', value: source.slice(start, i), start });
+    } else {
+      const punct = source.startsWith('...', i) ? '...' : source.startsWith('=>', i) ? '=>' : ch;
+      i += punct.length;
+      tokens.push({ type: 'punct', value: punct, start });
+    }
+  }
+
+  return tokens;
+}
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+module.exports = {
+  tokenize,
+  locate,
+  templateExpressions,
+  templateEnd,
+  stringEnd,
+  balancedEnd,
+  stringLiterals
+};
@@ -22,78 +22,35 @@
 
 const fs = require('fs');
 const path = require('path');
+const colorLib = require('./color');
 
 // =============================================================================
 // COLOR UTILITIES
 // =============================================================================
 
+// Accepts any CSS color; wide-gamut values are gamut mapped into sRGB
 function hexToRgb(hex) {
   if (!hex || typeof hex !== 'string') return null;
-  const result = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(hex);
-  if (!result) return null;
-  return {
-    r: parseInt(result[1], 16),
-    g: parseInt(result[2], 16),
-    b: parseInt(result[3], 16)
-  };
+  const rgb = colorLib.toRgb(hex);
+  return rgb ? { r: rgb.r, g: rgb.g, b: rgb.b } : null;
 }
 
 function rgbToHex(r, g, b) {
-  return '#' + [r, g, b].map(x => Math.round(x).toString(16).padStart(2, '0')).join('');
+  return colorLib.toHex({ space: 'srgb', coords: [r / 255, g / 255, b / 255], alpha: 1 });
 }
 
 function hexToHsl(hex) {
-  const rgb = hexToRgb(hex);
-  if (!rgb) return null;
-
-  const r = rgb.r / 255;
-  const g = rgb.g / 255;
-  const b = rgb.b / 255;
-
-  const max = Math.max(r, g, b);
-  const min = Math.min(r, g, b);
-  let h, s, l = (max + min) / 2;
-
-  if (max === min) {
-    h = s = 0;
-  } else {
-    const d = max - min;
-    s = l > 0.5 ? d / (2 - max - min) : d / (max + min);
-    switch (max) {
-      case r: h = ((g - b) / d + (g < b ? 6 : 0)) / 6; break;
-      case g: h = ((b - r) / d + 2) / 6; break;
-      case b: h = ((r - g) / d + 4) / 6; break;
-    }
-  }
-
+  const hsl = colorLib.toHsl(hex);
+  if (!hsl) return null;
   return {
-    h: Math.round(h * 360),
-    s: Math.round(s * 100),
-    l: Math.round(l * 100)
+    h: Math.round(hsl.h),
+    s: Math.round(hsl.s),
+    l: Math.round(hsl.l)
   };
 }
 
 function hslToHex(h, s, l) {
-  s /= 100;
-  l /= 100;
-
-  const c = (1 - Math.abs(2 * l - 1)) * s;
-  const x = c * (1 - Math.abs((h / 60) % 2 - 1));
-  const m = l - c / 2;
-  let r = 0, g = 0, b = 0;
-
-  if (0 <= h && h < 60) { r = c; g = x; b = 0; }
-  else if (60 <= h && h < 120) { r = x; g = c; b = 0; }
-  else if (120 <= h && h < 180) { r = 0; g = c; b = x; }
-  else if (180 <= h && h < 240) { r = 0; g = x; b = c; }
-  else if (240 <= h && h < 300) { r = x; g = 0; b = c; }
-  else if (300 <= h && h < 360) { r = c; g = 0; b = x; }
-
-  return rgbToHex(
-    Math.round((r + m) * 255),
-    Math.round((g + m) * 255),
-    Math.round((b + m) * 255)
-  );
+  return colorLib.toHex({ space: 'hsl', coords: [h, s, l], alpha: 1 });
 }
 
 // =============================================================================
@@ -317,7 +274,7 @@ function parseStyleDictionary(data) {
 
 function inferType(name, value) {
   const nameLower = name.toLowerCase();
-  if (nameLower.includes('color') || (typeof value === 'string' && value.startsWith('#'))) return 'color';
+  if (nameLower.includes('color') || (typeof value === 'string' && colorLib.parse(value))) return 'color';
   if (nameLower.includes('space') || nameLower.includes('gap') || nameLower.includes('padding')) return 'spacing';
   if (nameLower.includes('radius')) return 'borderRadius';
   if (nameLower.includes('font-family') || nameLower.includes('fontfamily')) return 'fontFamily';
@@ -489,13 +446,15 @@ function parseFigma(data) {
   return result;
 }
 
+// Figma {r, g, b, a} floats → hex, keeping alpha as #rrggbbaa
 function rgbaToHex(val) {
   if (typeof val === 'string') return val;
   if (val && typeof val === 'object') {
-    const r = Math.round((val.r || 0) * 255);
-    const g = Math.round((val.g || 0) * 255);
-    const b = Math.round((val.b || 0) * 255);
-    return rgbToHex(r, g, b);
+    return colorLib.toHex({
+      space: 'srgb',
+      coords: [val.r || 0, val.g || 0, val.b || 0],
+      alpha: val.a ?? 1
+    });
   }
   return '#000000';
 }
@@ -555,16 +514,10 @@ function parseCSS(content) {
     const value = match[2].trim();
     result.colors.variables[`--${name}`] = value;
 
-    // Detect colors
-    if (value.startsWith('#') || value.startsWith('rgb') || value.startsWith('hsl')) {
-      let hex = value;
-      if (value.startsWith('hsl')) {
-        const hslMatch = value.match(/hsl\((\d+),?\s*(\d+)%,?\s*(\d+)%\)/);
-        if (hslMatch) {
-          hex = hslToHex(parseInt(hslMatch[1]), parseInt(hslMatch[2]), parseInt(hslMatch[3]));
-        }
-      }
-      result.colors.palette.push({ value: hex, name });
+    // Detect colors in any CSS syntax, keeping alpha and wide-gamut spaces
+    const color = colorLib.normalize(value);
+    if (color) {
+      result.colors.palette.push({ value: color, name });
     }
   }
 
@@ -904,10 +857,10 @@ function generateFigma(tokens) {
   // Colors
   for (const color of (tokens.colors?.palette || [])) {
     const name = color.name || color.role || `color-${Object.keys(result.colors).length}`;
-    const rgb = hexToRgb(color.value);
+    const rgb = colorLib.toRgb(color.value);
     result.colors[name] = {
       $type: 'color',
-      $value: rgb ? { r: rgb.r / 255, g: rgb.g / 255, b: rgb.b / 255, a: 1 } : color.value
+      $value: rgb ? { r: rgb.r / 255, g: rgb.g / 255, b: rgb.b / 255, a: rgb.a } : color.value
     };
   }
 
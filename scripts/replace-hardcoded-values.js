@@ -0,0 +1,442 @@
+#!/usr/bin/env node
+/**
+ * Replace Hardcoded Values
+ * Rewrites the colors, spacing and radii a project hardcodes to the design
+ * tokens that match them
+ *
+ * Adding tokens to tailwind.config or globals.css changes nothing on screen
+ * while components keep their own hex codes and pixel values. This finds those
+ * literals in stylesheets (CSS and SCSS, through css-parser.js) and in
+ * components' utility classes, inline styles and <style> blocks (through
+ * usage-scanner.js), and swaps each one for the token it is close to:
+ *
+ *   colors         the nearest token under thresholds.colorDelta ΔE 2000
+ *                  (roleDelta by the token's role), with the same alpha
+ *   spacing, radii the nearest token within thresholds.spacingTolerance
+ *
+ * Tokens the project already has (its Tailwind theme, or custom properties on
+ * :root) win ties with the reference's: with `accent: '#5e6ad2'` in the
+ * config, bg-[#5e6ad3] becomes bg-accent whatever the reference calls it.
+ *
+ * What a literal becomes depends on where it is and how the project keeps its
+ * tokens (`target`):
+ *
+ *                       v3 (tailwind.config)     v4 (@theme)            css (CSS variables)
+ *   bg-[#5e6ad3]        bg-accent                bg-accent              bg-[var(--color-accent)]
+ *   color: #5e6ad3      theme('colors.accent')   var(--color-accent)    var(--color-accent)
+ *   style={{ padding: 12 }}  (skipped)          'var(--spacing-3)'     'var(--spacing-3)'
+ *
+ * Tailwind v3 tokens only exist at build time, so inline styles and <style>
+ * blocks can't refer to them and are reported as skipped. Token definitions
+ * (--accent: #5e6ad3, $accent: #5e6ad3), negative values and classes holding
+ * more than one value (p-[4px_8px]) are left alone.
+ *
+ * Usage:
+ *   const { findReplacements, rewriteFiles } = require('./replace-hardcoded-values');
+ *   node replace-hardcoded-values.js <project-path> <reference.json> [--write] [--config=FILE]
+ *
+ * @version 1.0.0
+ */
+
+const fs = require('fs');
+const path = require('path');
+const colorLib = require('./color');
+const { deltaE, colorRole } = require('./compare-design-systems');
+const { parseProjectStylesheets } = require('./css-parser');
+const { scanProjectUsages, loadTailwindTheme, UTILITIES } = require('./usage-scanner');
+
+// Categories the codemod rewrites, named as the token generators' keys
+const CATEGORIES = ['colors', 'spacing', 'borderRadius'];
+
+// Property or utility → the color role it paints
+const PROPERTY_ROLES = [
+  ['background', /^(?:bg|background(?:-color)?)$/],
+  ['text', /^(?:text|color|caret(?:-color)?|decoration|text-decoration(?:-color)?|placeholder)$/],
+  ['border', /^(?:border.*|outline.*|ring.*|divide|column-rule.*|stroke)$/]
+];
+
+// =============================================================================
+// MATCHING
+// =============================================================================
+
+const parsePixels = (value) => {
+  const match = String(value).trim().match(/^(-?[\d.]+)(px|rem)?$/);
+  if (!match) return null;
+  return match[2] === 'rem' ? parseFloat(match[1]) * 16 : parseFloat(match[1]);
+};
+
+const propertyRole = (property) => PROPERTY_ROLES.find(([, pattern]) => pattern.test(property))?.[0] || null;
+
+/**
+ * Token for a color literal: the closest under its role's ΔE threshold. A
+ * token named for a role the property doesn't paint counts as 1 further away
+ * (about the least difference the eye can see), and one named for no role
+ * (indigo, white) as ½, so #fff in `color` prefers a text token to an equal
+ * background one and semantic names win ties. Accents suit any property.
+ */
+function matchColor(value, property, tokens, thresholds = {}) {
+  const { colorDelta = 5, roleDelta = {} } = thresholds;
+  const parsed = colorLib.parse(value);
+  if (!parsed) return null;
+  const role = propertyRole(property);
+
+  let best = null;
+  for (const [key, tokenValue] of Object.entries(tokens)) {
+    const token = colorLib.parse(String(tokenValue));
+    if (!token || Math.abs((token.alpha ?? 1) - (parsed.alpha ?? 1)) > 0.01) continue;
+    const tokenRole = colorRole(key);
+    const de = deltaE(value, String(tokenValue));
+    if (!Number.isFinite(de) || de >= (roleDelta[tokenRole] ?? colorDelta)) continue;
+    const score = de + (!tokenRole ? 0.5 : role && tokenRole !== role && tokenRole !== 'accent' ? 1 : 0);
+    if (!best || score < best.score) best = { key, value: tokenValue, deltaE: de, score };
+  }
+  return best;
+}
+
+// Token for a spacing or radius literal: the nearest within spacingTolerance
+function matchDimension(value, tokens, thresholds = {}) {
+  const { spacingTolerance = 0.1 } = thresholds;
+  const px = parsePixels(value);
+  if (px === null || px <= 0) return null;
+
+  let best = null;
+  for (const [key, tokenValue] of Object.entries(tokens)) {
+    const tokenPx = parsePixels(tokenValue);
+    if (tokenPx === null || tokenPx <= 0) continue;
+    const diff = Math.abs(px - tokenPx);
+    if (diff / tokenPx <= spacingTolerance && (!best || diff < best.diff)) best = { key, value: tokenValue, diff };
+  }
+  return best;
+}
+
+// =============================================================================
+// TOKEN REFERENCES
+// =============================================================================
+
+// The CSS variable a token is written to: generateCSSVariables for `css`,
+// generateThemeVariables for `v4`. The project's own variables keep their name.
+function tokenVariable(category, key, target) {
+  if (key.startsWith('--')) return key;
+  if (category === 'colors') return `--color-${key}`;
+  if (category === 'spacing') return target === 'v4' ? `--spacing-${key.replace(/\./g, '_')}` : `--spacing-${key}`;
+  if (key === 'DEFAULT') return target === 'v4' ? '--radius' : '--radius-base';
+  return `--radius-${key}`;
+}
+
+// theme() path of a Tailwind v3 token; keys with dots go in brackets: spacing[0.5]
+function themePath(category, key) {
+  return key.includes('.') ? `${category}[${key}]` : `${category}.${key}`;
+}
+
+/**
+ * What a literal becomes, or null when the target can't refer to the token
+ * there. `where` is 'stylesheet' (CSS/SCSS files) or 'inline' (style
+ * attributes, style objects and <style> blocks).
+ */
+function tokenReference(category, key, target, where) {
+  if (target === 'v3') return where === 'stylesheet' ? `theme('${themePath(category, key)}')` : null;
+  return `var(${tokenVariable(category, key, target)})`;
+}
+
+/**
+ * An arbitrary-value class rewritten to the token: bg-[#5e6ad3] → bg-accent
+ * (bg-[var(--color-accent)] without a Tailwind theme), rounded-[4px] → rounded
+ * for a DEFAULT radius. Variants, `!` and opacity modifiers are kept.
+ */
+function tokenClass(className, category, key, target) {
+  const open = className.lastIndexOf('-[');
+  const close = className.indexOf(']', open);
+  if (open === -1 || close === -1) return null;
+  const before = className.slice(0, open);
+  const after = className.slice(close + 1);
+  if (target === 'css') return `${before}-[var(${tokenVariable(category, key, target)})]${after}`;
+  return key === 'DEFAULT' ? `${before}${after}` : `${before}-${key}${after}`;
+}
+
+// =============================================================================
+// FINDING
+// =============================================================================
+
+/**
+ * Tokens the project already has for a category, key → value: its Tailwind
+ * theme (config and @theme, not Tailwind's defaults) for `v3` and `v4`, or the
+ * custom properties set on :root for `css`, keyed by their name (--brand).
+ * `theme` and `stylesheets` (parseProjectStylesheets) are reused if loaded.
+ */
+function existingTokens(projectPath, category, options = {}) {
+  const { target = 'css', ignore } = options;
+  if (target !== 'css') {
+    const theme = options.theme !== undefined ? options.theme : loadTailwindTheme(projectPath);
+    return Object.fromEntries(theme?.keys[category] || []);
+  }
+  const { definitions = [] } = options.stylesheets || parseProjectStylesheets(projectPath, { ignore });
+  const tokens = {};
+  for (const definition of definitions) {
+    if (definition.kind !== 'custom-property' || !['html', ':root'].includes(definition.scope) || definition.condition) continue;
+    if (definition.name.startsWith('--tw-') || !definition.resolved) continue;
+    const fits = category === 'colors' ? colorLib.parse(definition.resolved) : parsePixels(definition.resolved) > 0;
+    if (fits) tokens[definition.name] = definition.resolved;
+  }
+  return tokens;
+}
+
+// Offset of a 1-based line and column
+function offsetOf(content, line, column) {
+  const lines = content.split('\n').slice(0, line - 1);
+  return lines.reduce((offset, text) => offset + text.length + 1, 0) + column - 1;
+}
+
+/**
+ * Replacements for the literals of one category that match its tokens.
+ * `tokens` maps token keys to values, as a token generator returns them
+ * (generateColorTokens(...).colors). The project's own tokens (`existing`)
+ * win ties, so a literal matching one of them keeps to the project's names.
+ * Options:
+ *   target      'v3' (tailwind.config), 'v4' (@theme) or 'css' (CSS variables)
+ *   thresholds  colorDelta, roleDelta and spacingTolerance (impression-config.js)
+ *   ignore      (file) => true for files to leave out
+ *   theme       the Tailwind theme (usage-scanner.js loadTailwindTheme), if already loaded
+ *   existing    the project's tokens (existingTokens), found when not given
+ * Returns {
+ *   replacements  [{ file, line, column, from, to, token, value, kind }], `kind`
+ *                 'class', 'stylesheet' or 'inline', sorted by file and position
+ *   skipped       [{ file, line, column, value, token, reason }] matched but not rewritable
+ *   warnings
+ * }
+ */
+function findReplacements(projectPath, category, tokens, options = {}) {
+  const { target = 'css', thresholds = {}, ignore } = options;
+  const replacements = [];
+  const skipped = [];
+  const warnings = [];
+  if (!CATEGORIES.includes(category)) return { replacements, skipped, warnings };
+
+  // Stylesheets
+  let stylesheets = { definitions: [], usages: [], warnings: [] };
+  try {
+    stylesheets = parseProjectStylesheets(projectPath, { ignore });
+  } catch (err) {
+    warnings.push(`Stylesheets skipped: ${err.message}`);
+  }
+  warnings.push(...stylesheets.warnings);
+
+  const theme = options.theme !== undefined ? options.theme : loadTailwindTheme(projectPath);
+  const existing = options.existing || existingTokens(projectPath, category, { target, theme, stylesheets });
+  if (Object.keys(existing).length === 0 && Object.keys(tokens || {}).length === 0) return { replacements, skipped, warnings };
+
+  const find = (value, property, candidates) => (category === 'colors'
+    ? matchColor(value, property, candidates, thresholds)
+    : matchDimension(value, candidates, thresholds));
+  // The project's token wins unless the reference has a closer one (or one
+  // better suited to the property's role)
+  const match = (value, property) => {
+    const own = find(value, property, existing);
+    const added = find(value, property, tokens || {});
+    return own && (!added || (own.score ?? own.diff) <= (added.score ?? added.diff)) ? own : added;
+  };
+  const sources = new Map();
+  const sourceOf = (file) => {
+    if (!sources.has(file)) sources.set(file, fs.readFileSync(file, 'utf-8'));
+    return sources.get(file);
+  };
+
+  const addLiteral = (usage, literal, kind) => {
+    if (literal.value.startsWith('-')) return;
+    const token = match(literal.value, usage.property);
+    if (!token) return;
+    const at = { file: usage.file, line: literal.line, column: literal.column };
+    const to = tokenReference(category, token.key, target, kind);
+    if (!to) {
+      skipped.push({ ...at, value: literal.value, token: token.key, reason: 'Tailwind v3 tokens have no CSS variable to use outside stylesheets' });
+      return;
+    }
+    // style={{ padding: 12 }}: the number is the literal, without its px
+    const source = sourceOf(usage.file);
+    const offset = offsetOf(source, literal.line, literal.column);
+    if (source.startsWith(literal.value, offset)) {
+      replacements.push({ ...at, from: literal.value, to, token: token.key, value: token.value, kind });
+    } else {
+      const number = literal.value.replace(/px$/, '');
+      if (source.startsWith(number, offset)) replacements.push({ ...at, from: number, to: `'${to}'`, token: token.key, value: token.value, kind });
+    }
+  };
+
+  stylesheets.usages
+    .filter(usage => usage.category === category)
+    .forEach(usage => usage.literals.forEach(literal => addLiteral(usage, literal, 'stylesheet')));
+
+  // Components: classes, inline styles and <style> blocks
+  const components = scanProjectUsages(projectPath, { theme, ignore });
+  warnings.push(...components.warnings);
+  for (const usage of components.usages.filter(u => u.category === category)) {
+    // Style properties share some names with utilities (gap, fill), not the brackets
+    if (!UTILITIES[usage.property] || !usage.value.includes('-[')) {
+      usage.literals.forEach(literal => addLiteral(usage, literal, 'inline'));
+      continue;
+    }
+    // An arbitrary class whose whole value is one literal
+    const [literal] = usage.literals;
+    if (usage.literals.length !== 1 || usage.resolved !== literal.value || literal.value.startsWith('-')) continue;
+    const token = match(literal.value, usage.property);
+    const to = token && tokenClass(usage.value, category, token.key, target);
+    if (to) {
+      replacements.push({ file: usage.file, line: usage.line, column: usage.column, from: usage.value, to, token: token.key, value: token.value, kind: 'class' });
+    }
+  }
+
+  replacements.sort((a, b) => a.file.localeCompare(b.file) || a.line - b.line || a.column - b.column);
+  return { replacements, skipped, warnings };
+}
+
+// =============================================================================
+// REWRITING
+// =============================================================================
+
+/**
+ * Apply replacements to one file's source, last first so earlier positions
+ * hold. A replacement whose text is no longer at its position is left out.
+ * Returns { content, applied, stale }.
+ */
+function applyReplacements(source, replacements) {
+  let content = source;
+  let applied = 0;
+  let stale = 0;
+  const located = replacements
+    .map(r => ({ ...r, offset: offsetOf(source, r.line, r.column) }))
+    .sort((a, b) => b.offset - a.offset);
+
+  let limit = Infinity;
+  for (const r of located) {
+    // Overlapping replacements can't both apply
+    if (r.offset + r.from.length > limit || !content.startsWith(r.from, r.offset)) {
+      stale++;
+      continue;
+    }
+    content = content.slice(0, r.offset) + r.to + content.slice(r.offset + r.from.length);
+    limit = r.offset;
+    applied++;
+  }
+  return { content, applied, stale };
+}
+
+/**
+ * Write replacements to their files. Returns the files changed, relative to
+ * the project, and how many replacements were applied or had gone stale.
+ */
+function rewriteFiles(projectPath, replacements) {
+  const byFile = new Map();
+  replacements.forEach(r => {
+    if (!byFile.has(r.file)) byFile.set(r.file, []);
+    byFile.get(r.file).push(r);
+  });
+
+  const files = [];
+  let applied = 0;
+  let stale = 0;
+  for (const [file, list] of byFile) {
+    const source = fs.readFileSync(file, 'utf-8');
+    const result = applyReplacements(source, list);
+    applied += result.applied;
+    stale += result.stale;
+    if (result.content !== source) {
+      fs.writeFileSync(file, result.content);
+      files.push(path.relative(projectPath, file));
+    }
+  }
+  return { files, applied, stale };
+}
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+module.exports = {
+  findReplacements,
+  existingTokens,
+  applyReplacements,
+  rewriteFiles,
+  matchColor,
+  matchDimension,
+  tokenReference,
+  tokenClass,
+  tokenVariable,
+  CATEGORIES
+};
+
+// =============================================================================
+// CLI
+// =============================================================================
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const write = args.includes('--write');
+  const configFlag = args.find(a => a.startsWith('--config='));
+  const [projectArg, referenceArg] = args.filter(a => !a.startsWith('--'));
+
+  if (!projectArg || !referenceArg) {
+    console.log(`
+Impression: Replace Hardcoded Values
+====================================
+
+Usage:
+  node replace-hardcoded-values.js <project-path> <reference.json> [options]
+
+Options:
+  --write          Rewrite the files (default: list the replacements only)
+  --config=FILE    Settings file (default: .impressionrc or impression.config.json
+                   in the project)
+
+Lists, or makes, the replacements implement-design-changes.js commits after
+adding the reference's color, spacing and radius tokens. Run it after the
+tokens are in the project's config.
+`);
+    process.exit(1);
+  }
+
+  // Loaded here: implement-design-changes.js requires this module
+  const { loadConfig, createIgnore } = require('./impression-config');
+  const { withoutIgnoredTokens } = require('./compare-design-systems');
+  const { detectConfigFiles, generateColorTokens, generateSpacingTokens, generateRadiusTokens } = require('./implement-design-changes');
+
+  const projectPath = path.resolve(projectArg);
+  const referencePath = path.resolve(referenceArg);
+  if (!fs.existsSync(projectPath)) {
+    console.error(`Error: Project path not found: ${projectPath}`);
+    process.exit(1);
+  }
+  if (!fs.existsSync(referencePath)) {
+    console.error(`Error: Reference file not found: ${referencePath}`);
+    process.exit(1);
+  }
+
+  try {
+    const config = loadConfig(projectPath, configFlag ? configFlag.split('=')[1] : null);
+    const ignore = createIgnore(config, projectPath);
+    const reference = withoutIgnoredTokens(JSON.parse(fs.readFileSync(referencePath, 'utf-8')), ignore.token);
+    const configs = detectConfigFiles(projectPath);
+    const target = configs.tailwindFormat === 'v4' ? 'v4' : configs.tailwind ? 'v3' : 'css';
+    const format = configs.tailwind ? 'tailwind' : 'css';
+    const tokens = {
+      colors: generateColorTokens(reference, format).colors,
+      spacing: generateSpacingTokens(reference, format).spacing,
+      borderRadius: generateRadiusTokens(reference, format).borderRadius
+    };
+    const theme = loadTailwindTheme(projectPath);
+
+    console.log(`\nToken format: ${target === 'v3' ? 'Tailwind v3 config' : target === 'v4' ? 'Tailwind v4 @theme' : 'CSS variables'}\n`);
+    for (const category of CATEGORIES) {
+      const found = findReplacements(projectPath, category, tokens[category], { target, thresholds: config.thresholds, ignore: ignore.file, theme });
+      if (category === 'colors') found.warnings.forEach(warning => console.log(`⚠️  ${warning}`));
+      console.log(`${category}: ${found.replacements.length} replacement(s)${found.skipped.length ? `, ${found.skipped.length} skipped` : ''}`);
+      found.replacements.forEach(r => console.log(`  ${path.relative(projectPath, r.file)}:${r.line}:${r.column}  ${r.from} → ${r.to}`));
+      found.skipped.forEach(s => console.log(`  ${path.relative(projectPath, s.file)}:${s.line}:${s.column}  ${s.value} (${s.token}) skipped: ${s.reason}`));
+      if (write && found.replacements.length > 0) {
+        const { files, stale } = rewriteFiles(projectPath, found.replacements);
+        console.log(`  Rewrote ${files.length} file(s)${stale ? `; ${stale} replacement(s) no longer matched` : ''}`);
+      }
+    }
+  } catch (err) {
+    console.error(`Error: ${err.message}`);
+    process.exit(1);
+  }
+}
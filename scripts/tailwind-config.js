@@ -0,0 +1,861 @@
+#!/usr/bin/env node
+/**
+ * Tailwind Config Loader
+ * Evaluates tailwind.config.{js,cjs,mjs,ts} the way Tailwind does and reports
+ * every theme token with the place it was declared
+ *
+ * The config is executed, as Tailwind executes it: it runs in a vm context with
+ * its own require, so imported presets, spreads, require('tailwindcss/colors'),
+ * theme functions and theme.extend all resolve. That context is not a security
+ * boundary. The config's require reaches fs, child_process and every installed
+ * package, and it sees the environment (process.env), so only evaluate configs
+ * you would run yourself. `{ evaluate: false }` reads the literal values of the
+ * config's source instead, without running anything; ci-compare.js does that
+ * unless given --evaluate-config, as its input is often an untrusted pull request.
+ * Presets are merged before the config itself, following Tailwind's
+ * rules: theme keys replace, theme.extend entries deep merge on top. Only what
+ * the configs declare is resolved, not Tailwind's default theme, though theme()
+ * calls fall back to the defaults when the project has tailwindcss installed.
+ *
+ * TypeScript and ES module configs are compiled with the project's own
+ * `typescript` package when it is installed. Without it, imports and exports are
+ * rewritten to CommonJS and the type syntax configs usually carry (`import type`,
+ * `satisfies Config`, `as const`, `const config: Config`) is stripped.
+ *
+ * Source locations come from a scan of each file's object literals: a token
+ * maps to the key path it was written under (theme.extend.colors.brand.500),
+ * the key in the variable it was spread in from, or the closest enclosing key
+ * when its value came from an import.
+ * When a config can't be evaluated, the literal values the scan found are used
+ * instead and the error is reported in `warnings`.
+ *
+ * Tailwind v4 projects declare their theme in CSS instead, as custom properties
+ * in `@theme { --color-brand: ...; }` blocks, often with no config file at all.
+ * detectTailwind() tells the two apart and loadThemeStylesheets() reads those
+ * blocks into the same tokens, mapping each namespace (--color-*, --font-*,
+ * --text-*, --radius-*...) to the v3 theme key it replaces.
+ *
+ * Usage:
+ *   const { loadTailwindConfig, detectTailwind } = require('./tailwind-config');
+ *   node tailwind-config.js <project-path | tailwind.config.* | app.css>
+ *
+ * @version 1.0.0
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { createRequire } = require('module');
+const { tokenize, locate } = require('./js-source');
+
+const CONFIG_FILES = ['tailwind.config.js', 'tailwind.config.ts', 'tailwind.config.mjs', 'tailwind.config.cjs'];
+const MODULE_EXTENSIONS = ['.js', '.cjs', '.mjs', '.ts', '.cts', '.mts', '.json'];
+
+// =============================================================================
+// SOURCE SCANNING
+// =============================================================================
+
+/**
+ * Object literal keys in a config source, each with its key path and position.
+ *
+ * Paths start at the object they appear in: the exported object (or one passed
+ * to a wrapper such as defineConfig) has an empty prefix, an object assigned to
+ * a variable is prefixed with the variable name (`colors.brand`), and objects
+ * returned by theme functions continue the path of the key holding the function.
+ * Keys whose value is a single string or number literal also carry that value.
+ *
+ * Returns { entries: [{ path, line, column, value? }], objects: [{ path, start, end }] },
+ * with `start`/`end` the offsets of each object's braces.
+ */
+function scanConfigSource(source) {
+  const tokens = tokenize(source);
+  const entries = [];
+  const objects = [];
+  const stack = [];
+
+  // Name an object opened at the top level: `const name = {` or the export
+  const topLevelPath = (i) => {
+    if (tokens[i - 1]?.value !== '=') return [];
+    const name = tokens[i - 2]?.type === 'name' && tokens[i - 3]?.value !== '.' ? tokens[i - 2].value : null;
+    // `const config: Config = {`
+    if (tokens[i - 3]?.value === ':' && tokens[i - 4]?.type === 'name') return [tokens[i - 4].value];
+    return name && name !== 'exports' ? [name] : [];
+  };
+
+  const pathFor = (i) => {
+    for (let j = stack.length - 1; j >= 0; j--) {
+      const frame = stack[j];
+      if (frame.type !== '{') continue;
+      if (!frame.path) return null;
+      return frame.key !== null ? [...frame.path, frame.key] : frame.path;
+    }
+    return topLevelPath(i);
+  };
+
+  tokens.forEach((token, i) => {
+    const frame = stack[stack.length - 1];
+
+    if (token.type === 'punct' && (token.value === '{' || token.value === '(' || token.value === '[')) {
+      stack.push({ type: token.value, path: token.value === '{' ? pathFor(i) : null, key: null, start: token.start });
+      return;
+    }
+
+    if (token.type === 'punct' && (token.value === '}' || token.value === ')' || token.value === ']')) {
+      const closed = stack.pop();
+      if (closed?.type === '{' && closed.path) objects.push({ path: closed.path, start: closed.start, end: token.start });
+      return;
+    }
+
+    if (frame?.type !== '{' || !frame.path) return;
+
+    if (token.type === 'punct' && token.value === ',') {
+      frame.key = null;
+      return;
+    }
+
+    // `key:` directly after `{` or `,` (a ternary's `:` follows an expression instead)
+    const isKey = ['name', 'string', 'number'].includes(token.type) &&
+      tokens[i + 1]?.value === ':' &&
+      (tokens[i - 1]?.value === '{' || tokens[i - 1]?.value === ',');
+    if (!isKey) return;
+
+    frame.key = token.value;
+    const valueToken = tokens[i + 2];
+    const isLiteral = ['string', 'number'].includes(valueToken?.type) &&
+      (tokens[i + 3]?.value === ',' || tokens[i + 3]?.value === '}');
+    const entry = { path: [...frame.path, token.value], ...locate(source, isLiteral ? valueToken.start : token.start) };
+    if (isLiteral) entry.value = valueToken.type === 'number' ? Number(valueToken.value) : valueToken.value;
+    entries.push(entry);
+  });
+
+  return { entries, objects };
+}
+
+const endsWith = (full, suffix) =>
+  full.length >= suffix.length && suffix.every((part, i) => full[full.length - suffix.length + i] === String(part));
+
+/**
+ * Where a theme path (['colors', 'brand', '500']) was declared: the exact key
+ * under theme.extend or theme, else any key path ending in it, or in it without
+ * the theme key (objects held in variables and spread in), else the same search
+ * for its closest ancestor. `sources` are scanned files in priority order.
+ */
+function findLocation(sources, themePath) {
+  for (let length = themePath.length; length > 0; length--) {
+    const target = themePath.slice(0, length).map(String);
+    const candidates = [['theme', 'extend', ...target], ['theme', ...target], target];
+    if (target.length > 1) candidates.push(target.slice(1));
+    for (const candidate of candidates) {
+      for (const { file, entries } of sources) {
+        const entry = entries.find(e => endsWith(e.path, candidate));
+        if (entry) return { file, line: entry.line, column: entry.column };
+      }
+    }
+  }
+  return sources[0] ? { file: sources[0].file, line: 1, column: 1 } : {};
+}
+
+// =============================================================================
+// COMPILING
+// =============================================================================
+
+const hasModuleSyntax = (source) => /^\s*(?:import|export)\b/m.test(source);
+
+// `a, b as c, type D` → `a, b: c`
+function importSpecifiers(names) {
+  return names.split(',')
+    .map(name => name.trim())
+    .filter(name => name && !name.startsWith('type '))
+    .map(name => name.replace(/^([\w$]+)\s+as\s+([\w$]+)$/, '$1: $2'))
+    .join(', ');
+}
+
+// ES module syntax → CommonJS, for when the project has no TypeScript compiler
+function esmToCommonJS(source) {
+  const exported = [];
+  const code = source
+    .replace(/^\s*import\s+type\s+[^;\n]+;?/gm, '')
+    .replace(/import\s+([\w$]+)\s*,\s*\{([^}]*)\}\s*from\s*(['"][^'"]+['"]);?/g,
+      (m, name, names, from) => `const ${name} = __default(require(${from})); const { ${importSpecifiers(names)} } = require(${from});`)
+    .replace(/import\s+\*\s+as\s+([\w$]+)\s+from\s*(['"][^'"]+['"]);?/g, 'const $1 = require($2);')
+    .replace(/import\s+([\w$]+)\s+from\s*(['"][^'"]+['"]);?/g, 'const $1 = __default(require($2));')
+    .replace(/import\s*\{([^}]*)\}\s*from\s*(['"][^'"]+['"]);?/g,
+      (m, names, from) => `const { ${importSpecifiers(names)} } = require(${from});`)
+    .replace(/import\s*(['"][^'"]+['"]);?/g, 'require($1);')
+    .replace(/export\s+default\s+/g, 'module.exports.default = ')
+    .replace(/export\s+(const|let|var|function|class)\s+([\w$]+)/g, (m, kind, name) => {
+      exported.push([name, name]);
+      return `${kind} ${name}`;
+    })
+    .replace(/export\s*\{([^}]*)\}\s*;?/g, (m, names) => {
+      names.split(',').map(n => n.trim()).filter(Boolean).forEach(n => {
+        const [local, as = local] = n.split(/\s+as\s+/);
+        exported.push([local, as]);
+      });
+      return '';
+    });
+
+  return [
+    "Object.defineProperty(module.exports, '__esModule', { value: true });",
+    'const __default = (m) => (m && m.__esModule ? m.default : m);',
+    code,
+    ...exported.map(([local, as]) => `module.exports.${as} = ${local};`)
+  ].join('\n');
+}
+
+// The TypeScript syntax Tailwind configs tend to use
+function stripTypes(source) {
+  return source
+    .replace(/^\s*(?:export\s+)?type\s+[\w$]+(?:<[^>]*>)?\s*=[^;]+;/gm, '')
+    .replace(/\s+satisfies\s+[\w$.]+(?:<[^;]*?>)?/g, '')
+    .replace(/\s+as\s+const\b/g, '')
+    .replace(/\s+as\s+[A-Z][\w$.]*(?:<[^;]*?>)?(?=[\s,;)}\]])/g, '')
+    .replace(/(\b(?:const|let|var)\s+[\w$]+)\s*:\s*[\w$.]+(?:<[^=]*?>)?(?=\s*=)/g, '$1');
+}
+
+// A module from the project's own node_modules, or null. `from` is the
+// project directory or a file inside it (such as its Tailwind config).
+function requireFromProject(name, from) {
+  try {
+    const resolved = path.resolve(from);
+    const base = fs.statSync(resolved).isDirectory() ? path.join(resolved, 'package.json') : resolved;
+    return createRequire(base)(name);
+  } catch (e) {
+    return null;
+  }
+}
+
+function compile(source, file) {
+  const isTypeScript = /\.[cm]?ts$/.test(file);
+  if (!isTypeScript && !hasModuleSyntax(source)) return source;
+
+  const ts = requireFromProject('typescript', file);
+  if (ts) {
+    return ts.transpileModule(source, {
+      fileName: file,
+      compilerOptions: {
+        module: ts.ModuleKind.CommonJS,
+        target: ts.ScriptTarget.ES2020,
+        esModuleInterop: true
+      }
+    }).outputText;
+  }
+
+  const code = hasModuleSyntax(source) ? esmToCommonJS(source) : source;
+  return isTypeScript ? stripTypes(code) : code;
+}
+
+// =============================================================================
+// EVALUATION
+// =============================================================================
+
+// Stand-in for a module that isn't installed: every property and call yields
+// itself, and it has no keys to spread, so the config still evaluates
+function missingModule() {
+  const proxy = new Proxy(function () {}, {
+    get: (target, prop) => {
+      if (prop === Symbol.toPrimitive) return () => '';
+      if (prop === '__esModule') return false;
+      return proxy;
+    },
+    apply: () => proxy
+  });
+  return proxy;
+}
+
+function resolveLocalModule(request) {
+  const candidates = [
+    request,
+    ...MODULE_EXTENSIONS.map(ext => request + ext),
+    ...MODULE_EXTENSIONS.map(ext => path.join(request, `index${ext}`))
+  ];
+  return candidates.find(file => fs.existsSync(file) && fs.statSync(file).isFile()) || null;
+}
+
+const unwrapDefault = (exported) => (exported && exported.__esModule && 'default' in exported ? exported.default : exported);
+
+/**
+ * Execute a config file (or a preset it requires) in a vm context and return
+ * its exports. Local files go through the same loader so they are compiled and
+ * scanned for locations; packages come from the project's node_modules.
+ */
+function loadModule(file, context) {
+  if (context.modules.has(file)) return context.modules.get(file).exports;
+
+  const source = fs.readFileSync(file, 'utf-8');
+  context.sources.push({ file, ...scanConfigSource(source) });
+
+  const module = { exports: {} };
+  context.modules.set(file, module);
+
+  if (file.endsWith('.json')) {
+    module.exports = JSON.parse(source);
+    return module.exports;
+  }
+
+  const projectRequire = createRequire(file);
+  const configRequire = (request) => {
+    if (request.startsWith('.') || path.isAbsolute(request)) {
+      const local = resolveLocalModule(path.resolve(path.dirname(file), request));
+      if (local) return loadModule(local, context);
+    }
+    try {
+      return projectRequire(request);
+    } catch (e) {
+      context.warnings.push(`Could not load '${request}' from ${path.basename(file)}; its values are skipped`);
+      return missingModule();
+    }
+  };
+
+  vm.runInNewContext(compile(source, file), {
+    module,
+    exports: module.exports,
+    require: configRequire,
+    __filename: file,
+    __dirname: path.dirname(file),
+    process: { env: { ...process.env } },
+    console
+  }, { filename: file, timeout: 2000 });
+
+  return module.exports;
+}
+
+// =============================================================================
+// THEME RESOLUTION
+// =============================================================================
+
+const isPlainObject = (value) => Object.prototype.toString.call(value) === '[object Object]';
+
+function deepMerge(target, source) {
+  if (source === undefined) return target;
+  if (!isPlainObject(target) || !isPlainObject(source)) return source;
+  const merged = { ...target };
+  for (const [key, value] of Object.entries(source)) {
+    merged[key] = deepMerge(merged[key], value);
+  }
+  return merged;
+}
+
+// 'colors.blue.500', 'spacing[2.5]' → path segments
+function toPath(key) {
+  const parts = [];
+  let current = '';
+  for (let i = 0; i < key.length; i++) {
+    if (key[i] === '[') {
+      if (current) parts.push(current);
+      const close = key.indexOf(']', i);
+      parts.push(key.slice(i + 1, close === -1 ? key.length : close).replace(/^['"]|['"]$/g, ''));
+      current = '';
+      i = close === -1 ? key.length : close;
+    } else if (key[i] === '.') {
+      if (current) parts.push(current);
+      current = '';
+    } else {
+      current += key[i];
+    }
+  }
+  if (current) parts.push(current);
+  return parts;
+}
+
+const getPath = (object, parts) => parts.reduce((value, part) => (value == null ? undefined : value[part]), object);
+
+// Presets first (depth first, each preset's own presets before it), then the config
+function flattenPresets(config) {
+  const presets = (config?.presets || []).map(unwrapDefault).filter(Boolean);
+  return [...presets.flatMap(flattenPresets), config || {}];
+}
+
+/**
+ * Resolve the theme the configs declare: later configs replace earlier theme
+ * keys, then every config's theme.extend entries merge on top in order.
+ * Function values are called like Tailwind does, with a theme() helper that
+ * also exposes `theme`, `colors` and `breakpoints`.
+ */
+function resolveTheme(configs, configPath, warnings) {
+  const base = {};
+  const extend = {};
+  for (const config of configs) {
+    const { extend: extensions, ...keys } = config.theme || {};
+    Object.assign(base, keys);
+    Object.entries(extensions || {}).forEach(([key, value]) => {
+      (extend[key] = extend[key] || []).push(value);
+    });
+  }
+
+  const defaults = requireFromProject('tailwindcss/defaultTheme', configPath) || {};
+  const resolved = {};
+  const resolving = new Map(); // key → value merged so far
+
+  const themeFn = (key, defaultValue) => {
+    const [root, ...rest] = toPath(String(key).replace(/\s*\/\s*[\w.%]+$/, '')); // Drop `/ 50%` opacity modifiers
+    const own = root in base || root in extend ? getPath(resolveKey(root), rest) : undefined;
+    const value = own !== undefined ? own : getPath(defaults[root], rest);
+    return value !== undefined ? value : defaultValue;
+  };
+  themeFn.theme = themeFn;
+  themeFn.colors = requireFromProject('tailwindcss/colors', configPath) || {};
+  themeFn.breakpoints = (screens) =>
+    Object.fromEntries(Object.entries(screens || {}).map(([name, value]) => [`screen-${name}`, value]));
+
+  const call = (key, value) => {
+    if (typeof value !== 'function') return value;
+    try {
+      return value(themeFn, { theme: themeFn, colors: themeFn.colors, breakpoints: themeFn.breakpoints });
+    } catch (err) {
+      warnings.push(`theme.${key} could not be resolved: ${err.message}`);
+      return undefined;
+    }
+  };
+
+  // A key that refers to itself (an extension calling theme() on its own key)
+  // sees what has been merged before that extension
+  const resolveKey = (key) => {
+    if (key in resolved) return resolved[key];
+    if (resolving.has(key)) return resolving.get(key);
+    resolving.set(key, undefined);
+    let value = call(key, base[key]);
+    for (const extension of extend[key] || []) {
+      resolving.set(key, value);
+      value = deepMerge(value, call(key, extension));
+    }
+    resolving.delete(key);
+    resolved[key] = value;
+    return value;
+  };
+
+  [...new Set([...Object.keys(base), ...Object.keys(extend)])].forEach(resolveKey);
+  return resolved;
+}
+
+// Theme built from the literal values a scan found under `theme`
+function staticConfig(scan) {
+  const theme = {};
+  for (const entry of scan.entries) {
+    const start = entry.path.indexOf('theme');
+    if (entry.value === undefined || start === -1) continue;
+    const parts = entry.path.slice(start + 1);
+    let target = theme;
+    parts.slice(0, -1).forEach(part => {
+      if (!isPlainObject(target[part])) target[part] = {};
+      target = target[part];
+    });
+    target[parts[parts.length - 1]] = entry.value;
+  }
+  return { theme };
+}
+
+// =============================================================================
+// TOKENS
+// =============================================================================
+
+// The options of a fontSize tuple: ['14px', '20px'] or ['14px', { lineHeight, letterSpacing, fontWeight }]
+function fontSizeOptions(options) {
+  if (typeof options === 'string' || typeof options === 'number') return { lineHeight: String(options) };
+  if (!isPlainObject(options)) return null;
+  const pairing = {};
+  for (const key of ['lineHeight', 'letterSpacing', 'fontWeight']) {
+    if (typeof options[key] === 'string' || typeof options[key] === 'number') pairing[key] = String(options[key]);
+  }
+  return Object.keys(pairing).length > 0 ? pairing : null;
+}
+
+/**
+ * Theme leaves as tokens: { key, path, name, value }. `name` is the utility
+ * suffix Tailwind derives (colors.brand.DEFAULT → brand, colors.brand.500 →
+ * brand-500). Font stacks are joined into one value and [value, options]
+ * tuples (fontSize) keep the value, with the line height, letter spacing and
+ * weight they set as `pairing`.
+ */
+function flattenTheme(theme) {
+  const tokens = [];
+
+  const visit = (key, segments, value) => {
+    if (typeof value === 'string' || typeof value === 'number') {
+      const name = segments.filter(s => s !== 'DEFAULT').join('-') || 'DEFAULT';
+      tokens.push({ key, path: [key, ...segments], name, value: String(value) });
+    } else if (Array.isArray(value)) {
+      if (value.every(v => typeof v === 'string')) {
+        // ['14px', '20px'] is a size and its line height, not a font stack
+        if (key === 'fontSize' && value.length === 2) {
+          visit(key, segments, value[0]);
+          tokens[tokens.length - 1].pairing = fontSizeOptions(value[1]);
+        } else {
+          visit(key, segments, value.join(', '));
+        }
+      } else if (typeof value[0] === 'string' || Array.isArray(value[0])) {
+        visit(key, segments, value[0]);
+        const pairing = key === 'fontSize' && fontSizeOptions(value[1]);
+        if (pairing) tokens[tokens.length - 1].pairing = pairing;
+      }
+    } else if (isPlainObject(value)) {
+      Object.entries(value).forEach(([k, v]) => visit(key, [...segments, k], v));
+    }
+  };
+
+  Object.entries(theme).forEach(([key, value]) => visit(key, [], value));
+  return tokens;
+}
+
+function findTailwindConfig(projectPath) {
+  for (const file of CONFIG_FILES) {
+    const fullPath = path.join(projectPath, file);
+    if (fs.existsSync(fullPath)) return fullPath;
+  }
+  return null;
+}
+
+/**
+ * Load a Tailwind config with its presets and resolve its theme.
+ *
+ * Returns {
+ *   file,       absolute config path
+ *   config,     the evaluated config object
+ *   theme,      resolved theme (declared keys only)
+ *   tokens,     [{ key, path, name, value, pairing?, file, line, column }]
+ *   sources,    scans of every file loaded, config first
+ *   warnings,   modules that couldn't be loaded, functions that threw...
+ *   evaluated   false when only the literal values could be read
+ * }
+ *
+ * `options.evaluate: false` reads the literal values without executing the
+ * config (see the header).
+ */
+function loadTailwindConfig(configPath, options = {}) {
+  const { evaluate = true } = options;
+  const file = path.resolve(configPath);
+  const context = { modules: new Map(), sources: [], warnings: [] };
+  let config;
+  let evaluated = evaluate;
+
+  const literalConfig = () => {
+    if (!context.sources.some(source => source.file === file)) {
+      context.sources.unshift({ file, ...scanConfigSource(fs.readFileSync(file, 'utf-8')) });
+    }
+    return staticConfig(context.sources.find(source => source.file === file));
+  };
+
+  if (!evaluate) {
+    config = literalConfig();
+    // Imports, spreads and functions only resolve when the config runs
+    if (/\brequire\s*\(|^\s*import\b|\.\.\.|=>|\bfunction\b/m.test(fs.readFileSync(file, 'utf-8'))) {
+      context.warnings.push(`${path.basename(file)} was read without executing it, so values from imports, presets and theme functions are skipped`);
+    }
+  } else {
+    try {
+      config = unwrapDefault(loadModule(file, context));
+    } catch (err) {
+      evaluated = false;
+      context.warnings.push(`Could not evaluate ${path.basename(file)} (${err.message}); using its literal values only`);
+      config = literalConfig();
+    }
+  }
+
+  const theme = resolveTheme(flattenPresets(config), file, context.warnings);
+  const tokens = flattenTheme(theme).map(token => ({ ...token, ...findLocation(context.sources, token.path) }));
+
+  return { file, config, theme, tokens, sources: context.sources, warnings: context.warnings, evaluated };
+}
+
+// =============================================================================
+// TAILWIND V4 (CSS-FIRST)
+// =============================================================================
+
+// v4 theme variable namespaces → the v3 theme key they correspond to. Longer
+// prefixes first: --font-weight-* isn't a font family. A bare namespace
+// variable (--spacing, --radius) is the key's DEFAULT.
+const THEME_NAMESPACES = [
+  ['--color', 'colors'],
+  ['--font-weight', 'fontWeight'],
+  ['--font', 'fontFamily'],
+  ['--text', 'fontSize'],
+  ['--leading', 'lineHeight'],
+  ['--tracking', 'letterSpacing'],
+  ['--spacing', 'spacing'],
+  ['--radius', 'borderRadius'],
+  ['--shadow', 'boxShadow'],
+  ['--ease', 'transitionTimingFunction'],
+  ['--breakpoint', 'screens'],
+  ['--container', 'maxWidth']
+];
+
+const STYLESHEET_SKIP = new Set(['node_modules', 'dist', 'build', 'out', 'coverage']);
+// `@import "tailwindcss"` or v4's split imports; v3's tailwindcss/base and
+// tailwindcss/components don't count
+const IMPORTS_TAILWIND = /@import\s+(?:url\()?\s*['"]tailwindcss(?:\/(?:theme|preflight)(?:\.css)?)?['"]/;
+const THEME_AT_RULE = /@theme\b([^{;]*)\{/g;
+
+// Comments blanked out, so offsets still line up with the source
+const stripComments = (css) => css.replace(/\/\*[\s\S]*?\*\//g, comment => comment.replace(/[^\n]/g, ' '));
+
+// Offset of the brace closing the block opened at `open`
+function closingBrace(css, open) {
+  let depth = 0;
+  let quote = null;
+  for (let i = open; i < css.length; i++) {
+    const ch = css[i];
+    if (quote) {
+      if (ch === '\\') i++;
+      else if (ch === quote) quote = null;
+    } else if (ch === '"' || ch === "'") {
+      quote = ch;
+    } else if (ch === '{') {
+      depth++;
+    } else if (ch === '}' && --depth === 0) {
+      return i;
+    }
+  }
+  return css.length;
+}
+
+// Custom properties declared directly in a block (nested rules such as
+// @keyframes inside @theme are skipped), with the offset of each name
+function blockDeclarations(css, start, end) {
+  const declarations = [];
+  let segmentStart = start;
+  let quote = null;
+
+  const flush = (segmentEnd) => {
+    const segment = css.slice(segmentStart, segmentEnd);
+    const match = /^(\s*)(--[\w-]+)\s*:([\s\S]*)$/.exec(segment);
+    if (match) declarations.push({ name: match[2], value: match[3].trim(), index: segmentStart + match[1].length });
+  };
+
+  for (let i = start; i < end; i++) {
+    const ch = css[i];
+    if (quote) {
+      if (ch === '\\') i++;
+      else if (ch === quote) quote = null;
+    } else if (ch === '"' || ch === "'") {
+      quote = ch;
+    } else if (ch === '{') {
+      i = closingBrace(css, i);
+      segmentStart = i + 1;
+    } else if (ch === ';') {
+      flush(i);
+      segmentStart = i + 1;
+    }
+  }
+  flush(end);
+  return declarations;
+}
+
+/**
+ * The @theme blocks of a stylesheet (`@theme`, `@theme inline`, `@theme static`...)
+ * and the custom properties declared on :root, which `@theme inline` values
+ * usually point at. Returns {
+ *   theme,   [{ name, value, options, line, column }]
+ *   blocks,  [{ options, start, end }], the offsets of each block's braces
+ *   root     { name: value }
+ * }
+ */
+function scanStylesheet(source) {
+  const css = stripComments(source);
+  const theme = [];
+  const blocks = [];
+  const root = {};
+
+  for (const match of css.matchAll(THEME_AT_RULE)) {
+    const open = match.index + match[0].length - 1;
+    const close = closingBrace(css, open);
+    const options = match[1].trim().split(/\s+/).filter(Boolean);
+    blocks.push({ options, start: open, end: close });
+    blockDeclarations(css, open + 1, close).forEach(({ name, value, index }) => {
+      theme.push({ name, value, options, ...locate(source, index) });
+    });
+  }
+
+  for (const match of css.matchAll(/(^|[}\s,])(?::root|html)\s*\{/g)) {
+    const open = match.index + match[0].length - 1;
+    blockDeclarations(css, open + 1, closingBrace(css, open)).forEach(({ name, value }) => { root[name] = value; });
+  }
+
+  return { theme, blocks, root };
+}
+
+// Stylesheets that import Tailwind v4 or declare @theme, project-relative order
+function findThemeStylesheets(projectPath) {
+  const files = [];
+  const walk = (dir) => {
+    let entries = [];
+    try {
+      entries = fs.readdirSync(dir, { withFileTypes: true });
+    } catch (e) {
+      return;
+    }
+    for (const entry of entries) {
+      if (entry.name.startsWith('.') || STYLESHEET_SKIP.has(entry.name)) continue;
+      const fullPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        walk(fullPath);
+      } else if (entry.name.endsWith('.css')) {
+        const content = fs.readFileSync(fullPath, 'utf-8');
+        if (IMPORTS_TAILWIND.test(content) || /@theme\b/.test(content)) files.push(fullPath);
+      }
+    }
+  };
+  walk(projectPath);
+  return files;
+}
+
+/**
+ * Which Tailwind a project uses: v4 when a stylesheet imports it or declares
+ * @theme (a v4 project may still load a JS config through @config), v3 when
+ * there is only a tailwind.config.*. Returns { version, config, stylesheets } or null.
+ */
+function detectTailwind(projectPath) {
+  const config = findTailwindConfig(projectPath);
+  const stylesheets = findThemeStylesheets(projectPath);
+  if (stylesheets.length > 0) return { version: 4, config, stylesheets };
+  if (config) return { version: 3, config, stylesheets };
+  return null;
+}
+
+// Theme key and token name for a v4 theme variable; null outside the namespaces
+// and for sub-properties such as --text-sm--line-height
+function themeVariableKey(name) {
+  for (const [prefix, key] of THEME_NAMESPACES) {
+    if (name === prefix) return { key, name: 'DEFAULT' };
+    if (name.startsWith(`${prefix}-`)) {
+      const rest = name.slice(prefix.length + 1);
+      // `*` is a namespace reset (--color-*: initial)
+      return rest.includes('--') || rest === '*' ? null : { key, name: rest };
+    }
+  }
+  return null;
+}
+
+/**
+ * Tokens the @theme blocks of v4 stylesheets declare, shaped like
+ * loadTailwindConfig's. Later declarations win, as in CSS; var() references
+ * resolve against other theme variables and :root custom properties.
+ */
+function loadThemeStylesheets(files) {
+  const declared = new Map();
+  const variables = {};
+  const warnings = [];
+
+  for (const file of files) {
+    let scan;
+    try {
+      scan = scanStylesheet(fs.readFileSync(file, 'utf-8'));
+    } catch (err) {
+      warnings.push(`Could not read ${path.basename(file)}: ${err.message}`);
+      continue;
+    }
+    Object.assign(variables, scan.root);
+    for (const declaration of scan.theme) {
+      variables[declaration.name] = declaration.value;
+      declared.set(declaration.name, { ...declaration, file });
+    }
+  }
+
+  const resolve = (value, seen = new Set()) => value.replace(/var\(\s*(--[\w-]+)\s*(?:,\s*([^()]*(?:\([^()]*\)[^()]*)*))?\)/g, (match, name, fallback) => {
+    if (seen.has(name) || variables[name] === undefined) return fallback !== undefined ? resolve(fallback.trim(), seen) : match;
+    return resolve(variables[name], new Set([...seen, name]));
+  });
+
+  const tokens = [];
+  const sizes = new Map();
+  for (const declaration of declared.values()) {
+    const namespace = themeVariableKey(declaration.name);
+    if (!namespace || declaration.value === 'initial') continue;
+    if (namespace.key === 'fontSize') sizes.set(declaration.name, tokens.length);
+    tokens.push({
+      key: namespace.key,
+      path: [namespace.key, namespace.name],
+      name: namespace.name,
+      value: resolve(declaration.value),
+      variable: declaration.name,
+      file: declaration.file,
+      line: declaration.line,
+      column: declaration.column
+    });
+  }
+
+  // --text-sm--line-height, --text-sm--letter-spacing and --text-sm--font-weight
+  // are the pairing of --text-sm
+  for (const declaration of declared.values()) {
+    const [, size, property] = declaration.name.match(/^(--text-[\w-]+?)--(line-height|letter-spacing|font-weight)$/) || [];
+    if (!sizes.has(size) || declaration.value === 'initial') continue;
+    const token = tokens[sizes.get(size)];
+    const key = property.replace(/-(\w)/g, (_, ch) => ch.toUpperCase());
+    token.pairing = { ...token.pairing, [key]: resolve(declaration.value) };
+  }
+
+  return { files, tokens, warnings };
+}
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+module.exports = {
+  findTailwindConfig,
+  loadTailwindConfig,
+  scanConfigSource,
+  findLocation,
+  flattenTheme,
+  resolveTheme,
+  detectTailwind,
+  findThemeStylesheets,
+  scanStylesheet,
+  loadThemeStylesheets,
+  themeVariableKey,
+  requireFromProject,
+  CONFIG_FILES,
+  THEME_NAMESPACES
+};
+
+// =============================================================================
+// CLI
+// =============================================================================
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+
+  if (args.length < 1) {
+    console.log(`
+Impression: Tailwind Config Loader
+==================================
+
+Usage:
+  node tailwind-config.js <project-path | tailwind.config.* | app.css>
+
+Prints every resolved theme token with the file, line and column it was declared at.
+Tailwind v4 projects are read from their @theme blocks.
+`);
+    process.exit(1);
+  }
+
+  const target = path.resolve(args[0]);
+  const isDirectory = fs.existsSync(target) && fs.statSync(target).isDirectory();
+  const tailwind = isDirectory
+    ? detectTailwind(target)
+    : fs.existsSync(target) && { version: target.endsWith('.css') ? 4 : 3, config: target.endsWith('.css') ? null : target, stylesheets: target.endsWith('.css') ? [target] : [] };
+
+  if (!tailwind) {
+    console.error(`Error: No Tailwind config or v4 stylesheet found at ${target}`);
+    process.exit(1);
+  }
+
+  const print = (tokens) => tokens.forEach(token => {
+    const where = `${path.relative(process.cwd(), token.file)}:${token.line}:${token.column}`;
+    console.log(`${token.variable || token.path.join('.')} = ${token.value}  (${where})`);
+  });
+
+  if (tailwind.config) {
+    const { tokens, warnings, evaluated } = loadTailwindConfig(tailwind.config);
+    print(tokens);
+    console.log(`\n${tokens.length} tokens${evaluated ? '' : ' (literal values only)'}`);
+    warnings.forEach(warning => console.warn(`⚠️  ${warning}`));
+  }
+
+  if (tailwind.stylesheets.length > 0) {
+    const { tokens, warnings } = loadThemeStylesheets(tailwind.stylesheets);
+    if (tailwind.config) console.log('');
+    print(tokens);
+    console.log(`\n${tokens.length} @theme tokens (Tailwind v4)`);
+    warnings.forEach(warning => console.warn(`⚠️  ${warning}`));
+  }
+}
@@ -0,0 +1,243 @@
+#!/usr/bin/env node
+/**
+ * Token Graph
+ * Design tokens as literals plus the aliases between them
+ *
+ * Generators used to flatten every token to its literal value, so a semantic
+ * accent and the palette accent both repeated `#5e6ad2` with nothing tying
+ * them together. The graph keeps those links:
+ *
+ *   variable.<--name>        Site custom properties. A `var(--x)` declaration
+ *                            (or an alias the extractor inferred) points at variable.--x
+ *   palette.<index>          Extracted palette. Points at the first site variable
+ *                            declaring the same color as a literal
+ *   semantic.<group>.<index> Semantic groups. Point at the palette entry of the same color
+ *
+ * Generators write tokens through a reference writer, which turns an alias into
+ * the output format's own reference syntax ({color.accent}, var(--color-accent),
+ * {color.accent.value}) when its target has already been written, and into the
+ * resolved literal otherwise.
+ *
+ * Usage:
+ *   const { buildTokenGraph, createReferenceWriter } = require('./token-graph');
+ *   node token-graph.js <design-system.json>     # print every alias chain
+ *
+ * @version 1.0.0
+ */
+
+const fs = require('fs');
+const path = require('path');
+const colorLib = require('./color');
+
+// =============================================================================
+// GRAPH
+// =============================================================================
+
+function createTokenGraph() {
+  return { tokens: new Map() };
+}
+
+/**
+ * Add a token. `value` is the literal (kept on aliases too, as the fallback
+ * when the reference dangles); `ref` is the id of the token it aliases.
+ */
+function addToken(graph, id, { type = null, value = null, ref = null } = {}) {
+  const token = { id, type, value, ref };
+  graph.tokens.set(id, token);
+  return token;
+}
+
+// Ids from `id` along its aliases, stopping at cycles and dangling references
+function aliasChain(graph, id) {
+  const chain = [];
+  let token = graph.tokens.get(id);
+  while (token && !chain.includes(token.id)) {
+    chain.push(token.id);
+    token = token.ref ? graph.tokens.get(token.ref) : null;
+  }
+  return chain;
+}
+
+// Literal value at the end of the alias chain. Walks back from the far end,
+// since an alias of an undefined variable still holds its var() text.
+function resolveToken(graph, id) {
+  const chain = aliasChain(graph, id);
+  for (let i = chain.length - 1; i >= 0; i--) {
+    const { value } = graph.tokens.get(chain[i]);
+    if (value !== null && !parseVarReference(value)) return value;
+  }
+  return null;
+}
+
+// =============================================================================
+// INFERENCE
+// =============================================================================
+
+/**
+ * Name of the custom property a value aliases: `var(--x)` or `var(--x, fallback)`
+ * taken as a whole, not a var() inside a larger expression.
+ */
+function parseVarReference(value) {
+  if (typeof value !== 'string') return null;
+  const match = /^var\(\s*(--[\w-]+)\s*([,)])/.exec(value.trim());
+  if (!match) return null;
+  // The var( must close at the very end of the value
+  const str = value.trim();
+  let depth = 0;
+  for (let i = 0; i < str.length; i++) {
+    if (str[i] === '(') depth++;
+    if (str[i] === ')' && --depth === 0 && i !== str.length - 1) return null;
+  }
+  return match[1];
+}
+
+function inferType(value) {
+  if (value === null || value === undefined) return null;
+  const str = String(value).trim();
+  if (colorLib.parse(str)) return 'color';
+  if (/^-?[\d.]+(px|rem|em)$/.test(str) || str === '0') return 'dimension';
+  if (/^[\d.]+m?s$/.test(str)) return 'duration';
+  if (/^-?[\d.]+$/.test(str)) return 'number';
+  return null;
+}
+
+/**
+ * Build the graph for an extracted design system (see the header for the layers).
+ */
+function buildTokenGraph(designSystem = {}) {
+  const graph = createTokenGraph();
+  const colors = designSystem.colors || {};
+  const aliases = colors.aliases || {};
+
+  // Site custom properties
+  Object.entries(colors.cssVariables || {}).forEach(([name, value]) => {
+    const target = aliases[name] || parseVarReference(value);
+    addToken(graph, `variable.${name}`, { value, ref: target ? `variable.${target}` : null });
+  });
+  for (const token of graph.tokens.values()) {
+    token.type = inferType(resolveToken(graph, token.id));
+  }
+
+  // Colors declared literally, first declaration wins
+  const primitives = new Map();
+  for (const token of graph.tokens.values()) {
+    if (token.ref || token.type !== 'color') continue;
+    const key = colorLib.normalize(token.value);
+    if (key && !primitives.has(key)) primitives.set(key, token.id);
+  }
+
+  const paletteIds = new Map();
+  (colors.palette || []).forEach((color, i) => {
+    const key = colorLib.normalize(color.value);
+    const id = `palette.${i}`;
+    addToken(graph, id, { type: 'color', value: color.value, ref: primitives.get(key) || null });
+    if (key && !paletteIds.has(key)) paletteIds.set(key, id);
+  });
+
+  Object.entries(colors.semantic || {}).forEach(([group, entries]) => {
+    (entries || []).forEach((color, i) => {
+      const key = colorLib.normalize(color.value);
+      addToken(graph, `semantic.${group}.${i}`, { type: 'color', value: color.value, ref: paletteIds.get(key) || null });
+    });
+  });
+
+  return graph;
+}
+
+// =============================================================================
+// WRITING
+// =============================================================================
+
+/**
+ * Track which tokens a generator has written, and under which name, so later
+ * tokens can reference them. `formatReference(name)` renders one reference in
+ * the output format.
+ */
+function createReferenceWriter(graph, formatReference) {
+  const written = new Map();
+
+  return {
+    // Value to write for `id` under `name`: a reference to the nearest written
+    // token along its aliases, else the token's own literal as extracted
+    valueFor(id, name) {
+      const [, ...targets] = aliasChain(graph, id);
+      for (const target of targets) {
+        // A token can't reference a name it is about to overwrite
+        if (written.has(target) && written.get(target) !== name) {
+          return formatReference(written.get(target));
+        }
+      }
+      const own = graph.tokens.get(id)?.value;
+      return own !== null && own !== undefined && !parseVarReference(own) ? own : resolveToken(graph, id);
+    },
+
+    // Names only matter for lookup, so tokens can be defined before they are
+    // written (custom properties and token references resolve regardless of
+    // order). A name defined twice belongs to the later token, as in CSS.
+    define(id, name) {
+      for (const [other, otherName] of written) {
+        if (otherName === name) written.delete(other);
+      }
+      written.set(id, name);
+    },
+
+    has(id) {
+      return written.has(id);
+    }
+  };
+}
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+module.exports = {
+  createTokenGraph,
+  addToken,
+  aliasChain,
+  resolveToken,
+  parseVarReference,
+  inferType,
+  buildTokenGraph,
+  createReferenceWriter
+};
+
+// =============================================================================
+// CLI
+// =============================================================================
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+
+  if (args.length < 1) {
+    console.log(`
+Impression: Token Graph
+=======================
+
+Usage:
+  node token-graph.js <design-system.json>
+
+Prints every alias chain in the design system's token graph, e.g.
+  semantic.accents.0 → palette.3 → variable.--accent = #5e6ad2
+`);
+    process.exit(1);
+  }
+
+  const inputPath = path.resolve(args[0]);
+  if (!fs.existsSync(inputPath)) {
+    console.error(`Error: Input file not found: ${inputPath}`);
+    process.exit(1);
+  }
+
+  const graph = buildTokenGraph(JSON.parse(fs.readFileSync(inputPath, 'utf-8')));
+  let aliasCount = 0;
+  for (const token of graph.tokens.values()) {
+    if (!token.ref) continue;
+    aliasCount++;
+    const chain = aliasChain(graph, token.id);
+    const last = graph.tokens.get(chain[chain.length - 1]);
+    const end = last.ref && !graph.tokens.has(last.ref) ? `${last.ref} (undefined)` : resolveToken(graph, token.id);
+    console.log(`${chain.join(' → ')} = ${end}`);
+  }
+  console.log(`\n${graph.tokens.size} tokens, ${aliasCount} aliases`);
+}
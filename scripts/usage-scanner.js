@@ -0,0 +1,465 @@
+#!/usr/bin/env node
+/**
+ * Usage Scanner
+ * Counts how a project's components use colors, spacing, radii and fonts
+ *
+ * Scans JSX/TSX, Vue, Svelte and HTML files for:
+ *
+ *   utility classes  Tailwind classes in class/className attributes, :class
+ *                    bindings, class: directives and clsx()/cn()/cva() calls.
+ *                    Classes on the theme (bg-brand-500, p-4, rounded-lg) are
+ *                    token usages, resolved through the project's config or
+ *                    @theme and Tailwind's defaults; arbitrary values
+ *                    (bg-[#123456], p-[13px], rounded-[5px]) are hardcoded.
+ *                    Only read when the project uses Tailwind.
+ *   inline styles    style="color: #333" and style={{ padding: 12 }}
+ *   <style> blocks   Declarations in Vue, Svelte and HTML style blocks
+ *
+ * Every occurrence is one usage, shaped like css-parser.js usages (property,
+ * category, value, references, literals, resolved, file, line, column), so
+ * compare-design-systems.js can weigh values by how often they're used.
+ * Stylesheets and styled templates are read by css-parser.js and css-in-js.js.
+ *
+ * Usage:
+ *   const { scanProjectUsages } = require('./usage-scanner');
+ *   node usage-scanner.js <project-path>
+ *
+ * @version 1.0.0
+ */
+
+const fs = require('fs');
+const path = require('path');
+const colorLib = require('./color');
+const { locate, balancedEnd, stringLiterals } = require('./js-source');
+const { findLiterals, findReferences, usageCategory } = require('./css-parser');
+const { scanDeclarations, scanStyleObject } = require('./css-in-js');
+const { detectTailwind, loadTailwindConfig, loadThemeStylesheets, requireFromProject } = require('./tailwind-config');
+
+const COMPONENT_FILE = /\.(?:[cm]?[jt]sx?|vue|svelte|html?)$/;
+const MARKUP_FILE = /\.(?:vue|svelte|html?)$/;
+const SKIPPED_DIRECTORIES = new Set(['node_modules', 'dist', 'build', 'out', 'coverage']);
+const MAX_FILE_SIZE = 1024 * 1024;
+
+// Class-merging helpers whose string arguments are class lists
+const CLASS_FUNCTIONS = /\b(?:clsx|cn|cx|classnames|classNames|twMerge|twJoin|cva|tv)\s*\(/g;
+
+// Utility prefix → category and the theme key it reads before the shared scale
+const UTILITIES = {
+  bg: ['colors', 'backgroundColor'],
+  text: ['colors', 'textColor'],
+  border: ['colors', 'borderColor'],
+  'border-x': ['colors', 'borderColor'],
+  'border-y': ['colors', 'borderColor'],
+  'border-t': ['colors', 'borderColor'],
+  'border-r': ['colors', 'borderColor'],
+  'border-b': ['colors', 'borderColor'],
+  'border-l': ['colors', 'borderColor'],
+  'border-s': ['colors', 'borderColor'],
+  'border-e': ['colors', 'borderColor'],
+  outline: ['colors', 'outlineColor'],
+  ring: ['colors', 'ringColor'],
+  'ring-offset': ['colors', 'ringOffsetColor'],
+  divide: ['colors', 'divideColor'],
+  fill: ['colors', 'fill'],
+  stroke: ['colors', 'stroke'],
+  from: ['colors', 'gradientColorStops'],
+  via: ['colors', 'gradientColorStops'],
+  to: ['colors', 'gradientColorStops'],
+  decoration: ['colors', 'textDecorationColor'],
+  accent: ['colors', 'accentColor'],
+  caret: ['colors', 'caretColor'],
+  placeholder: ['colors', 'placeholderColor'],
+  shadow: ['colors', 'boxShadowColor'],
+  font: ['typography', 'fontFamily'],
+  rounded: ['borderRadius', 'borderRadius'],
+  ...Object.fromEntries(['t', 'r', 'b', 'l', 's', 'e', 'tl', 'tr', 'br', 'bl', 'ss', 'se', 'es', 'ee']
+    .map(side => [`rounded-${side}`, ['borderRadius', 'borderRadius']])),
+  ...Object.fromEntries(['p', 'px', 'py', 'pt', 'pr', 'pb', 'pl', 'ps', 'pe']
+    .map(prefix => [prefix, ['spacing', 'padding']])),
+  ...Object.fromEntries(['m', 'mx', 'my', 'mt', 'mr', 'mb', 'ml', 'ms', 'me']
+    .map(prefix => [prefix, ['spacing', 'margin']])),
+  gap: ['spacing', 'gap'],
+  'gap-x': ['spacing', 'gap'],
+  'gap-y': ['spacing', 'gap'],
+  'space-x': ['spacing', 'space'],
+  'space-y': ['spacing', 'space']
+};
+
+// Theme key each category falls back to
+const SHARED_KEYS = { colors: 'colors', spacing: 'spacing', borderRadius: 'borderRadius', typography: 'fontFamily' };
+
+// =============================================================================
+// PROJECT
+// =============================================================================
+
+function findComponentFiles(dir, files = []) {
+  try {
+    const entries = fs.readdirSync(dir, { withFileTypes: true });
+    for (const entry of entries) {
+      if (SKIPPED_DIRECTORIES.has(entry.name) || entry.name.startsWith('.')) continue;
+      const fullPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        findComponentFiles(fullPath, files);
+      } else if (COMPONENT_FILE.test(entry.name) && !entry.name.endsWith('.d.ts')) {
+        files.push(fullPath);
+      }
+    }
+  } catch (e) {}
+  return files;
+}
+
+// Flatten { blue: { 500: '#3b82f6' } } into name → value, as utility suffixes.
+// Getters are skipped: Tailwind v3 keeps renamed colors (lightBlue) as getters that warn.
+function flattenScale(scale, prefix = [], values = new Map()) {
+  for (const [key, { value }] of Object.entries(Object.getOwnPropertyDescriptors(scale || {}))) {
+    const segments = key === 'DEFAULT' ? prefix : [...prefix, key];
+    if (typeof value === 'string' || typeof value === 'number') {
+      values.set(segments.join('-') || 'DEFAULT', String(value));
+    } else if (Array.isArray(value)) {
+      values.set(segments.join('-') || 'DEFAULT', value.flat().filter(v => typeof v === 'string').join(', '));
+    } else if (value && typeof value === 'object') {
+      flattenScale(value, segments, values);
+    }
+  }
+  return values;
+}
+
+/**
+ * Utility lookup for a Tailwind project: theme key → Map(utility suffix → value),
+ * from its config and @theme tokens, with Tailwind's default theme (every key
+ * given as an object, and the full color palette, from the project's
+ * tailwindcss) under `defaults`, empty with a warning when tailwindcss isn't
+ * installed.
+ * Null when the project doesn't use Tailwind. `options.evaluateConfig: false`
+ * reads the config's literal values without executing it (tailwind-config.js).
+ */
+function loadTailwindTheme(projectPath, options = {}) {
+  const { evaluateConfig = true } = options;
+  const tailwind = detectTailwind(projectPath);
+  if (!tailwind) return null;
+
+  const theme = { version: tailwind.version, keys: {}, defaults: {}, warnings: [] };
+  for (const loaded of [
+    tailwind.config && loadTailwindConfig(tailwind.config, { evaluate: evaluateConfig }),
+    tailwind.stylesheets.length > 0 && loadThemeStylesheets(tailwind.stylesheets)
+  ]) {
+    if (!loaded) continue;
+    loaded.tokens.forEach(token => {
+      if (!theme.keys[token.key]) theme.keys[token.key] = new Map();
+      theme.keys[token.key].set(token.name, token.value);
+    });
+    theme.warnings.push(...loaded.warnings);
+  }
+
+  const defaultTheme = requireFromProject('tailwindcss/defaultTheme', projectPath);
+  const colors = requireFromProject('tailwindcss/colors', projectPath);
+  if (!defaultTheme) {
+    theme.warnings.push("tailwindcss isn't installed in the project, so classes on Tailwind's default theme (text-white, p-4) aren't counted as usages; install the project's dependencies for a full count");
+  }
+  // Keys given as functions of the theme (backgroundColor, maxWidth) are left out
+  for (const [key, value] of Object.entries(defaultTheme || {})) {
+    if (value && typeof value === 'object') theme.defaults[key] = flattenScale(value);
+  }
+  theme.defaults.colors = flattenScale(colors?.default || colors);
+  return theme;
+}
+
+// =============================================================================
+// UTILITY CLASSES
+// =============================================================================
+
+// Split at `:` outside brackets: hover:md:bg-[#fff] → ['hover', 'md', 'bg-[#fff]']
+function splitVariants(className) {
+  const parts = [];
+  let depth = 0;
+  let start = 0;
+  for (let i = 0; i < className.length; i++) {
+    const ch = className[i];
+    if (ch === '[' || ch === '(') depth++;
+    else if (ch === ']' || ch === ')') depth--;
+    else if (ch === ':' && depth === 0) {
+      parts.push(className.slice(start, i));
+      start = i + 1;
+    }
+  }
+  parts.push(className.slice(start));
+  return parts;
+}
+
+// Theme value of a utility suffix: its own key, the shared scale, then Tailwind's defaults
+function themeValue(theme, category, key, name) {
+  const shared = SHARED_KEYS[category];
+  const found = theme.keys[key]?.get(name) ?? theme.keys[shared]?.get(name);
+  if (found !== undefined) return found;
+
+  // Tailwind v4: p-4 is calc(var(--spacing) * 4)
+  const base = theme.keys.spacing?.get('DEFAULT');
+  if (category === 'spacing' && base && /^\d+(?:\.\d+)?$/.test(name)) {
+    const [, amount, unit = 'px'] = base.match(/^(-?[\d.]+)([a-z%]*)$/) || [];
+    if (amount) return `${parseFloat((parseFloat(amount) * parseFloat(name)).toFixed(4))}${unit}`;
+  }
+  return theme.defaults[shared]?.get(name);
+}
+
+/**
+ * One class as a usage, or null when it isn't a color, spacing, radius or
+ * font utility. `start` is the class's offset in `source`.
+ */
+function parseUtility(className, theme, source, start) {
+  const parts = splitVariants(className);
+  let utility = parts.pop();
+  let offset = className.length - utility.length;
+  const condition = parts.length > 0 ? parts.join(':') : null;
+
+  utility = utility.replace(/!$/, '');
+  const bang = utility.startsWith('!') ? 1 : 0;
+  const negative = utility[bang] === '-' ? 1 : 0;
+  offset += bang + negative;
+  utility = utility.slice(bang + negative);
+
+  // Longest prefix first: border-t-red-500 before border
+  const segments = utility.split('-');
+  for (let n = Math.min(segments.length, 3); n >= 1; n--) {
+    const prefix = segments.slice(0, n).join('-');
+    if (!UTILITIES[prefix]) continue;
+    const [category, key] = UTILITIES[prefix];
+    const suffix = utility.slice(prefix.length + 1);
+    const name = suffix ? suffix.replace(/\/[\w.[\]]+$/, '') : 'DEFAULT'; // bg-brand-500/50
+    if (!suffix && category !== 'borderRadius') continue;
+
+    const usage = {
+      property: prefix,
+      category,
+      value: className,
+      references: [],
+      literals: [],
+      resolved: null,
+      scope: null,
+      condition,
+      ...locate(source, start)
+    };
+
+    // bg-(--brand) in v4, bg-[var(--brand)]
+    const variable = name.match(/^\((--[\w-]+)\)$|^\[(?:[a-z-]+:)?var\((--[\w-]+)\)\]$/);
+    if (variable) {
+      usage.references.push(variable[1] || variable[2]);
+      return usage;
+    }
+
+    const arbitrary = name.match(/^\[(?:([a-z-]+):)?(.+)\]$/);
+    if (arbitrary) {
+      const [, hint, raw] = arbitrary;
+      const value = raw.replace(/_/g, ' ');
+      if (category === 'colors' && hint !== 'color' && !colorLib.parse(value)) return null;
+      if (category !== 'colors' && hint === 'color') return null;
+      const literals = category === 'typography'
+        ? [{ value: value.replace(/^['"]|['"]$/g, '').split(',')[0].replace(/^['"]|['"]$/g, '').trim(), index: 0 }]
+        : findLiterals(value, category);
+      if (literals.length === 0) return null;
+      const valueStart = start + offset + prefix.length + 2 + (hint ? hint.length + 1 : 0);
+      usage.literals = literals.map(literal => ({ value: literal.value, ...locate(source, valueStart + literal.index) }));
+      usage.resolved = value;
+      return usage;
+    }
+
+    const value = themeValue(theme, category, key, name);
+    if (value === undefined) continue;
+    // Colors defined as hsl(var(--primary)) are tokens whose value lives in CSS
+    const isVariable = value.includes('var(');
+    if (category === 'colors' && !isVariable && !colorLib.parse(value)) return null;
+    usage.references.push(`${prefix}-${name}`);
+    usage.resolved = isVariable ? null : value;
+    return usage;
+  }
+
+  return null;
+}
+
+/**
+ * Class lists in a component source: class/className attribute values,
+ * strings inside className={...}, :class="..." and class-merging calls, and
+ * Svelte class: directives. Returns [{ text, start }].
+ */
+function classLists(source, file = '') {
+  const lists = [];
+
+  for (const match of source.matchAll(/(?<![:\w-])(?:class|className)\s*=\s*(["'])/g)) {
+    const start = match.index + match[0].length;
+    const end = source.indexOf(match[1], start);
+    if (end !== -1) lists.push({ text: source.slice(start, end), start });
+  }
+
+  for (const match of source.matchAll(/(?:\bclassName|\bclass|:class|v-bind:class)\s*=\s*(\{|")/g)) {
+    const open = match.index + match[0].length - 1;
+    if (match[1] === '"' && !match[0].includes(':class')) continue;
+    const end = match[1] === '{' ? balancedEnd(source, open) : source.indexOf('"', open + 1);
+    lists.push(...stringLiterals(source, open + 1, end === -1 ? source.length : end));
+  }
+
+  for (const match of source.matchAll(CLASS_FUNCTIONS)) {
+    const open = match.index + match[0].length - 1;
+    lists.push(...stringLiterals(source, open + 1, balancedEnd(source, open)));
+  }
+
+  if (file.endsWith('.svelte')) {
+    for (const match of source.matchAll(/\bclass:([^\s=>{}]+)/g)) {
+      lists.push({ text: match[1], start: match.index + 'class:'.length });
+    }
+  }
+
+  // A list found twice (cn() inside className={...}) counts once
+  const seen = new Set();
+  return lists.filter(list => !seen.has(list.start) && seen.add(list.start));
+}
+
+function scanClasses(source, file, theme) {
+  const usages = [];
+  for (const list of classLists(source, file)) {
+    // Quotes end a class unless inside brackets: font-["Inter"]
+    for (const match of list.text.matchAll(/(?:\[[^\]\s]*\]|[^\s"'`[])+/g)) {
+      if (match[0].includes('${') || match[0].includes('}')) continue;
+      const usage = parseUtility(match[0], theme, source, list.start + match.index);
+      if (usage) usages.push({ ...usage, file });
+    }
+  }
+  return usages;
+}
+
+// =============================================================================
+// INLINE STYLES
+// =============================================================================
+
+function scanInlineStyles(source, file) {
+  const usages = [];
+
+  // style={{ ... }} (JSX), :style="{ ... }" (Vue)
+  for (const match of source.matchAll(/(?:\bstyle\s*=\s*\{\s*|(?::style|v-bind:style)\s*=\s*"\s*)\{/g)) {
+    usages.push(...scanStyleObject(source, match.index + match[0].length - 1, file));
+  }
+
+  // style="color: #333; padding: 4px"
+  for (const match of source.matchAll(/(?<![:\w-])style\s*=\s*(["'])/g)) {
+    const start = match.index + match[0].length;
+    const end = source.indexOf(match[1], start);
+    if (end === -1 || source[start] === '{') continue;
+    usages.push(...scanDeclarations(source, start, source.slice(start, end), { file }));
+  }
+
+  return usages;
+}
+
+// Declarations in <style> blocks of Vue, Svelte and HTML files
+function scanStyleBlocks(source, file) {
+  const usages = [];
+  for (const match of source.matchAll(/<style\b[^>]*>([\s\S]*?)<\/style>/gi)) {
+    const start = match.index + match[0].indexOf('>') + 1;
+    usages.push(...scanDeclarations(source, start, match[1], { file }));
+  }
+  return usages;
+}
+
+// =============================================================================
+// SCANNING
+// =============================================================================
+
+// Usages in one component source; `theme` from loadTailwindTheme, or null
+function scanSource(source, file, theme = null) {
+  return [
+    ...(theme ? scanClasses(source, file, theme) : []),
+    ...scanInlineStyles(source, file),
+    ...(MARKUP_FILE.test(file) ? scanStyleBlocks(source, file) : [])
+  ];
+}
+
+/**
+ * Usages across a project's components. `options.theme` overrides the loaded
+ * Tailwind theme, `options.evaluateConfig` is passed on to loadTailwindTheme
+ * and `options.ignore(file)` leaves files out.
+ * Returns { files, tailwind, usages, warnings }, with `tailwind` the version
+ * whose classes were read, or null.
+ */
+function scanProjectUsages(projectPath, options = {}) {
+  const theme = options.theme !== undefined ? options.theme : loadTailwindTheme(projectPath, options);
+  const files = findComponentFiles(projectPath).filter(file => !options.ignore?.(file));
+  const usages = [];
+  const warnings = theme ? [...theme.warnings] : [];
+
+  for (const file of files) {
+    try {
+      if (fs.statSync(file).size > MAX_FILE_SIZE) continue;
+      usages.push(...scanSource(fs.readFileSync(file, 'utf-8'), file, theme));
+    } catch (err) {
+      warnings.push(`${path.relative(projectPath, file)}: ${err.message}`);
+    }
+  }
+
+  return { files, tailwind: theme ? theme.version : null, usages, warnings };
+}
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+module.exports = {
+  scanProjectUsages,
+  scanSource,
+  loadTailwindTheme,
+  parseUtility,
+  classLists,
+  scanInlineStyles,
+  scanStyleBlocks,
+  findComponentFiles,
+  UTILITIES
+};
+
+// =============================================================================
+// CLI
+// =============================================================================
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+
+  if (args.length < 1) {
+    console.log(`
+Impression: Usage Scanner
+=========================
+
+Usage:
+  node usage-scanner.js <project-path>
+
+Counts the colors, spacing, radii and fonts components use through Tailwind
+classes, inline styles and <style> blocks, and lists the hardcoded values by
+how often they occur.
+`);
+    process.exit(1);
+  }
+
+  const target = path.resolve(args[0]);
+  if (!fs.existsSync(target) || !fs.statSync(target).isDirectory()) {
+    console.error(`Error: Not a project directory: ${target}`);
+    process.exit(1);
+  }
+
+  const { files, tailwind, usages, warnings } = scanProjectUsages(target);
+
+  const counts = new Map();
+  for (const usage of usages) {
+    for (const literal of usage.literals) {
+      const key = `${usage.category}\t${literal.value}`;
+      const entry = counts.get(key) || { category: usage.category, value: literal.value, count: 0, files: new Set() };
+      entry.count++;
+      entry.files.add(path.relative(target, usage.file));
+      counts.set(key, entry);
+    }
+  }
+
+  console.log(`Hardcoded values (${tailwind ? `Tailwind v${tailwind} classes, ` : ''}inline styles, <style> blocks):`);
+  [...counts.values()].sort((a, b) => b.count - a.count).forEach(entry => {
+    const where = [...entry.files].slice(0, 3).join(', ') + (entry.files.size > 3 ? `, +${entry.files.size - 3}` : '');
+    console.log(`  ${String(entry.count).padStart(4)}× ${entry.category} ${entry.value}  (${where})`);
+  });
+
+  const tokenized = usages.filter(u => u.references.length > 0 && u.literals.length === 0).length;
+  console.log(`\n${files.length} files, ${usages.length} usages (${tokenized} through tokens, ${usages.length - tokenized} hardcoding values)`);
+  warnings.forEach(warning => console.warn(`⚠️  ${warning}`));
+}
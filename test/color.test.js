@@ -0,0 +1,64 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const color = require('../scripts/color');
+
+const close = (actual, expected, tolerance = 1e-4) =>
+  assert.ok(Math.abs(actual - expected) <= tolerance, `expected ${expected}, got ${actual}`);
+
+test('parse keeps the written space and alpha', () => {
+  assert.deepEqual(color.parse('#ff000080'), { space: 'srgb', coords: [1, 0, 0], alpha: 128 / 255 });
+  assert.deepEqual(color.parse('rebeccapurple').space, 'srgb');
+  assert.equal(color.parse('oklch(62% 0.19 260 / 50%)').space, 'oklch');
+  assert.equal(color.parse('oklch(62% 0.19 260 / 50%)').alpha, 0.5);
+  assert.equal(color.parse('color(display-p3 1 0 0)').space, 'display-p3');
+  assert.equal(color.parse('not-a-color'), null);
+});
+
+test('hsl and hwb convert to sRGB without drift', () => {
+  assert.equal(color.toHex('hsl(0 0% 50%)'), '#808080');
+  assert.equal(color.toHex('hsl(120 100% 25%)'), '#008000');
+  assert.equal(color.toHex('hwb(0 50% 50%)'), '#808080');
+  assert.equal(color.toHex('hsl(210 40% 96.1%)'), '#f1f5f9');
+  assert.equal(require('../scripts/migrate-tokens').hslToHex(0, 0, 50), '#808080');
+});
+
+test('convert round-trips through other spaces', () => {
+  for (const space of ['hsl', 'hwb', 'lab', 'lch', 'oklab', 'oklch', 'display-p3', 'xyz-d50']) {
+    const back = color.convert(color.convert(color.parse('#5e6ad2'), space), 'srgb');
+    assert.equal(color.toHex(back), '#5e6ad2', space);
+  }
+  const [L, C] = color.convert(color.parse('#808080'), 'oklch').coords;
+  close(L, 0.5999, 1e-3);
+  close(C, 0, 1e-6);
+});
+
+test('gamut mapping clips legacy sRGB and reduces chroma elsewhere', () => {
+  assert.equal(color.toHex('rgb(300, 0, 0)'), '#ff0000');
+  assert.equal(color.toHex('color(display-p3 1 0 0)'), '#ff0b0c');
+});
+
+test('ΔE 2000 matches the Sharma, Wu & Dalal test data', () => {
+  const pairs = [
+    ['lab(50 2.6772 -79.7751)', 'lab(50 0 -82.7485)', 2.0425],
+    ['lab(50 3.1571 -77.2803)', 'lab(50 0 -82.7485)', 2.8615],
+    ['lab(50 2.5 0)', 'lab(50 0 -2.5)', 4.3065],
+    ['lab(50 2.5 0)', 'lab(73 25 -18)', 27.1492],
+    ['lab(60.2574 -34.0099 36.2677)', 'lab(60.4626 -34.1751 39.4387)', 1.2644],
+    ['lab(22.7233 20.0904 -46.694)', 'lab(23.0331 14.973 -42.5619)', 2.0373],
+    ['lab(2.0776 0.0795 -1.135)', 'lab(0.9033 -0.0636 -0.5514)', 0.9082]
+  ];
+  for (const [c1, c2, expected] of pairs) close(color.deltaE2000(c1, c2), expected);
+  assert.equal(color.deltaE('#5e6ad2', '#5e6ad2'), 0);
+});
+
+test('WCAG 2 contrast ratio', () => {
+  close(color.contrastRatio('#000', '#fff'), 21, 1e-9);
+  close(color.contrastRatio('#777', '#fff'), 4.48, 0.01);
+  close(color.contrastRatio('#fff', '#777'), 4.48, 0.01);
+});
+
+test('APCA contrast is signed by polarity', () => {
+  close(color.apcaContrast('#888', '#fff'), 63.1, 0.1);
+  close(color.apcaContrast('#000', '#fff'), 106.0, 0.1);
+  close(color.apcaContrast('#fff', '#000'), -107.9, 0.1);
+});
@@ -0,0 +1,20 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { checkTextPair, auditAccessibility } = require('../scripts/compare-design-systems');
+
+const pair = (foreground, background, extra = {}) => ({ foreground, background, fontSize: 16, fontWeight: 400, ...extra });
+
+test('WCAG thresholds apply to the unrounded ratio', () => {
+  // 4.4988:1, shown as "4.50"
+  const check = checkTextPair(pair('#ffffff', '#2c72e7'));
+  assert.equal(check.ratio, '4.50');
+  assert.equal(check.passesWCAG, false);
+  assert.equal(checkTextPair(pair('#ffffff', '#2c72e7', { fontSize: 24 })).passesWCAG, true);
+  assert.equal(checkTextPair(pair('#ffffff', '#2b71e6')).passesWCAG, true);
+});
+
+test('the audit lists a pair just below 4.5 as failing', () => {
+  const audit = auditAccessibility({ colors: { pairs: [{ ...pair('#ffffff', '#2c72e7'), count: 1 }] } });
+  assert.equal(audit.passing.length, 0);
+  assert.equal(audit.issues.filter(issue => issue.severity === 'error').length, 1);
+});
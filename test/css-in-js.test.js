@@ -0,0 +1,57 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { scanObjectStyles } = require('../scripts/css-in-js');
+const { runComparison } = require('../scripts/compare-design-systems');
+
+const CARD = `import styled, { css } from 'styled-components';
+
+export const theme = { colors: { text: '#08090a' } };
+
+export const Card = styled.div\`
+  color: \${p => p.theme.colors.text};
+  box-shadow: 0 4px 24px rgba(0,0,0,.2);
+\`;
+
+export const Panel = styled.section({
+  margin: 16,
+  paddingTop: 0,
+  boxShadow: '0 1px 2px rgba(0, 0, 0, 0.05)'
+});
+
+export const Link = styled.a.attrs({ color: '#ff0000' })({ gap: 8 });
+`;
+
+test('object styles count unitless numbers as pixels', () => {
+  const usages = scanObjectStyles(CARD, 'Card.jsx');
+  const literals = (property) => usages.filter(usage => usage.property === property).flatMap(usage => usage.literals.map(literal => literal.value));
+  assert.deepEqual(literals('margin'), ['16px']);
+  assert.deepEqual(literals('padding-top'), []);
+  assert.deepEqual(literals('gap'), ['8px']);
+  assert.deepEqual(literals('color'), []);
+  assert.equal(usages.find(usage => usage.property === 'margin').scope, 'Panel');
+});
+
+test('shadow colors stay in the shadow instead of the palette', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'impression-styled-'));
+  try {
+    fs.mkdirSync(path.join(dir, 'src'));
+    fs.writeFileSync(path.join(dir, 'package.json'), JSON.stringify({ dependencies: { 'styled-components': '^6.0.0' } }));
+    fs.writeFileSync(path.join(dir, 'src', 'Card.jsx'), CARD);
+    const reference = {
+      colors: { palette: [{ value: '#08090a', count: 10 }] },
+      spacing: { scale: ['8px', '16px'] },
+      shadows: [{ value: 'rgba(0, 0, 0, 0.2) 0px 4px 24px 0px', role: 'elevation-medium' }]
+    };
+    const result = runComparison(dir, reference);
+
+    assert.equal(result.summary.colors.extra, 0);
+    assert.deepEqual(result.issues.filter(issue => issue.category === 'colors'), []);
+    assert.equal(result.summary.shadows.matched, 1);
+    assert.ok(result.issues.some(issue => issue.category === 'spacing' && issue.message.startsWith('Hardcoded 16px')));
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
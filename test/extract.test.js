@@ -0,0 +1,83 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { execFile } = require('child_process');
+const { startStaticServer, mergeCrawl } = require('../scripts/extract');
+
+const FIXTURES = path.join(__dirname, 'fixtures');
+const EXTRACT = path.join(__dirname, '..', 'scripts', 'extract.js');
+
+const get = (url) => new Promise((resolve, reject) => {
+  http.get(url, res => {
+    res.resume();
+    res.on('end', () => resolve(res.statusCode));
+  }).on('error', reject);
+});
+
+// A Chromium Playwright can launch, or the reason the browser tests are skipped
+function browserMissing() {
+  for (const name of ['playwright', 'playwright-core']) {
+    try {
+      const executable = require(name).chromium.executablePath();
+      return fs.existsSync(executable) ? false : `Chromium isn't installed for ${name}`;
+    } catch (e) {
+      if (e.code !== 'MODULE_NOT_FOUND') return e.message;
+    }
+  }
+  return "Playwright isn't installed";
+}
+
+test('the static server answers a malformed escape with 400', async () => {
+  const server = await startStaticServer(FIXTURES);
+  try {
+    assert.equal(await get(`${server.url}/%E0`), 400);
+    assert.equal(await get(`${server.url}/landing.html`), 200);
+    assert.equal(await get(`${server.url}/missing.html`), 404);
+  } finally {
+    await server.close();
+  }
+});
+
+test('a crawl gives each color role to one color', () => {
+  const page = (url, palette) => ({ meta: { url, title: url }, colors: { palette, semantic: {} }, typography: {}, spacing: {} });
+  const merged = mergeCrawl([
+    page('/', [
+      { value: '#000000', count: 10, role: 'text-secondary' },
+      { value: '#e5484d', count: 3, role: 'background-secondary' }
+    ]),
+    page('/pricing', [
+      { value: '#222222', count: 4, role: 'text-secondary' },
+      { value: 'oklch(0.62 0.19 260)', count: 8, role: 'background-secondary' }
+    ])
+  ], '/');
+
+  const withRole = (role) => merged.colors.palette.filter(color => color.role === role).map(color => color.value);
+  assert.deepEqual(withRole('text-secondary'), ['#000000']);
+  assert.deepEqual(withRole('background-secondary'), ['oklch(0.62 0.19 260)']);
+  assert.equal(merged.colors.palette.length, 4);
+  assert.deepEqual(merged.colors.roles, { 'text-secondary': '#000000', 'background-secondary': 'oklch(0.62 0.19 260)' });
+});
+
+const skip = browserMissing();
+
+for (const flags of [[], ['--crawl', '--max-pages=3']]) {
+  test(`extract.js ${['<file>', ...flags].join(' ')} works offline`, { skip, timeout: 120000 }, async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'impression-extract-'));
+    const output = path.join(dir, 'landing.json');
+    try {
+      await new Promise((resolve, reject) => {
+        execFile(process.execPath, [EXTRACT, path.join(FIXTURES, 'landing.html'), output, '--strict', ...flags], { timeout: 110000 },
+          (err, stdout, stderr) => (err ? reject(new Error(`${err.message}\n${stderr}`)) : resolve()));
+      });
+      const result = JSON.parse(fs.readFileSync(output, 'utf-8'));
+      const palette = result.colors.palette.map(color => color.value.toLowerCase());
+      assert.ok(palette.includes('#5e6ad2'), palette.join(', '));
+      assert.ok(result.typography.fontFamilies.length > 0);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+}
@@ -0,0 +1,42 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const color = require('../scripts/color');
+const { fixContrast } = require('../scripts/fix-contrast');
+const { auditAccessibility } = require('../scripts/compare-design-systems');
+
+const pair = (foreground, background, extra = {}) => ({ foreground, background, fontSize: 16, fontWeight: 400, count: 1, ...extra });
+
+const designSystem = () => ({
+  colors: {
+    palette: ['#ffffff', '#3b82f6', '#4f86f7', '#8a8f98', '#f2c94c', '#0f1011', '#e5484d'].map(value => ({ value })),
+    semantic: { backgrounds: [{ value: '#ffffff' }, { value: '#0f1011' }], text: [{ value: '#8a8f98' }] },
+    pairs: [
+      pair('#ffffff', '#3b82f6', { selectors: ['.button'] }),
+      pair('#ffffff', '#4f86f7', { selectors: ['.link-button'] }),
+      pair('#8a8f98', '#ffffff', { selectors: ['p'] }),
+      pair('#f2c94c', '#ffffff', { selectors: ['.warning'] }),
+      pair('#e5484d', '#0f1011', { selectors: ['.error'] }),
+      pair('#ffffff', '#e5484d', { fontSize: 24, selectors: ['h2'] })
+    ]
+  }
+});
+
+for (const level of ['AA', 'AAA']) {
+  test(`every color a ${level} fix writes passes on its own`, () => {
+    const { designSystem: fixed, fixes } = fixContrast(designSystem(), { level });
+    assert.ok(fixes.length > 0);
+    for (const fix of fixes) {
+      for (const fixedPair of fix.pairs) {
+        const written = { ...fixedPair, [fix.side]: fix.fixed };
+        const large = fixedPair.foreground === '#ffffff' && fixedPair.background === '#e5484d';
+        const required = level === 'AA' ? (large ? 3 : 4.5) : (large ? 4.5 : 7);
+        const ratio = color.contrastRatio(written.foreground, written.background);
+        assert.ok(ratio >= required, `${written.foreground} on ${written.background} is ${ratio}, needs ${required}`);
+      }
+    }
+    if (level === 'AA') {
+      const audit = auditAccessibility(fixed);
+      assert.deepEqual(audit.issues.filter(issue => issue.severity === 'error'), []);
+    }
+  });
+}
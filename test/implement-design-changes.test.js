@@ -0,0 +1,77 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile, execFileSync } = require('child_process');
+
+const IMPLEMENT = path.join(__dirname, '..', 'scripts', 'implement-design-changes.js');
+const REFERENCE = path.join(__dirname, '..', 'references', 'linear.json');
+const BRANCH = 'feature/design-system-alignment';
+
+const STYLESHEET = `:root {
+  --color-background: #0f1011;
+  --color-text: #f5f5f5;
+}
+.card { border-color: #e6e6e6; color: #f7f8f8; }
+`;
+
+// No identity from the environment or the global config: commits fail until the repository sets one
+const env = Object.fromEntries(Object.entries(process.env).filter(([name]) => !/^GIT_(?:AUTHOR|COMMITTER)_|^EMAIL$/.test(name)));
+Object.assign(env, { GIT_CONFIG_GLOBAL: os.devNull, GIT_CONFIG_NOSYSTEM: '1' });
+
+const git = (cwd, ...args) => execFileSync('git', args, { cwd, env, encoding: 'utf-8', stdio: 'pipe' }).trim();
+
+// Exit code and output of implement-design-changes.js
+const implement = (...args) => new Promise(resolve => {
+  execFile(process.execPath, [IMPLEMENT, ...args], { env, timeout: 110000 }, (err, stdout, stderr) => {
+    resolve({ code: err ? err.code : 0, output: `${stdout}${stderr}` });
+  });
+});
+
+test('a failing step rolls back to the original branch and files, and --resume finishes the run', { timeout: 240000 }, async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'impression-implement-'));
+  try {
+    fs.mkdirSync(path.join(dir, 'src'));
+    fs.writeFileSync(path.join(dir, 'package.json'), '{ "name": "fixture" }\n');
+    fs.writeFileSync(path.join(dir, 'src', 'globals.css'), STYLESHEET);
+    git(dir, 'init', '-q', '-b', 'main');
+    // Nor guessed from the host name
+    git(dir, 'config', 'user.useConfigOnly', 'true');
+    git(dir, 'add', '-A');
+    git(dir, '-c', 'user.name=Fixture', '-c', 'user.email=fixture@example.com', 'commit', '-q', '-m', 'init');
+    const original = git(dir, 'rev-parse', 'HEAD');
+
+    const failed = await implement(dir, REFERENCE);
+    assert.notEqual(failed.code, 0, failed.output);
+    assert.match(failed.output, /rolled back to main/);
+    assert.equal(git(dir, 'branch', '--show-current'), 'main');
+    assert.equal(git(dir, 'rev-parse', 'HEAD'), original);
+    assert.equal(git(dir, 'branch', '--list', BRANCH), '');
+    assert.equal(git(dir, 'status', '--porcelain', '--untracked-files=no'), '');
+    assert.equal(fs.readFileSync(path.join(dir, 'src', 'globals.css'), 'utf-8'), STYLESHEET);
+
+    const journal = JSON.parse(fs.readFileSync(path.join(dir, '.git', 'impression-journal.json'), 'utf-8'));
+    assert.deepEqual(journal.undo, []);
+    assert.deepEqual(journal.done, []);
+    assert.match(journal.failure.message, /git commit failed/);
+
+    // A second run is refused until the first is resumed
+    const again = await implement(dir, REFERENCE);
+    assert.notEqual(again.code, 0);
+    assert.match(again.output, /--resume/);
+
+    git(dir, 'config', 'user.name', 'Fixture');
+    git(dir, 'config', 'user.email', 'fixture@example.com');
+    const resumed = await implement(dir, '--resume');
+    assert.equal(resumed.code, 0, resumed.output);
+    assert.equal(git(dir, 'branch', '--show-current'), BRANCH);
+    assert.equal(fs.existsSync(path.join(dir, '.git', 'impression-journal.json')), false);
+
+    const messages = git(dir, 'log', '--format=%s', `${original}..HEAD`).split('\n');
+    assert.deepEqual(messages.reverse(), [...journal.plan.commits].sort((a, b) => a.priority - b.priority).map(commit => commit.message));
+    assert.notEqual(fs.readFileSync(path.join(dir, 'src', 'globals.css'), 'utf-8'), STYLESHEET);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -21,6 +21,7 @@ export interface DesignSystem {
   breakpoints: BreakpointSystem;
   icons?: IconSystem;
   themes?: ThemeOverrides;
+  responsive?: ResponsiveOverrides;
 }
 
 export interface DesignSystemMeta {
@@ -31,6 +32,13 @@ export interface DesignSystemMeta {
   designCharacter: string;
   sources?: BlendSource[];
   blendStrategy?: 'merge' | 'prefer' | 'combine';
+  /** Pages merged by a crawl; `sources` on tokens index into this list */
+  pages?: CrawledPage[];
+}
+
+export interface CrawledPage {
+  url: string;
+  title: string;
 }
 
 export interface Viewport {
@@ -49,17 +57,85 @@ export interface BlendSource {
 
 export interface ColorSystem {
   cssVariables: Record<string, string>;
+  /** Variables declared as `var(--target)`, keyed by name: `{ '--ring': '--accent' }` */
+  aliases?: Record<string, string>;
+  /** Every theme-level declaration of each custom property, in stylesheet order */
+  declarations?: Record<string, VariableDeclaration[]>;
   palette: ColorWithCount[];
   semantic: SemanticColors;
   gradients?: Gradient[];
+  /** Text/background pairs as rendered, most common first */
+  pairs?: TextPair[];
+  /** Colors fix-contrast.js changed so failing pairs pass */
+  contrastFixes?: ContrastFix[];
+}
+
+export interface ContrastFix {
+  /** Theme whose pairs it fixes; null for the top-level pairs */
+  theme: 'light' | 'dark' | null;
+  /** Component states whose pairs it fixes; absent for pairs at rest */
+  states?: Array<'hover' | 'focus' | 'active'>;
+  side: 'foreground' | 'background';
+  original: string;
+  fixed: string;
+  /** OKLCH lightness change */
+  deltaL: number;
+  /** OKLCH chroma lost to gamut mapping */
+  chromaLoss: number;
+  level: 'AA' | 'AAA';
+  apca: boolean;
+  /** Failing pairs the change fixes */
+  pairs: number;
+  selectors: string[];
+}
+
+export interface TextPair {
+  /** Computed text color */
+  foreground: string;
+  /** Background behind the text: the element's and its ancestors' backgrounds composited down to an opaque one */
+  background: string;
+  /** px */
+  fontSize: number;
+  fontWeight: number;
+  /** Forced component state; absent at rest */
+  state?: 'hover' | 'focus' | 'active';
+  /** A background image lies behind the text, so the colors alone don't decide contrast */
+  overImage?: boolean;
+  /** Elements rendering the pair */
+  count: number;
+  /** Up to five of them: `button.btn.primary`, `a#home` */
+  selectors: string[];
+  /** Crawl: indices into meta.pages */
+  sources?: number[];
+}
+
+export interface VariableDeclaration {
+  /** Selector of the declaring rule: `:root`, `.dark`, `[data-theme="dark"]`... */
+  scope: string;
+  /** Enclosing at-rules, e.g. `@media (prefers-color-scheme: dark)`; null at top level */
+  condition: string | null;
+  /** Declared value as written, e.g. `var(--gray-900)` */
+  value: string;
+  /** var() references substituted within the scope; null for cycles and undefined references */
+  resolved: string | null;
 }
 
 export interface ColorWithCount {
+  /** Hex (#rrggbbaa when translucent), or the CSS color in its own space when outside sRGB */
   value: string;
   count?: number;
   role?: string;
+  /** Color space of `value` when it isn't hex, e.g. 'oklch' or 'display-p3' */
+  space?: string;
+  /** Opacity, present when below 1 */
+  alpha?: number;
+  /** Gamut-mapped sRGB fallback for non-hex values */
+  hex?: string;
+  /** Brand value fix-contrast.js replaced with `value` for contrast */
+  original?: string;
   name?: string;
   source?: number;
+  sources?: number[];
 }
 
 export interface SemanticColors {
@@ -91,6 +167,15 @@ export interface TypographySystem {
   lineHeights: ValueWithCount[];
   letterSpacing: LetterSpacing[];
   pairings?: FontPairing[];
+  /** Styles of the first visible element per tag (h1, p...) */
+  elements?: Record<string, ElementTypography>;
+}
+
+export interface ElementTypography {
+  fontSize: string;
+  lineHeight: string;
+  fontWeight: string;
+  letterSpacing: string;
 }
 
 export interface FontFamily {
@@ -128,6 +213,13 @@ export interface SpacingSystem {
   gaps: ValueWithCount[];
   paddings: ValueWithCount[];
   margins?: ValueWithCount[];
+  /** Padding and gap of the first visible layout element per tag (header, section...) */
+  elements?: Record<string, ElementSpacing>;
+}
+
+export interface ElementSpacing {
+  padding: string;
+  gap: string | null;
 }
 
 // =============================================================================
@@ -167,6 +259,7 @@ export interface ButtonComponent {
   fontWeight: string;
   border?: string;
   boxShadow?: string;
+  states?: ComponentStates;
 }
 
 export interface InputComponent {
@@ -178,6 +271,7 @@ export interface InputComponent {
   padding: string;
   border: string;
   fontSize: string;
+  states?: ComponentStates;
 }
 
 export interface CardComponent {
@@ -186,6 +280,28 @@ export interface CardComponent {
   padding: string;
   boxShadow: string;
   border?: string;
+  states?: ComponentStates;
+}
+
+/** Changes from the resting style with each state forced */
+export interface ComponentStates {
+  hover?: StateDelta;
+  focus?: StateDelta;
+  active?: StateDelta;
+  disabled?: StateDelta;
+}
+
+export interface StateDelta {
+  backgroundColor?: string | null;
+  textColor?: string | null;
+  borderColor?: string | null;
+  boxShadow?: string | null;
+  outline?: string | null;
+  outlineOffset?: string;
+  opacity?: string;
+  transform?: string | null;
+  textDecoration?: string;
+  cursor?: string;
 }
 
 // =============================================================================
@@ -213,6 +329,21 @@ export interface BreakpointSystem {
   containerWidths: number[];
 }
 
+export interface ResponsiveOverrides {
+  /** Breakpoint whose extraction is the base token set */
+  base: string;
+  breakpoints: Record<string, number>;
+  /** Changes per breakpoint, in cascade order */
+  overrides: Record<string, BreakpointOverride>;
+}
+
+export interface BreakpointOverride {
+  width: number;
+  media: string;
+  typography?: { elements?: Record<string, Partial<ElementTypography>>; scale?: string[] };
+  spacing?: { elements?: Record<string, Partial<ElementSpacing>>; scale?: string[] };
+}
+
 // =============================================================================
 // ICON TYPES
 // =============================================================================
@@ -227,8 +358,14 @@ export interface IconSystem {
 // =============================================================================
 
 export interface ThemeOverrides {
-  dark?: Partial<ColorSystem>;
-  light?: Partial<ColorSystem>;
+  dark?: ThemeColors;
+  light?: ThemeColors;
+}
+
+/** Colors walked with one theme forced on */
+export interface ThemeColors extends Partial<Omit<ColorSystem, 'gradients'>> {
+  /** Inferred role (e.g. 'background-primary', 'accent') → color */
+  colors?: Record<string, string>;
 }
 
 // =============================================================================
@@ -240,6 +377,28 @@ export interface ComparisonResult {
   issues: ComparisonIssue[];
   summary: ComparisonSummary;
   accessibility?: AccessibilityReport;
+  /** Hardcoded values off the reference in stylesheets and components, worst file first */
+  offSystem?: OffSystemFile[];
+  /** The config and thresholds that produced the score */
+  settings?: ScoreSettings;
+}
+
+export interface ScoreSettings {
+  /** Config file read, null for the defaults */
+  config: string | null;
+  weights: Record<ScoreCategory, number>;
+  thresholds: CIThresholds;
+  ignore: { tokens: string[]; files: string[] };
+}
+
+export type ScoreCategory = 'colors' | 'typography' | 'spacing' | 'borderRadius' | 'shadows' | 'motion' | 'breakpoints' | 'usage';
+
+export interface OffSystemFile {
+  file: string;
+  /** Off-reference literals in the file */
+  count: number;
+  /** Grouped by value, most used first */
+  literals: Array<{ value: string; category: string; count: number; lines: number[] }>;
 }
 
 export interface ComparisonIssue {
@@ -248,16 +407,25 @@ export interface ComparisonIssue {
   message: string;
   file?: string;
   line?: number;
+  column?: number;
+  /** Reference value to use instead */
   expected?: string;
   actual?: string;
+  /** Reference token path holding `expected`, e.g. `color.accent`, `spacing.4` */
+  suggestion?: string;
 }
 
 export interface ComparisonSummary {
   colors: CategoryStats;
   typography: CategoryStats;
   spacing: CategoryStats;
-  shadows?: CategoryStats;
   borderRadius?: CategoryStats;
+  /** Shadows, motion and breakpoints: only when the reference has them; close matches count as matched */
+  shadows?: CategoryStats;
+  motion?: CategoryStats;
+  breakpoints?: CategoryStats;
+  /** Stylesheet declarations on the system (tokens or reference values) vs off it; CSS projects only */
+  usage?: CategoryStats & { tokenized: number; hardcoded: number };
 }
 
 export interface CategoryStats {
@@ -267,16 +435,81 @@ export interface CategoryStats {
 }
 
 export interface AccessibilityReport {
-  passed: ContrastResult[];
-  failed: ContrastResult[];
-  score: number;
+  /** `pairs`: the rendered text/background pairs; `palette`: common colors of a reference without them */
+  source: 'pairs' | 'palette';
+  /** Errors fail WCAG AA, warnings pass it but miss the APCA minimum (palette audits: AAA) */
+  issues: ContrastResult[];
+  passing: ContrastResult[];
+  /** Pairs over background images, not checked */
+  skipped: number;
+  colorVision: ColorVisionReport;
+}
+
+export type ColorVisionDeficiency = 'protanopia' | 'deuteranopia' | 'tritanopia' | 'achromatopsia';
+
+export interface StatusColor {
+  /** Palette role, theme role or CSS variable it was found under */
+  name: string;
+  status: 'success' | 'warning' | 'error' | 'info';
+  value: string;
+  theme?: 'light' | 'dark' | null;
+  /** Hex as seen with each deficiency */
+  simulated: Record<ColorVisionDeficiency, string>;
+}
+
+export interface ColorVisionReport {
+  /** ΔE 2000 (`cvdDelta`) status colors must keep from each other */
+  threshold: number;
+  types: ColorVisionDeficiency[];
+  colors: StatusColor[];
+  /** Pairs of different statuses closer than the threshold under some deficiency */
+  issues: ColorVisionIssue[];
+  /** Pairs checked */
+  pairs: number;
+}
+
+export interface ColorVisionIssue {
+  type: 'color-vision';
+  severity: 'warning';
+  theme: 'light' | 'dark' | null;
+  first: Omit<StatusColor, 'theme'>;
+  second: Omit<StatusColor, 'theme'>;
+  /** ΔE 2000 with normal vision */
+  deltaE: number;
+  /** ΔE 2000 under each deficiency */
+  deltas: Record<ColorVisionDeficiency, number>;
+  /** Deficiencies under which the pair falls below the threshold */
+  confused: ColorVisionDeficiency[];
+  message: string;
 }
 
 export interface ContrastResult {
+  type?: 'contrast';
+  severity?: 'error' | 'warning';
   foreground: string;
   background: string;
-  ratio: number;
-  level: 'AAA' | 'AA' | 'AA-large' | 'fail';
+  /** WCAG 2 ratio, two decimals */
+  ratio: string;
+  message?: string;
+  /** Pair audits only */
+  fontSize?: number;
+  fontWeight?: number;
+  large?: boolean;
+  /** Ratio WCAG AA requires at this size */
+  required?: number;
+  /** APCA Lc, and the minimum |Lc| for this size and weight */
+  lc?: number;
+  lcMinimum?: number;
+  AAA?: boolean;
+  theme?: 'light' | 'dark' | null;
+  state?: 'hover' | 'focus' | 'active' | null;
+  selectors?: string[];
+  count?: number;
+  /** Nearest palette colors (ΔE 2000) that pass in place of the text or the background */
+  suggestion?: {
+    foreground: { value: string; deltaE: number } | null;
+    background: { value: string; deltaE: number } | null;
+  };
 }
 
 // =============================================================================
@@ -500,9 +733,16 @@ export interface CIReport {
 
 export interface CIThresholds {
   colorDelta: number;
+  /** Per-role overrides of colorDelta */
+  roleDelta?: Partial<Record<'background' | 'text' | 'border' | 'accent', number>>;
   contrastMinimum: number;
+  /** ΔE 2000 status colors must keep under simulated color vision deficiencies */
+  cvdDelta?: number;
   fontSimilarity: number;
+  fontMatching?: 'family' | 'contains' | 'loose' | 'exact';
   spacingTolerance: number;
+  /** Relative tolerance for font sizes and line heights */
+  fontSizeTolerance?: number;
   overallScore: number;
 }
 
@@ -521,13 +761,17 @@ export interface BlendOptions {
   weights?: number[];
   strategy?: 'merge' | 'prefer' | 'combine';
   dedupeThreshold?: number;
+  normalize?: boolean;
+  provenance?: boolean;
 }
 
 export interface MergeOptions {
   dedupe?: boolean;
   maxItems?: number;
-  sortBy?: 'count' | 'name' | 'value';
+  sortBy?: 'count' | 'name' | 'value' | null;
   preferFirst?: boolean;
+  provenance?: boolean;
+  key?: (item: unknown) => string;
 }
 
 // =============================================================================
@@ -595,46 +839,943 @@ export interface LAB {
 // =============================================================================
 
 declare module 'impression/extract-design-system' {
-  export function extractDesignSystem(): DesignSystem;
+  export interface ExtractorOptions {
+    scrollCapture?: boolean;
+    scrollDelay?: number;
+    maxScrollSteps?: number;
+    captureComponents?: boolean;
+    inferRoles?: boolean;
+    detectThemes?: boolean;
+  }
+
+  export function extractDesignSystem(
+    options: ExtractorOptions & { scrollCapture: true }
+  ): Promise<DesignSystem>;
+  export function extractDesignSystem(options?: ExtractorOptions): DesignSystem;
+}
+
+declare module 'impression/color' {
+  export type ColorSpace =
+    | 'srgb' | 'srgb-linear' | 'display-p3' | 'a98-rgb' | 'prophoto-rgb' | 'rec2020'
+    | 'xyz-d65' | 'xyz-d50' | 'hsl' | 'hwb' | 'lab' | 'lch' | 'oklab' | 'oklch';
+
+  export interface Color {
+    space: ColorSpace;
+    coords: [number, number, number];
+    alpha: number;
+  }
+
+  export type ColorInput = string | Color;
+  export type HueInterpolation = 'shorter' | 'longer' | 'increasing' | 'decreasing';
+
+  export function parse(value: ColorInput): Color | null;
+  export function convert(color: Color, space: ColorSpace): Color;
+  export function mix(a: Color, b: Color, weight?: number, space?: ColorSpace, hue?: HueInterpolation): Color;
+  export function inGamut(color: Color, space?: ColorSpace): boolean;
+  export function toGamut(color: Color, space?: ColorSpace): Color;
+  export function toRgb(value: ColorInput): { r: number; g: number; b: number; a: number } | null;
+  export function toHex(value: ColorInput, options?: { alpha?: boolean }): string | null;
+  export function serialize(value: ColorInput, options?: { precision?: number }): string | null;
+  export function normalize(value: ColorInput): string | null;
+  export function isWideGamut(value: ColorInput): boolean;
+  export function toHsl(value: ColorInput): { h: number; s: number; l: number } | null;
+
+  export type DeltaEMethod = '76' | '94' | '2000' | 'ok';
+  /** Infinity when either color doesn't parse */
+  export function deltaE(a: ColorInput, b: ColorInput, method?: DeltaEMethod): number;
+  export function deltaE76(a: ColorInput, b: ColorInput): number;
+  export function deltaE94(a: ColorInput, b: ColorInput): number;
+  export function deltaE2000(a: ColorInput, b: ColorInput): number;
+  export function deltaEOK(a: ColorInput, b: ColorInput): number;
+
+  export function composite(top: ColorInput, bottom: ColorInput): Color | null;
+  /** WCAG 2 relative luminance */
+  export function luminance(value: ColorInput): number | null;
+  /** WCAG 2 contrast ratio, translucent foregrounds composited over the background */
+  export function contrastRatio(foreground: ColorInput, background: ColorInput): number | null;
+  /** APCA Lc: positive for dark on light, negative for light on dark */
+  export function apcaContrast(text: ColorInput, background: ColorInput): number | null;
+  /** An sRGB color as seen with the deficiency (Machado et al. 2009; achromatopsia: luminance) */
+  export function simulateCVD(value: ColorInput, type: ColorVisionDeficiency): Color | null;
+  export const CVD_TYPES: ColorVisionDeficiency[];
+  /** Color of the first button or input focus ring (outline, then box-shadow), as written */
+  export function findFocusRingColor(components?: Partial<ComponentSystem>): string | null;
+  export const SPACES: ColorSpace[];
+  export function createColorLib(): Omit<typeof import('impression/color'), 'createColorLib'>;
+}
+
+declare module 'impression/token-graph' {
+  export type TokenType = 'color' | 'dimension' | 'duration' | 'number';
+
+  /** Ids: `variable.<--name>`, `palette.<index>`, `semantic.<group>.<index>` */
+  export interface Token {
+    id: string;
+    type: TokenType | null;
+    /** Literal value, kept on aliases as the fallback when the reference dangles */
+    value: string | null;
+    /** Id of the token this one aliases */
+    ref: string | null;
+  }
+
+  export interface TokenGraph {
+    tokens: Map<string, Token>;
+  }
+
+  export interface ReferenceWriter {
+    /** A reference to the nearest defined token along the aliases, else the literal */
+    valueFor(id: string, name: string): string | null;
+    define(id: string, name: string): void;
+    has(id: string): boolean;
+  }
+
+  export function createTokenGraph(): TokenGraph;
+  export function addToken(
+    graph: TokenGraph,
+    id: string,
+    token?: { type?: TokenType | null; value?: string | null; ref?: string | null }
+  ): Token;
+  export function aliasChain(graph: TokenGraph, id: string): string[];
+  export function resolveToken(graph: TokenGraph, id: string): string | null;
+  export function parseVarReference(value: string): string | null;
+  export function inferType(value: string | null): TokenType | null;
+  export function buildTokenGraph(designSystem: DesignSystem): TokenGraph;
+  export function createReferenceWriter(
+    graph: TokenGraph,
+    formatReference: (name: string) => string
+  ): ReferenceWriter;
+}
+
+declare module 'impression/tailwind-config' {
+  /** A resolved theme leaf and where it was declared */
+  export interface TailwindToken {
+    /** Theme key: `colors`, `spacing`, `fontFamily`... */
+    key: string;
+    path: string[];
+    /** Utility suffix: `brand` for colors.brand.DEFAULT, `brand-500` for colors.brand.500 */
+    name: string;
+    value: string;
+    /** Tailwind v4: the @theme variable the token came from (--color-brand-500) */
+    variable?: string;
+    /** fontSize tokens: the line height, letter spacing and weight set alongside the size */
+    pairing?: { lineHeight?: string; letterSpacing?: string; fontWeight?: string };
+    file?: string;
+    line?: number;
+    column?: number;
+  }
+
+  export interface ConfigScan {
+    entries: Array<{ path: string[]; line: number; column: number; value?: string | number }>;
+    objects: Array<{ path: string[]; start: number; end: number }>;
+  }
+
+  export interface LoadedTailwindConfig {
+    file: string;
+    config: Record<string, unknown>;
+    /** Theme the config and its presets declare, extend merged in (not Tailwind's defaults) */
+    theme: Record<string, unknown>;
+    tokens: TailwindToken[];
+    sources: Array<ConfigScan & { file: string }>;
+    warnings: string[];
+    /** False when the config wasn't executed (or couldn't run) and only its literal values were read */
+    evaluated: boolean;
+  }
+
+  export interface TailwindProject {
+    version: 3 | 4;
+    /** tailwind.config.* (v4 projects may still load one through @config) */
+    config: string | null;
+    /** Stylesheets importing Tailwind v4 or declaring @theme */
+    stylesheets: string[];
+  }
+
+  export interface StylesheetScan {
+    theme: Array<{ name: string; value: string; options: string[]; line: number; column: number }>;
+    blocks: Array<{ options: string[]; start: number; end: number }>;
+    root: Record<string, string>;
+  }
+
+  export const CONFIG_FILES: string[];
+  /** [variable prefix, v3 theme key]: ['--color', 'colors'], ['--radius', 'borderRadius']... */
+  export const THEME_NAMESPACES: Array<[string, string]>;
+  export function findTailwindConfig(projectPath: string): string | null;
+  export function detectTailwind(projectPath: string): TailwindProject | null;
+  export function findThemeStylesheets(projectPath: string): string[];
+  export function scanStylesheet(source: string): StylesheetScan;
+  export function loadThemeStylesheets(files: string[]): { files: string[]; tokens: TailwindToken[]; warnings: string[] };
+  export function themeVariableKey(name: string): { key: string; name: string } | null;
+  /** A module resolved from the project's node_modules, or null; `from` is the project directory or a file in it */
+  export function requireFromProject(name: string, from: string): any;
+  /** Executes the config unless `evaluate` is false, when only its literal values are read */
+  export function loadTailwindConfig(configPath: string, options?: { evaluate?: boolean }): LoadedTailwindConfig;
+  export function scanConfigSource(source: string): ConfigScan;
+  export function findLocation(
+    sources: Array<ConfigScan & { file: string }>,
+    themePath: Array<string | number>
+  ): { file?: string; line?: number; column?: number };
+  export function flattenTheme(theme: Record<string, unknown>): Array<Omit<TailwindToken, 'file' | 'line' | 'column'>>;
+  export function resolveTheme(
+    configs: Array<Record<string, unknown>>,
+    configPath: string,
+    warnings: string[]
+  ): Record<string, unknown>;
+}
+
+declare module 'impression/css-parser' {
+  export interface StyleLocation {
+    /** Selector the declaration sits in (`:root`, `.dark`, `.card .title`); nesting resolved */
+    scope: string | null;
+    /** Enclosing @media/@supports/@container conditions, joined with ` and ` */
+    condition: string | null;
+    file: string;
+    line: number;
+    column: number;
+    /** Position across all parsed files, in source order */
+    order: number;
+  }
+
+  /** A custom property or SCSS variable (map entries as `$map.key.sub`) */
+  export interface StyleDefinition extends StyleLocation {
+    name: string;
+    kind: 'custom-property' | 'scss-variable';
+    value: string;
+    /** Value with var() and SCSS references followed; null when unresolvable or circular */
+    resolved: string | null;
+    /** Value is only a reference to another token */
+    alias: boolean;
+  }
+
+  /** A color, font-family, spacing or radius declaration */
+  export interface StyleUsage extends StyleLocation {
+    property: string;
+    category: 'colors' | 'typography' | 'spacing' | 'borderRadius';
+    value: string;
+    /** Tokens referenced: `--accent`, `$space-4`, `$colors.brand` */
+    references: string[];
+    /** Values hardcoded outside any reference */
+    literals: Array<{ value: string; line: number; column: number }>;
+    resolved: string | null;
+  }
+
+  /** A font-size, font-weight, line-height or letter-spacing declaration */
+  export interface TypeDeclaration {
+    property: 'font-size' | 'font-weight' | 'line-height' | 'letter-spacing';
+    value: string;
+    /** Value with var() and SCSS references followed; null when unresolvable */
+    resolved?: string | null;
+    scope: string | null;
+    condition: string | null;
+    file: string;
+    line: number;
+    column: number;
+  }
+
+  /** A box-shadow, transition, animation or max-width declaration, or a @media query with widths */
+  export interface SystemDeclaration {
+    property: string;
+    category: 'shadows' | 'motion' | 'breakpoints';
+    /** The declaration's value, or the media query */
+    value: string;
+    resolved?: string | null;
+    scope: string | null;
+    condition: string | null;
+    file: string;
+    line: number;
+    column: number;
+  }
+
+  export interface ParsedStylesheets {
+    files: string[];
+    definitions: StyleDefinition[];
+    usages: StyleUsage[];
+    typeDeclarations: TypeDeclaration[];
+    systemDeclarations: SystemDeclaration[];
+    warnings: string[];
+  }
+
+  /** Falls back to a built-in parser for each package that can't be found, named in `fallback` */
+  export function loadPostcss(projectPath?: string): { postcss: unknown; scss: unknown; fallback: Array<'postcss' | 'postcss-scss'> };
+  export function findStylesheets(dir: string): string[];
+  export function parseStylesheets(
+    files: string[],
+    options?: { projectPath?: string; postcss?: unknown; scss?: unknown }
+  ): ParsedStylesheets;
+  export function parseProjectStylesheets(projectPath: string): ParsedStylesheets;
+  export function parseScssMap(value: string): Record<string, unknown> | null;
+  export function findReferences(value: string): string[];
+  export function findLiterals(value: string, category: StyleUsage['category']): Array<{ value: string; index: number }>;
+  export function isAlias(value: string): boolean;
+  export function nestSelector(parent: string | null, selector: string): string;
+  export function usageCategory(property: string): StyleUsage['category'] | null;
+  export function splitTopLevel(value: string, separator: string): string[];
+}
+
+declare module 'impression/css-in-js' {
+  /** A theme object value, by category */
+  export interface ThemeToken {
+    category: 'colors' | 'typography' | 'spacing' | 'borderRadius' | 'shadows'
+      | 'fontSize' | 'fontWeight' | 'lineHeight' | 'letterSpacing' | 'duration' | 'easing' | 'breakpoints';
+    /** `primary-main` for palette.primary.main */
+    name: string;
+    /** Key path from the category key: `palette.primary.main`, `colors.brand.500` */
+    path: string;
+    /** Key path before it: `theme`, `theme.extend.tokens` */
+    scope: string;
+    value: string;
+    /** Value taken from another object or token (`colors.brand`, '{colors.brand.500}') */
+    alias: boolean;
+    file: string;
+    line: number;
+    column: number;
+  }
+
+  /** A theme object leaf before classification */
+  export interface ThemeLeaf {
+    path: string[];
+    value?: string | number;
+    reference?: string;
+    /** Belongs to a theme root rather than an ordinary variable */
+    theme: boolean;
+    /** Reachable by name (`colors.brand`) from other objects */
+    named: boolean;
+    alias?: boolean;
+    file: string;
+    line: number;
+    column: number;
+  }
+
+  export interface CSSInJSExtraction {
+    files: string[];
+    /** styled-components, emotion, mui, chakra, vanilla-extract, stitches, panda */
+    libraries: string[];
+    tokens: ThemeToken[];
+    /** styled/css template and object style declarations; `references` are the ${} interpolations or non-literal values */
+    usages: TemplateUsage[];
+    warnings: string[];
+  }
+
+  /** Template usages have no cross-file order and are not resolved */
+  export type TemplateUsage = Omit<import('impression/css-parser').StyleUsage, 'order' | 'resolved'>;
+
+  export const LIBRARIES: Record<string, string>;
+  export const THEME_FACTORIES: Set<string>;
+  export function detectCSSInJS(projectPath: string): string[] | null;
+  export function extractCSSInJS(projectPath: string): CSSInJSExtraction;
+  export function findSourceFiles(dir: string): string[];
+  export function scanThemeObjects(source: string, file: string): ThemeLeaf[];
+  export function resolveReferences(leaves: ThemeLeaf[]): ThemeLeaf[];
+  export function themeTokens(leaves: ThemeLeaf[], warnings: string[]): ThemeToken[];
+  export function classify(path: Array<string | number>): Pick<ThemeToken, 'category' | 'name' | 'path' | 'scope'> | null;
+  export function scanTaggedTemplates(source: string, file: string): TemplateUsage[];
+  /** styled.x({...}), styled(X)({...}), css({...}) and css={{...}}; numbers are px */
+  export function scanObjectStyles(source: string, file: string): TemplateUsage[];
+  /** Entries of the object literal opening at `open`: strings and numbers are literals, anything else a reference */
+  export function scanStyleObject(source: string, open: number, file: string): Array<Omit<import('impression/css-parser').StyleUsage, 'order'>>;
+}
+
+declare module 'impression/js-source' {
+  export interface Token {
+    type: 'name' | 'string' | 'number' | 'template' | 'regex' | 'punct';
+    value: string;
+    start: number;
+  }
+
+  export function tokenize(source: string): Token[];
+  export function locate(source: string, index: number): { line: number; column: number };
+  export function templateEnd(source: string, start: number): number;
+  export function templateExpressions(
+    source: string,
+    start: number
+  ): Array<{ start: number; end: number; code: string; codeStart: number }>;
+  export function stringEnd(source: string, start: number): number;
+  /** Offset just past the bracket closing the one at `open`, skipping strings */
+  export function balancedEnd(source: string, open: number): number;
+  /** String literals between `from` and `to`, as their contents and where those start */
+  export function stringLiterals(source: string, from: number, to: number): Array<{ text: string; start: number }>;
+}
+
+declare module 'impression/font-sources' {
+  /** A font the project loads and the weights it loads */
+  export interface LoadedFont {
+    family: string;
+    /** null: every weight (a variable font, or next/font without a weight) */
+    weights: number[] | null;
+    source: '@font-face' | 'next/font' | 'next/font/local' | 'Google Fonts' | 'Fontsource';
+    /** next/font: the CSS variable the font is exposed as (--font-geist-sans) */
+    variable?: string;
+    file: string;
+    line: number;
+    column: number;
+  }
+
+  export function findFontSources(
+    projectPath: string,
+    options?: { ignore?: (file: string) => boolean }
+  ): { files: string[]; fonts: LoadedFont[]; warnings: string[] };
+  /** Families and weights from a Google Fonts css/css2 query string */
+  export function parseGoogleFontsUrl(query: string): Array<{ family: string; weights: number[] }>;
+  /** `400`, `bold`, `100 900`, `100..900` → weights */
+  export function parseWeights(value: string | number): number[];
+  export function isSystemFont(family: string): boolean;
+  export const SYSTEM_FONTS: Set<string>;
+}
+
+declare module 'impression/usage-scanner' {
+  /**
+   * A utility class, inline style or <style> block declaration in a component.
+   * `value` is the class (`hover:bg-[#333]`) or the style value; theme classes
+   * reference `bg-brand` and resolve to the theme value.
+   */
+  export type ComponentUsage = Omit<import('impression/css-parser').StyleUsage, 'order'>;
+
+  export interface TailwindTheme {
+    version: 3 | 4;
+    /** Theme key (colors, spacing, borderRadius...) → class name → value */
+    keys: Record<string, Map<string, string>>;
+    /** Tailwind's default palette and scales, for classes the project doesn't configure */
+    defaults: Record<string, Map<string, string>>;
+    warnings: string[];
+  }
+
+  export interface UsageScan {
+    files: string[];
+    /** Tailwind major version whose classes were read, null when none */
+    tailwind: 3 | 4 | null;
+    usages: ComponentUsage[];
+    warnings: string[];
+  }
+
+  /** Utility prefix → [category, theme key] */
+  export const UTILITIES: Record<string, [string, string]>;
+  export function scanProjectUsages(
+    projectPath: string,
+    options?: { theme?: TailwindTheme | null; evaluateConfig?: boolean; ignore?: (file: string) => boolean }
+  ): UsageScan;
+  export function scanSource(source: string, file: string, theme: TailwindTheme | null): ComponentUsage[];
+  export function loadTailwindTheme(projectPath: string, options?: { evaluateConfig?: boolean }): TailwindTheme | null;
+  export function parseUtility(
+    className: string,
+    theme: TailwindTheme | null,
+    source?: string,
+    start?: number
+  ): Omit<ComponentUsage, 'file' | 'line' | 'column'> | null;
+  export function classLists(source: string, file?: string): Array<{ text: string; start: number }>;
+  export function scanInlineStyles(source: string, file: string): ComponentUsage[];
+  export function scanStyleBlocks(source: string, file: string): ComponentUsage[];
+  export function findComponentFiles(dir: string): string[];
+}
+
+declare module 'impression/extract' {
+  export interface ExtractOptions {
+    scrollCapture?: boolean;
+    captureComponents?: boolean;
+    inferRoles?: boolean;
+    detectThemes?: boolean;
+    viewport?: Viewport;
+    wait?: number;
+    timeout?: number;
+    executablePath?: string | null;
+    validate?: boolean;
+    maxDepth?: number;
+    maxPages?: number;
+    breakpoints?: { name: string; width: number; height: number }[];
+    responsiveBase?: string;
+    onPage?: (result: DesignSystem, index: number) => void;
+  }
+
+  export function runExtraction(
+    input: string,
+    options?: ExtractOptions
+  ): Promise<{ result: DesignSystem; errors: string[] }>;
+
+  export function runCrawl(
+    input: string,
+    options?: ExtractOptions
+  ): Promise<{
+    result: DesignSystem;
+    pages: DesignSystem[];
+    skipped: { url: string; reason: string }[];
+    errors: string[];
+  }>;
+
+  export function mergeCrawl(pages: DesignSystem[], startUrl: string): DesignSystem;
+  /** One color per role across pages: the one carrying it most often, counts summed */
+  export function mergeColorRoles(
+    pages: DesignSystem[],
+    palette: ColorWithCount[]
+  ): { palette: ColorWithCount[]; roles: Record<string, string> };
+
+  export function runResponsive(
+    input: string,
+    options?: ExtractOptions
+  ): Promise<{ result: DesignSystem; samples: Record<string, DesignSystem>; errors: string[] }>;
+
+  export function startStaticServer(
+    rootDir: string
+  ): Promise<{ url: string; close: () => Promise<void> }>;
+
+  export function validateAgainstSchema(
+    data: unknown,
+    schema: object
+  ): string[];
+
+  export function validateDesignSystem(designSystem: unknown): string[];
 }
 
 declare module 'impression/compare-design-systems' {
+  /** `config` defaults to the project's .impressionrc; `thresholds` override its thresholds */
   export function runComparison(
     projectPath: string,
     reference: DesignSystem,
-    thresholds?: Partial<CIThresholds>
+    thresholds?: Partial<CIThresholds>,
+    config?: import('impression/impression-config').ImpressionConfig,
+    /** evaluateConfig: false reads a Tailwind config's literal values instead of executing it */
+    options?: { evaluateConfig?: boolean }
   ): ComparisonResult;
+  export function buildIssues(
+    declarations: ProjectDeclaration[],
+    reference: DesignSystem,
+    thresholds?: Partial<CIThresholds>
+  ): ComparisonIssue[];
+
+  export function compareColors(
+    projectColors: Record<string, string>,
+    referenceColors: DesignSystem['colors'],
+    thresholds?: Partial<CIThresholds>
+  ): ColorComparison;
+  /** background, text, border or accent, from a token name; null when it names none */
+  export function colorRole(name: string): ColorRole | null;
+  /** Minimum-cost row → column assignment; -1 for rows left out */
+  export function optimalAssignment(cost: number[][]): number[];
+
+  export type ColorRole = 'background' | 'text' | 'border' | 'accent';
+
+  export interface ColorMatch {
+    project: string;
+    reference: string;
+    /** Project token name */
+    name: string;
+    role: ColorRole | null;
+    /** ΔE 2000, on similar matches */
+    deltaE?: string;
+  }
+
+  export interface ColorComparison {
+    exact: ColorMatch[];
+    similar: ColorMatch[];
+    missing: string[];
+    extra: string[];
+    /** Each role's project colors paired with the reference colors of that role */
+    roles: Partial<Record<ColorRole, {
+      /** ΔE threshold applied to the role */
+      threshold: number;
+      pairs: Array<{ name: string; project: string; reference: string; referenceRole: string; deltaE: number }>;
+      missing: string[];
+      extra: string[];
+    }>>;
+    score: number;
+  }
+
+  /** A font-size, font-weight, line-height or letter-spacing value found in the project */
+  export interface TypeScaleEntry {
+    property: 'fontSize' | 'fontWeight' | 'lineHeight' | 'letterSpacing';
+    value: string;
+    /** Values sharing a group were set together (a Tailwind fontSize tuple, a CSS rule) */
+    group: string | null;
+    file: string | null;
+    line?: number;
+    column?: number;
+  }
+
+  export interface TypographyComparison {
+    matched: Array<{ project: string; reference: string }>;
+    missing: string[];
+    extra: string[];
+    /** Modular scale ratio detected from each side's font sizes */
+    ratio: {
+      project: { ratio: number; name: string | null } | null;
+      reference: { ratio: number; name: string | null } | null;
+    };
+    sizes: {
+      matched: Array<{ reference: number; project: number; diff: number }>;
+      missing: number[];
+      extra: number[];
+      score: number | null;
+    };
+    weights: {
+      reference: number[];
+      /** Weights the loaded fonts ship, or the declared ones; null when unknown */
+      available: number[] | null;
+      from: 'loaded fonts' | 'declared weights' | null;
+      missing: number[];
+      score: number | null;
+    };
+    lineHeights: { matched: number[]; missing: number[]; score: number | null };
+    letterSpacing: { matched: number[]; missing: number[]; score: number | null };
+    /** Reference elements' size with the line height and letter spacing the project sets beside it */
+    pairings: Array<{
+      element: string;
+      reference: { fontSize: number; lineHeight?: string; letterSpacing?: string };
+      /** Pixels; line height 1.2× the size and letter spacing 0 when the project sets none */
+      project: { fontSize: number; lineHeight: number; letterSpacing: number; file: string | null; line?: number } | null;
+      lineHeight: boolean;
+      letterSpacing: boolean;
+    }>;
+    loading: {
+      loaded: Array<{ family: string; source: string; file: string; line: number }>;
+      /** Declared families nothing loads (system fonts excluded) */
+      notLoaded: string[];
+      score: number | null;
+    };
+    parts: Record<string, number | null>;
+    score: number;
+  }
+
+  export function compareTypography(
+    projectStyles: {
+      fonts?: string[];
+      typeScale?: TypeScaleEntry[];
+      fontSources?: import('impression/font-sources').LoadedFont[];
+    },
+    referenceTypography: DesignSystem['typography'],
+    thresholds?: Partial<CIThresholds>
+  ): TypographyComparison;
+
+  /** Median step between font sizes, named when close to a common ratio; null below two steps */
+  export function detectTypeRatio(sizes: number[]): { ratio: number; name: string | null } | null;
+
+  export interface ShadowProfile {
+    /** drop: offset or blurred; ring: spread only; inset: inset layers only */
+    kind: 'drop' | 'ring' | 'inset';
+    /** Pixels: a drop's y offset plus half its blur, a ring's width, an inset's depth */
+    elevation: number;
+    layers: Array<{ inset: boolean; x: number; y: number; blur: number; spread: number; color: string | null; alpha: number }>;
+  }
+
+  export interface ShadowComparison {
+    matched: Array<{ project: string; reference: string; role?: string; kind: ShadowProfile['kind']; elevation: { project: number; reference: number } }>;
+    /** Same kind, elevation within 25% (at least 1px) */
+    close: ShadowComparison['matched'];
+    missing: Array<{ value: string; role?: string; kind: ShadowProfile['kind']; elevation: number }>;
+    extra: string[];
+    /** null when the reference has no shadows */
+    score: number | null;
+  }
+
+  /** Matched and close values of one list; score null when the reference has none */
+  export interface ValueListComparison<Close> {
+    matched: Array<{ project: string; reference: string; distance?: number }>;
+    close: Array<{ project: string; reference: string } & Close>;
+    missing: string[];
+    extra: string[];
+    score: number | null;
+  }
+
+  export interface MotionComparison {
+    /** Close: another duration in the same bucket (instant, fast, moderate, slow, slower) */
+    durations: ValueListComparison<{ bucket: string }>;
+    /** Matched within a curve distance of 0.05, close within 0.15 */
+    easings: ValueListComparison<{ distance: number }>;
+    score: number | null;
+  }
+
+  export interface BreakpointComparison {
+    /** Close: within 5% */
+    breakpoints: ValueListComparison<{ diff: string }>;
+    containerWidths: ValueListComparison<{ diff: string }>;
+    score: number | null;
+  }
+
+  export function shadowProfile(value: string): ShadowProfile | null;
+  export function compareShadows(
+    projectShadows: string[],
+    referenceShadows: DesignSystem['shadows']
+  ): ShadowComparison;
+  /** Largest difference in progress between two cubic-bezier curves over the animation */
+  export function curveDistance(a: number[], b: number[]): number;
+  export function compareMotion(
+    projectMotion: { durations: string[]; easings: string[] },
+    referenceAnimations?: Partial<AnimationSystem>
+  ): MotionComparison;
+  export function compareBreakpoints(
+    projectBreakpoints: { breakpoints: string[]; containerWidths: string[] },
+    referenceBreakpoints?: Partial<BreakpointSystem>
+  ): BreakpointComparison;
+
+  /** Weighted mean of the category scores; categories weighted 0 are left out */
+  export function overallScore(
+    comparisons: Record<string, { score: number | null }>,
+    weights?: Partial<Record<ScoreCategory, number>>
+  ): number;
+
+  /** The reference without the tokens `ignoreToken` matches (name, then role) */
+  export function withoutIgnoredTokens(
+    reference: DesignSystem,
+    ignoreToken: (...names: string[]) => boolean
+  ): DesignSystem;
 
-  export function deltaE2000(lab1: LAB, lab2: LAB): number;
+  export function compareUsage(
+    usages: Array<Pick<import('impression/css-parser').StyleUsage, 'category' | 'references' | 'literals'>>,
+    reference: DesignSystem,
+    thresholds?: Partial<CIThresholds>
+  ): UsageComparison;
+
+  export interface UsageComparison {
+    /** Stylesheet, template and component usages referencing a token or hardcoding a value */
+    total: number;
+    /** Only references tokens */
+    tokenized: number;
+    /** Hardcodes values that are all within tolerance of the reference */
+    onScale: number;
+    offScale: import('impression/css-parser').StyleUsage[];
+    byCategory: Record<string, { total: number; tokenized: number; onScale: number; offScale: number }>;
+    /** Colors, spacing and radii by occurrence of the values used, hardcoded or resolved from a token */
+    weighted: Record<string, { total: number; onScale: number; score: number | null }>;
+    /** Hardcoded literals on the reference scale, with the token each one hardcodes */
+    hardcoded: HardcodedLiteral[];
+    offSystem: OffSystemFile[];
+    /** Token usages count fully, hardcoded reference values half */
+    score: number | null;
+  }
+
+  export interface HardcodedLiteral {
+    category: string;
+    value: string;
+    /** Reference token path, e.g. 'color.accent-indigo' */
+    token: string;
+    /** The token's value */
+    expected: string;
+    file: string;
+    line: number;
+    column: number;
+  }
+
+  /** A value read from the project, where it was declared */
+  export interface ProjectDeclaration {
+    category: 'colors' | 'typography' | 'spacing' | 'borderRadius';
+    name: string;
+    value: string;
+    file: string;
+    line: number;
+    column: number;
+  }
+
+  export function deltaE2000(color1: string, color2: string): number;
+  export function deltaE76(color1: string, color2: string): number;
   export function getContrastRatio(fg: string, bg: string): number;
-  export function hexToLab(hex: string): LAB;
+  /** Contrast audit of the reference's rendered pairs; `contrastMinimum` is the ratio normal text needs */
+  export function auditAccessibility(reference: DesignSystem, thresholds?: Partial<CIThresholds>): AccessibilityReport;
+  /** Status colors simulated for color vision deficiencies; pairs under `cvdDelta` are issues */
+  export function auditColorVision(reference: DesignSystem, thresholds?: Partial<CIThresholds>): ColorVisionReport;
+  /** Success, warning, error and info colors of a reference's colors or one of its themes */
+  export function statusColors(colors: ColorSystem | ThemeColors): Omit<StatusColor, 'simulated' | 'theme'>[];
+  export function checkTextPair(
+    pair: Pick<TextPair, 'foreground' | 'background' | 'fontSize' | 'fontWeight'>,
+    contrastMinimum?: number
+  ): {
+    large: boolean;
+    ratio: string;
+    required: number;
+    lc: number;
+    lcMinimum: number;
+    passesWCAG: boolean;
+    passesAPCA: boolean;
+    AAA: boolean;
+  };
+  export function rgbToLab(rgb: { r: number; g: number; b: number }): LAB | null;
 }
 
 declare module 'impression/implement-design-changes' {
+  /** Categories weighted 0 in `config` get no commit; an ignored target file throws */
   export function generateImplementationPlan(
     projectPath: string,
-    reference: DesignSystem
+    reference: DesignSystem,
+    comparisons?: unknown,
+    configs?: unknown,
+    config?: import('impression/impression-config').ImpressionConfig | null
   ): ImplementationPlan;
 
+  export interface PlanResult {
+    priority: number;
+    /** 'tokens' adds to the config; 'replace' rewrites hardcoded values to those tokens */
+    kind: 'tokens' | 'replace';
+    category: string;
+    message: string;
+    files: string[];
+    modified: boolean;
+    tokens: unknown;
+    /** Replacement commits: paths relative to the project */
+    replacements?: import('impression/replace-hardcoded-values').HardcodedReplacement[];
+    /** Token commits: names the project already gives other values, added as `alias` instead */
+    conflicts?: Array<{ key: string; name: string; alias: string; current: unknown; value: unknown }>;
+  }
+
+  /** Undo journal of a run, in .git/impression-journal.json while it is in progress or failed */
+  export interface Journal {
+    version: 1;
+    startedAt: string;
+    /** false for --no-commit runs */
+    commit: boolean;
+    original: { branch: string | null; head: string | null };
+    /** Last good commit; --resume recreates the branch here */
+    head: string | null;
+    plan: ImplementationPlan;
+    /** Steps applied: the category, or `<category> replacements` */
+    done: Array<{ step: string; modified: boolean }>;
+    /** Steps to undo, oldest first */
+    undo: Array<
+      | { action: 'branch'; name: string }
+      | { action: 'write'; file: string; content: string | null }
+      | { action: 'commit'; sha: string; parent: string }
+    >;
+    failure: { step: string | null; message: string; at: string } | null;
+  }
+
+  /**
+   * Applies the plan as a transaction: preflight checks, an undo journal, and a
+   * rollback to the original branch and files when a step fails (then throws).
+   * `resume` continues the journal's failed run from the commit that failed.
+   */
   export function executePlan(
+    projectPath: string,
+    plan: ImplementationPlan,
+    options?: { dryRun?: boolean; noCommit?: boolean; resume?: boolean }
+  ): PlanResult[];
+  /** What would stop a run partway, one line each; empty when it can go ahead */
+  export function preflight(
+    projectPath: string,
     plan: ImplementationPlan,
-    options?: { dryRun?: boolean }
-  ): void;
+    options?: { commit?: boolean; resume?: boolean }
+  ): string[];
+  export function rollback(projectPath: string, journal: Journal, file: string): void;
+  export function loadJournal(projectPath: string): Journal | null;
+  export function journalPath(projectPath: string): string;
+}
+
+declare module 'impression/replace-hardcoded-values' {
+  /** 'v3' tailwind.config, 'v4' @theme, 'css' CSS variables */
+  export type TokenTarget = 'v3' | 'v4' | 'css';
+
+  export interface HardcodedReplacement {
+    file: string;
+    line: number;
+    column: number;
+    /** Text replaced: the literal, the bare number of a style object, or the whole class */
+    from: string;
+    /** bg-accent, var(--color-accent), theme('colors.accent') or 'var(--spacing-3)' */
+    to: string;
+    token: string;
+    value: string;
+    kind: 'class' | 'stylesheet' | 'inline';
+  }
+
+  /** A literal matching a token the target has no way to refer to there */
+  export interface SkippedReplacement {
+    file: string;
+    line: number;
+    column: number;
+    value: string;
+    token: string;
+    reason: string;
+  }
+
+  export const CATEGORIES: Array<'colors' | 'spacing' | 'borderRadius'>;
+
+  /**
+   * `tokens`: a token generator's map for the category (generateColorTokens(...).colors).
+   * The project's own tokens (`existing`) win ties with them.
+   */
+  export function findReplacements(
+    projectPath: string,
+    category: 'colors' | 'spacing' | 'borderRadius',
+    tokens: Record<string, string> | undefined,
+    options?: {
+      target?: TokenTarget;
+      thresholds?: Partial<Pick<CIThresholds, 'colorDelta' | 'roleDelta' | 'spacingTolerance'>>;
+      ignore?: (file: string) => boolean;
+      theme?: import('impression/usage-scanner').TailwindTheme | null;
+      existing?: Record<string, string>;
+    }
+  ): { replacements: HardcodedReplacement[]; skipped: SkippedReplacement[]; warnings: string[] };
+  /** The project's tokens for a category: Tailwind theme names, or :root custom properties (--brand) for 'css' */
+  export function existingTokens(
+    projectPath: string,
+    category: 'colors' | 'spacing' | 'borderRadius',
+    options?: {
+      target?: TokenTarget;
+      ignore?: (file: string) => boolean;
+      theme?: import('impression/usage-scanner').TailwindTheme | null;
+      stylesheets?: import('impression/css-parser').ParsedStylesheets;
+    }
+  ): Record<string, string>;
+  /** Replacements no longer found at their position are counted as stale */
+  export function applyReplacements(
+    source: string,
+    replacements: HardcodedReplacement[]
+  ): { content: string; applied: number; stale: number };
+  export function rewriteFiles(
+    projectPath: string,
+    replacements: HardcodedReplacement[]
+  ): { files: string[]; applied: number; stale: number };
+  export function matchColor(
+    value: string,
+    property: string,
+    tokens: Record<string, string>,
+    thresholds?: Partial<Pick<CIThresholds, 'colorDelta' | 'roleDelta'>>
+  ): { key: string; value: string; deltaE: number; score: number } | null;
+  export function matchDimension(
+    value: string,
+    tokens: Record<string, string>,
+    thresholds?: Partial<Pick<CIThresholds, 'spacingTolerance'>>
+  ): { key: string; value: string; diff: number } | null;
+  export function tokenVariable(category: string, key: string, target: TokenTarget): string;
+  /** null for Tailwind v3 outside stylesheets */
+  export function tokenReference(category: string, key: string, target: TokenTarget, where: 'stylesheet' | 'inline'): string | null;
+  export function tokenClass(className: string, category: string, key: string, target: TokenTarget): string | null;
 }
 
 declare module 'impression/generate-tailwind-config' {
+  /** `accessibleVariants`: brand originals of fix-contrast.js corrections, with `<key>-accessible` fixes */
   export function generateTailwindConfig(
-    designSystem: DesignSystem
+    designSystem: DesignSystem,
+    options?: { accessibleVariants?: boolean }
+  ): string;
+  /** Tailwind v4 stylesheet with an @theme block */
+  export function generateTailwindTheme(
+    designSystem: DesignSystem,
+    options?: { accessibleVariants?: boolean }
   ): string;
 }
 
 declare module 'impression/generate-css-variables' {
+  /** `accessibleVariants`: brand originals of fix-contrast.js corrections, with `<name>-accessible` fixes */
   export function generateCSSVariables(
     designSystem: DesignSystem,
-    options?: { scope?: string }
+    options?: { scope?: string; accessibleVariants?: boolean }
   ): string;
 }
 
+declare module 'impression/fix-contrast' {
+  export const LEVELS: Record<'AA' | 'AAA', { normal: number; large: number }>;
+
+  /** Corrected copy of the design system, the fixes, the pairs no lightness could fix, and a Markdown diff */
+  export function fixContrast(
+    designSystem: DesignSystem,
+    options?: { level?: 'AA' | 'AAA'; apca?: boolean; inputPath?: string }
+  ): {
+    designSystem: DesignSystem;
+    fixes: Array<Omit<ContrastFix, 'level' | 'apca' | 'pairs' | 'selectors'> & {
+      pairs: Array<{ foreground: string; background: string; state?: string; selectors: string[]; before: number; after: number }>;
+    }>;
+    unresolved: ContrastResult[];
+    report: string;
+  };
+  /** Smallest OKLCH lightness change after which `passes` holds, keeping hue and chroma */
+  export function adjustLightness(
+    value: string,
+    passes: (candidate: string) => boolean
+  ): { value: string; lightness: number; deltaL: number } | null;
+}
+
 declare module 'impression/generate-figma-tokens' {
   export function generateFigmaTokens(
     designSystem: DesignSystem
@@ -669,6 +1810,12 @@ declare module 'impression/blend-design-systems' {
     color1: string,
     color2: string
   ): number;
+
+  export function mergeArrays<T>(
+    arrays: T[][],
+    weights: number[],
+    options?: MergeOptions
+  ): T[];
 }
 
 declare module 'impression/migrate-tokens' {
@@ -696,8 +1843,14 @@ declare module 'impression/capture-screenshots' {
   export function generateComparisonReport(
     beforeDir: string,
     afterDir: string,
-    options?: { title?: string; outputPath?: string }
-  ): { html: string; pairs: unknown[]; stats: unknown };
+    options?: {
+      title?: string;
+      outputPath?: string;
+      /** Design system whose status colors get a color vision section */
+      reference?: DesignSystem;
+      thresholds?: Partial<CIThresholds>;
+    }
+  ): { html: string; pairs: unknown[]; colorVision: ColorVisionReport | null; stats: unknown };
 }
 
 declare module 'impression/ci-compare' {
@@ -709,6 +1862,36 @@ declare module 'impression/ci-compare' {
       format?: 'text' | 'json' | 'github' | 'gitlab' | 'markdown';
       failOn?: 'critical' | 'major' | 'warning';
       thresholds?: Partial<CIThresholds>;
+      /** Loaded settings; otherwise read from configPath or the project's .impressionrc */
+      config?: import('impression/impression-config').ImpressionConfig;
+      configPath?: string;
+      /** Execute a Tailwind config rather than read its literal values (trusted code only) */
+      evaluateConfig?: boolean;
     }
   ): CIResult;
 }
+
+declare module 'impression/impression-config' {
+  export interface ImpressionConfig {
+    weights: Record<ScoreCategory, number>;
+    thresholds: CIThresholds;
+    ignore: { tokens: string[]; files: string[] };
+    /** File read, null when only the defaults apply */
+    source: string | null;
+  }
+
+  export const CONFIG_FILES: string[];
+  export const DEFAULT_CONFIG: Omit<ImpressionConfig, 'source'>;
+
+  /** The project's config file, then the working directory's; null when neither has one */
+  export function findConfig(projectPath: string): string | null;
+  /** Settings merged over the defaults; throws on a missing, unparsable or invalid file */
+  export function loadConfig(projectPath: string, configPath?: string | null): ImpressionConfig;
+  export function createIgnore(config: ImpressionConfig, projectPath: string): {
+    file(absolutePath: string): boolean;
+    token(...names: string[]): boolean;
+  };
+  /** The settings behind a score, one report line each */
+  export function describeConfig(config: ImpressionConfig): string[];
+  export function globToRegExp(pattern: string): RegExp;
+}